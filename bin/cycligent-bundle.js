@@ -0,0 +1,537 @@
+#!/usr/bin/env node
+/**
+ * @file cycligent-bundle
+ *
+ * @description
+ * Bundles the scripts of a Cycligent application, so production pages load a
+ * few files instead of one per import.<br>
+ * <br>
+ * Starting from the startup script (cycligent.config.startupScript), every
+ * static import, cycligent.import("name") or cycligent.import({scriptId: "name"}),
+ * is followed. Names are resolved exactly as they are in the browser, by
+ * cycligent.url running against the application's own config.js, so the ^, @,
+ * . and ~ anchors, cycligent.config.loader.roots and the -appVersion suffix all
+ * apply. Imports whose names are computed at runtime can't be followed; they
+ * are listed as warnings and load as usual.<br>
+ * <br>
+ * Writes, at the locations cycligent.url gives for the bundle name:
+ * <ul>
+ * <li>The bundle (for example @bundle.app), each script following the scripts
+ * it imports, in a scope of its own (see sourceScope). List it in
+ * cycligent.config.loader.bundles; imports of the scripts it contains are then
+ * satisfied without a request.
+ * <li>The libraries bundle (for example @bundle.app-libs), the libraries of
+ * cycligent.config.loader.libs in order. List it in place of them in
+ * cycligent.config.loader.libs. Not written if any library is on another
+ * origin.
+ * <li>The manifest (the bundle name as JSON), listing what was bundled.
+ * </ul>
+ *
+ * @example
+ * cycligent-bundle --root ./public --page /myApp/client/index.html --config-depth 3
+ *
+ * @copyright 2008-2015 Improvement Interactive All Rights Reserved Worldwide
+ * @license Apache-2.0
+ */
+
+var fs = require("fs");
+var path = require("path");
+var url = require("url");
+var vm = require("vm");
+
+var usage = [
+    "Usage: cycligent-bundle --page <path> [options]",
+    "",
+    "Options:",
+    "  --root <dir>              Directory served as the root of the site. Default: the current directory.",
+    "  --page <path>             URL path of a page that loads cycligent.js, for example /myApp/client/index.html.",
+    "  --origin <url>            Origin the page is served from. Default: http://localhost.",
+    "  --config-location <url>   As the config-location attribute of the cycligent-script tag.",
+    "  --config-depth <n>        As the config-depth attribute of the cycligent-script tag.",
+    "  --config-app-root <path>  As the config-app-root attribute of the cycligent-script tag.",
+    "  --bundle <name>           Dotted name of the bundle to write. Default: @bundle.app.",
+    "  --verbose                 Log the framework's console output.",
+    "  --help                    Show this message."
+].join("\n");
+
+/**
+ * Parses the command line arguments.
+ *
+ * @returns {object} - The options, by name without the leading dashes.
+ */
+function optionsParse(argv) {
+
+    var options = {
+        root: process.cwd(),
+        origin: "http://localhost",
+        bundle: "@bundle.app"
+    };
+
+    for (var index = 0; index < argv.length; index++) {
+        var arg = argv[index];
+
+        if (arg == "--help" || arg == "--verbose") {
+            options[arg.substr(2)] = true;
+        } else if (arg.substr(0, 2) == "--" && index + 1 < argv.length) {
+            options[arg.substr(2)] = argv[++index];
+        } else {
+            throw new Error("Unrecognized argument '" + arg + "'.");
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Creates a fake element, enough of one for cycligent.js to load scripts
+ * through it.
+ */
+function elementCreate(tagName, attributes) {
+    var element = {
+        tagName: tagName.toUpperCase(),
+        attributes: attributes || {},
+        listeners: {},
+        style: {},
+        childNodes: [],
+        parentNode: null,
+
+        getAttribute: function (name) {
+            return (element.attributes.hasOwnProperty(name) ? element.attributes[name] : null);
+        },
+        setAttribute: function (name, value) {
+            element.attributes[name] = String(value);
+        },
+        addEventListener: function (type, listener) {
+            (element.listeners[type] = element.listeners[type] || []).push(listener);
+        },
+        removeEventListener: function (type, listener) {
+            var listeners = element.listeners[type] || [];
+            if (listeners.indexOf(listener) >= 0) {
+                listeners.splice(listeners.indexOf(listener), 1);
+            }
+        },
+        appendChild: function (child) {
+            child.parentNode = element;
+            element.childNodes.push(child);
+            if (element.onAppend) {
+                element.onAppend(child);
+            }
+            return child;
+        },
+        removeChild: function (child) {
+            element.childNodes.splice(element.childNodes.indexOf(child), 1);
+            child.parentNode = null;
+            return child;
+        },
+        dispatch: function (type) {
+            var listeners = (element.listeners[type] || []).slice(0);
+            for (var index = 0; index < listeners.length; index++) {
+                listeners[index].call(element, { type: type, target: element });
+            }
+        }
+    };
+
+    return element;
+}
+
+/**
+ * Returns the file a URL is served from, or null when the URL is on another
+ * origin.
+ */
+function fileFromUrl(options, scriptUrl) {
+    var parsed = url.parse(url.resolve(options.origin + "/", scriptUrl));
+
+    if (parsed.protocol + "//" + parsed.host != options.origin) {
+        return null;
+    }
+
+    return path.join(options.root, decodeURIComponent(parsed.pathname));
+}
+
+/**
+ * Returns a stand-in for XMLHttpRequest that reads a config.json (the only
+ * file the framework fetches before the startup script) from the root directory.
+ *
+ * @returns {object}
+ */
+function configRequest(options) {
+    var request = {
+        readyState: 0,
+        status: 0,
+        responseText: "",
+        onreadystatechange: null,
+
+        open: function (method, requestUrl) {
+            request.url = requestUrl;
+        },
+        send: function () {
+            var file = fileFromUrl(options, request.url);
+
+            if (!file || !fs.existsSync(file)) {
+                throw new Error("The configuration " + request.url + " could not be found" + (file ? " at " + file : "") + ".");
+            }
+
+            request.responseText = fs.readFileSync(file, "utf8");
+            request.status = 200;
+            request.readyState = 4;
+            configRequest.loaded = true;
+            request.onreadystatechange();
+        },
+        abort: function () {}
+    };
+
+    return request;
+}
+
+/**
+ * Loads cycligent.js, and the application's config.js through it, into a
+ * sandbox standing in for the page. Libraries and imports are not executed.
+ *
+ * @returns {object} - The sandbox's cycligent namespace.
+ */
+function frameworkLoad(options, log) {
+
+    var pageUrl = url.parse(options.origin + options.page);
+    var configLoaded = false;
+    var attributes = {};
+
+    ["config-location", "config-depth", "config-app-root"].forEach(function (name) {
+        if (options[name] !== undefined) {
+            attributes[name] = options[name];
+        }
+    });
+
+    var head = elementCreate("head");
+    var body = elementCreate("body");
+
+    head.onAppend = function (element) {
+        if (element.tagName != "SCRIPT" || (element.id != "Config" && element.id.indexOf("Config-") !== 0)) {
+            return;         // Libraries and imports are followed statically instead. Config-<environment> is an overlay.
+        }
+
+        var file = fileFromUrl(options, element.src);
+
+        if (!file || !fs.existsSync(file)) {
+            throw new Error("The configuration " + element.src + " could not be found" + (file ? " at " + file : "") + ".");
+        }
+
+        vm.runInContext(fs.readFileSync(file, "utf8"), context, { filename: file });
+        configLoaded = true;
+        element.dispatch("load");
+    };
+
+    var sandbox = {
+        console: log,
+        navigator: { appName: "Netscape", userAgent: "cycligent-bundle" },
+        location: {
+            href: pageUrl.href,
+            protocol: pageUrl.protocol,
+            host: pageUrl.host,
+            hostname: pageUrl.hostname,
+            port: pageUrl.port || "",
+            pathname: pageUrl.pathname,
+            search: pageUrl.search || "",
+            hash: pageUrl.hash || ""
+        },
+        document: {
+            readyState: "complete",
+            currentScript: null,
+            documentElement: {},
+            head: head,
+            body: body,
+            styleSheets: [],
+            createElement: function (tagName) {
+                return elementCreate(tagName);
+            },
+            getElementById: function (id) {
+                return (id == "cycligent-script" ? elementCreate("script", attributes) : null);
+            },
+            getElementsByTagName: function (tagName) {
+                return (tagName == "head" ? [head] : (tagName == "body" ? [body] : []));
+            },
+            addEventListener: function () {},
+            removeEventListener: function () {}
+        },
+        XMLHttpRequest: function () {
+            return configRequest(options);
+        },
+        // Nothing should wait on time here; startup stops once it would import the startup script.
+        setTimeout: function () { return 0; },
+        clearTimeout: function () {},
+        setInterval: function () { return 0; },
+        clearInterval: function () {}
+    };
+
+    var context = vm.createContext(sandbox);
+    var frameworkFile = path.join(__dirname, "..", "cycligent.js");
+
+    vm.runInContext("window = this;", context);
+    vm.runInContext(fs.readFileSync(frameworkFile, "utf8"), context, { filename: frameworkFile });
+
+    if ((!configLoaded && !configRequest.loaded) || !sandbox.cycligent.config || !sandbox.cycligent.url) {
+        throw new Error("The framework did not start, see the errors above.");
+    }
+
+    return sandbox.cycligent;
+}
+
+/**
+ * Returns the statically imported script names in a script's source. Imports
+ * of other resources, such as JSON files and ES modules, are left to load as usual.
+ *
+ * @returns {{names: string[], dynamic: int}} - The names, in order, and the
+ * number of imports whose names couldn't be determined.
+ */
+function importsFind(source) {
+
+    // Drop comments so examples in them aren't followed. Only whole line
+    // comments, a // may also be part of a URL string.
+    source = source.replace(/\/\*[\s\S]*?\*\//g, "").replace(/^\s*\/\/.*$/gm, "");
+
+    var pattern = /cycligent\.import\s*\(\s*(?:(\{[^}]*)|(["'])([^"'\\\r\n]+)\2)?/g;
+    var names = [];
+    var dynamic = 0;
+    var match;
+    var name;
+    var extension;
+
+    while ((match = pattern.exec(source)) !== null) {
+        name = match[3];
+        extension = null;
+
+        if (match[1]) {
+            name = (/["']?scriptId["']?\s*:\s*(["'])([^"'\\\r\n]+)\1/.exec(match[1]) || [])[2];
+            extension = (/["']?extension["']?\s*:\s*(["'])([^"'\\\r\n]+)\1/.exec(match[1]) || [])[2];
+        }
+
+        if (!name) {
+            dynamic++;
+        } else if (!extension && name.indexOf("/") >= 0) {
+            extension = (/\.(json|html?|txt|css|mjs)$/.exec(name) || [])[1];
+        }
+
+        if (name && (!extension || extension == "js")) {
+            names.push(name);
+        }
+    }
+
+    return { names: names, dynamic: dynamic };
+}
+
+/**
+ * Follows the imports from the startup script.
+ *
+ * @returns {{scripts: object[], external: object[], warnings: string[]}} - The
+ * scripts to bundle, each after the scripts it imports.
+ */
+function scriptsCollect(options, cycligent) {
+
+    var scripts = [];
+    var external = [];
+    var warnings = [];
+    var visited = {};
+
+    function visit(name, importedBy) {
+
+        if (visited[name]) {
+            return;
+        }
+        visited[name] = true;
+
+        if (cycligent.config.loader.shims.hasOwnProperty(name)) {
+            return;         // Shims load as usual, once their deps have, and define their globals.
+        }
+
+        var scriptUrl = cycligent.url(name);
+        var file = fileFromUrl(options, scriptUrl);
+
+        if (!file) {
+            external.push({ name: name, url: scriptUrl });
+            return;
+        }
+
+        if (!fs.existsSync(file)) {
+            throw new Error("Script '" + name + "'" + (importedBy ? " imported by '" + importedBy + "'" : "") +
+                " was not found at " + file + " (" + scriptUrl + ").");
+        }
+
+        var source = fs.readFileSync(file, "utf8");
+        var found = importsFind(source);
+
+        if (found.dynamic > 0) {
+            warnings.push("'" + name + "' makes " + found.dynamic + " import(s) whose names are computed at runtime, they are not bundled.");
+        }
+
+        // Depth first, so each script follows the scripts it imports
+        for (var index = 0; index < found.names.length; index++) {
+            var imported = found.names[index];
+
+            if (imported.substr(0, 1) == "~") {
+                // Named as the browser names it, by the full name it resolves to
+                imported = cycligent.url.relative(imported, name);
+                if (imported === null) {
+                    throw new Error("The script-relative import '" + found.names[index] + "' in '" + name + "' goes above the top of it.");
+                }
+            }
+
+            visit(imported, name);
+        }
+
+        scripts.push({ name: name, url: scriptUrl, file: file, source: source });
+    }
+
+    visit(cycligent.config.startupScript, null);
+
+    return { scripts: scripts, external: external, warnings: warnings };
+}
+
+/**
+ * Writes a file at the location the framework will request it from.
+ *
+ * @returns {string} - The file written.
+ */
+function fileWrite(options, fileUrl, contents) {
+    var file = fileFromUrl(options, fileUrl);
+
+    if (!file) {
+        throw new Error("Can't write " + fileUrl + ", it is not on " + options.origin + ".");
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, contents);
+
+    return file;
+}
+
+/**
+ * Returns a script's source, ending so the next one can follow it.
+ */
+function sourceTerminate(source) {
+    return source.replace(/\s*$/, "") + "\n;\n";
+}
+
+/**
+ * Returns a script's source in a scope of its own, so its let, const and
+ * class declarations can't collide with another script's. A block keeps its
+ * var and function declarations global, as they are when the script loads on
+ * its own. A script starting with "use strict" is wrapped in a function
+ * instead, where the directive still applies; its declarations are then its own.
+ */
+function sourceScope(source) {
+    if (/^\s*((\/\/[^\n]*|\/\*[\s\S]*?\*\/)\s*)*(["'])use strict\3/.test(source)) {
+        return "(function () {\n" + sourceTerminate(source) + "}).call(this);\n";
+    }
+
+    return "{\n" + sourceTerminate(source) + "}\n";
+}
+
+function main() {
+
+    var options = optionsParse(process.argv.slice(2));
+
+    if (options.help) {
+        console.log(usage);
+        return 0;
+    }
+
+    if (!options.page) {
+        console.error(usage);
+        return 1;
+    }
+
+    options.root = path.resolve(options.root);
+    options.origin = options.origin.replace(/\/+$/, "");
+
+    var log = {
+        log: function () { if (options.verbose) console.log.apply(console, arguments); },
+        info: function () { if (options.verbose) console.info.apply(console, arguments); },
+        debug: function () { if (options.verbose) console.log.apply(console, arguments); },
+        warn: function () { console.warn.apply(console, arguments); },
+        error: function () { console.error.apply(console, arguments); }
+    };
+
+    var cycligent = frameworkLoad(options, log);
+    var collected = scriptsCollect(options, cycligent);
+    var header = "/* Generated by cycligent-bundle from " + options.origin + options.page + ". Do not edit. */\n";
+    var names = collected.scripts.map(function (script) { return script.name; });
+    var bundleUrl = cycligent.url(options.bundle);
+    var libsName = options.bundle + "-libs";
+    var libsUrl = null;
+    var libs = [];
+    var manifest;
+    var contents;
+    var index;
+
+    // The bundle
+    contents = header + "cycligent.imports.bundleDeclare(" + JSON.stringify(names) + ");\n\n";
+
+    for (index = 0; index < collected.scripts.length; index++) {
+        contents += "cycligent.imports.bundleScript(" + JSON.stringify(names[index]) + ");\n" +
+            sourceScope(collected.scripts[index].source) + "\n";
+    }
+
+    contents += "cycligent.imports.bundleScript(null);\n";
+    fileWrite(options, bundleUrl, contents);
+
+    // The libraries bundle
+    for (index = 0; index < cycligent.config.loader.libs.length; index++) {
+        var lib = cycligent.config.loader.libs[index];
+        var libUrl = cycligent.url(lib);
+        var libFile = fileFromUrl(options, libUrl);
+
+        if (!libFile) {
+            collected.warnings.push("Library '" + lib + "' is on another origin (" + libUrl + "), the libraries were not bundled.");
+            libs = [];
+            break;
+        }
+
+        if (!fs.existsSync(libFile)) {
+            throw new Error("Library '" + lib + "' was not found at " + libFile + " (" + libUrl + ").");
+        }
+
+        libs.push({ name: lib, url: libUrl, file: libFile, source: fs.readFileSync(libFile, "utf8") });
+    }
+
+    if (libs.length > 0) {
+        libsUrl = cycligent.url(libsName);
+        fileWrite(options, libsUrl, header + libs.map(function (lib) { return sourceTerminate(lib.source); }).join("\n"));
+    }
+
+    // The manifest
+    function entry(script) {
+        return { name: script.name, url: script.url, bytes: Buffer.byteLength(script.source) };
+    }
+
+    manifest = {
+        generated: new Date().toISOString(),
+        page: options.origin + options.page,
+        startupScript: cycligent.config.startupScript,
+        bundle: { name: options.bundle, url: bundleUrl, scripts: collected.scripts.map(entry) },
+        libs: (libsUrl ? { name: libsName, url: libsUrl, scripts: libs.map(entry) } : null),
+        external: collected.external,
+        warnings: collected.warnings
+    };
+
+    fileWrite(options, cycligent.url(options.bundle, "json"), JSON.stringify(manifest, null, 2) + "\n");
+
+    collected.warnings.forEach(function (warning) {
+        console.warn("Warning: " + warning);
+    });
+
+    console.log("Bundled " + names.length + " script(s) into " + bundleUrl +
+        (libsUrl ? " and " + libs.length + " library script(s) into " + libsUrl : "") + ".");
+    console.log("Load them from config.js with:");
+    if (libsUrl) {
+        console.log("    loader.libs: [" + JSON.stringify(libsName) + "]");
+    }
+    console.log("    loader.bundles: [" + JSON.stringify(options.bundle) + "]");
+
+    return 0;
+}
+
+try {
+    process.exitCode = main();
+} catch (ex) {
+    console.error("cycligent-bundle: " + ex.message);
+    process.exitCode = 1;
+}
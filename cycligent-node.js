@@ -0,0 +1,181 @@
+/**
+ * @file cycligent-node
+ *
+ * @description
+ * Runs Cycligent headless in Node.js, so classes, interfaces, definitions and
+ * argument checking can be used, and unit tested, without a browser.<br>
+ * <br>
+ * cycligent.js is run in a vm context whose global object is the namespace
+ * root, the object namespaces such as app.orders are created on. Imports are
+ * resolved to files with the same roots (cycligent.config.loader.roots) and
+ * anchors as in the browser, read from the deploy directory, and run in the
+ * same context. See cycligent.node in cycligent.js for what differs from the
+ * browser.<br>
+ * <br>
+ * The npm module's main file is cycligent.js itself, for the browser; this file
+ * is required as "cycligent.js/node".
+ *
+ * @example
+ * var cycligent = require("cycligent.js/node").create({
+ *     directory: __dirname + "/public",
+ *     config: { loader: { roots: { lib: { root: "/lib" } } } }
+ * });
+ *
+ * cycligent.import("lib.orders.Order").then(function(){
+ *     var order = new cycligent.node.global.lib.orders.Order();
+ * });
+ *
+ * @copyright 2008-2015 Improvement Interactive All Rights Reserved Worldwide
+ * @license Apache-2.0
+ */
+
+var fs = require("fs");
+var path = require("path");
+var url = require("url");
+var vm = require("vm");
+
+/**
+ * Creates a headless Cycligent.
+ *
+ * @param {object} [options]
+ * @param {string} [options.directory=process.cwd()] - The deploy directory, the
+ * directory served as the root of the site. Names under the ^ anchor and roots
+ * are resolved from it.
+ * @param {string} [options.app=""] - The path of the application root within the
+ * deploy directory, for example "/myApp". Names under the @ anchor are resolved from it.
+ * @param {object} [options.config] - The configuration (cycligent.config). Its
+ * loader and loader.roots default to empty.
+ * @param {string} [options.configFile] - A config.js to load the configuration from
+ * instead, run in the context like any other script, or a config.json.
+ * @param {object} [options.global={}] - The namespace root.
+ * @param {object} [options.console=console] - Where the framework and the scripts
+ * it runs log to.
+ *
+ * @returns {object} - The cycligent namespace, booted. Its node.global property is
+ * the namespace root.
+ */
+function create(options) {
+
+    options = options || {};
+
+    var directory = path.resolve(options.directory || process.cwd());
+    var deploy = url.pathToFileURL(directory).href.replace(/\/$/, "");
+    var app = deploy + (options.app || "").replace(/\/$/, "");
+    var output = options.console || console;
+    var context = options.global || {};
+
+    context.window = context;
+    context.console = {
+        info: output.info.bind(output),
+        log: output.log.bind(output),
+        warn: output.warn.bind(output),
+        error: output.error.bind(output)
+    };
+    context.location = {
+        href: app + "/",
+        protocol: "file:",
+        host: "",
+        hostname: "",
+        port: "",
+        pathname: url.parse(app + "/").pathname,
+        search: "",
+        hash: ""
+    };
+    context.setTimeout = setTimeout;
+    context.clearTimeout = clearTimeout;
+    context.setInterval = setInterval;
+    context.clearInterval = clearInterval;
+
+    context.cycligent = {
+        root: {
+            app: app,
+            name: app.substr(app.lastIndexOf("/") + 1),
+            client: app,
+            deploy: deploy,
+            context: app + "/"
+        },
+        node: {
+            global: context,
+
+            fileRead: function (fileUrl, callback) {
+                if (fileUrl.indexOf("file:") !== 0) {
+                    callback(new Error("Only files can be read in Node.js, not " + fileUrl + "."));
+                    return;
+                }
+
+                fs.readFile(url.fileURLToPath(fileUrl), "utf8", callback);
+            },
+
+            scriptRun: function (source, fileUrl) {
+                var file = (fileUrl.indexOf("file:") === 0 ? url.fileURLToPath(fileUrl) : fileUrl);
+
+                try {
+                    vm.runInContext(source, context, { filename: file });
+                }
+                catch (ex) {
+                    // Where in the script it was thrown, as window.onerror would report it
+                    var position = (ex && ex.stack ? new RegExp(escape(file) + ":(\\d+):(\\d+)").exec(ex.stack) : null);
+
+                    if (position) {
+                        ex.line = parseInt(position[1], 10);
+                        ex.column = parseInt(position[2], 10);
+                    }
+                    throw ex;
+                }
+            }
+        }
+    };
+
+    vm.createContext(context);
+
+    var frameworkFile = path.join(__dirname, "cycligent.js");
+    vm.runInContext(fs.readFileSync(frameworkFile, "utf8"), context, { filename: frameworkFile });
+
+    var cycligent = context.cycligent;
+
+    if (options.configFile) {
+        var configFile = path.resolve(options.configFile);
+
+        if (path.extname(configFile).toLowerCase() == ".json") {
+            try {
+                cycligent.config = cycligent.jsonParse(fs.readFileSync(configFile, "utf8"));
+            }
+            catch (ex) {
+                throw new Error("The configuration " + configFile + " is not valid JSON: " + ex.message + ".");
+            }
+        } else {
+            vm.runInContext(fs.readFileSync(configFile, "utf8"), context, { filename: configFile });
+        }
+    } else {
+        cycligent.config = options.config || {};
+    }
+
+    if (!cycligent.config) {
+        throw new Error("The configuration " + options.configFile + " did not set cycligent.config.");
+    }
+
+    cycligent.config.loader = cycligent.config.loader || {};
+    cycligent.config.loader.roots = cycligent.config.loader.roots || {};
+
+    if (!cycligent.configValid() || !cycligent.loaderValid() || !cycligent.debugValid()) {
+        throw new Error("The configuration is not valid, see the errors above.");
+    }
+
+    cycligent.lifecycle.emit("configLoaded", cycligent.config);
+    cycligent.boot();
+
+    return cycligent;
+}
+
+/**
+ * Escapes text for use in a regular expression.
+ *
+ * @returns {string}
+ */
+function escape(text) {
+    return text.replace(/[\\^$.*+?()[\]{}|]/g, "\\$&");
+}
+
+module.exports = {
+    create: create
+};
@@ -97,6 +97,12 @@ if (!window.cycligent) {
          * @property {string} context - Testing context provides tests with a
          * context for realizing relative paths, essentially the same as what
          * window.location would have been in the actual running code.
+         * @property {object} detection - How the roots were determined (see
+         * {@link cycligent._loader}): rule, the resolver that applied; reason, why
+         * it applied; steps, each resolver tried, as {rule, applied, reason}, with
+         * error for a resolver that threw; and
+         * sources, the rule or attribute each of deploy, app, client, name and
+         * config (the config.js location) came from.
          *
          * @example
          * app == "http://some.cloud.com/myApp"
@@ -121,8 +127,16 @@ if (!window.cycligent) {
  *
  * @protected
  * @ignore
+ *
+ * @param {string} id - The id of the script element.
+ * @param {string} fileToLoad - The URL to load.
+ * @param {function} successCallBack - Called once the file has loaded.
+ * @param {string} [dottedNameOrUrl=fileToLoad] - The dotted name the URL was
+ * resolved from, for looking up its integrity hash (see {@link cycligent.elementSecure}).
+ * @param {boolean} [ordered=false] - True to execute the file in the order it was
+ * loaded relative to other ordered files, rather than as soon as it arrives.
  */
-cycligent.EarlyLoader = function (id, fileToLoad, successCallBack) {
+cycligent.EarlyLoader = function (id, fileToLoad, successCallBack, dottedNameOrUrl, ordered) {
 
     var timeoutId = setTimeout(
         /**
@@ -131,7 +145,7 @@ cycligent.EarlyLoader = function (id, fileToLoad, successCallBack) {
          * @private
          */
             function () {
-            console.error('The load of "' + fileToLoad + '" failed. The system is unable to start the application.');
+            console.error('The load of "' + cycligent.dottedName.describe(fileToLoad) + '" failed. The system is unable to start the application.');
         },
         (location.hostname == "localhost" || location.hostname == '' ? 7000 : 70000)
     );
@@ -141,6 +155,12 @@ cycligent.EarlyLoader = function (id, fileToLoad, successCallBack) {
     js.type = "text/javascript";
     js.src = fileToLoad;
 
+    if (ordered) {
+        js.async = false;
+    }
+
+    var integrity = cycligent.elementSecure(js, dottedNameOrUrl || fileToLoad, fileToLoad);
+
     /**
      * Handles the file loaded event.
      *
@@ -166,8 +186,34 @@ cycligent.EarlyLoader = function (id, fileToLoad, successCallBack) {
 
     }
 
+    /**
+     * Handles the file error event.
+     *
+     * @private
+     */
+    function fileFailed() {
+
+        clearTimeout(timeoutId);
+
+        var described = cycligent.dottedName.describe(fileToLoad);
+
+        if (!integrity) {
+            console.error('The load of "' + described + '" failed. The system is unable to start the application.');
+            return;
+        }
+
+        cycligent.urlRetrievable(fileToLoad, function (retrievable) {
+            if (retrievable) {
+                console.error('"' + described + '" does not match its integrity hash ' + integrity + '. The system is unable to start the application.');
+            } else {
+                console.error('The load of "' + described + '" failed. The system is unable to start the application.');
+            }
+        });
+    }
+
     if (navigator.appName.indexOf("Netscape") >= 0) {
         js.addEventListener("load", fileLoaded, false);
+        js.addEventListener("error", fileFailed, false);
     }
     else {
         js.attachEvent("onreadystatechange", fileLoaded);
@@ -202,6 +248,10 @@ cycligent.browser = (function () {
         version: null
     };
 
+    if (typeof navigator == "undefined") {
+        return browser;     // Not a browser, see cycligent.node
+    }
+
     var agent = navigator.userAgent;
 
     if (navigator.appName.indexOf("Netscape") >= 0) {
@@ -337,6 +387,17 @@ cycligent.console = (function () {
                 text += args[arg].toString();
         }
 
+        if (type == messageType.error && cycligent.dottedName) {
+            // Name the scripts behind any URLs, so captured errors can be traced back to code.
+            text = text.replace(/[a-z][a-z0-9+.\-]*:\/\/[^\s'"()<>\[\]]+/gi, function (url, offset, whole) {
+                var name = cycligent.dottedName(url.replace(/(:\d+)+$/, ""));
+                if (!name || whole.substr(offset + url.length, name.length + 2) == " (" + name) {
+                    return url;     // Unknown, or already named by cycligent.dottedName.describe
+                }
+                return url + " [" + name + "]";
+            });
+        }
+
         var message = new Message(type, text);
 
         messages.push(message);
@@ -406,7 +467,8 @@ cycligent.console = (function () {
         Message: Message,
 
         /**
-         *  Array of console messages (last 100)
+         *  Array of console messages (last 100). URLs of loaded scripts in error messages are
+         *  followed by their dotted name in brackets.
          *
          *  @member {cycligent.console.Message[]}
          */
@@ -589,6 +651,179 @@ cycligent.console = (function () {
 
 cycligent.console.init();
 
+/**
+ * @summary
+ * Events marking the progress of startup, for progress displays and
+ * instrumentation.
+ *
+ * @description
+ * The events, in the order they normally happen, and what they are passed:
+ * <ul>
+ * <li>configLoaded - The configuration has been loaded and validated. Passed cycligent.config.
+ * <li>libsLoaded - cycligent.config.loader.libs have loaded. Passed the libs. Not
+ * emitted in Node.js or by contexts (see {@link cycligent.context}), which don't load them.
+ * <li>scriptLoaded - A script, or other imported file, has loaded. Emitted for every
+ * import, during startup and after. Passed the {@link cycligent.Script}.
+ * <li>scriptsReady - The startup script and everything it imports have loaded or failed.
+ * <li>definitionsExecuted - The classes, interfaces and definitions declared during
+ * startup have been processed.
+ * <li>domReady - The DOM has loaded (or isn't waited for, see cycligent.config.loader.waitFor).
+ * <li>pageReady - The page has loaded (or isn't waited for).
+ * <li>beforeMain - main(), or the entry points, are about to be run.
+ * <li>afterMain - main() has returned, or the entry points (see
+ * {@link cycligent.appLoad.finished}) have finished. Passed {error} if one threw or rejected.
+ * <li>startupFailed - Imports failed during startup, so main() won't be called.
+ * Passed the failures (see {@link cycligent.imports.failures}).
+ * </ul>
+ * Events other than scriptLoaded happen once. A function subscribed to one of them
+ * after it has happened is called straight away. domReady and pageReady may come
+ * before scriptsReady.
+ *
+ * @module cycligent.lifecycle
+ *
+ * @example
+ * cycligent.lifecycle.on("scriptLoaded", function (script) {
+ *     splash.progress(script.scriptId);
+ * });
+ * cycligent.lifecycle.on("afterMain", function () {
+ *     splash.hide();
+ * });
+ */
+cycligent.lifecycle = (function () {
+
+    var events = ["configLoaded", "libsLoaded", "scriptLoaded", "scriptsReady", "definitionsExecuted",
+        "domReady", "pageReady", "beforeMain", "afterMain", "startupFailed"];
+    var listeners = {};
+    var happened = {};
+
+    /**
+     * Checks that an event is one of the lifecycle events.
+     *
+     * @private
+     */
+    function eventValid(event) {
+        if (events.indexOf(event) < 0) {
+            console.error("Unknown lifecycle event '" + event + "', the events are: " + events.join(", ") + ".");
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Calls a listener, reporting rather than passing on any error it throws,
+     * so a listener can't stop startup.
+     *
+     * @private
+     */
+    function listenerCall(event, func, detail) {
+        try {
+            func(detail, event);
+        }
+        catch (ex) {
+            console.error("A listener for the lifecycle event '" + event + "' failed: " + (ex && ex.message ? ex.message : ex));
+        }
+    }
+
+    return {
+
+        /**
+         * Subscribes a function to an event.
+         *
+         * @method
+         *
+         * @param {string} event - The name of the event.
+         * @param {function} func - Called as func(detail, event) when the event happens,
+         * or straight away if it already has.
+         */
+        on: function (event, func) {
+            if (!eventValid(event)) {
+                return;
+            }
+
+            listeners[event] = listeners[event] || [];
+
+            // Make sure we don't add a function more than once.
+            if (listeners[event].indexOf(func) >= 0) {
+                return;
+            }
+
+            listeners[event].push(func);
+
+            if (happened.hasOwnProperty(event)) {
+                listenerCall(event, func, happened[event]);
+            }
+        },
+
+        /**
+         * Unsubscribes a function from an event.
+         *
+         * @method
+         *
+         * @param {string} event - The name of the event.
+         * @param {function} func - The function to unsubscribe.
+         */
+        off: function (event, func) {
+            var eventListeners = listeners[event] || [];
+
+            for (var index = 0; index < eventListeners.length; index++) {
+                if (func === eventListeners[index]) {
+                    eventListeners.splice(index, 1);
+                    index--;
+                }
+            }
+        },
+
+        /**
+         * INTERNAL USE ONLY. Announces that an event has happened.
+         *
+         * @method
+         * @protected
+         * @ignore
+         *
+         * @param {string} event - The name of the event.
+         * @param {*} [detail] - What the listeners are passed.
+         */
+        emit: function (event, detail) {
+            if (!eventValid(event)) {
+                return;
+            }
+
+            if (event != "scriptLoaded") {
+                happened[event] = detail;
+            }
+
+            var eventListeners = (listeners[event] || []).slice(0);
+            for (var index = 0; index < eventListeners.length; index++) {
+                listenerCall(event, eventListeners[index], detail);
+            }
+        },
+
+        /**
+         * Returns which of the events that happen once have happened.
+         *
+         * @method
+         *
+         * @returns {object} - Keyed by event name (all but scriptLoaded), true for
+         * those that have happened.
+         *
+         * @example
+         * cycligent.lifecycle.state().domReady == true
+         */
+        state: function () {
+            var state = {};
+
+            for (var index = 0; index < events.length; index++) {
+                if (events[index] != "scriptLoaded") {
+                    state[events[index]] = happened.hasOwnProperty(events[index]);
+                }
+            }
+
+            return state;
+        }
+    };
+})();
+
 /**
  * @summary
  * Converts a string, which can be either a URL, or a dotted name into a fully
@@ -614,6 +849,9 @@ cycligent.console.init();
  * current application root.
  * <li>If the dotted name begins with '.', the URL is realized relative to the
  * current HTML (window.location) file.
+ * <li>If the dotted name begins with '~', the URL is realized relative to the
+ * directory of the script importing it, each further '~' going up a directory
+ * (see {@link cycligent.url.relative}).
  * <li>Otherwise,
  * <ul>
  * <li>If a dotted name begins with a recognized root then the name is resolved
@@ -630,9 +868,16 @@ cycligent.console.init();
  * @param {String} [extension='js'] - The file type (extension) of the file
  * for which the URL is to be generated. Defaults to "js" for JavaScript.
  * Only applies to dotted names, URLs must specify the extension.
+ * @param {Object} [options] - Resolution options.
+ * @param {int} [options.fallback=0] - When non-zero, resolve the name using
+ * the numbered (starting from 1) entry of the root's fallbacks
+ * (cycligent.config.loader.roots[name].fallbacks) instead of its root.
+ * @param {string} [options.from] - The dotted name or URL of the script names
+ * beginning with '~' are relative to. Defaults to the script that is executing.
  *
  * @return {String} - The fully realized (absolute) URL (the location on
- * the server (URL) of the specified resource)
+ * the server (URL) of the specified resource), or null if a fallback was
+ * requested and there is no such fallback for the name.
  *
  * @example
  * If we imported the JavaScript file "cycligent.startup.info",
@@ -652,6 +897,9 @@ cycligent.console.init();
  * If we imported the JavaScript file ".utils",
  *   we would be referring to a file named "utils.js" in the same folder as
  *   the current HTML file.
+ * If the script "@cmn.dashboard.graph" imported the JavaScript file "~axis",
+ *   it would be referring to "@cmn.dashboard.axis", the file named "axis.js" in
+ *   the same folder, and "~~.util.format" would refer to "@cmn.util.format".
  * If we imported the JavaScript file "utils",
  *   it would do the same as above. Thus, if you are loading a file relative to
  *   the current HTML page, you do not need to use the "." in most cases, unless
@@ -667,14 +915,56 @@ cycligent.console.init();
  * If we imported the JavaScript file, @/jquery.min.js
  *   and the current application root was www.example.com/app, we would
  *   be referring to www.example.com/app/jquery.min.js
+ * If the root "lib" was configured as {root: "//cdn.example.com/lib", fallbacks: ["/lib"]}
+ *   then cycligent.url("lib.jquery", "js", {fallback: 1}) would refer to
+ *   the jquery.js in the lib directory of the deploy directory.
+ *
+ * In production (cycligent.config.production) the URLs of dotted names are
+ * versioned, so browsers can cache them until they change. How is up to the
+ * strategy named by cycligent.config.versioning (see {@link cycligent.url.versioning}),
+ * by default the "suffix" strategy, which adds "-" and cycligent.config.appVersion
+ * to the file name.<br>
+ * <br>
+ * Besides its root (a path relative to the deploy directory, or an absolute URL),
+ * an entry of cycligent.config.loader.roots may set options for the names under it,
+ * which is useful for third-party roots that don't follow the application's naming:
+ * <ul>
+ * <li>url - An absolute base URL, used instead of root.
+ * <li>version - The version used in place of cycligent.config.appVersion, or false
+ * for files that aren't versioned.
+ * <li>minimize - Whether minimized (.min) files are loaded, in place of
+ * cycligent.config.minimizeSource.
+ * <li>extension - The extension used when none is given, in place of "js". Imports
+ * of names under the root load the file type with the loader for it (see
+ * {@link cycligent.loaders}).
+ * <li>timeout - The milliseconds to wait for a file to load, in place of
+ * cycligent.config.loader.timeout (see {@link cycligent.Script}).
+ * <li>fallbacks - See the options.fallback parameter.
+ * </ul>
+ * For example {vendor: {url: "https://cdn.example.com/vendor", version: false,
+ * minimize: false, timeout: 20000}}.<br>
+ * <br>
+ * Before anything else, dottedNameOrUrl is looked up in the alias table (see
+ * {@link cycligent.alias}).
  */
-cycligent.url = function (dottedNameOrUrl, extension) {
+cycligent.url = function (dottedNameOrUrl, extension, options) {
+
+    dottedNameOrUrl = cycligent.alias(dottedNameOrUrl);
+
+    if (dottedNameOrUrl && dottedNameOrUrl.substr(0, 1) == "~") {
+        var relative = cycligent.url.relative(dottedNameOrUrl, (options ? options.from : undefined));
+        return (relative === null ? null : cycligent.url(relative, extension, options));
+    }
+
+    var rootOptions = cycligent.url.rootOptions(dottedNameOrUrl);
 
     var fileType = extension;
     if (!fileType) {
-        fileType = "js";
+        fileType = rootOptions.extension || "js";
     }
 
+    var fallback = (options && options.fallback ? options.fallback : 0);
+
     var dottedId = dottedNameOrUrl;
 
     function extensionEnsure(url, extension) {
@@ -688,6 +978,9 @@ cycligent.url = function (dottedNameOrUrl, extension) {
             'htm',
             'html',
             'js',
+            'mjs',
+            'json',
+            'txt',
             'css',
             'gif',
             'jpg',
@@ -714,6 +1007,11 @@ cycligent.url = function (dottedNameOrUrl, extension) {
         console.error("Required argument 'dottedId' was not supplied to cycligent.url.");
     }
 
+    if (fallback && (dottedId.indexOf("/") >= 0 || dottedId.substr(0, 1) == '.' || dottedId.substr(0, 1) == '@')) {
+        // Only roots have fallbacks
+        return null;
+    }
+
     if (dottedId.indexOf("//") >= 0) {
         // Its an absolute path so just return it.
         return extensionEnsure(dottedId, fileType);
@@ -729,6 +1027,7 @@ cycligent.url = function (dottedNameOrUrl, extension) {
 
     var elements;
     var url;
+    var rootName;
 
     /**
      * Build a url for bases and elements
@@ -748,8 +1047,22 @@ cycligent.url = function (dottedNameOrUrl, extension) {
         var root = cycligent.config.loader.roots[elements[0]];
         var url;
 
-        if (root) {
-            url = rootBase + root.root;
+        if (root && fallback) {
+            if (!root.fallbacks || fallback > root.fallbacks.length) {
+                return null;
+            }
+            // Fallbacks may be absolute base URLs, for example an origin behind a CDN root
+            url = root.fallbacks[fallback - 1];
+            if (url.indexOf("//") < 0) {
+                url = rootBase + url;
+            }
+        } else if (root && root.url) {
+            url = root.url;
+        } else if (root) {
+            // Like fallbacks, roots may be absolute base URLs
+            url = (root.root.indexOf("//") >= 0 ? root.root : rootBase + root.root);
+        } else if (fallback) {
+            return null;
         } else {
             url = nonRootBase;
             if (nonRootBase.substr(nonRootBase.length - 1) != "/" && nonRootBase.substr(nonRootBase.length - 1) != "\\") {
@@ -757,6 +1070,10 @@ cycligent.url = function (dottedNameOrUrl, extension) {
             }
             url += elements[0];
         }
+
+        if (root) {
+            rootName = elements[0];
+        }
         elements.splice(0, 1);
 
         if (elements.length > 0) {
@@ -810,6 +1127,9 @@ cycligent.url = function (dottedNameOrUrl, extension) {
         case '^':   // Deploy directory anchor
             elements = dottedId.substr(1).split(".");
             url = urlBuild(elements, cycligent.root.deploy, cycligent.root.deploy);
+            if (url === null) {
+                return null;
+            }
             break;
 
         case '@':   // Current application directory anchor
@@ -821,2455 +1141,5786 @@ cycligent.url = function (dottedNameOrUrl, extension) {
             elements = dottedId.split(".");
             url = urlBuild(elements, cycligent.root.deploy, window.location.protocol + "//" + window.location.host +
                 pathNoFile(window.location.pathname));
+            if (url === null) {
+                return null;
+            }
             break;
     }
 
     url += elements.join("/");
 
-    if (cycligent.config.production) {
-        url += "-" + cycligent.config.appVersion;
+    var minimize = (rootOptions.minimize !== undefined ? rootOptions.minimize : cycligent.config.minimizeSource);
+
+    var parts = {
+        path: url,
+        min: (minimize && (fileType == 'js' || fileType == 'css') ? ".min" : ""),
+        extension: fileType,
+        dottedName: dottedId,
+        root: rootName,
+        version: (rootOptions.version !== undefined ? rootOptions.version : cycligent.config.appVersion)
+    };
+
+    if (!cycligent.config.production || rootOptions.version === false) {
+        return parts.path + parts.min + "." + parts.extension;
+    }
+
+    var strategy = cycligent.config.versioning || "suffix";
+
+    if (typeof strategy == "string") {
+        if (!cycligent.url.versioning[strategy]) {
+            console.error("Unknown versioning strategy '" + strategy + "' in cycligent.config.versioning, using 'suffix'.");
+            strategy = "suffix";
+        }
+        strategy = cycligent.url.versioning[strategy];
+    }
+
+    return strategy(parts);
+};
+
+/**
+ * Returns the name of the root (see cycligent.config.loader.roots) a dotted
+ * name resolves against, if it resolves against one.
+ *
+ * @method cycligent.url.rootName
+ * @protected
+ * @ignore
+ *
+ * @param {string} dottedNameOrUrl - The dotted name or URL.
+ *
+ * @returns {string|undefined} - The name of the root.
+ */
+cycligent.url.rootName = function (dottedNameOrUrl) {
+
+    var name = (dottedNameOrUrl ? cycligent.alias(dottedNameOrUrl) : dottedNameOrUrl);
+
+    if (name && name.substr(0, 1) == "~") {
+        name = cycligent.url.relative(name);
+    }
+
+    if (!name || name.indexOf("/") >= 0 || name.substr(0, 1) == "@" || name.substr(0, 1) == ".") {
+        return undefined;
     }
 
-    if (cycligent.config.minimizeSource && (fileType == 'js' || fileType == 'css')) {
-        url += ".min";
+    if (name.substr(0, 1) == "^") {
+        name = name.substr(1);
     }
 
-    return url + "." + fileType;
+    name = name.split(".")[0];
+
+    return (cycligent.config.loader.roots.hasOwnProperty(name) ? name : undefined);
+};
+
+/**
+ * Returns the options of the root a dotted name resolves against (see
+ * {@link cycligent.url}), or an empty object if it doesn't resolve against one.
+ *
+ * @method cycligent.url.rootOptions
+ * @protected
+ * @ignore
+ *
+ * @param {string} dottedNameOrUrl - The dotted name or URL.
+ *
+ * @returns {object} - The root's entry in cycligent.config.loader.roots.
+ */
+cycligent.url.rootOptions = function (dottedNameOrUrl) {
+    var rootName = cycligent.url.rootName(dottedNameOrUrl);
+
+    return (rootName ? cycligent.config.loader.roots[rootName] : {});
 };
 
 /**
  * @summary
- * Measures application performance.
+ * Resolves a script-relative dotted name, one beginning with '~', against the
+ * script it is relative to.
  *
  * @description
- * Cycligent timing simplifies performance measurement in asynchronous
- * applications. It is basically a continuous timeline that can reviewed.
- * It provides durations of events, including idle time. Cycligent timing
- * is timeline/event oriented. You do not have to issue starts and stops
- * for each item you want to time.  Instead you just signal events and
- * Cycligent does the rest.
- * <br>
- * <ul><li>Event Organization<br>
- * <br>
- * Cycligent timing events can be organized by using indent and unindent
- * functions. These events can then be viewed in a tree fashion. Cycligent
- * extends the indent/unindent approach to handle idle events that are hard
- * to signal because of multiple overlapping asynchronous processes needing
- * to complete. The start of such events can be signaled via
- * [cycligent.timing.asyncBegin]{@link cycligent.module:timing.asyncBegin} or
- * [cycligent.timing.idleIndent]{@link cycligent.module:timing.idleIndent}.
- * The async process can then be completed either
- * [cycligent.timing.idle]{@link cycligent.module:timing.idle}
- * or [cycligent.timing.asyncEnd]{@link cycligent.module:timing.asyncEnd}.
- * When the last asynchronous operation completes the application is marked
- * as idle on the timeline.<br>
- * <br>
- * <li>Idle Tracking & Overlapping Asynchronous Events<br>
- * <br>
- * Multiple overlapping asynchronous events can cause the timeline
- * durations to become muddled (the exact duration of a given operation
- * being cut short by another event with another event looking like it took
- * lonoger).  Cycligent timing does its best to rectify these issues where
- * possible. That being said, Cycligent does not try to eliminate these
- * occurrences. This is because in practice the items are easy to
- * identify when viewed and it is possible to determine the duration of
- * a given process from the timeline.  We have, therefore, favored keeping
- * the API, and the output, simple.<br>
- * <br>
- * <li>External Timing Inclusion<br>
- * <br>
- * Cycligent timing also provides for the inclusion of external performance
- * (timing) information. Normally a duration is not supplied to
- * [cycligent.timing.event]{@link cycligent.module:timing.event} or other event
- * signalling functions. But, if a duration is supplied, then the event is
- * marked as occurring externally. This is useful for including server processing
- * times, such as database query times, in the timeline.  The timeline still tracks
- * durations on either side of the external events with actual durations.
- * If the immediately preceding event in the timeline is at the same
- * indent level as the first external event (usually a single event with
- * descendents) then it duration is automatically subtracted from the
- * duration of the preceding event, which would have normally been the case
- * had the external events occurred internally.<br>
+ * A single '~' refers to the directory of the script, each further '~' to the
+ * directory above it. A '.' may separate the anchor from the rest of the name,
+ * so "~~.util.format" and "~~util.format" are the same.<br>
  * <br>
- * <li>Timing Start<br>
+ * When the script was imported by a dotted name, the result is the dotted name
+ * under the same anchor or root, so the root's options, aliases and versioning
+ * apply to it as they do to the script. When the script was imported by a URL, or
+ * is not known, the result is a URL. Names that would go above the root the
+ * script is in, or above the top of its URL, can't be resolved.<br>
  * <br>
- * Cycligent automatically starts timing as soon as it is loaded. You can
- * measure from an earlier point by adding a script tag to the top of your
- * HEAD section, in the initial HTML file loaded, that sets the global
- * variable cycligentRunningBase to the time from which you want to being
- * the running timer.  See the example below.  The example provided
- * measures everything but the time it takes to load the initial HTML
- * file. All scripts, css, etc that it loads, even in the head section,
- * are measured.
- *
- * @module cycligent.timing
+ * Reusable components can use these names to import their own files without
+ * knowing where they have been deployed.
  *
- * @example
- * Setting the startring load time via cycligentRunningBase (place at the
- * top of your HEAD section):
+ * @method cycligent.url.relative
  *
- *     <script>window.cycligentRunningBase = (new Date()).getTime();</script>
+ * @param {string} dottedName - The dotted name, beginning with '~'.
+ * @param {string} [from] - The dotted name or URL of the script it is relative
+ * to. Defaults to the script that is executing (see {@link cycligent.import}), or
+ * the script that declared the define body or import callback that is running.
+ * Otherwise, as in main() or a class's methods, the name can't be resolved
+ * without it; classes record their script in cycligentScript.
  *
- * Example of using timings from within an angularjs application:
+ * @returns {string|null} - The dotted name or URL, or null if it can't be resolved.
  *
- * cycligent.timing.eventIndent(false, "Get data", 1);
- * $http.get('/api/data/all')
- *     .success(function (data) {
- *         cycligent.timing.event("Process data", 1);
- *         for (var d in data) {
- *             processData(data[d]);
- *         }
- *         cycligent.timing.event("Process view", 1);
- *         deferred.resolve(data);
- *         cycligent.timing.idle();
- *     });
+ * @example
+ * cycligent.url.relative("~axis", "@cmn.dashboard.graph") == "@cmn.dashboard.axis"
+ * cycligent.url.relative("~~.util.format", "lib.charts.line") == "lib.util.format"
+ * cycligent.url.relative("~~.util.format", "/lib/charts/line.js") == "/lib/util/format"
+ * // In a method of a class
+ * cycligent.resource(cycligent.url.relative("~tax", this.cycligentScript), "json")
  */
-cycligent.timing = function() {
+cycligent.url.relative = function (dottedName, from) {
 
-    var events = [];
-    var notifyFunctions = [];
-    var indentCurrent = 0;
-    var runningBase = (new Date()).getTime();
-    var idle = false;
-    var idleIndent = 0;
+    var up = /^~+/.exec(dottedName)[0].length - 1;
+    var rest = dottedName.substr(up + 1).replace(/^\./, "");
+    var elements;
+    var anchor;
+    var lowest;
+
+    if (from === undefined) {
+        var script = (cycligent.imports && cycligent.imports.scriptRelative ? cycligent.imports.scriptRelative() : null);
+        if (!script) {
+            console.error("The script-relative name '" + dottedName + "' can't be resolved, no script is executing. " +
+                "Use it while the script executes, or in its define bodies or import callbacks, or pass the " +
+                "script's name (in a class's methods, this.cycligentScript).");
+            return null;
+        }
+        from = script.scriptId;
+    }
 
-    var TimingEvent = function(title, indent, duration){
+    from = cycligent.alias(from);
 
-        this.title = title;
-        this.startTime = (new Date()).getTime();
-        if(idle){
-            runningBase = this.startTime;
-            idle = false;
+    if (!rest || from.substr(0, 1) == "~") {
+        console.error("The script-relative name '" + dottedName + "' can't be resolved from '" + from + "'.");
+        return null;
+    }
+
+    if (from.indexOf("/") >= 0) {
+        elements = from.replace(/[?#].*$/, "").split("/");
+        // Never above the host of an absolute URL, or the first / of a path
+        lowest = (from.indexOf("//") >= 0 ? from.substr(0, from.indexOf("//")).split("/").length + 2 : 1);
+        anchor = "";
+    } else {
+        anchor = (/^[\^@.]/.test(from) ? from.substr(0, 1) : "");
+        elements = from.substr(anchor.length).split(".");
+        // Never above the root the script is in
+        lowest = (anchor != "@" && anchor != "." && cycligent.config.loader.roots.hasOwnProperty(elements[0]) ? 1 : 0);
+        if (!anchor && !lowest) {
+            anchor = ".";   // Relative to the current HTML file, so it can't be mistaken for a root
         }
+    }
 
-        if(indent != undefined){
-            indentCurrent = indent;
+    elements.pop();     // The script's own file
+
+    if (elements.length - up < lowest) {
+        console.error("The script-relative name '" + dottedName + "' goes above the top of '" + from + "'.");
+        return null;
+    }
+
+    elements.splice(elements.length - up, up);
+
+    if (from.indexOf("/") >= 0) {
+        return elements.concat(rest.split(".")).join("/");
+    }
+
+    return anchor + elements.concat(rest.split(".")).join(".");
+};
+
+/**
+ * @summary
+ * The versioning (cache-busting) strategies of {@link cycligent.url}, keyed by
+ * name.
+ *
+ * @description
+ * In production, cycligent.url versions the URLs of dotted names using the
+ * strategy named by cycligent.config.versioning:
+ * <ul>
+ * <li>suffix (the default) - Adds "-" and the version to the file name,
+ * app/orders/form-1.4.2.min.js. Every release changes every URL.
+ * <li>query - Adds the version as the query string parameter v,
+ * app/orders/form.min.js?v=1.4.2. File names stay the same, so nothing needs to be
+ * renamed on release.
+ * <li>root - Per-root versions: adds "-" and the version of the root the name is
+ * under to the file name, lib/charts/line-3.0.min.js, and cycligent.config.appVersion
+ * for names under no root, or under a root without a version. As every strategy
+ * uses the versions of roots (see below), this gives the same URLs as suffix; it
+ * names the choice for configurations that version by root.
+ * <li>manifest - Uses the file name given by cycligent.config.versionManifest, which
+ * maps each dotted name to its file name, typically containing a hash of the
+ * file's content, for example {"app.orders.form": "form.3f9a1c2b.min.js"}. Files
+ * that didn't change keep their names and stay cached across releases. Names of
+ * other file types are followed by their extension, "app.orders.form.css". Names
+ * missing from the manifest fall back to suffix.
+ * </ul>
+ * The version is cycligent.config.appVersion, unless the root the name is under has
+ * its own version (cycligent.config.loader.roots[name].version), so a library root's
+ * files stay cached until the library itself changes. Roots whose version is false
+ * are not versioned.<br>
+ * <br>
+ * cycligent.config.versioning may also be a strategy function. A strategy is passed
+ * the parts of the URL and returns the URL. The parts are path (the URL up to the
+ * end of the file name, without an extension), min (".min" when minimized files are
+ * loaded, otherwise ""), extension, dottedName, root (the name of the root the dotted
+ * name is under, if any) and version. Strategies can be added to this object to be
+ * selected by name.
+ *
+ * @member {object} cycligent.url.versioning
+ *
+ * @example
+ * cycligent.config = {
+ *     production: true,
+ *     appVersion: "1.4.2",
+ *     versioning: "manifest",
+ *     versionManifest: { "app.orders.form": "form.3f9a1c2b.min.js" },
+ *     ...
+ * };
+ */
+cycligent.url.versioning = {
+
+    suffix: function (parts) {
+        return parts.path + "-" + parts.version + parts.min + "." + parts.extension;
+    },
+
+    query: function (parts) {
+        return parts.path + parts.min + "." + parts.extension + "?v=" + encodeURIComponent(parts.version);
+    },
+
+    root: function (parts) {
+        return cycligent.url.versioning.suffix(parts);
+    },
+
+    manifest: function (parts) {
+        var manifest = cycligent.config.versionManifest || {};
+        var file = manifest[parts.extension == "js" ? parts.dottedName : parts.dottedName + "." + parts.extension];
+
+        if (!file) {
+            return cycligent.url.versioning.suffix(parts);
         }
 
-        this.indent = indentCurrent;
-        //noinspection JSUnusedGlobalSymbols
-        this.hasChildren = false;
-        //noinspection JSUnusedGlobalSymbols
-        this.expanded = false;
-        //noinspection JSUnusedGlobalSymbols
-        this.visible = this.indent == 0;
+        return parts.path.substr(0, parts.path.lastIndexOf("/") + 1) + file;
+    }
+};
 
-        if(events.length > 0){
-            if(events[events.length-1].indent < this.indent) {
-                events[events.length - 1].hasChildren = true;
+/**
+ * @summary
+ * Returns the dotted name or URL a dotted name is an alias for, or the name
+ * itself if it isn't an alias.
+ *
+ * @description
+ * Aliases are configured in cycligent.config.loader.aliases, which maps dotted
+ * names to the dotted names or URLs to use in their place. A name ending in ".*"
+ * is a wildcard, matching every name that starts with what comes before the "*".
+ * What the wildcard matched replaces the "*" of the target, with its dots turned
+ * into slashes if the target is a URL ending in "/*". Exact names take precedence
+ * over wildcards, and longer wildcards over shorter ones. A target may itself be
+ * an alias, but no alias is applied twice for one name: aliases that lead back to
+ * one already applied are reported as a loop, and the name is used unaliased. A
+ * wildcard whose target it would match again, such as "lib.a.*": "lib.a.v2.*",
+ * is a configuration error.<br>
+ * <br>
+ * {@link cycligent.url} resolves aliases before anything else, so imports of an
+ * aliased name load the target's file. This allows implementations to be swapped
+ * per environment or per test, and library versions to be changed in one place.
+ *
+ * @method cycligent.alias
+ *
+ * @param {string} dottedNameOrUrl - The name to look up.
+ *
+ * @returns {string} - The target of the alias, or dottedNameOrUrl.
+ *
+ * @example
+ * loader: {
+ *     aliases: {
+ *         "app.charts.*": "^vendor.charts2.*",       // app.charts.line loads vendor/charts2/line.js
+ *         "app.logger": "app.testing.nullLogger",
+ *         "jquery": "https://code.jquery.com/jquery-3.7.1.min.js",
+ *         "app.icons.*": "https://cdn.example.com/icons/1.2/*"
+ *     },
+ *     ...
+ * }
+ */
+cycligent.alias = function (dottedNameOrUrl) {
+
+    var aliases = (cycligent.config && cycligent.config.loader && cycligent.config.loader.aliases) || {};
+    var name = dottedNameOrUrl;
+    var names = [dottedNameOrUrl];
+    var used = [];
+    var alias;
+
+    /**
+     * Returns the alias for name, as {key, target}, or null.
+     *
+     * @private
+     */
+    function aliasFind(name) {
+
+        var prefix = null;
+        var key;
+        var wildcardTarget;
+
+        if (aliases.hasOwnProperty(name)) {
+            return { key: name, target: aliases[name] };
+        }
+
+        for (key in aliases) {
+            if (!aliases.hasOwnProperty(key)) continue;
+
+            if (key.substr(key.length - 2) == ".*" && name.indexOf(key.substr(0, key.length - 1)) == 0 &&
+                (prefix === null || key.length > prefix.length)) {
+                prefix = key;
             }
         }
 
-        if(duration === undefined){
-            this.pending = true;
-            this.external = false;
-            this.duration = 0;
-        } else {
-            this.duration = duration;
-            this.pending = false;
-            this.external = true;
+        if (prefix === null) {
+            return null;
         }
 
-        this.index = events.length;
-        events.push(this);
+        var rest = name.substr(prefix.length - 1);
+        wildcardTarget = aliases[prefix];
 
-        scanBackward(this);
+        if (wildcardTarget.substr(wildcardTarget.length - 2) == "/*") {
+            rest = rest.split(".").join("/");
+        }
 
-        function scanBackward(eventFrom) {
+        return { key: prefix, target: wildcardTarget.replace(/\*$/, rest) };
+    }
 
-            // Update running times and durations
+    // Each alias is applied at most once, so aliases that lead back to themselves,
+    // including wildcards whose targets match their own pattern, can't loop forever.
+    while ((alias = aliasFind(name)) !== null) {
+        names.push(alias.target);
+        if (used.indexOf(alias.key) >= 0) {
+            console.error("The aliases in cycligent.config.loader.aliases loop: " + names.join(" -> ") +
+                ", '" + alias.key + "' applies again.");
+            return dottedNameOrUrl;
+        }
+        used.push(alias.key);
+        name = alias.target;
+    }
 
-            var index = events.length - 2;
+    return name;
+};
 
-            var event;
-            var eventLast;
-            while (index >= 0) {
-                eventLast = events[index+1];
-                event = events[index];
+/**
+ * Returns every URL a dotted name or URL can be loaded from, in the order
+ * they should be tried: the URL from {@link cycligent.url} followed by the
+ * URL for each of the root's fallbacks.
+ *
+ * @method cycligent.urls
+ *
+ * @param {String} dottedNameOrUrl - The dotted name or URL to resolve.
+ * @param {String} [extension='js'] - The file type (extension), see {@link cycligent.url}.
+ *
+ * @return {String[]} - The candidate URLs, primary URL first.
+ */
+cycligent.urls = function (dottedNameOrUrl, extension) {
 
-                if (event.pending) {
-                    if (!event.external) {
-                        event.duration = eventFrom.startTime - event.startTime;
+    var urls = [cycligent.url(dottedNameOrUrl, extension)];
+    var url;
 
-                        if(eventLast.external && event.indent == eventLast.indent){
-                            event.duration -= eventLast.duration;
-                        }
-                    }
-                    if (event.indent >= eventFrom.indent) {
-                        event.endTime = eventFrom.startTime;
-                    }
-                }
+    for (var fallback = 1; ; fallback++) {
+        url = cycligent.url(dottedNameOrUrl, extension, { fallback: fallback });
+        if (url === null) {
+            break;
+        }
+        urls.push(url);
+    }
 
-                if (event.indent == 0) {
-                    scanForward(index);
-                    break;
-                }
+    return urls;
+};
 
-                index--;
-            }
-        }
+/**
+ * @summary
+ * Converts a URL back into the dotted name that resolves to it, the inverse of
+ * {@link cycligent.url}.
+ *
+ * @description
+ * The query string and extension are removed, as are ".min" and the version,
+ * whether a suffix of cycligent.config.appVersion or of a root's version, or a
+ * file name from cycligent.config.versionManifest. What remains is matched against
+ * the configured roots (and their fallbacks), then the application root ("@"),
+ * the directory of the current page (".") and the deploy directory ("^"). A name is
+ * only returned if cycligent.url resolves it back to the same URL, so it can be
+ * imported.<br>
+ * <br>
+ * The loader uses this to show dotted names alongside URLs in its diagnostics,
+ * and {@link cycligent.console} adds them to the errors it captures.
+ *
+ * @method cycligent.dottedName
+ *
+ * @param {string} url - The URL, as returned by cycligent.url.
+ *
+ * @returns {string|null} - The dotted name, or null if no dotted name resolves
+ * to the URL.
+ *
+ * @example
+ * // With the root {lib: {root: "/lib"}}, in production with appVersion "1.4"
+ * cycligent.dottedName("http://example.com/lib/charts/line-1.4.min.js") == "lib.charts.line"
+ */
+cycligent.dottedName = function (url) {
 
-        function scanForward(index) {
-            var event;
-            while (index < events.length) {
-                event = events[index];
+    if (!url || !cycligent.config || !cycligent.config.loader || !cycligent.config.loader.roots) {
+        return null;
+    }
 
-                if (event.pending) {
-                    event.running = event.startTime - runningBase + event.duration;
-                    event.pending = event.endTime === undefined;
-                }
+    var config = cycligent.config;
+    var roots = config.loader.roots;
+    var target = url.replace(/#.*$/, "");
+    var path = target.replace(/\?.*$/, "");
+    var extension = /\.([^.\/]+)$/.exec(path);
+    var bases = [];
+    var files = [];
+    var versions = [config.appVersion];
+    var name;
+    var index;
+    var base;
+    var file;
+
+    if (!extension) {
+        return null;
+    }
 
-                index++;
-            }
+    extension = extension[1];
 
-            if(events.length > 200){
-                while(events.length > 200){
-                    events.shift();
-                }
+    var directory = path.substr(0, path.lastIndexOf("/") + 1);
+    var fileName = path.substr(directory.length);
 
-                // Renumber indexes
-                for(var i = 0; i < events.length; i++){
-                    events[i].index = i;
-                }
-            }
+    // The file names the URL may have been built from, without extension, ".min" or version
+    for (name in config.versionManifest) {
+        if (config.versionManifest.hasOwnProperty(name) && config.versionManifest[name] == fileName) {
+            file = name.split(".");
+            files.push(file[file.length - (extension == "js" ? 1 : 2)]);
         }
-    };
+    }
+
+    file = fileName.substr(0, fileName.length - extension.length - 1).replace(/\.min$/, "");
+    files.push(file);
+
+    for (name in roots) {
+        if (roots.hasOwnProperty(name) && roots[name].version) {
+            versions.push(roots[name].version);
+        }
+    }
+
+    for (index = 0; index < versions.length; index++) {
+        if (versions[index] && file.substr(file.length - String(versions[index]).length - 1) == "-" + versions[index]) {
+            files.push(file.substr(0, file.length - String(versions[index]).length - 1));
+        }
+    }
 
     /**
-     * Send notifications to registered notify functions
+     * Returns the absolute form of a root or fallback base.
      *
      * @private
-     * @inner
-     *
-     * @param {Event} [event] - The timing segment
-     * associated with the notification or undefined if the notification is due
-     * to timings being cleared.
      */
-    function notify(event){
-        for (var index = 0; index < notifyFunctions.length; index++) {
-            notifyFunctions[index](event);
+    function absolute(path) {
+        return (path.indexOf("//") >= 0 ? path : cycligent.root.deploy + path);
+    }
+
+    for (name in roots) {
+        if (!roots.hasOwnProperty(name)) continue;
+
+        bases.push({ base: (roots[name].url || absolute(roots[name].root)), prefix: name + ".", fallback: 0 });
+
+        for (index = 0; roots[name].fallbacks && index < roots[name].fallbacks.length; index++) {
+            bases.push({ base: absolute(roots[name].fallbacks[index]), prefix: name + ".", fallback: index + 1 });
         }
     }
 
-    function clear() {
+    bases.push({ base: cycligent.root.client, prefix: "@", fallback: 0 });
+    bases.push({ base: window.location.href.replace(/[?#].*$/, "").replace(/\/[^\/]*$/, ""), prefix: ".", fallback: 0 });
+    bases.push({ base: cycligent.root.deploy, prefix: "^", fallback: 0 });
 
-        events.splice(0, events.length);
-        var event = new TimingEvent("Timings cleared", 0);
-        event.idle = true;
-        event.running = 0;
-        notify();
+    for (index = 0; index < bases.length; index++) {
+        base = bases[index].base.replace(/\/$/, "") + "/";
+
+        if (directory.indexOf(base) != 0) continue;
+
+        for (var fileIndex = 0; fileIndex < files.length; fileIndex++) {
+            file = (directory.substr(base.length) + files[fileIndex]).split("/");
+
+            name = bases[index].prefix + file.join(".");
+
+            if (file.join("").indexOf(".") < 0 &&
+                cycligent.url(name, extension, { fallback: bases[index].fallback }) == target) {
+                return name;
+            }
+        }
     }
 
+    return null;
+};
+
+/**
+ * Returns a URL followed by its dotted name, if it has one (see
+ * {@link cycligent.dottedName}), for diagnostic messages.
+ *
+ * @method cycligent.dottedName.describe
+ * @protected
+ * @ignore
+ *
+ * @param {string} url - The URL.
+ *
+ * @returns {string} - For example "http://example.com/lib/charts/line.js (lib.charts.line)".
+ */
+cycligent.dottedName.describe = function (url) {
+    var name = cycligent.dottedName(url);
+
+    return (name ? url + " (" + name + ")" : url);
+};
+
+/**
+ * @summary
+ * Sets the security attributes configured for a URL on an element the loader
+ * creates to load it.
+ *
+ * @description
+ * Every script and link element the loader creates is given the attributes
+ * configured in cycligent.config.loader:
+ * <ul>
+ * <li>nonce - The Content-Security-Policy nonce. Defaults to the nonce of the
+ * cycligent script tag (id "cycligent-script"), so under a strict policy only that
+ * tag needs to be given one.
+ * <li>crossorigin - The CORS mode, "anonymous" or "use-credentials". Defaults to
+ * "anonymous" for elements with an integrity hash that load from another origin,
+ * as browsers require to check the hash.
+ * <li>integrity - The Subresource Integrity hashes (for example
+ * "sha384-oqVuAfXRKap7fdgcCY5uykM6+R9GqQ8K/uxy9rx7HNQlGYl1kPzQho1wx4JwY8wC"),
+ * keyed by dotted name or URL.
+ * </ul>
+ * A root (see {@link cycligent.url}) may set its own nonce and crossorigin, which
+ * apply to the URLs under it and under its fallbacks.<br>
+ * <br>
+ * A script or stylesheet that doesn't match its hash is not executed or applied,
+ * and fails with the reason "integrity" (see {@link cycligent.imports.failures}).
+ * Files fetched with XMLHttpRequest, which browsers don't check, are checked
+ * against the same hashes by {@link cycligent.integrityCheck}.
+ *
+ * @method cycligent.elementSecure
+ * @protected
+ * @ignore
+ *
+ * @param {HTMLElement} element - The element.
+ * @param {string} dottedNameOrUrl - The dotted name or URL being loaded.
+ * @param {string} url - The URL the element loads.
+ *
+ * @returns {string|null} - The integrity hash set, or null if there is none.
+ *
+ * @example
+ * loader: {
+ *     nonce: "r4nd0m",
+ *     roots: { cdn: { root: "//cdn.example.com/lib", crossorigin: "anonymous" } },
+ *     integrity: { "cdn.charts": "sha384-..." }
+ * }
+ */
+cycligent.elementSecure = function (element, dottedNameOrUrl, url) {
+
+    var loader = (cycligent.config && cycligent.config.loader ? cycligent.config.loader : {});
+    var root = {};
+    var name;
+    var bases;
+    var index;
+
     /**
-     * Cycligent automatically starts timing as soon as it is loaded. You can
-     * measure from an earlier point by adding a script tag to the top of your
-     * HEAD section, in the initial HTML file loaded, that sets the global
-     * variable cycligentRunningBase to the time from which you want to being
-     * the running timer.  See the example below.  The example provided
-     * measures everything but the time it takes to load the initial HTML
-     * file. All scripts, css, etc that it loads, even in the head section,
-     * are measured.
-     *
-     * @example
-     * Setting the starting load time via cycligentRunningBase (place at the
-     * top of your HEAD section):
-     *
-     * <script>window.cycligentRunningBase = (new Date()).getTime();</script>
+     * Returns the absolute base URL of a root or fallback.
      *
-     * @global
-     * @type {Date}
-     * @name cycligentRunningBase
+     * @private
      */
-    if(window.cycligentRunningBase){
-        var event = new TimingEvent("Load HTML file components (css & scripts) - does not include HTML file", 0);
-        event.startTime = window.cycligentRunningBase;
-        runningBase = window.cycligentRunningBase;
+    function base(path) {
+        return (path.indexOf("//") >= 0 ? path : cycligent.root.deploy + path);
     }
 
-    //noinspection JSUnusedGlobalSymbols
-    return {
+    for (name in loader.roots) {
+        if (!loader.roots.hasOwnProperty(name)) continue;
 
-        /**
-         * Array of timing events
-         *
-         * @static
-         * @member {cycligent.timing.TimingEvent[]}
-         */
-        events: events,
+        bases = [loader.roots[name].url || loader.roots[name].root].concat(loader.roots[name].fallbacks || []);
 
-        /**
-         * Clear console messages
-         *
-         * @static
-         * @method
-         */
-        clear: clear,
+        for (index = 0; index < bases.length; index++) {
+            if (url.indexOf(base(bases[index]) + "/") == 0) {
+                root = loader.roots[name];
+            }
+        }
+    }
 
+    var cycligentScript = document.getElementById("cycligent-script");
+    var nonce = root.nonce || loader.nonce || (cycligentScript ? cycligentScript.nonce || cycligentScript.getAttribute("nonce") : null);
+    var integrity = (loader.integrity ? loader.integrity[dottedNameOrUrl] || loader.integrity[url] : null) || null;
+    var crossorigin = root.crossorigin || loader.crossorigin;
+
+    if (!crossorigin && integrity) {
+        index = url.indexOf("//");
+        if (index >= 0 && url.substr(index, window.location.host.length + 3) != "//" + window.location.host + "/") {
+            crossorigin = "anonymous";
+        }
+    }
+
+    if (nonce) {
+        element.setAttribute("nonce", nonce);
+    }
+
+    if (crossorigin) {
+        element.setAttribute("crossorigin", crossorigin);
+    }
+
+    if (integrity) {
+        element.setAttribute("integrity", integrity);
+    }
+
+    return integrity;
+};
+
+/**
+ * Checks whether a URL can be retrieved. Browsers raise the same error event
+ * for a file that doesn't match its integrity hash as for one that couldn't be
+ * retrieved, this tells them apart.
+ *
+ * @protected
+ * @ignore
+ *
+ * @param {string} url - The URL to check.
+ * @param {function} callback - Called with true if the URL was retrieved, false
+ * otherwise.
+ */
+cycligent.urlRetrievable = function (url, callback) {
+
+    var request = new XMLHttpRequest();
+
+    request.onreadystatechange = function () {
+        if (request.readyState == 4) {
+            callback(request.status >= 200 && request.status < 300);
+        }
+    };
+
+    try {
+        request.open("GET", url, true);
+        request.send();
+    }
+    catch (ex) {
+        callback(false);
+    }
+};
+
+/**
+ * Checks text against a Subresource Integrity hash with SubtleCrypto, for the
+ * files the loader fetches with XMLHttpRequest rather than an element, so the
+ * browser doesn't check them: resources (see {@link cycligent.Resource}) and the
+ * scripts of contexts (see {@link cycligent.context}). As in browsers, only the
+ * hashes of the strongest algorithm given are used, and a hash with none of
+ * sha256, sha384 and sha512 is no check at all. The text is hashed as UTF-8.<br>
+ * <br>
+ * Browsers only provide SubtleCrypto to secure pages (https and localhost), so
+ * elsewhere files with a hash fail to load.
+ *
+ * @protected
+ * @ignore
+ *
+ * @param {string} text - The text fetched.
+ * @param {string} integrity - The integrity hash, see {@link cycligent.elementSecure}.
+ * @param {function} callback - Called with null if the text matches, otherwise
+ * with why it doesn't.
+ */
+cycligent.integrityCheck = function (text, integrity, callback) {
+
+    var strengths = { sha256: 1, sha384: 2, sha512: 3 };
+    var tokens = integrity.split(/\s+/);
+    var hashes = [];
+    var strongest = 0;
+    var parts;
+    var index;
+
+    for (index = 0; index < tokens.length; index++) {
+        parts = /^(sha256|sha384|sha512)-([A-Za-z0-9+\/=_-]+)/.exec(tokens[index]);
+        if (parts) {
+            if (strengths[parts[1]] > strongest) {
+                strongest = strengths[parts[1]];
+                hashes = [];
+            }
+            if (strengths[parts[1]] == strongest) {
+                hashes.push({ algorithm: "SHA-" + parts[1].substr(3), digest: parts[2] });
+            }
+        }
+    }
+
+    if (hashes.length === 0) {
+        callback(null);
+        return;
+    }
+
+    var subtle = (typeof crypto != "undefined" && crypto.subtle ? crypto.subtle : null);
+
+    if (!subtle || typeof TextEncoder == "undefined") {
+        callback("The file's integrity hash " + integrity + " can't be checked, the browser only provides " +
+            "SubtleCrypto to secure (https) pages.");
+        return;
+    }
+
+    var bytes = new TextEncoder().encode(text);
+    var remaining = hashes.length;
+    var matched = false;
+
+    // Returns the handler of a digest of hash, or, given null, of a digest that failed
+    function digested(hash) {
+        return function (digest) {
+            if (hash && btoa(String.fromCharCode.apply(null, new Uint8Array(digest))) == hash.digest) {
+                matched = true;
+            }
+
+            if (--remaining === 0) {
+                callback(matched ? null : "The file does not match its integrity hash " + integrity + ".");
+            }
+        };
+    }
+
+    for (index = 0; index < hashes.length; index++) {
+        subtle.digest(hashes[index].algorithm, bytes).then(digested(hashes[index]), digested(null));
+    }
+};
+
+/**
+ * Parses JSON, giving errors the line and column where the text stopped being
+ * valid, as the line and column properties and at the end of the message.
+ *
+ * @protected
+ * @ignore
+ *
+ * @param {string} text - The JSON text.
+ *
+ * @returns {*} - The parsed value.
+ */
+cycligent.jsonParse = function (text) {
+
+    try {
+        return JSON.parse(text);
+    }
+    catch (ex) {
+        var line;
+        var column;
+
+        // Browsers report the position in the text, the line and column, or, like
+        // V8 for "Unexpected token", neither, in which case it is searched for.
+        var position = /position (\d+)/.exec(ex.message);
+        var lineColumn = /line (\d+) column (\d+)/.exec(ex.message);
+        var offset = (position ? parseInt(position[1], 10) : invalidAt(String(text), ex));
+
+        if (lineColumn) {
+            line = parseInt(lineColumn[1], 10);
+            column = parseInt(lineColumn[2], 10);
+        } else {
+            var before = String(text).substr(0, offset).split("\n");
+            line = before.length;
+            column = before[before.length - 1].length + 1;
+        }
+
+        var error = new SyntaxError(ex.message.replace(/\s*\(line \d+ column \d+\)$/, "") +
+            " (line " + line + ", column " + column + ")");
+        error.line = line;
+        error.column = column;
+
+        throw error;
+    }
+
+    /**
+     * Returns whether the first length characters of text are valid JSON so
+     * far: they parse, or the parser only ran out of text.
+     *
+     * @private
+     */
+    function validSoFar(text, length) {
+        try {
+            JSON.parse(text.substr(0, length));
+            return true;
+        }
+        catch (ex) {
+            var at = /position (\d+)/.exec(ex.message);
+            return (/end of (JSON|data|input)|EOF/i.test(ex.message) || (at !== null && parseInt(at[1], 10) >= length));
+        }
+    }
+
+    /**
+     * Returns the offset in text at which it stops being valid JSON, by a
+     * binary search for the longest prefix that is still valid so far.
+     *
+     * @private
+     */
+    function invalidAt(text, ex) {
+
+        if (/end of (JSON|data|input)|EOF/i.test(ex.message)) {
+            return text.length;
+        }
+
+        var valid = 0;
+        var invalid = text.length;
+
+        while (invalid - valid > 1) {
+            var middle = Math.floor((valid + invalid) / 2);
+            if (validSoFar(text, middle)) {
+                valid = middle;
+            } else {
+                invalid = middle;
+            }
+        }
+
+        return valid;
+    }
+};
+
+/**
+ * @summary
+ * Measures application performance.
+ *
+ * @description
+ * Cycligent timing simplifies performance measurement in asynchronous
+ * applications. It is basically a continuous timeline that can reviewed.
+ * It provides durations of events, including idle time. Cycligent timing
+ * is timeline/event oriented. You do not have to issue starts and stops
+ * for each item you want to time.  Instead you just signal events and
+ * Cycligent does the rest.
+ * <br>
+ * <ul><li>Event Organization<br>
+ * <br>
+ * Cycligent timing events can be organized by using indent and unindent
+ * functions. These events can then be viewed in a tree fashion. Cycligent
+ * extends the indent/unindent approach to handle idle events that are hard
+ * to signal because of multiple overlapping asynchronous processes needing
+ * to complete. The start of such events can be signaled via
+ * [cycligent.timing.asyncBegin]{@link cycligent.module:timing.asyncBegin} or
+ * [cycligent.timing.idleIndent]{@link cycligent.module:timing.idleIndent}.
+ * The async process can then be completed either
+ * [cycligent.timing.idle]{@link cycligent.module:timing.idle}
+ * or [cycligent.timing.asyncEnd]{@link cycligent.module:timing.asyncEnd}.
+ * When the last asynchronous operation completes the application is marked
+ * as idle on the timeline.<br>
+ * <br>
+ * <li>Idle Tracking & Overlapping Asynchronous Events<br>
+ * <br>
+ * Multiple overlapping asynchronous events can cause the timeline
+ * durations to become muddled (the exact duration of a given operation
+ * being cut short by another event with another event looking like it took
+ * lonoger).  Cycligent timing does its best to rectify these issues where
+ * possible. That being said, Cycligent does not try to eliminate these
+ * occurrences. This is because in practice the items are easy to
+ * identify when viewed and it is possible to determine the duration of
+ * a given process from the timeline.  We have, therefore, favored keeping
+ * the API, and the output, simple.<br>
+ * <br>
+ * <li>External Timing Inclusion<br>
+ * <br>
+ * Cycligent timing also provides for the inclusion of external performance
+ * (timing) information. Normally a duration is not supplied to
+ * [cycligent.timing.event]{@link cycligent.module:timing.event} or other event
+ * signalling functions. But, if a duration is supplied, then the event is
+ * marked as occurring externally. This is useful for including server processing
+ * times, such as database query times, in the timeline.  The timeline still tracks
+ * durations on either side of the external events with actual durations.
+ * If the immediately preceding event in the timeline is at the same
+ * indent level as the first external event (usually a single event with
+ * descendents) then it duration is automatically subtracted from the
+ * duration of the preceding event, which would have normally been the case
+ * had the external events occurred internally.<br>
+ * <br>
+ * <li>Timing Start<br>
+ * <br>
+ * Cycligent automatically starts timing as soon as it is loaded. You can
+ * measure from an earlier point by adding a script tag to the top of your
+ * HEAD section, in the initial HTML file loaded, that sets the global
+ * variable cycligentRunningBase to the time from which you want to being
+ * the running timer.  See the example below.  The example provided
+ * measures everything but the time it takes to load the initial HTML
+ * file. All scripts, css, etc that it loads, even in the head section,
+ * are measured.
+ *
+ * @module cycligent.timing
+ *
+ * @example
+ * Setting the startring load time via cycligentRunningBase (place at the
+ * top of your HEAD section):
+ *
+ *     <script>window.cycligentRunningBase = (new Date()).getTime();</script>
+ *
+ * Example of using timings from within an angularjs application:
+ *
+ * cycligent.timing.eventIndent(false, "Get data", 1);
+ * $http.get('/api/data/all')
+ *     .success(function (data) {
+ *         cycligent.timing.event("Process data", 1);
+ *         for (var d in data) {
+ *             processData(data[d]);
+ *         }
+ *         cycligent.timing.event("Process view", 1);
+ *         deferred.resolve(data);
+ *         cycligent.timing.idle();
+ *     });
+ */
+cycligent.timing = function() {
+
+    var events = [];
+    var notifyFunctions = [];
+    var indentCurrent = 0;
+    var runningBase = (new Date()).getTime();
+    var idle = false;
+    var idleIndent = 0;
+
+    var TimingEvent = function(title, indent, duration, startTime){
+
+        this.title = title;
+        this.startTime = (startTime === undefined ? (new Date()).getTime() : startTime);
+        if(idle){
+            runningBase = this.startTime;
+            idle = false;
+        }
+
+        if(indent != undefined){
+            indentCurrent = indent;
+        }
+
+        this.indent = indentCurrent;
+        //noinspection JSUnusedGlobalSymbols
+        this.hasChildren = false;
+        //noinspection JSUnusedGlobalSymbols
+        this.expanded = false;
+        //noinspection JSUnusedGlobalSymbols
+        this.visible = this.indent == 0;
+
+        if(events.length > 0){
+            if(events[events.length-1].indent < this.indent) {
+                events[events.length - 1].hasChildren = true;
+            }
+        }
+
+        if(duration === undefined){
+            this.pending = true;
+            this.external = false;
+            this.duration = 0;
+        } else {
+            this.duration = duration;
+            this.pending = false;
+            this.external = true;
+            if(startTime !== undefined){
+                this.endTime = startTime + duration;
+            }
+        }
+
+        this.index = events.length;
+        events.push(this);
+
+        scanBackward(this);
+
+        function scanBackward(eventFrom) {
+
+            // Update running times and durations
+
+            var index = events.length - 2;
+
+            var event;
+            var eventLast;
+            while (index >= 0) {
+                eventLast = events[index+1];
+                event = events[index];
+
+                if (event.pending) {
+                    if (!event.external) {
+                        event.duration = eventFrom.startTime - event.startTime;
+
+                        if(eventLast.external && event.indent == eventLast.indent){
+                            event.duration -= eventLast.duration;
+                        }
+                    }
+                    if (event.indent >= eventFrom.indent) {
+                        event.endTime = eventFrom.startTime;
+                    }
+                }
+
+                if (event.indent == 0) {
+                    scanForward(index);
+                    break;
+                }
+
+                index--;
+            }
+        }
+
+        function scanForward(index) {
+            var event;
+            while (index < events.length) {
+                event = events[index];
+
+                if (event.pending) {
+                    event.running = event.startTime - runningBase + event.duration;
+                    event.pending = event.endTime === undefined;
+                }
+
+                index++;
+            }
+
+            if(events.length > 200){
+                while(events.length > 200){
+                    events.shift();
+                }
+
+                // Renumber indexes
+                for(var i = 0; i < events.length; i++){
+                    events[i].index = i;
+                }
+            }
+        }
+    };
+
+    /**
+     * Send notifications to registered notify functions
+     *
+     * @private
+     * @inner
+     *
+     * @param {Event} [event] - The timing segment
+     * associated with the notification or undefined if the notification is due
+     * to timings being cleared.
+     */
+    function notify(event){
+        for (var index = 0; index < notifyFunctions.length; index++) {
+            notifyFunctions[index](event);
+        }
+    }
+
+    function clear() {
+
+        events.splice(0, events.length);
+        var event = new TimingEvent("Timings cleared", 0);
+        event.idle = true;
+        event.running = 0;
+        notify();
+    }
+
+    /**
+     * Cycligent automatically starts timing as soon as it is loaded. You can
+     * measure from an earlier point by adding a script tag to the top of your
+     * HEAD section, in the initial HTML file loaded, that sets the global
+     * variable cycligentRunningBase to the time from which you want to being
+     * the running timer.  See the example below.  The example provided
+     * measures everything but the time it takes to load the initial HTML
+     * file. All scripts, css, etc that it loads, even in the head section,
+     * are measured.
+     *
+     * @example
+     * Setting the starting load time via cycligentRunningBase (place at the
+     * top of your HEAD section):
+     *
+     * <script>window.cycligentRunningBase = (new Date()).getTime();</script>
+     *
+     * @global
+     * @type {Date}
+     * @name cycligentRunningBase
+     */
+    if(window.cycligentRunningBase){
+        var event = new TimingEvent("Load HTML file components (css & scripts) - does not include HTML file", 0);
+        event.startTime = window.cycligentRunningBase;
+        runningBase = window.cycligentRunningBase;
+    }
+
+    //noinspection JSUnusedGlobalSymbols
+    return {
+
+        /**
+         * Array of timing events
+         *
+         * @static
+         * @member {cycligent.timing.TimingEvent[]}
+         */
+        events: events,
+
+        /**
+         * Clear console messages
+         *
+         * @static
+         * @method
+         */
+        clear: clear,
+
+        /**
+         * Holds information regarding a performance (timing) event.
+         *
+         * @class
+         * @static
+         *
+         * @param {string} title - Title of timing event.
+         * @param {int} [indent] - The nested level of the event. If not provided
+         * the current indent level is used.  The current indent level is the
+         * indent last provided to an Event constructor or as modified by
+         * [cycligent.timing.indent]{@link cycligent.module:timing.indent}
+         * or [cycligent.timing.unindent]{@link cycligent.module:timing.unindent}.
+         * @param {int} [duration] - Milliseconds event lasted. Only used when
+         * the event occurred out-of-band (such as on a server) and the event
+         * is being logged to account for those times (such as the time it took
+         * for a query to run on the server).
+         * @param {int} [startTime] - The number of milliseconds after the
+         * JavaScript Epoch that the event started, for an event with a duration
+         * that overlapped others, such as one of several requests made at once.
+         * Defaults to now.
+         *
+         * @property {string} title - Title of timing event.
+         * @property {int} startTime - The number of milliseconds after the
+         * JavaScript Epoch that the event started.
+         * @property {int} endTime - The number of milliseconds after the
+         * JavaScript Epoch that the event ended.
+         * @property {int} duration - Milliseconds event lasted.
+         * @property {int} running - Total duration of the time line (since the
+         * last event at indent level 0).
+         * @property {int} indent - The nested level of the event.
+         * @property {boolean} pending - True when the event has not yet completed.
+         * @property {boolean} external - True when the event was provided by an
+         * external source and entered into the event array as is, the duration
+         * being computed by the external source. Overall timings are still
+         * computed based on the internal clock.
+         * @property {boolean} expanded - Indicates if the indent levels beneath
+         * this event are displayed.
+         * @property {boolean} idle - Indicates that this is an idle event, a
+         * period of time where the application is idle, often used to modify
+         * the display of the event.
+         * @property {boolean} visible - Indicates that the event is visible
+         * (not collapsed).
+         * @property {boolean} hasChildren - Indicates that this is event has
+         * children events underneath it.  Please note, that the event list
+         * is a single list (timeline) and that events don't actually have
+         * children objects.  Children, here, means that there are items directly
+         * beneath this item with a indent level greater than its own.
+         *
+         * @constructor
+         */
+        TimingEvent: TimingEvent,
+
+        /**
+         * Signals a timing event
+         *
+         * @static
+         *
+         * @param {string} title - Title of timing event.
+         * @param {int} [indent] - The nested level of the event. If not provided
+         * the current indent level is used.  The current indent level is the
+         * indent last provided to an Event constructor or as modified by
+         * [cycligent.timing.indent]{@link cycligent.module:timing.indent}
+         * or [cycligent.timing.unindent]{@link cycligent.module:timing.unindent}.
+         * @param {int} [duration] - Milliseconds event lasted. Only used when
+         * the event occurred out-of-band (such as on a server) and the event
+         * is being logged to account for those times (such as the time it took
+         * for a query to run on the server).
+         * @param {int} [startTime] - The number of milliseconds after the
+         * JavaScript Epoch that the event started, for an event with a duration
+         * that overlapped others. Defaults to now.
+         */
+        event: function(title, indent, duration, startTime){
+            new TimingEvent(title, indent, duration, startTime);
+            notify();
+        },
+
+        /**
+         * @summary
+         * Creates a primary event and its first indented event.
+         *
+         * @description
+         * The first indented event, being created at the same time as the
+         * primary event, ensures that the indented event durations will
+         * total the primary event duration. Durations might not otherwise
+         * total the primary event duration because of time passing between
+         * the creation of the primary event and its first child event.
+         * This is normal but some people like to see the totals add up.
+         * While this could be accomplished by simply calling
+         * [cycligent.timing.event]{@link cycligent.module:timing.event}
+         * in succession, this event provides the same functionality in
+         * a single call.<br>
+         * <br>
+         * In addition to just making the childrens' durations total the
+         * primary duration, this function can increase the idle indent.
+         * Idle indent allows the determination of an idle state easier
+         * when there are multiple overlapping asynchronous events. See
+         * {@link cycligent.timing} for more information.
+         *
+         * @static
+         *
+         * @param {boolean} increaseIdleIndent
+         * @param {string} title
+         * @param {int} [indent] - The nested level of the primary (first)
+         * event. If not provided the current indent level is used.  The
+         * current indent level is the indent last provided to an Event
+         * constructor or as modified by [cycligent.timing.indent]{@link cycligent.module:timing.indent}
+         * or [cycligent.timing.unindent]{@link cycligent.module:timing.unindent}.
+         * @param {string} [title2] - The title of the first indented
+         * event to the primary event, which is created automatically.
+         * Title2 defaults to "Network/Other" and serves as a catch all
+         * for any time not required by other segments occurring under
+         * the primary event.
+         */
+        eventIndent: function(increaseIdleIndent, title, indent, title2){
+
+            new TimingEvent(title, indent);
+            new TimingEvent(title2 ? title2 : "Network/Other", indent + 1);
+
+            if(increaseIdleIndent) {
+                idleIndent++;
+            }
+            notify();
+        },
+
+        /**
+         * @summary
+         * Begins tracking of an asynchronous process and increases the
+         * idle indent.
+         *
+         * @description
+         * Cycligent extends the indent/unindent approach (see
+         * [cycligent.timing.indent]{@link cycligent.module:timing.indent}
+         * and [cycligent.timing.unindent]{@link cycligent.module:timing.unindent})
+         * to handle idle events that are hard to signal because of multiple
+         * overlapping asynchronous processes needing to complete. The start of such
+         * events can be signaled via
+         * [cycligent.timing.asyncBegin]{@link cycligent.module:timing.asyncBegin} or
+         * [cycligent.timing.idleIndent]{@link cycligent.module:timing.idleIndent}.
+         * The async process can then be completed either
+         * [cycligent.timing.idle]{@link cycligent.module:timing.idle} or
+         * [cycligent.timing.asyncEnd]{@link cycligent.module:timing.asyncEnd}.
+         * When the last asynchronous operation completes the application is marked
+         * as idle on the timeline.
+         *
+         * @static
+         *
+         * @param {string} title - Title of timing event.
+         * @param {int} [indent] - The nested level of the event. If not provided
+         * the current indent level is used.  The current indent level is the
+         * indent last provided to an Event constructor or as modified by
+         * [cycligent.timing.indent]{@link cycligent.module:timing.indent}
+         * or [cycligent.timing.unindent]{@link cycligent.module:timing.unindent}.
+         */
+        asyncBegin: function(title, indent){
+            new TimingEvent(title, indent);
+            idleIndent++;
+            notify();
+        },
+
+        /**
+         * @summary
+         * End tracking of an asynchronous event and decreases the idle indent.
+         * Identical to [cycligent.timing.idle]{@link cycligent.module:timing.idle}.
+         *
+         * @description
+         * Cycligent extends the indent/unindent approach (see
+         * [cycligent.timing.indent]{@link cycligent.module:timing.indent}
+         * and [cycligent.timing.unindent]{@link cycligent.module:timing.unindent})
+         * to handle idle events that are hard to signal because of multiple
+         * overlapping asynchronous processes needing to complete. The start of such
+         * events can be signaled via
+         * [cycligent.timing.asyncBegin]{@link cycligent.module:timing.asyncBegin} or
+         * [cycligent.timing.idleIndent]{@link cycligent.module:timing.idleIndent}.
+         * The async process can then be completed either
+         * [cycligent.timing.idle]{@link cycligent.module:timing.idle} or
+         * [cycligent.timing.asyncEnd]{@link cycligent.module:timing.asyncEnd}.
+         * When the last asynchronous operation completes the application is marked as
+         * idle on the timeline.
+         *
+         * @static
+         */
+        asyncEnd: function(){
+            this.idle();
+        },
+
+        /**
+         * @static
+         *
+         * @summary
+         * Increases the idle indent
+         *
+         * @description
+         * Cycligent extends the indent/unindent approach (see
+         * [cycligent.timing.indent]{@link cycligent.module:timing.indent}
+         * and [cycligent.timing.unindent]{@link cycligent.module:timing.unindent})
+         * to handle idle events that are hard to signal because of multiple
+         * overlapping asynchronous processes needing to complete. The start of such
+         * events can be signaled via
+         * [cycligent.timing.asyncBegin]{@link cycligent.module:timing.asyncBegin} or
+         * [cycligent.timing.idleIndent]{@link cycligent.module:timing.idleIndent}.
+         * The async process can then be completed either
+         * [cycligent.timing.idle]{@link cycligent.module:timing.idle} or
+         * [cycligent.timing.asyncEnd]{@link cycligent.module:timing.asyncEnd}.
+         * When the last asynchronous operation completes the application is marked
+         * as idle on the timeline.
+         *
+         * @static
+         */
+        idleIndent: function(){
+            idleIndent++;
+        },
+
+        /**
+         * @summary
+         * Indicates that the application is in an idle state, or is potentially
+         * in an idle state in the case of multiple overlapping asynchronous
+         * events.
+         *
+         * @description
+         * Cycligent extends the indent/unindent approach (see
+         * [cycligent.timing.indent]{@link cycligent.module:timing.indent}
+         * and [cycligent.timing.unindent]{@link cycligent.module:timing.unindent})
+         * to handle idle events that are hard to signal because of multiple
+         * overlapping asynchronous processes needing to complete. The start of such
+         * events can be signaled via
+         * [cycligent.timing.asyncBegin]{@link cycligent.module:timing.asyncBegin} or
+         * [cycligent.timing.idleIndent]{@link cycligent.module:timing.idleIndent}.
+         * The async process can then be completed either
+         * [cycligent.timing.idle]{@link cycligent.module:timing.idle} or
+         * [cycligent.timing.asyncEnd]{@link cycligent.module:timing.asyncEnd}.
+         * When the last asynchronous operation completes the application is marked
+         * as idle on the timeline.
+         *
+         * @static
+         */
+        idle: function(){
+
+            // Check to see if one or more other async processes are pending
+
+            if(idleIndent > 1){
+
+                // They are so we are not really idle, so do nothing now
+                idleIndent--;
+
+            } else {
+
+                idleIndent = 0;
+                // Force times to be computed
+                var event = new TimingEvent("Idle", 0);
+
+                event.idle = true;
+                event.running = 0;
+
+                idle = true;
+                runningBase = undefined;
+                notify();
+            }
+        },
+
+        /**
+         * Increase the current indent level by one, up to a maximum of 25.
+         *
+         * @static
+         */
+        indent: function(){
+            if(indentCurrent < 25) {
+                indentCurrent++;
+            }
+        },
+
+        /**
+         * Decrease the current indent level by one, to a minimum of 0.
+         *
+         * @static
+         */
+        unindent: function(){
+            if(indentCurrent > 0) {
+                indentCurrent--;
+            }
+        },
+
+        /**
+         * Register a notification function
+         *
+         * @param func {function} The function to be called whenever a timing
+         * event is logged or timings are cleared. The notify function
+         * should accept one argument
+         * ([cycligent.timing.TimingEvent]{@link cycligent.module:timing.TimingEvent})
+         * which will be contain the new timing segment. If the segment is not
+         * passed to the function (undefined) then the timings were cleared.
+         *
+         * @static
+         */
+        notify: function (func) {
+            // Make sure we don't add a function more than once.
+            for(var index = 0; index < notifyFunctions.length; index++){
+                if(func === notifyFunctions[index]){
+                    return;
+                }
+            }
+            notifyFunctions.push(func)
+        },
+
+        /**
+         * Unregister a notification function
+         *
+         * @param func {function} The notify function to unregister.
+         *
+         * @static
+         */
+        notifyClear: function (func) {
+            for(var index = 0; index < notifyFunctions.length; index++){
+                if(func === notifyFunctions[index]){
+                    notifyFunctions.splice(index,1);
+                    index--;
+                }
+            }
+        }
+    }
+}();
+
+
+/**
+ * Validates that the loader configuration loaded is valid.  If it finds any
+ * required items to be undefined, sets them to their default values.
+ *
+ * @protected
+ * @ignore
+ *
+ * @returns {boolean} - True if the loader configuration was valid, or made
+ * to be valid.
+ */
+cycligent.loaderValid = function () {
+
+    if (cycligent.config.loader === undefined) {
+        console.error("Loader section, cycligent.config.loader, is missing from the configuration file.");
+        return false;
+    }
+
+    if (cycligent.config.loader.roots === undefined) {
+        console.error("Root definitions are required but the roots sections, cycligent.config.loader.roots, is missing from the configuration file.");
+        return false;
+    }
+
+    if (cycligent.config.loader.libs === undefined) {
+        cycligent.config.loader.libs = [];
+    }
+
+    if (cycligent.config.loader.waitFor === undefined) {
+        cycligent.config.loader.waitFor = {};
+    }
+
+    if (cycligent.config.loader.waitFor.dom === undefined) {
+        cycligent.config.loader.waitFor.dom = true;
+    }
+
+    if (cycligent.config.loader.timeout === undefined) {
+        cycligent.config.loader.timeout = (location.hostname == "localhost" || location.hostname == '' ? 7000 : 70000);
+    }
+
+    if (cycligent.config.loader.retries === undefined) {
+        cycligent.config.loader.retries = 0;
+    }
+
+    if (cycligent.config.loader.retryDelay === undefined) {
+        cycligent.config.loader.retryDelay = 500;
+    }
+
+    if (cycligent.config.loader.bundles === undefined) {
+        cycligent.config.loader.bundles = [];
+    }
+
+    if (cycligent.config.loader.aliases === undefined) {
+        cycligent.config.loader.aliases = {};
+    }
+
+    for (var key in cycligent.config.loader.aliases) {
+        if (!cycligent.config.loader.aliases.hasOwnProperty(key)) continue;
+
+        var target = cycligent.config.loader.aliases[key];
+        if (key.substr(key.length - 2) == ".*" && target.indexOf(key.substr(0, key.length - 1)) === 0) {
+            console.error('The alias "' + key + '": "' + target + '" in cycligent.config.loader.aliases matches its own ' +
+                "target, so every name it aliases would be aliased again. Alias names under a different prefix.");
+            return false;
+        }
+    }
+
+    if (cycligent.config.loader.shims === undefined) {
+        cycligent.config.loader.shims = {};
+    }
+
+    return true;
+};
+
+/**
+ * Validates that the debug configuration loaded is valid.  If it finds any
+ * required items to be undefined, sets them to their default values.
+ *
+ * @protected
+ * @ignore
+ *
+ * @returns {boolean} - True if the debug configuration was valid, or made to
+ * be valid.
+ */
+cycligent.debugValid = function () {
+
+    //noinspection JSValidateTypes
+    if (cycligent.config.debug === undefined) {
+        //noinspection JSValidateTypes
+        cycligent.config.debug = {};
+    }
+
+    if (cycligent.config.debug.private === undefined) {
+        //noinspection JSPrimitiveTypeWrapperUsage
+        cycligent.config.debug.private = {};
+    }
+
+    if (!cycligent.config.debug.on) {
+        cycligent.config.debug.private.check = false;
+    }
+
+    if (cycligent.config.debug.args === undefined) {
+        //noinspection JSPrimitiveTypeWrapperUsage
+        cycligent.config.debug.args = {};
+    }
+
+    if (!cycligent.config.debug.on) {
+        cycligent.config.debug.args.check = false;
+    }
+
+    if (cycligent.config.debug.args.arrays === undefined) {
+        cycligent.config.debug.args.arrays = {};
+    }
+
+    if (!cycligent.config.debug.args.check) {
+        cycligent.config.debug.args.arrays.check = false;
+    }
+
+    if (cycligent.config.debug.interfaces === undefined) {
+        //noinspection JSPrimitiveTypeWrapperUsage
+        cycligent.config.debug.interfaces = {};
+    }
+
+    if (!cycligent.config.debug.on) {
+        cycligent.config.debug.interfaces.check = false;
+    }
+
+    if (!cycligent.config.debug.on) {
+        //noinspection JSPrimitiveTypeWrapperUsage
+        cycligent.config.debug.scripts = false;
+    }
+
+    return true;
+};
+
+cycligent.doc = function(){
+    /**
+     * @summary
+     * The configuration layers merged to make cycligent.config.
+     *
+     * @description
+     * The configuration is made of up to four layers, each deep merged over the
+     * ones before it:
+     *
+     * <ol>
+     *     <li>base: config.js (see {@link cycligent._loader}).
+     *     <li>environment: the overlay for cycligent.config.environment, if it is set,
+     *         config.dev.js for "dev". Like config.js, the overlay sets cycligent.config.
+     *     <li>inline: the object in window.cycligentConfigOverride, set by the page.
+     *     <li>query: query string parameters starting with "cy.", such as ?cy.debug.on=true.
+     *         Values are parsed as JSON where they can be, otherwise used as strings.
+     * </ol>
+     * Objects are merged; anything else, including arrays, replaces the value
+     * below it.<br>
+     * <br>
+     * Only the settings listed in cycligent.config.queryOverrides, as set by the
+     * base and inline layers, can be overridden from the query string, by default
+     * none. An entry allows the setting and everything under it, so ["debug"] allows
+     * the debug settings. Add "environment" to choose the environment from the
+     * query string.
+     *
+     * @member {object[]}
+     * @memberof cycligent
+     *
+     * @property {string} name - base, environment, inline or query.
+     * @property {string} location - Where the layer came from.
+     * @property {object} config - The settings of the layer.
+     */
+    cycligent.configLayers = [];
+
+    /**
+     * @summary
+     * The layer each setting of cycligent.config came from.
+     *
+     * @description
+     * Keyed by dotted path, for each setting that is not an object. Settings
+     * given their default values by Cycligent are not listed.
+     *
+     * @member {object}
+     * @memberof cycligent
+     *
+     * @example
+     * cycligent.configSources["debug.on"] == "query"
+     * cycligent.configSources["loader.roots.lib.root"] == "base"
+     */
+    cycligent.configSources = {};
+};
+
+/**
+ * Deep merges configuration layers into cycligent.config, recording them in
+ * cycligent.configLayers and where each setting came from in cycligent.configSources.
+ *
+ * @protected
+ * @ignore
+ *
+ * @param {object[]} layers - The layers, lowest first, as {name, location, config}.
+ */
+cycligent.configMerge = function (layers) {
+
+    var config = {};
+    var sources = {};
+
+    for (var index = 0; index < layers.length; index++) {
+        merge(config, layers[index].config, "", layers[index].name);
+    }
+
+    cycligent.config = config;
+    cycligent.configLayers = layers;
+    cycligent.configSources = sources;
+
+    function merge(target, layer, prefix, name) {
+        for (var key in layer) {
+            if (!layer.hasOwnProperty(key)) {
+                continue;
+            }
+
+            var path = prefix + key;
+            var value = layer[key];
+
+            // JSON.parse makes "__proto__" an own property; merged, it would change Object.prototype
+            if (key == "__proto__" || key == "constructor" || key == "prototype") {
+                console.warn("The setting '" + path + "' in the " + name + " configuration was ignored, '" + key +
+                    "' cannot be a setting.");
+                continue;
+            }
+
+            if (plain(value)) {
+                if (!target.hasOwnProperty(key) || !plain(target[key])) {
+                    sourcesClear(path);
+                    target[key] = {};
+                }
+                merge(target[key], value, path + ".", name);
+            } else {
+                sourcesClear(path);
+                target[key] = value;
+                sources[path] = name;
+            }
+        }
+    }
+
+    function plain(value) {
+        return (value !== null && typeof value == "object" && Object.prototype.toString.call(value) == "[object Object]");
+    }
+
+    function sourcesClear(path) {
+        delete sources[path];
+        for (var source in sources) {
+            if (source.indexOf(path + ".") === 0) {
+                delete sources[source];
+            }
+        }
+    }
+};
+
+/**
+ * @summary
+ * The settings cycligent.config may have.
+ *
+ * @description
+ * Each setting is described by:
+ * <ul>
+ * <li>type - The type name, or a list of type names, the value may be: "string",
+ * "number", "boolean", "object", "array" or "function".
+ * <li>required - True if the setting must be given.
+ * <li>keys - For objects, the settings the object may have.
+ * <li>values - For objects keyed by names of the application's choosing, such as
+ * loader.roots, the description of every value.
+ * <li>items - For arrays, the description of every item.
+ * <li>choices - The values the setting is limited to.
+ * </ul>
+ * The configuration is checked against it before Cycligent boots (see
+ * {@link cycligent.configValid}). Applications with settings of their own can
+ * add them, for example cycligent.configSchema.keys.app = {type: "object"}.
+ *
+ * @member {object} cycligent.configSchema
+ */
+cycligent.configSchema = function () {
+
+    var booleanSetting = { type: "boolean" };
+    var numberSetting = { type: "number" };
+    var stringSetting = { type: "string" };
+    var stringList = { type: "array", items: stringSetting };
+    var stringMap = { type: "object", values: stringSetting };
+    var crossorigin = { type: "string", choices: ["anonymous", "use-credentials"] };
+
+    return {
+        type: "object",
+        keys: {
+            loader: {
+                type: "object",
+                required: true,
+                keys: {
+                    libs: stringList,
+                    waitFor: { type: "object", keys: { dom: booleanSetting, page: booleanSetting } },
+                    timeout: numberSetting,
+                    retries: numberSetting,
+                    retryDelay: numberSetting,
+                    roots: {
+                        type: "object",
+                        required: true,
+                        values: {
+                            type: "object",
+                            keys: {
+                                root: stringSetting,
+                                url: stringSetting,
+                                version: { type: ["string", "number", "boolean"] },
+                                minimize: booleanSetting,
+                                extension: stringSetting,
+                                timeout: numberSetting,
+                                fallbacks: stringList,
+                                nonce: stringSetting,
+                                crossorigin: crossorigin
+                            }
+                        }
+                    },
+                    bundles: stringList,
+                    aliases: stringMap,
+                    shims: {
+                        type: "object",
+                        values: {
+                            type: "object",
+                            keys: { url: stringSetting, exports: stringSetting, define: stringSetting, deps: stringList }
+                        }
+                    },
+                    onFailure: { type: ["function", "string"] },
+                    nonce: stringSetting,
+                    crossorigin: crossorigin,
+                    integrity: stringMap
+                }
+            },
+            startupScript: stringSetting,
+            production: booleanSetting,
+            appVersion: { type: ["string", "number"] },
+            minimizeSource: booleanSetting,
+            versioning: { type: ["string", "function"] },
+            versionManifest: stringMap,
+            environment: stringSetting,
+            queryOverrides: stringList,
+            main: { type: ["string", "function", "array"], items: { type: ["string", "function"] } },
+            errorBoundary: { type: ["function", "string"] },
+            debug: {
+                type: "object",
+                keys: {
+                    on: booleanSetting,
+                    startup: booleanSetting,
+                    scripts: booleanSetting,
+                    doNotCatchAllExceptionsOnLocalHost: booleanSetting,
+                    private: { type: "object", keys: { check: booleanSetting } },
+                    args: {
+                        type: "object",
+                        keys: {
+                            check: booleanSetting,
+                            arrays: { type: "object", keys: { check: booleanSetting, allElements: booleanSetting } }
+                        }
+                    },
+                    interfaces: { type: "object", keys: { check: booleanSetting } }
+                }
+            }
+        }
+    };
+}();
+
+/**
+ * Checks cycligent.config against {@link cycligent.configSchema}, reporting
+ * every problem found at once. Settings of the wrong type, or missing when they
+ * are required, are errors. Settings the schema doesn't have are warnings, with
+ * the setting that was probably meant, so typos such as loader.waitfor don't go
+ * unnoticed.
+ *
+ * @protected
+ * @ignore
+ *
+ * @returns {boolean} - True if there were no errors.
+ */
+cycligent.configValid = function () {
+
+    var errors = [];
+    var warnings = [];
+
+    check(cycligent.config, cycligent.configSchema, "");
+
+    if (errors.length) {
+        console.error("The configuration is not valid, the system is unable to start the application:\n    " +
+            errors.concat(warnings).join("\n    "));
+    } else if (warnings.length) {
+        console.warn("The configuration has settings Cycligent does not use:\n    " + warnings.join("\n    "));
+    }
+
+    return (errors.length == 0);
+
+    /**
+     * Checks a value, and what it contains, against its description.
+     *
+     * @private
+     */
+    function check(value, schema, path) {
+
+        var types = (typeof schema.type == "string" ? [schema.type] : schema.type);
+        var type = typeGet(value);
+
+        if (types.indexOf(type) < 0) {
+            errors.push(named(path) + " should be " + types.join(" or ") + ", not " + type +
+                (type == "object" || type == "array" ? "" : " (" + (type == "string" ? "\"" + value + "\"" : String(value)) + ")") + source(path) + ".");
+            return;
+        }
+
+        if (schema.choices && schema.choices.indexOf(value) < 0) {
+            errors.push(named(path) + " should be one of \"" + schema.choices.join("\", \"") + "\", not \"" + value + "\"" + source(path) + ".");
+        }
+
+        var key;
+
+        if (type == "object" && schema.keys) {
+            for (key in schema.keys) {
+                if (schema.keys.hasOwnProperty(key) && schema.keys[key].required && value[key] === undefined) {
+                    errors.push(named(path + key) + " is required.");
+                }
+            }
+        }
+
+        if (type == "object" && (schema.keys || schema.values)) {
+            for (key in value) {
+                if (!value.hasOwnProperty(key) || value[key] === undefined) {
+                    continue;
+                }
+
+                if (schema.values) {
+                    check(value[key], schema.values, path + key + ".");
+                } else if (schema.keys.hasOwnProperty(key)) {
+                    check(value[key], schema.keys[key], path + key + ".");
+                } else {
+                    var suggestion = suggest(key, schema.keys);
+                    warnings.push(named(path + key) + " is not a setting" + source(path + key) +
+                        (suggestion ? ", did you mean " + named(path + suggestion) + "?" : "."));
+                }
+            }
+        }
+
+        if (type == "array" && schema.items) {
+            for (var index = 0; index < value.length; index++) {
+                check(value[index], schema.items, path.replace(/\.$/, "") + "[" + index + "].");
+            }
+        }
+    }
+
+    /**
+     * Returns the type name of a value, as used in the schema.
+     *
+     * @private
+     */
+    function typeGet(value) {
+        if (value === null) {
+            return "null";
+        }
+
+        if (Object.prototype.toString.call(value) == "[object Array]") {
+            return "array";
+        }
+
+        return typeof value;
+    }
+
+    /**
+     * Returns the name of a setting, for reports.
+     *
+     * @private
+     */
+    function named(path) {
+        return "cycligent.config" + (path ? "." + path.replace(/\.$/, "") : "");
+    }
+
+    /**
+     * Returns where a setting came from (see {@link cycligent.configSources}),
+     * for reports, when it didn't come from config.js.
+     *
+     * @private
+     */
+    function source(path) {
+        var sources = cycligent.configSources || {};
+        path = path.replace(/\.$/, "");
+
+        for (var sourcePath in sources) {
+            if (sources.hasOwnProperty(sourcePath) && sources[sourcePath] != "base" &&
+                (sourcePath == path || sourcePath.indexOf(path + ".") === 0)) {
+                return " (from the " + sources[sourcePath] + " configuration)";
+            }
+        }
+
+        return "";
+    }
+
+    /**
+     * Returns the known setting closest to a setting that isn't known, or
+     * null if none is close.
+     *
+     * @private
+     */
+    function suggest(key, keys) {
+        var best = null;
+        var bestDistance = Math.max(2, Math.floor(key.length / 3)) + 1;
+
+        for (var known in keys) {
+            if (!keys.hasOwnProperty(known)) {
+                continue;
+            }
+
+            var distance = (known.toLowerCase() == key.toLowerCase() ? 0 : distanceGet(key.toLowerCase(), known.toLowerCase()));
+            if (distance < bestDistance) {
+                best = known;
+                bestDistance = distance;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Returns the number of characters that must be added, removed or changed
+     * to turn one string into another.
+     *
+     * @private
+     */
+    function distanceGet(from, to) {
+        var previous = [];
+        var current;
+        var fromIndex;
+        var toIndex;
+
+        for (toIndex = 0; toIndex <= to.length; toIndex++) {
+            previous.push(toIndex);
+        }
+
+        for (fromIndex = 1; fromIndex <= from.length; fromIndex++) {
+            current = [fromIndex];
+            for (toIndex = 1; toIndex <= to.length; toIndex++) {
+                current.push(Math.min(previous[toIndex] + 1, current[toIndex - 1] + 1,
+                    previous[toIndex - 1] + (from.charAt(fromIndex - 1) == to.charAt(toIndex - 1) ? 0 : 1)));
+            }
+            previous = current;
+        }
+
+        return previous[to.length];
+    }
+};
+
+/*************************
+ *   B O O T S T R A P   *
+ *************************/
+
+/**
+ * Bootstraps Cycligent after dependencies have been loaded.
+ *
+ * @module cycligent.boot
+ *
+ * @private
+ */
+cycligent.boot = function() {
+
+    cycligent.timing.event("Boot Cycligent", 0);
+
+    /**
+     * Provides functions that supply debugging information. Typically used
+     * internally by the Cycligent. This support object allows argument types
+     * to functions to be output, as well as function names.
+     *
+     * @module cycligent.debug {object}
+     * @protected
+     * @ignore
+     */
+    cycligent.debug = {
+
+        /**
+         * Given an argument passed to a function this function returns a
+         * string representing the argument's type.
+         *
+         * @param {({tagName: (string|undefined)}|*)} argType
+         *
+         * @return {string} The type, as a string, of the argument passed.
+         */
+        argTypeText: function (argType) {
+
+            var text;
+
+            if(argType === null){
+                return "null";
+            }
+
+            if (argType.tagName !== undefined) {
+                text = "HtmlElement:" + argType.tagName +
+                    " or XmlNode:" + argType.tagName;
+            }
+            else if (argType.nodeName && argType.nodeName == "#document") {
+                text = "Document";
+            }
+            else {
+                if (argType.cycligentClass) {
+                    text = argType.cycligentClass;
+                } else if (argType.prototype instanceof Interface) {
+                    text = argType.name;
+                }
+                else {
+                    if (argType.constructor === Function) {
+                        text = cycligent.debug.functionName(argType);
+                    }
+                    else {
+                        text = cycligent.debug.functionName(argType.constructor);
+
+                        if (text == "(?)") {
+                            text = "Unknown";
+                        }
+                    }
+                }
+            }
+
+            return text;
+        },
+
+        /**
+         * Given an item of an cycligent argument specification, returns the
+         * type, in the form of a string, that the specification requires
+         * for that item (argument). For more information on cycligent
+         * arguments specifications please see {@link cycligent.args}.
+         *
+         * @return {string} The type, in a string, required by the specification
+         * for a string.
+         */
+        specTypeText: function (specType) {
+
+            var text;
+
+            if (typeof specType == "string") {
+                text = specType;
+            }
+            else {
+                if (specType.prototype && specType.prototype.cycligentClass) {
+                    text = specType.prototype.cycligentClass;
+                }
+                else {
+                    text = this.argTypeText(specType);
+                }
+            }
+
+            return text;
+        },
+
+        /**
+         * Given a function, returns its name as a string.
+         *
+         * @return {string} The name of the function.
+         */
+        functionName: function (fn) {
+
+            var text;
+
+            var match = fn.toString().match(/function\s*(\w+)\(/);
+
+            if (match === null) {
+                //noinspection JSUnresolvedVariable
+                if (fn === jQuery) {
+                    text = "jQuery"
+                } else {
+                    text = "(?)"; //"ANONYMOUS";
+                }
+            }
+            else {
+                text = match[1];
+            }
+
+            return text;
+        }
+
+    };
+
+    /**
+     * Base class for providing classical inheritance<br>
+     * Inspired by John Resig (http://ejohn.org/blog/simple-javascript-inheritance/)
+     * which in turn was inspired by base2 and Prototype.
+     *
+     * @method _classicalClass
+     * @memberof cycligent.boot
+     * @private
+     */
+    (function _classicalClass() {
+        var initializing = false;
+
+        /**
+         * Internal base class implementation providing classical inheritance.
+         *
+         * @memberof cycligent.boot
+         */
+        window.Class = function () { };
+
+        /**
+         * Extends a class. Creates a new class that inherits from this class
+         *
+         * @memberof cycligent.boot
+         * @private
+         *
+         * @param {string} cycligentClass - Name of cycligent class
+         * @param {object} prop - The class declaration in the form of an object.
+         *
+         * @return {Class} Returns the new class.
+         */
+        Class.extend = function(cycligentClass, prop) {
+            // Instantiate a base class (but only create the instance,
+            // don't run the init constructor)
+            initializing = true;
+            var prototype = new this();
+            prototype.cycligentClass = cycligentClass;
+            initializing = false;
+
+            // Copy the properties over onto the new prototype
+            // The follow loop was modified from the inspiration to correctly
+            // support stack traces.
+            var holder;
+            for (var name in prop) {
+                if (!prop.hasOwnProperty(name)) continue;
+
+                holder = prototype[name];
+                prototype[name] = prop[name];
+
+                if (typeof prototype[name] == "function" && holder) {
+                    prototype[name].super = holder;
+                }
+
+            }
+
+            // The dummy class constructor
+            function Class() {
+                // All construction is actually done in the init method
+                if (!initializing && this.init) {
+                    this.init.apply(this, arguments);
+                }
+            }
+
+            // Populate our constructed prototype object
+            Class.prototype = prototype;
+
+            // Enforce the constructor to be what we expect
+            Class.constructor = Class;
+
+            // And make this class extendable
+            Class.extend = arguments.callee;
+
+            return Class;
+        };
+    })();
+
+
+    /**
+     * Base interface for providing classical interfaces.
+     *
+     * @method _classicalInterface
+     * @memberof cycligent.boot
+     * @private
+     */
+    (function _classicalInterface() {
+
+        /**
+         * Internal base interface implementation providing classical inheritance.
+         *
+         * @memberof cycligent.boot
+         */
+        window.Interface = function () { };
+
+        /**
+         * Extends an Interface.
+         *
+         * @memberof cycligent.boot
+         * @private
+         *
+         * @param {object} prop - The interface declaration in the form of an
+         * object literal.
+         *
+         * @return {Interface} Returns the new interface.
+         */
+        Interface.extend = function(prop) {
+
+            var prototype = new this();
+            // Copy the properties over onto the new prototype
+            for (var name in prop) {
+                if (prop.hasOwnProperty(name)) {
+                    prototype[name] = prop[name];
+                }
+            }
+
+            // The dummy interface constructor
+            function Interface() { }
+
+            // Populate our constructed prototype object
+            Interface.prototype = prototype;
+
+            // Enforce the constructor to be what we expect
+            Interface.constructor = Interface;
+
+            // And make this class extend-able
+            Interface.extend = arguments.callee;
+
+            return Interface;
+        };
+    })();
+
+
+    /**
+     * Enhances and optionally validates the arguments passed to a function.<br>
+     * <br>
+     * cycligent.args always takes the form cycligent.args(arguments, [ArgumentSpec]);<br>
+     * <br>
+     * Argument specifications take the form of an object literal which contains
+     * one or more properties.  Each of these properties represents an argument.
+     * Each of the argument properties contains another object literal that
+     * defines the attributes of the argument.  The available argument attributes
+     * are type, required and defaultValue. See examples below for how to structure
+     * argument specifications.<br>
+     * <br>
+     * The Cycligent Framework provides the following enhancement for function arguments:
+     * <br>
+     * <br>
+     * <li>Mapped or ordered arguments for the same function</li>
+     * <li>Default values for optional arguments</li>
+     * <li>Validation of supplied arguments (required, quantity and type)</li>
+     * <li>Handling of advanced types (Arrays and HTML elements)</li>
+     * <li>Reuse of argument specifications, especially useful with interfaces</li>
+     * <br>
+     * cycligent.args supports either mapped or ordered arguments.  When a single
+     * argument is passed to a function, and that argument is an object,
+     * and that object contains a property named the same as an argument,
+     * it is assumed to be an argument map. In all other cases the system
+     * treats the arguments as ordered. To pass a single object to a function
+     * that has a property with the same name as an argument
+     * it must be passed in  as a map. (function( object ) will not work).
+     * The construct of  function( {argumentName: object} ) must be used
+     * instead. When a map is not used the arguments must be passed in the
+     * order of their declaration.<br>
+     * <br>
+     * cycligent.args will also provide default values for optional arguments that
+     * are not supplied, if a default value for the optional argument has been
+     * provided.<br>
+     * <br>
+     * Supplied arguments can be validated for correctness. Validations are
+     * performed when {@link cycligent.config.debug.on} and
+     * {@link cycligent.config.debug.args.check} are true. When validation is active
+     * arguments are validated for the correct type, that all required
+     * arguments were supplied, and that the correct number of arguments were
+     * supplied.<br>
+     * <br>
+     * All required arguments must appear before any optional arguments. This
+     * conventions allows cycligent.args to successfully parse arguments which are
+     * passed to a function but are not in a map.<br>
+     * <br>
+     * cycligent.args supports advanced types. Array arguments can be specified
+     * by wrapping the type in square brackets, as in "[String]" (which indicates
+     * that the function takes an array of strings).  When validation is on,
+     * {@link cycligent.config.debug.args.arrays.check} is true, then arrays are checked
+     * for the correct type.  When {@link cycligent.config.debug.args.arrays.allElements}
+     * is true, elements of the array validated to contain the correct type.
+     * This can be very time consuming and is not recommended.  Therefore,
+     * {@link cycligent.config.debug.args.arrays.allElements} defaults to false, in which
+     * case only the first element of the array is validated.<br>
+     * <br>
+     * In addition to arrays, cycligent.args supports special types.  Specials types are
+     * passed as a string.  Currently cycligent.args supports Document, HTML elements and
+     * XML nodes as special types. Document is a DOM/XML document. If an argument
+     * can take any HTML element then
+     * the argument specification would be "HtmlElement".  Likewise for any XML
+     * node the argument would by "XmlNode". If an argument requires a specific
+     * type of HTML element or XML node, such as a div, then that is specified
+     * by postfixing the "HtmlElement" or "XmlNode" with a colon and the elements
+     * tag name (in all lowercase) as in "HtmlElement:div" or "XmlNode:item".<br>
+     * <br>
+     * Argument specifications can be stored in a variable and reused. This is
+     * especially helpful when interfaces are declared. When an interface is
+     * declared the signatures for its methods are stored in the interfaces
+     * prototype. This allows the developer to use these prototype properties
+     * in the creation of methods on an object that implements the interface.<br>
+     * <br>
+     * The convention when working with the cycligent framework is to use a
+     * variable named 'a' to hold the return value from cycligent.args.
+     * variable named 'a' to hold the return value from cycligent.args.
+     *
+     * @method cycligent.args
+     *
+     * @param {arguments[]} argsIn - The arguments object that is
+     * passed/present in a function.
+     * @param {Object} spec - The argument specification.
+     * @param {Boolean} [ignoreExtraArguments=false] - When true extra arguments are
+     * ignored. Typically used by base classes that are inherited to allow
+     * the super class to pass the argument list passed to it to the base
+     * class.
+     *
+     * @Example
+     * // Using examples from the Cycligent framework itself:
+     *
+     * cycligent.class = function(){
+     *     var a = cycligent.args(arguments, {
+     *         name:{type: String},                         // The fully qualified name of the class being created
+     *         definition:{type: Object},                   // The object literal that defines the class
+     *         extends:{type: Object, required: false},     // The class from which this class inherits its methods and properties
+     *         implements:{type: [Object], required: false} // The newly created class implements the interface class or classes specified
+     *     });
+     *     ...
+     *
+     * ********** OR VIA REUSABLE ARGS **********
+     * 
+     * cycligent.classArgs = {
+     *     name:{type: String},                             // The fully qualified name of the class being created
+     *     definition:{type: Object},                       // The object literal that defines the class
+     *     extends:{type: Object, required: false},         // The class from which this class inherits its methods and properties
+     *     implements:{type: [Object], required: false}     // The newly created class implements the interface class or classes specified
+     * };
+     *
+     * cycligent.class = function(){
+     *     var a = cycligent.args(arguments, cycligent.classArgs);
+     *     ...
+     *
+     * ********** OR VIA INTERFACE **********
+     * 
+     * cycligent.tracerMessageArgs = {
+     *     message:{type: String},                          // The trace message.
+     *     type:{type: Number, required: false, defaultValue: cycligent.traceTypes.information }, // The trace type (a value from cycligent.traceTypes).
+     *     category:{type: String, required: false, defaultValue: ""}, // A string representing the category of the trace. Used for filtering (see cycligent.config.trace).
+     *     ex: {type: Object, required: false}
+     * };
+     * 
+     * cycligent.interface({
+     *     name: "cycligent.TracerInt",
+     *     definition:{
+     *         getElement: {},                              // Gets the HTML element that holds the trace information.
+     *         setElement: {element: {type: "HtmlElement:DIV"}}, // Sets the HTML element that holds the trace information.
+     *         trace: cycligent.tracerMessageArgs                  // Issue a trace.
+     *     }
+     * });
+     * 
+     * ...
+     * trace: function(){
+     *     cycligent.args(arguments,cycligent.TracerInt.prototype.trace);
+     * ...
+     */
+    cycligent.args = function(argsIn, spec, ignoreExtraArguments) {
+
+        var argsInSeen = 0;
+        var argsOut = {};
+
+        var specIndex;
+
+        var value;
+        var positionIndex = 0;
+
+        // Was argument list passed as an object or as separate arguments?
+
+        // When a single object is passed as the only argument. We assume that
+        // it is a map.  To pass only a single object as the only argument to a
+        // function it must be passed in as a map
+
+        // Assume it was.
+        var map = false;
+
+        if (argsIn.length == 1) {
+            for (specIndex in spec) {
+                if (!spec.hasOwnProperty(specIndex)) continue;
+                if (argsIn[0] !== undefined && argsIn[0] !== null && argsIn[0][specIndex] !== undefined) {
+                    map = true;
+                    break;
+                }
+            }
+        }
+
+
+        // We use two loops so that we don't have to test map on every iteration
+        // of the loop.
+        if (map) {
+            for (specIndex in spec) {
+                if (!spec.hasOwnProperty(specIndex)) continue;
+                value = argsIn[0][specIndex];
+                if (value !== undefined) {
+                    argsOut[specIndex] = value;
+                    argsInSeen++;
+                }
+                else {
+                    argsOut[specIndex] = spec[specIndex].defaultValue;
+                }
+            }
+        }
+        else {
+            for (specIndex in spec) {
+                if (!spec.hasOwnProperty(specIndex)) continue;
+                value = argsIn[positionIndex++];
+                if (value !== undefined) {
+                    argsOut[specIndex] = value;
+                    argsInSeen++;
+                }
+                else {
+                    argsOut[specIndex] = spec[specIndex].defaultValue;
+                }
+            }
+        }
+
+        // CycligentBuilder.delete.start
         /**
-         * Holds information regarding a performance (timing) event.
-         *
-         * @class
-         * @static
+         * Validates a single argument against its expected type
          *
-         * @param {string} title - Title of timing event.
-         * @param {int} [indent] - The nested level of the event. If not provided
-         * the current indent level is used.  The current indent level is the
-         * indent last provided to an Event constructor or as modified by
-         * [cycligent.timing.indent]{@link cycligent.module:timing.indent}
-         * or [cycligent.timing.unindent]{@link cycligent.module:timing.unindent}.
-         * @param {int} [duration] - Milliseconds event lasted. Only used when
-         * the event occurred out-of-band (such as on a server) and the event
-         * is being logged to account for those times (such as the time it took
-         * for a query to run on the server).
+         * @method
+         * @memberof cycligent.args
+         * @inner
+         * @private
          *
-         * @property {string} title - Title of timing event.
-         * @property {int} startTime - The number of milliseconds after the
-         * JavaScript Epoch that the event started.
-         * @property {int} endTime - The number of milliseconds after the
-         * JavaScript Epoch that the event ended.
-         * @property {int} duration - Milliseconds event lasted.
-         * @property {int} running - Total duration of the time line (since the
-         * last event at indent level 0).
-         * @property {int} indent - The nested level of the event.
-         * @property {boolean} pending - True when the event has not yet completed.
-         * @property {boolean} external - True when the event was provided by an
-         * external source and entered into the event array as is, the duration
-         * being computed by the external source. Overall timings are still
-         * computed based on the internal clock.
-         * @property {boolean} expanded - Indicates if the indent levels beneath
-         * this event are displayed.
-         * @property {boolean} idle - Indicates that this is an idle event, a
-         * period of time where the application is idle, often used to modify
-         * the display of the event.
-         * @property {boolean} visible - Indicates that the event is visible
-         * (not collapsed).
-         * @property {boolean} hasChildren - Indicates that this is event has
-         * children events underneath it.  Please note, that the event list
-         * is a single list (timeline) and that events don't actually have
-         * children objects.  Children, here, means that there are items directly
-         * beneath this item with a indent level greater than its own.
+         * @param {*} argType - The expected type of the argument
+         * @param {*} argActual - The actual argument
          *
-         * @constructor
+         * @returns {boolean} - True if the argument is valid, false if it is invalid
          */
-        TimingEvent: TimingEvent,
+        function argValid(argType, argActual) {
+            // Check for a "special" type
+            if (typeof argType == "string") {
+
+                var baseType;
+                var baseTypeMatch = argType.match(/\w+(?=($|:))/);
+                if (baseTypeMatch === null) {
+                    baseType = baseTypeMatch;
+                }
+                else {
+                    baseType = baseTypeMatch[0];
+                }
+
+                switch (baseType) {
+
+                    case "Any":
+                        return true;
+
+                    case "HtmlElement":
+
+                        if (argActual.tagName === undefined) {
+                            return false;
+                        }
+                        else {
+                            // Check for a specific element type
+                            if (argType.substr(11, 1) == ":") {
+                                if (argType.substr(12).toLowerCase() != argActual.tagName.toLowerCase()) {
+                                    return false;
+                                }
+                            }
+                        }
+
+                        break;
+
+                    case "XmlNode":
+
+                        if (argActual.tagName === undefined) {
+                            return false;
+                        }
+                        else {
+                            // Check for a specific element type
+                            if (argType.substr(7, 1) == ":") {
+                                if (argType.substr(8).toLowerCase() != argActual.tagName.toLowerCase()) {
+                                    return false;
+                                }
+                            }
+                        }
+
+                        break;
+
+                    case "Document":
+
+                        if (!argActual.nodeName || argActual.nodeName != "#document") {
+                            return false;
+                        }
+
+                        break;
+
+                    default:
+                        console.error("An unknown special type '" + baseType +
+                            "' was specified for the argument '" + specIndex +
+                            "'.");
+                        return false;
+                }
+            }
+            else {
+                if (argActual !== null && !(argActual.constructor == argType || argActual instanceof argType)) {
+                    if (argActual.isPrototypeOf != argType.isPrototypeOf) {
+                        // Handle the special case of the same object type being compared in two different windows
+                        // This is not a perfect check but the best we can do across windows
+                        var argClass = cycligent.debug.argTypeText(argActual);
+                        var specClass = cycligent.debug.specTypeText(argType);
+                        if (argClass != specClass) {
+                            // Check for a subclass
+                            if (argClass.substr(0, specClass.length + 1) != specClass + ".") {
+                                if (argClass.split(".")[0] == specClass.split(".")[0]) {
+                                    console.warn("An unverifiable type (due to cross window access) of '" + argClass +
+                                            "' was assumed to by of type '" + specClass +
+                                            "' because the first segment of the dotted name matched."
+                                    );
+
+                                } else {
+                                    return false;
+                                }
+                            }
+                        }
+                    } else if (argType.prototype instanceof Interface) {
+                        return (argActual.cycligentInterfaces && argActual.cycligentInterfaces.indexOf(argType) != -1);
+                    } else {
+                        return false;
+                    }
+                }
+            }
+
+            return true;
+        }
+
+        if (cycligent.config.debug.args.check) {
+            // Validate that the spec (specification) has all required arguments first.
+
+            for (specIndex in spec) {
+                if (!spec.hasOwnProperty(specIndex)) continue;
+                var typeIsArray = spec[specIndex].type.constructor == Array || spec[specIndex].type.constructor instanceof Array;
+                var typeCurrent;
+                if (typeIsArray) {
+                    typeCurrent = spec[specIndex].type[0];
+                } else {
+                    typeCurrent = spec[specIndex].type;
+                }
+                var isInterface = (typeCurrent.prototype instanceof Interface);
+                var defaultTypeMessage;
+                if (isInterface) {
+                    defaultTypeMessage = "which does not declare that it implements the interface";
+                } else {
+                    defaultTypeMessage = "but is required to be of type";
+                }
+
+                if (argsOut[specIndex] === undefined) {
+                    // Validate required arguments
+                    if (spec[specIndex].required === undefined || spec[specIndex].required) {
+                        var notSuppliedMessage;
+                        if (isInterface) {
+                            notSuppliedMessage = "which must implement the interface";
+                        } else {
+                            notSuppliedMessage = "of type";
+                        }
+                        console.error("The required argument '" + specIndex +
+                            "' " + notSuppliedMessage + " '" + cycligent.debug.specTypeText(typeCurrent) +
+                            "' was not supplied." + (map ? " A single object must be passed as a map. If appropriate use: {" + specIndex + ":[Object]} to pass a single object for this function." : ""));
+                    }
+                }
+                else {
+                    if (typeIsArray) {
+                        //Validate array arguments
+                        if (argsOut[specIndex] && (argsOut[specIndex].constructor == Array || argsOut[specIndex].constructor instanceof Array)) {
+                            if (cycligent.config.debug.args.arrays.check) {
+                                if (cycligent.config.debug.args.arrays.allElements) {
+                                    var arrayIndex;
+                                    for (arrayIndex = 0; arrayIndex < argsOut[specIndex].length; arrayIndex++) {
+                                        if (!argValid(typeCurrent, argsOut[specIndex][arrayIndex])) {
+                                            console.error("Element '" + arrayIndex + "' of the array passed as an argument was of type '" + cycligent.debug.argTypeText(argsOut[specIndex][arrayIndex]) + "' " + defaultTypeMessage + " '" + cycligent.debug.specTypeText(typeCurrent) + "'.");
+                                            break;
+                                        }
+                                    }
+                                }
+                                else {
+                                    if (argsOut[specIndex].length > 0 && !argValid(typeCurrent, argsOut[specIndex][0])) {
+                                        console.error("The first element of the array passed as an argument was of type '" + cycligent.debug.argTypeText(argsOut[specIndex][0]) + "' " + defaultTypeMessage + " '" + cycligent.debug.specTypeText(typeCurrent) + "'.");
+                                    }
+                                }
+                            }
+                        }
+                        else {
+                            // Spec called for an array argument but an array
+                            // argument was not supplied.
+
+                            console.error("An array argument was required but instead an argument of type '" + cycligent.debug.argTypeText(argsOut[specIndex]) + "' was supplied.");
+                        }
+                    }
+                    else {
+                        // Validate a non array argument
+                        if (!argValid(typeCurrent, argsOut[specIndex])) {
+                            console.error("The argument '" + specIndex + "' was of type '" + cycligent.debug.argTypeText(argsOut[specIndex]) + "' " + defaultTypeMessage + " '" + cycligent.debug.specTypeText(typeCurrent) + "'.");
+                        }
+                    }
+                }
+            }
+
+            if (!ignoreExtraArguments) {
+
+                if (map) {
+                    for (var inIndex in argsIn[0]) {
+                        if (!argsIn[0].hasOwnProperty(inIndex)) continue;
+                        if (!spec[inIndex]) {
+                            console.error("Unrecognized argument '" + inIndex + "' was supplied.");
+                        }
+                    }
+                }
+                else {
+                    if (argsInSeen > argsIn.length) {
+                        console.error("Extra arguments were supplied.");
+                    }
+                }
+
+
+            }
+        }
+        // CycligentBuilder.delete.end
+
+        return argsOut;
+    };
+
+    cycligent.definitionGetArgs = {
+        "name": { "type": String, "required": false } // Name of the definition to find (e.g. cycligentClass, cycligentInterface, etc.)
+    };
+
+    /**
+     * Finds a definition value, where the definition name is allowed to be a string
+     * that has dots in it, and will be properly found nested within a JavaScript object.
+     * It is common in Cycligent to define class names using a dotted syntax, such as cycligent.console.
+     * These names are stored as nested JavaScript objects, but the names are also commonly passed
+     * around as strings, which becomes difficult when you want to access them easily from the
+     * string name, this function and {@link cycligent.definitionSet} help make this
+     * very simple and easy. The definition is found starting from the window object.
+     *
+     * This function assumes that the nested structure you're trying to pull data out of exists.
+     *
+     * @method cycligent.definitionGet
+     *
+     * @param {string} dottedName - The dotted name to find.
+     *
+     * @return {object} - The value of the dotted name
+     *
+     * @Example
+     * cycligent.definitionGet("MyNamespace.MyClass");
+     */
+    cycligent.definitionGet = function(dottedName) {
+        var args = cycligent['args'](arguments, cycligent.definitionGetArgs);
+        if (args.name === undefined)
+            return undefined;
+
+        var split = args.name.split('.');
+        var currentObj = window;
+        for (var i = 0; i < split.length; i++) {
+            currentObj = currentObj[split[i]];
+        }
+        return currentObj;
+    };
+
+    cycligent.definitionSetArgs = {
+        "name": { "type": String }, // Name of the definition to find (e.g. cycligentClass, cycligentInterface, etc.)
+        "value": { "type": "Any" } // Value to set the name to.
+    };
+
+    /**
+     * Sets a definition to a value, where the definition name is allowed to be a string
+     * that has dots in it, and will be properly assigned to a nested JavaScript object.
+     * It is common in Cycligent to define class names using a dotted syntax, such as cycligent.Tracer.
+     * These names are stored as nested JavaScript objects, but the names are also commonly passed
+     * around as strings, which becomes difficult when you want to access them easily from the
+     * string name, this function and {@link cycligent.definitionGet} help make this
+     * very simple and easy. The definition is assigned starting from the window object.
+     *
+     * This function assumes that the nested structure you're trying to put data into exists.
+     *
+     * @method cycligent.definitionSet
+     *
+     * @param {(string | object)} dottedName - The dotted name to set. Or a map of the
+     * arguments.
+     * @param {*} [value] - The value to set the dotted name to.
+     * @return {*}
+     *
+     * @Example
+     * cycligent.definitionSet("MyNamespace.MyClass", classDefinition);
+     */
+    cycligent.definitionSet = function(dottedName, value) {
+        var args = cycligent['args'](arguments, cycligent.definitionSetArgs);
+
+        var split = args.name.split('.');
+        var currentObj = window;
+        for (var i = 0; i < split.length-1; i++) {
+            currentObj = currentObj[split[i]];
+        }
+
+        currentObj[split[split.length-1]] = args['value'];
+        return args['value'];
+    };
+
+    // The following two objects facilitate the validation of interfaces
+    // implemented by classes.
+    cycligent.classes = {};
+    cycligent.interfaces = {};
+
+    cycligent.classesToProcess = [];
+    cycligent.interfacesToProcess = [];
+
+    /**
+     * Arguments for cycligent.class.
+     *
+     * @memberof cycligent
+     *
+     * @property {string} name - The fully qualified dotted name fo the class.
+     * @property {string} [extends] - The fully qualified dotted name of the
+     * class to extend.
+     * @property {...string} [implements] - The fully qualified dotted names of the
+     * interfaces required by the class. If the class implements multiple
+     * interfaces, separate them by commas.
+     * @property {object} definition - The object, usually from a code literal,
+     * that defines the class.
+     *
+     * @see {@link cycligent.class}
+     */
+    cycligent.classArgs = {
+        name: { type: String },							// The fully qualified name of the class being created.
+        definition: { type: Object },						// The object literal that defines the class.
+        extends: { type: String, required: false },		// The class name, as a string, from which this class inherits its methods and properties. Defaults to "Class".
+        implements: { type: String, required: false }		// The newly created class implements the interface or interface names specified. This argument should be passed as a string, multiple interfaces should be seperated by a comma.
+    };
+
+    //noinspection ReservedWordAsName
+    /**
+     * @summary
+     * Declares a class that supports classical inheritance and interfaces.
+     *
+     * @description
+     * cycligent.class allows a class to be created that extends (inherits from) another
+     * class. It also provides for the implementation of interfaces. To make class
+     * definitions easy to follow, it is recommended that calls to cycligent.class use
+     * mapped arguments in the following order: name, extends, implements, definition.
+     * See the example below. cycligent.class also validates that the first character of
+     * the class name is an uppercase letter, which is the common convention in
+     * JavaScript.<br>
+     * <br>
+     * cycligent.class definitions should be placed outside of functions. This allows
+     * them to be processed at startup. The processing of class definitions that
+     * are dependant on other class definitions that have not yet been processed
+     * are deferred until they can be processed.  This allows race conditions
+     * during the asynchronous loading of scripts at startup to be avoided, and makes the
+     * order in which scripts are loaded unimportant.<br>
+     * <br>
+     * If enabled in the configuration settings (see {@link cycligent.config.debug.interfaces})
+     * the interfaces implemented by the class are validated. This is done by checking
+     * the class's source to see if it is calling {@link cycligent.args} on the argument
+     * definition defined by the interface.
+     * <br>
+     * Note that if you define a class, you can create it as a singleton using
+     * {@link cycligent.singleton}. Singleton classes can have an initSingleton that
+     * will be called when the class is instantiated as a singleton.
+     *
+     * @method cycligent.class
+     *
+     * @param {object} map - The object that specifies the class, typically
+     * from an object literal in code (see example, and {@link cycligent.classArgs}).
+     *
+     * @property {string} cycligentClass - The name of the class as a property
+     * of the prototype.
+     * @property {string} cycligentScript - The dotted name or URL of the script
+     * that declared the class, as a property of the prototype, to resolve
+     * script-relative names against in its methods (see {@link cycligent.url.relative}).
+     *
+     * @see {@link cycligent.singleton}
+     *
+     * @Example
+     * cycligent.class({
+     *     name: "cycligent.Tracer",
+     *     extends: "cycligent.ExtendThisClassExample"
+     *     implements: "cycligent.TracerInt, cycligent.anotherInterface",
+     *     definition: {
+     *         ...
+     *     }
+     * });
+     */
+    cycligent.class = function(map) {
+        var args = cycligent.args(arguments, cycligent.classArgs);
+
+        if (cycligent.imports && !cycligent.imports.registered("class", args.name)) {
+            return;
+        }
+
+        args.script = (cycligent.imports ? cycligent.imports.scriptRelative() : null);
+
+        // Converts implements argument into an array
+        if (args.implements) {
+            args.implements = args.implements.split(",");
+            // Trim the elements of the array
+            for (var index = 0; index < args.implements.length; index++) {
+                args.implements[index] = args.implements[index].replace(/(^\s*|\s*$)/g, "");
+            }
+        }
+
+        // Check to see if this class is ready to be processed (all of its
+        // dependencies have already been processed).
+
+        if (cycligent.classMissing(args) == "") {
+            cycligent.classProcess(args);
+            cycligent.classProcessDeferred();
+        }
+        else {
+            cycligent.classes[args.name] = false;
+            cycligent.classesToProcess.push(args);
+        }
+    };
+
+    /**
+     * Takes a class name and returns a singleton object.  If the singleton
+     * object already exists it simply returns it, if not, it creates it.
+     *
+     * @method cycligent.singleton
+     *
+     * @param {string} name - The name of the class from which to construct the singleton
+     * @param {...*} arguments - Arguments to singleton constructor
+     *
+     * @property {function} initSingleton - If initSingleton is defined by the
+     * class it is called when the singleton is instantiated.
+     *
+     * @returns {Object}
+     *
+     * @see {@link cycligent.class}
+     *
+     * @example
+     * cycligent.define("app");
+     * cycligent.class({
+     *     name: "app.Session",
+     *     definition: {
+     *         initSingleton: function() {
+     *             cycligent.args(arguments, {});
+     *             var me = this;
+     *             $.get("/sessionData", function(data) {
+     *                 me.data = data;
+     *             });
+     *         },
+     *
+     *         userName: function() {
+     *             return this.data.username;
+     *         }
+     *     }
+     * });
+     *
+     * function main() {
+     *     var session = cycligent.singleton("app.Session");
+     * }
+     */
+    cycligent.singleton = function(name) {
+        var args = cycligent.args(arguments, {
+            className: { type: String }
+        });
+
+        var className = args.className + ".singleton";
+
+        var classValue = cycligent.definitionGet(className);
+
+        if (!classValue) {
+            classValue = cycligent.definitionSet({
+                "name": className,
+                "value": new (cycligent.definitionGet(args['className']))()
+            });
+
+            if (classValue.initSingleton) {
+                var a = [];
+                for (var i = 2; i < arguments.length; i++) {
+                    a.push(arguments[i]);
+                }
+                classValue.initSingleton.apply(classValue, a);
+            }
+        }
+
+        return classValue;
+    };
+
+    /**
+     * Checks to see if all dependencies of a given class
+     * are defined. If so, returns true to indicate that the class can be
+     * processed, otherwise false is returned.
+     *
+     * @protected
+     * @ignore
+     */
+    cycligent.classMissing = function (args) {
+
+        var missing = "";
+
+        // Check to see if all elements of the name are defined.
+        var splits = args.name.split(".");
+        var dependantVar = window;
+        var dependantVarName = "window";
+        var index;
+
+        if (splits.length > 1) {
+            for (index = 0; index < splits.length - 1; index++) {
+                dependantVarName += "." + splits[index];
+                if (!dependantVar[splits[index]]) {
+                    missing = dependantVarName;
+                    break;
+                }
+                dependantVar = dependantVar[splits[index]];
+            }
+        }
+
+        if (!missing && args.extends && !cycligent.classes[args.extends]) {
+            missing = args.extends;
+        }
+
+        if (!missing && args.implements) {
+            for (index = 0; index < args.implements.length; index++) {
+                if (!cycligent.interfaces[args.implements[index]]) {
+                    missing = args.implements[index];
+                    break;
+                }
+            }
+        }
+
+        return missing;
+    };
+
+    /**
+     * Processes any classes whose processing has been
+     * deferred but which are now ready to be processed.
+     *
+     * @protected
+     * @ignore
+     */
+    cycligent.classProcessDeferred = function() {
+
+        var ProcessSeen = false;
+        var index;
+        var args;
+
+        do {
+            ProcessSeen = false;
+
+            for (index = 0; index < cycligent.classesToProcess.length; index++) {
+
+                args = cycligent.classesToProcess[index];
+
+                if (args !== null && cycligent.classMissing(args) == "") {
+                    ProcessSeen = true;
+                    cycligent.classProcess(args);
+                    cycligent.classesToProcess[index] = null;
+                }
+
+            }
+
+            while (cycligent.classesToProcess.length > 0
+                && cycligent.classesToProcess[cycligent.classesToProcess.length - 1] === null) {
+                cycligent.classesToProcess.pop();
+            }
+
+            while (cycligent.classesToProcess.length > 0 && cycligent.classesToProcess[0] === null) {
+                cycligent.classesToProcess.shift();
+            }
+
+        } while (ProcessSeen);
+
+    };
+
+    /**
+     * Process a class. See {@link cycligent.class}
+     *
+     * @protected
+     * @ignore
+     */
+    cycligent.classProcess = function(args) {
+
+        var newClass;
+
+        // Check to make sure the class starts with an uppercase letter
+        var className = args.name.match(/\.\w+$/);
+
+        if (className === null) {
+            className = args.name;
+        }
+        else {
+            className = className[0].substr(1);
+        }
+
+        if (className.substr(0, 1).search(/[A-Z]/) < 0) {
+            console.error("Class '" +
+                args.name +
+                "of the expression '" + args.name +
+                "' should begin with an uppercase letter.");
+
+        }
+        // End name check
+
+        var Extends = cycligent.definitionGet(args.extends);
+
+        if (Extends) {
+            newClass = Extends.extend(args.name, args.definition);
+        }
+        else {
+            newClass = Class.extend(args.name, args.definition);
+        }
+
+        // Not inherited, each class is relative to its own script
+        newClass.prototype.cycligentScript = (args.script ? args.script.scriptId : undefined);
+
+        if (cycligent.config.debug.on) {
+
+            if (cycligent.config.debug.args.check) {
+
+                if (Extends) {
+                    if (!Extends.cyName || cycligent.classes[Extends.cyName] === undefined) {
+                        console.error("Class '" +
+                            args.name +
+                            "' tries to extend a non-Class based object '" +
+                            (Extends && Extends.cyName ? Extends.cyName : "UNKNOWN") +
+                            "'.");
+                    }
+                }
+            }
+
+            if (cycligent.config.debug.interfaces.check || cycligent.config.debug.args.check) {
+                if (args.implements) {
+                    // Make an array if only a single item passed
+                    var ImplementsString = args.implements;
+                    if (!(args.implements instanceof Array)) {
+                        ImplementsString = [ImplementsString];
+                    }
+
+                    // Contain an array to contain the actual interface references (versus their names as a string)
+                    var Implements = [];
+
+                    for (interfaceIndex = 0; interfaceIndex < ImplementsString.length; interfaceIndex++) {
+                        Implements.push(cycligent.definitionGet(ImplementsString[interfaceIndex]));
+                    }
+                    newClass.prototype.cycligentInterfaces = Implements;
+                } else {
+                    newClass.prototype.cycligentInterfaces = [];
+                }
+            }
+
+            if (args.implements && cycligent.config.debug.interfaces.check) {
+
+                var currentInterface;
+                var interfaceIndex;
+                var methodIndex;
+                var source = "";
+
+                for (interfaceIndex in Implements) {
+                    if (!Implements.hasOwnProperty(interfaceIndex)) continue;
+                    currentInterface = Implements[interfaceIndex];
+
+                    if (!currentInterface || !currentInterface.cyName || cycligent.interfaces[currentInterface.cyName] === undefined) {
+                        console.error("Class '" +
+                            args.name +
+                            "' tries to implement a non-Interface based object '" +
+                            (currentInterface && currentInterface.cyName ? currentInterface.cyName : "UNKNOWN") +
+                            "'.");
+
+                    }
+
+                    for (methodIndex in currentInterface.prototype) {
+
+                        if (!currentInterface.prototype.hasOwnProperty(methodIndex)) continue;
+
+                        if (methodIndex in newClass.prototype) {
+                            if (newClass.prototype[methodIndex] instanceof Function) {
+
+                                // Validate arguments being passed
+                                source = newClass.prototype[methodIndex].toString();
+
+                                //ROADMAP: This check will be problematic if the same method supports separate interfaces
+                                if (source.search(
+                                    new RegExp(
+                                            "cycligent\\.args\\s*\\(\\s*arguments\\s*\\,\\s*" +
+                                            currentInterface.cyName +
+                                            "\\.prototype\\." +
+                                            methodIndex +
+                                            "\\s*\\)\\s*\\;"
+                                    )
+                                ) < 0) {
+                                    console.error("Class " + (args.name ? args.name : "?") + " tries to implement the interface " + currentInterface.cyName + " but the method '" + methodIndex + "' does not have the required signature (" + currentInterface.cyName + ".prototype." + methodIndex + "). Check to make sure you did not forget the .prototype. as part of the name.");
+                                }
+                            }
+                            else {
+                                console.error("Class " + (args.name ? args.name : "?") + " tries to implement the interface " + currentInterface.cyName + " but does not contain the required method: " + methodIndex + ", although it is present as a non-function.");
+                            }
+                        }
+                        else {
+                            console.error("Class " + (args.name ? args.name : "?") + " tries to implement the interface " + currentInterface.cyName + " but does not contain the required method: " + methodIndex + ".");
+                        }
+                    }
+                }
+
+            }
+        }
+
+        newClass.cyName = args.name;
+        cycligent.definitionSet({"name": args.name, "value": newClass});
+
+        cycligent.classes[args.name] = true;
+        cycligent.ready.check();
+
+        return newClass;
+    };
+
+    /**
+     * Arguments for cycligent.interface.
+     *
+     * @memberof cycligent
+     *
+     * @property {string} name - The fully qualified dotted name fo the class.
+     * @property {string} [extends] - The fully qualified dotted name of the
+     * class to extend.
+     * @property {object} definition - The object, usually from a code literal,
+     * that defines the class.
+     *
+     * @see {@link cycligent.interface}
+     */
+    cycligent.interfaceArgs = {
+        name: { type: String, required: true },				// The fully qualified name of the interface being created.
+        definition: { type: Object },							// The object literal that defines the interace.
+        extends: { type: String, required: false }			// The class from which this interface inherits its methods.
+    };
+
+    //noinspection ReservedWordAsName
+    /**
+     * @summary
+     * Declares a classic interface (for use with classical inheritance classes).
+     *
+     * @description
+     * cycligent.interface defines an interface that other classes can implement.
+     * It allows the methods of the interface, and their signatures,
+     * to be specified. It also allows for the method signature definition to be
+     * reused by {@link cycligent.args}. It is recommended that calls to cycligent.interface
+     * use mapped arguments in the following order: name, extends, definition.
+     * See the example below.<br>
+     * <br>
+     * cycligent.interface definitions should be placed outside of functions. This allows
+     * them to be processed at startup. The processing of interface definitions that
+     * are dependant on other interface definitions (for example, if you extend an interface
+     * to create a new one with more methods) that have not yet been processed
+     * are deferred until they can be processed.  This allows race conditions
+     * during the asynchronous loading of scripts at startup to be avoided, and makes the
+     * order in which scripts are loaded unimportant.<br>
+     * <br>
+     * Depending on configuration settings (see {@link cycligent.config.debug.interfaces})
+     * the implementation of interfaces by the class are validated.
+     *
+     * @method cycligent.interface
+     *
+     * @param {object} map - The object that specifies the interface, typically
+     * from an object literal in code (see example, and {@link cycligent.interfaceArgs}).
+     *
+     * @Example
+     * // The Interface:
+     * cycligent.interface({
+     *     name: "cycligent.TracerInt",
+     *     definition:{
+     *         getElement: {},										// Gets the HTML element that holds the trace information.
+     *         setElement: {element: {type: "HtmlElement:div"}},	// Sets the HTML element that holds the trace information.
+     *         trace: cycligent.tracerMessageArgs							// Issue a trace.
+     * }
+     *
+     * // A class that implements that interface:
+     * cycligent.Class({
+     *     name: "cycligent.Tracer",
+     *     implements: "cycligent.TracerInt",
+     *     definition: {
+     *         getElement: function() {
+     *             cycligent.args(arguments, cycligent.TracerInt.prototype.getElement);
+     *             // ... implementation ...
+     *         },
+     *
+     *         setElement: function() {
+     *             cycligent.args(arguments, cycligent.TracerInt.prototype.setElement);
+     *             // ... implementation ...
+     *         },
+     *
+     *         trace: function() {
+     *             cycligent.args(arguments, cycligent.TracerInt.prototype.trace);
+     *             // ... implementation ...
+     *         }
+     *     }
+     * });
+     */
+    cycligent.interface = function(map) {
+        var args = cycligent.args(arguments, cycligent.interfaceArgs);
+
+        if (cycligent.imports && !cycligent.imports.registered("interface", args.name)) {
+            return;
+        }
+
+        // Check to see if this class is ready to be processed (all of its
+        // dependencies have already been processed).
+
+        if (cycligent.interfaceMissing(args) == "") {
+            cycligent.interfaceProcess(args);
+            cycligent.interfaces[args.name] = true;
+            cycligent.interfaceProcessDeferred();
+        }
+        else {
+            cycligent.interfaces[args.name] = false;
+            cycligent.interfacesToProcess.push(args);
+        }
+    };
+
+    /**
+     * Checks to see if all dependencies of a given interface
+     * are defined. If so, returns true to indicate that the interface can be
+     * processed, otherwise false is returned.
+     *
+     * @protected
+     * @ignore
+     */
+    cycligent.interfaceMissing = function(args) {
+
+        var missing = "";
+
+        // Check to see if all elements of the name are defined.
+        var splits = args.name.split(".");
+        var dependantVar = window;
+        var dependantVarName = "window";
+        var index;
+
+        if (splits.length > 1) {
+            for (index = 0; index < splits.length - 1; index++) {
+                dependantVarName += "." + splits[index];
+                if (!dependantVar[splits[index]]) {
+                    missing = dependantVarName;
+                    break;
+                }
+                dependantVar = dependantVar[splits[index]];
+            }
+        }
+
+        if (!missing && args.extends && !cycligent.interfaces[args.extends]) {
+            missing = args.extends;
+        }
+
+        return missing;
+    };
+
+    /**
+     * Processes any interfaces whose processing has been
+     * deferred but which are now ready to be processed.
+     *
+     * @protected
+     * @ignore
+     */
+    cycligent.interfaceProcessDeferred = function() {
+
+        var interfaceProcessed = false;
+        var processSeen = false;
+        var index;
+        var args;
+
+        do {
+            processSeen = false;
+
+            for (index = 0; index < cycligent.interfacesToProcess.length; index++) {
+
+                args = cycligent.interfacesToProcess[index];
+
+                if (args !== null && cycligent.interfaceMissing(this) == "") {
+
+                    processSeen = true;
+                    interfaceProcessed = true;
+                    cycligent.interfaceProcess(this);
+                    cycligent.interfacesToProcess[index] = null;
+
+                }
+
+            }
+
+            while (cycligent.interfacesToProcess.length > 0
+                && cycligent.interfacesToProcess[cycligent.interfacesToProcess.length - 1] === null) {
+                cycligent.interfacesToProcess.pop();
+            }
+
+            while (cycligent.interfacesToProcess.length > 0 && cycligent.interfacesToProcess[0] === null) {
+                cycligent.interfacesToProcess.shift();
+            }
+
+        } while (processSeen);
+
+        if (interfaceProcessed) {
+            cycligent.classProcessDeferred();
+        }
+
+    };
+
+    /**
+     * Process a interface. See {@link cycligent.interface}
+     *
+     * @protected
+     * @ignore
+     */
+    cycligent.interfaceProcess = function(args) {
+
+        var newInterface;
+
+        if (args.extends) {
+            cycligent.definitionGet(args.extends).extend(args.definition);
+        }
+        else {
+            newInterface = Interface.extend(args.definition);
+        }
+
+        newInterface.cyName = args.name;
+        cycligent.definitionSet(args.name, newInterface);
+        cycligent.ready.check();
+
+    };
+
+    /////////////////////////////
+    //  D E F I N I T I O N S  //
+    /////////////////////////////
+
+    cycligent.definitionsToProcess = [];
+    cycligent.priorityDefinitions = [];
+    cycligent.readyWaiting = [];
+
+    /**
+     * @summary
+     * Allows the creation of identifiers in a way that takes into account dependencies
+     * and optionally allows for a function to be run when the identifier is created or
+     * during a prioritized startup.
+     *
+     * @description
+     * cycligent.define allows files to be loaded in any order
+     * and thus enables asynchronous loading of JavaScript files.  The actual definition
+     * (creation) of the identifier does not happen until all of it dependencies are
+     * defined.<br>
+     * <br>
+     * If a definition function is defined and no priority is defined the definition
+     * function is called immediately upon the creation of the identifier (the
+     * identifier is defined when the function is called). If a definition function and
+     * priority are specified then the call of the definition function is delayed until
+     * all startup process have completed and then the definition function is called, in
+     * the order indicated by priority, just before main() is called.<br>
+     * <br>
+     * All priority 1 functions are called first, then all priority 2 functions, and so on
+     * and so forth. Please note that the order of calls within a priority are random.  So,
+     * for instance, if you set three functions as priority 1 you are assured that these
+     * function will be called before any other definition functions, but you don't know
+     * which of these three functions will be called first, second or third.<br>
+     * <br>
+     * If after all scripts have been loaded the dependencies for a given define have not
+     * been created, then Cycligent creates those dependencies as blank objects.  So, for
+     * instance, if there was a define of 'demo.something.here' and after all
+     * scripts had loaded only 'demo' was defined then Cycligent would define 'something'
+     * as a blank object and then define 'here' as well.<br>
+     *
+     * @method cycligent.define
+     *
+     * @param {string} name - The fully qualified name/namespace to define
+     * @param {*} [definition] - Value/object/definition to be assigned to the name
+     * @param {number} [priority] - The priority order, if any. If zero or undefined
+     * the definition to be executed as soon as all dependencies are available. If a
+     * non-zero priority is defined then the definition is not executed until all
+     * scripts have been loaded and all definitions with a lower priority have been
+     * executed.
+     */
+    cycligent.define = function (name, definition, priority) {
+        var args = cycligent.args(arguments, {
+            name: { type: String },					        // The fully qualified namespace to define
+            definition: { type: "Any", required: false },	// The optional init function used to initialize the definitions of the namespace
+            priority: { type: Number, required: false }     // The optional priority of the definition.  The priority if undefined or zero causes
+        });
+
+        if (cycligent.imports && !cycligent.imports.registered("definition", args.name)) {
+            return;
+        }
+
+        // Script-relative names in the definition function resolve against the declaring script
+        args.script = (cycligent.imports ? cycligent.imports.scriptRelative() : null);
+
+        if (cycligent.definitionMissing(args) == "") {
+            cycligent.definitionProcess(args);
+            cycligent.definitionProcessDeferred();
+        }
+        else {
+            cycligent.definitionsToProcess.push(args);
+        }
+    };
+
+    /**
+     * Executes the priority definitions collected during a load pass. Each
+     * is executed only once, definitions added while executing are executed
+     * in the same call.
+     *
+     * @protected
+     * @ignore
+     */
+    cycligent.define.execute = function () {
+
+        var definitions;
+
+        while (cycligent.priorityDefinitions.length > 0) {
+
+            definitions = cycligent.priorityDefinitions.splice(0, cycligent.priorityDefinitions.length);
+
+            // First sort for priorities
+            definitions.sort
+            (function (a, b) {
+                    return a.priority - b.priority;
+                }
+            );
+
+            for (var definitionIndex = 0; definitionIndex < definitions.length; definitionIndex++) {
+
+                if (definitions[definitionIndex].definition instanceof Function) {
+                    var returnValue = cycligent.definitionRun(definitions[definitionIndex]);
+                    if (returnValue) {
+                        cycligent.definitionSet({
+                            "name": definitions[definitionIndex].name,
+                            "value": returnValue
+                        });
+                    }
+                } else {
+                    cycligent.definitionSet({
+                        "name": definitions[definitionIndex].name,
+                        "value": definitions[definitionIndex].definition
+                    });
+                }
+                cycligent.classProcessDeferred();
+                cycligent.interfaceProcessDeferred();
+            }
+        }
+
+        cycligent.ready.check();
+    };
+
+    /**
+     * @summary
+     * Waits for a class, interface or definition to be defined.
+     *
+     * @description
+     * The returned completion is resolved with the value of the dotted name once
+     * it is defined and nothing declared under the name is still waiting on its
+     * dependencies, or, for definitions with a priority, to be executed. It waits for
+     * as long as it takes, including for the name to be imported by a later load pass.<br>
+     * <br>
+     * Meant for code that is not loaded by {@link cycligent.import}, such as ES modules,
+     * which can await it to depend on Cycligent definitions (see cycligent.mjs).
+     *
+     * @method cycligent.ready
+     *
+     * @param {string} dottedName - The dotted name of the class, interface or definition.
+     *
+     * @returns {cycligent.Completion} - Resolved with the value of the dotted name.
+     *
+     * @example
+     * cycligent.ready("app.orders.Order").then(function(Order){
+     *     var order = new Order();
+     * });
+     *
+     * // In an ES module
+     * const Order = await cycligent.ready("app.orders.Order");
+     */
+    cycligent.ready = function (dottedName) {
+        var args = cycligent.args(arguments, {
+            dottedName: { type: String, required: true }
+        });
+
+        var completion = new cycligent.Completion();
+
+        cycligent.readyWaiting.push({ name: args.dottedName, completion: completion });
+        cycligent.ready.check();
+
+        return completion;
+    };
+
+    /**
+     * Resolves the completions of {@link cycligent.ready} whose names are now
+     * defined. Called once a class, interface or definition has been processed.
+     *
+     * @protected
+     * @ignore
+     */
+    cycligent.ready.check = function () {
+
+        var waiting = cycligent.readyWaiting;
+
+        if (waiting.length === 0) {
+            return;
+        }
+
+        var pending = [cycligent.definitionsToProcess, cycligent.priorityDefinitions,
+            cycligent.classesToProcess, cycligent.interfacesToProcess];
 
         /**
-         * Signals a timing event
-         *
-         * @static
+         * Returns the value of a dotted name, or undefined if it or a namespace
+         * it is in isn't defined.
          *
-         * @param {string} title - Title of timing event.
-         * @param {int} [indent] - The nested level of the event. If not provided
-         * the current indent level is used.  The current indent level is the
-         * indent last provided to an Event constructor or as modified by
-         * [cycligent.timing.indent]{@link cycligent.module:timing.indent}
-         * or [cycligent.timing.unindent]{@link cycligent.module:timing.unindent}.
-         * @param {int} [duration] - Milliseconds event lasted. Only used when
-         * the event occurred out-of-band (such as on a server) and the event
-         * is being logged to account for those times (such as the time it took
-         * for a query to run on the server).
+         * @private
          */
-        event: function(title, indent, duration){
-            new TimingEvent(title, indent, duration);
-            notify();
-        },
+        function valueGet(name) {
+            var split = name.split(".");
+            var value = window;
+
+            for (var index = 0; index < split.length && value; index++) {
+                value = value[split[index]];
+            }
+
+            return value;
+        }
 
         /**
-         * @summary
-         * Creates a primary event and its first indented event.
-         *
-         * @description
-         * The first indented event, being created at the same time as the
-         * primary event, ensures that the indented event durations will
-         * total the primary event duration. Durations might not otherwise
-         * total the primary event duration because of time passing between
-         * the creation of the primary event and its first child event.
-         * This is normal but some people like to see the totals add up.
-         * While this could be accomplished by simply calling
-         * [cycligent.timing.event]{@link cycligent.module:timing.event}
-         * in succession, this event provides the same functionality in
-         * a single call.<br>
-         * <br>
-         * In addition to just making the childrens' durations total the
-         * primary duration, this function can increase the idle indent.
-         * Idle indent allows the determination of an idle state easier
-         * when there are multiple overlapping asynchronous events. See
-         * {@link cycligent.timing} for more information.
-         *
-         * @static
+         * Returns true if something declared under the name is still to be processed.
          *
-         * @param {boolean} increaseIdleIndent
-         * @param {string} title
-         * @param {int} [indent] - The nested level of the primary (first)
-         * event. If not provided the current indent level is used.  The
-         * current indent level is the indent last provided to an Event
-         * constructor or as modified by [cycligent.timing.indent]{@link cycligent.module:timing.indent}
-         * or [cycligent.timing.unindent]{@link cycligent.module:timing.unindent}.
-         * @param {string} [title2] - The title of the first indented
-         * event to the primary event, which is created automatically.
-         * Title2 defaults to "Network/Other" and serves as a catch all
-         * for any time not required by other segments occurring under
-         * the primary event.
+         * @private
          */
-        eventIndent: function(increaseIdleIndent, title, indent, title2){
+        function processing(name) {
+            for (var list = 0; list < pending.length; list++) {
+                for (var index = 0; pending[list] && index < pending[list].length; index++) {
+                    if (pending[list][index] && pending[list][index].name == name) {
+                        return true;
+                    }
+                }
+            }
 
-            new TimingEvent(title, indent);
-            new TimingEvent(title2 ? title2 : "Network/Other", indent + 1);
+            return false;
+        }
 
-            if(increaseIdleIndent) {
-                idleIndent++;
+        for (var index = 0; index < waiting.length; index++) {
+            var value = valueGet(waiting[index].name);
+
+            if (value !== undefined && !processing(waiting[index].name)) {
+                waiting.splice(index, 1)[0].completion.resolve(value);
+                index--;
             }
-            notify();
-        },
+        }
+    };
 
-        /**
-         * @summary
-         * Begins tracking of an asynchronous process and increases the
-         * idle indent.
-         *
-         * @description
-         * Cycligent extends the indent/unindent approach (see
-         * [cycligent.timing.indent]{@link cycligent.module:timing.indent}
-         * and [cycligent.timing.unindent]{@link cycligent.module:timing.unindent})
-         * to handle idle events that are hard to signal because of multiple
-         * overlapping asynchronous processes needing to complete. The start of such
-         * events can be signaled via
-         * [cycligent.timing.asyncBegin]{@link cycligent.module:timing.asyncBegin} or
-         * [cycligent.timing.idleIndent]{@link cycligent.module:timing.idleIndent}.
-         * The async process can then be completed either
-         * [cycligent.timing.idle]{@link cycligent.module:timing.idle} or
-         * [cycligent.timing.asyncEnd]{@link cycligent.module:timing.asyncEnd}.
-         * When the last asynchronous operation completes the application is marked
-         * as idle on the timeline.
-         *
-         * @static
-         *
-         * @param {string} title - Title of timing event.
-         * @param {int} [indent] - The nested level of the event. If not provided
-         * the current indent level is used.  The current indent level is the
-         * indent last provided to an Event constructor or as modified by
-         * [cycligent.timing.indent]{@link cycligent.module:timing.indent}
-         * or [cycligent.timing.unindent]{@link cycligent.module:timing.unindent}.
-         */
-        asyncBegin: function(title, indent){
-            new TimingEvent(title, indent);
-            idleIndent++;
-            notify();
-        },
+    /**
+     * Checks to see if all dependencies of a given class
+     * are defined. If so, returns true to indicate that the class can be
+     * processed, otherwise false is returned.
+     *
+     * @protected
+     * @ignore
+     */
+    cycligent.definitionMissing = function (args) {
 
-        /**
-         * @summary
-         * End tracking of an asynchronous event and decreases the idle indent.
-         * Identical to [cycligent.timing.idle]{@link cycligent.module:timing.idle}.
-         *
-         * @description
-         * Cycligent extends the indent/unindent approach (see
-         * [cycligent.timing.indent]{@link cycligent.module:timing.indent}
-         * and [cycligent.timing.unindent]{@link cycligent.module:timing.unindent})
-         * to handle idle events that are hard to signal because of multiple
-         * overlapping asynchronous processes needing to complete. The start of such
-         * events can be signaled via
-         * [cycligent.timing.asyncBegin]{@link cycligent.module:timing.asyncBegin} or
-         * [cycligent.timing.idleIndent]{@link cycligent.module:timing.idleIndent}.
-         * The async process can then be completed either
-         * [cycligent.timing.idle]{@link cycligent.module:timing.idle} or
-         * [cycligent.timing.asyncEnd]{@link cycligent.module:timing.asyncEnd}.
-         * When the last asynchronous operation completes the application is marked as
-         * idle on the timeline.
-         *
-         * @static
-         */
-        asyncEnd: function(){
-            this.idle();
-        },
+        var missing = "";
 
-        /**
-         * @static
-         *
-         * @summary
-         * Increases the idle indent
-         *
-         * @description
-         * Cycligent extends the indent/unindent approach (see
-         * [cycligent.timing.indent]{@link cycligent.module:timing.indent}
-         * and [cycligent.timing.unindent]{@link cycligent.module:timing.unindent})
-         * to handle idle events that are hard to signal because of multiple
-         * overlapping asynchronous processes needing to complete. The start of such
-         * events can be signaled via
-         * [cycligent.timing.asyncBegin]{@link cycligent.module:timing.asyncBegin} or
-         * [cycligent.timing.idleIndent]{@link cycligent.module:timing.idleIndent}.
-         * The async process can then be completed either
-         * [cycligent.timing.idle]{@link cycligent.module:timing.idle} or
-         * [cycligent.timing.asyncEnd]{@link cycligent.module:timing.asyncEnd}.
-         * When the last asynchronous operation completes the application is marked
-         * as idle on the timeline.
-         *
-         * @static
-         */
-        idleIndent: function(){
-            idleIndent++;
-        },
+        // Check to see if all elements of the name are defined.
+        var splits = args.name.split(".");
+        var dependantVar = window;
+        var dependantVarName = "window";
+        var index;
 
-        /**
-         * @summary
-         * Indicates that the application is in an idle state, or is potentially
-         * in an idle state in the case of multiple overlapping asynchronous
-         * events.
-         *
-         * @description
-         * Cycligent extends the indent/unindent approach (see
-         * [cycligent.timing.indent]{@link cycligent.module:timing.indent}
-         * and [cycligent.timing.unindent]{@link cycligent.module:timing.unindent})
-         * to handle idle events that are hard to signal because of multiple
-         * overlapping asynchronous processes needing to complete. The start of such
-         * events can be signaled via
-         * [cycligent.timing.asyncBegin]{@link cycligent.module:timing.asyncBegin} or
-         * [cycligent.timing.idleIndent]{@link cycligent.module:timing.idleIndent}.
-         * The async process can then be completed either
-         * [cycligent.timing.idle]{@link cycligent.module:timing.idle} or
-         * [cycligent.timing.asyncEnd]{@link cycligent.module:timing.asyncEnd}.
-         * When the last asynchronous operation completes the application is marked
-         * as idle on the timeline.
-         *
-         * @static
-         */
-        idle: function(){
+        if (splits.length > 1) {
+            for (index = 0; index < splits.length - 1; index++) {
+                dependantVarName += "." + splits[index];
+                if (!dependantVar[splits[index]]) {
+                    missing = dependantVarName;
+                    break;
+                }
+                dependantVar = dependantVar[splits[index]];
+            }
+        }
 
-            // Check to see if one or more other async processes are pending
+        return missing;
+    };
+
+    /**
+     * Processes any classes whose processing has been
+     * deferred but which are now ready to be processed.
+     *
+     * @protected
+     * @ignore
+     */
+    cycligent.definitionProcessDeferred = function () {
+
+        var ProcessSeen = false;
+        var index;
+        var args;
+
+        do {
+            ProcessSeen = false;
 
-            if(idleIndent > 1){
+            for (index = 0; index < cycligent.definitionsToProcess.length; index++) {
 
-                // They are so we are not really idle, so do nothing now
-                idleIndent--;
+                args = cycligent.definitionsToProcess[index];
 
-            } else {
+                if (args !== null && cycligent.definitionMissing(args) == "") {
+                    ProcessSeen = true;
+                    cycligent.definitionProcess(args);
+                    cycligent.definitionsToProcess.splice(index, 1);
+                    index--;
+                }
+            }
 
-                idleIndent = 0;
-                // Force times to be computed
-                var event = new TimingEvent("Idle", 0);
+        } while (ProcessSeen);
+    };
 
-                event.idle = true;
-                event.running = 0;
+    /**
+     * First step in define process. See {@link cycligent.define}
+     *
+     * @protected
+     * @ignore
+     */
+    cycligent.definitionProcess = function (args) {
 
-                idle = true;
-                runningBase = undefined;
-                notify();
-            }
-        },
+        // Create the namespace
+        if (!cycligent.definitionGet(args.name)) {
+            cycligent.definitionSet({
+                "name": args.name,
+                "value": {}
+            });
+        }
 
-        /**
-         * Increase the current indent level by one, up to a maximum of 25.
-         *
-         * @static
-         */
-        indent: function(){
-            if(indentCurrent < 25) {
-                indentCurrent++;
-            }
-        },
+        cycligent.definitionProcess2(args);
+        cycligent.ready.check();
+    };
 
-        /**
-         * Decrease the current indent level by one, to a minimum of 0.
-         *
-         * @static
-         */
-        unindent: function(){
-            if(indentCurrent > 0) {
-                indentCurrent--;
-            }
-        },
+    /**
+     * Second step in define process. See {@link cycligent.define}
+     *
+     * @protected
+     * @ignore
+     */
+    cycligent.definitionProcess2 = function (args) {
 
-        /**
-         * Register a notification function
-         *
-         * @param func {function} The function to be called whenever a timing
-         * event is logged or timings are cleared. The notify function
-         * should accept one argument
-         * ([cycligent.timing.TimingEvent]{@link cycligent.module:timing.TimingEvent})
-         * which will be contain the new timing segment. If the segment is not
-         * passed to the function (undefined) then the timings were cleared.
-         *
-         * @static
-         */
-        notify: function (func) {
-            // Make sure we don't add a function more than once.
-            for(var index = 0; index < notifyFunctions.length; index++){
-                if(func === notifyFunctions[index]){
-                    return;
+        if (args.definition) {
+            if (args.priority) {
+                cycligent.priorityDefinitions.push(args);
+            } else {
+                if (args.definition instanceof Function) {
+                    var returnValue = cycligent.definitionRun(args);
+                    if (returnValue) {
+                        cycligent.definitionSet({
+                            "name": args.name,
+                            "value": returnValue
+                        });
+                    }
+                } else {
+                    cycligent.definitionSet({
+                        "name": args.name,
+                        "value": args.definition
+                    });
                 }
             }
-            notifyFunctions.push(func)
-        },
+        }
+    };
 
-        /**
-         * Unregister a notification function
-         *
-         * @param func {function} The notify function to unregister.
-         *
-         * @static
-         */
-        notifyClear: function (func) {
-            for(var index = 0; index < notifyFunctions.length; index++){
-                if(func === notifyFunctions[index]){
-                    notifyFunctions.splice(index,1);
-                    index--;
-                }
-            }
+    /**
+     * Calls the definition function of a define, as code of the script that
+     * declared it. See {@link cycligent.define}
+     *
+     * @protected
+     * @ignore
+     *
+     * @returns {*} - What the definition function returns.
+     */
+    cycligent.definitionRun = function (args) {
+        if (!cycligent.imports) {
+            return args.definition();
         }
-    }
-}();
 
+        return cycligent.imports.declaredBy(args.script, args.definition);
+    };
 
-/**
- * Validates that the loader configuration loaded is valid.  If it finds any
- * required items to be undefined, sets them to their default values.
- *
- * @protected
- * @ignore
- *
- * @returns {boolean} - True if the loader configuration was valid, or made
- * to be valid.
- */
-cycligent.loaderValid = function () {
+    //noinspection ReservedWordAsName
+    /**
+     * @summary
+     * cycligent.private is used during debugging to ensure that private methods are only
+     * called by methods of the object in which it is defined.
+     *
+     * @description
+     * To use cycligent.private simply place "cycligent.private(this);" at the top of the
+     * function. The cycligent framework will then throw an error if the call
+     * to the function was made from outside the object.
+     *
+     * @method cycligent.private
+     *
+     * @param {object} alwaysThis - the only parameter to cycligent.private is always the "this" keyword.
+     *
+     * @Example
+     * cycligent.class({
+     *     name: "Person",
+     *     definition:{
+     *         init: function(){
+     *             var a = cycligent.args(arguments, PersonArgs );
+     *             	
+     *             var name = a.name;
+     *             
+     *             this.getProtectedName = function Person_init_getProtectedName(){
+     *                 cycligent.private(this);
+     *                 return name;
+     *             };
+     *         },
+     *
+     *         nameGet: function(){
+     *             return this.getProtectedName();
+     *         }
+     *     }
+     * });
+     */
+    cycligent.private = function(alwaysThis) {
 
-    if (cycligent.config.loader === undefined) {
-        console.error("Loader section, cycligent.config.loader, is missing from the configuration file.");
-        return false;
-    }
+        if (!cycligent.config.debug.private.check) {
+            return;
+        }
 
-    if (cycligent.config.loader.roots === undefined) {
-        console.error("Root definitions are required but the roots sections, cycligent.config.loader.roots, is missing from the configuration file.");
-        return false;
-    }
+        var me = alwaysThis;
 
-    if (cycligent.config.loader.timeout === undefined) {
-        cycligent.config.loader.timeout = (location.hostname == "localhost" || location.hostname == '' ? 7000 : 70000);
-    }
+        if (!me) {
+            me = this;
+        }
 
-    return true;
-};
+        var caller = arguments.callee.caller.caller;
+        var found = false;
+        var index;
 
-/**
- * Validates that the debug configuration loaded is valid.  If it finds any
- * required items to be undefined, sets them to their default values.
- *
- * @protected
- * @ignore
- *
- * @returns {boolean} - True if the debug configuration was valid, or made to
- * be valid.
- */
-cycligent.debugValid = function () {
+        for (index in me) {
+            if (!me.hasOwnProperty(index)) continue;
+            if (caller == me[index]) {
+                found = true;
+                break;
+            }
+        }
 
-    //noinspection JSValidateTypes
-    if (cycligent.config.debug === undefined) {
-        //noinspection JSValidateTypes
-        cycligent.config.debug = {};
-    }
+        if (!found) {
+            console.error("Private method accessed by a method outside of the defining class.");
+            if(console.trace) {
+                console.trace();
+            }
+        }
 
-    if (cycligent.config.debug.private === undefined) {
-        //noinspection JSPrimitiveTypeWrapperUsage
-        cycligent.config.debug.private = {};
-    }
+    };
 
-    if (!cycligent.config.debug.on) {
-        cycligent.config.debug.private.check = false;
-    }
 
-    if (cycligent.config.debug.args === undefined) {
-        //noinspection JSPrimitiveTypeWrapperUsage
-        cycligent.config.debug.args = {};
-    }
+    //TODO: 5. Have Cycligent Builder remove cycligent.doc blocks
+    cycligent.doc = function(){
+        /**
+         * @summary
+         * A minimal thenable representing the eventual outcome of an asynchronous
+         * operation, such as an import.
+         *
+         * @description
+         * Completions do not depend on a native Promise implementation, so they work
+         * in every browser Cycligent supports. They follow the then() contract closely
+         * enough to be passed to Promise.resolve() or used with await where those are
+         * available. For older code a node style callback can be registered with
+         * {@link cycligent.Completion#done}.
+         *
+         * @class cycligent.Completion
+         *
+         * @property {string} state - "pending", "resolved" or "rejected".
+         * @property {*} value - The resolved value, or the rejection reason, once settled.
+         *
+         * @example
+         * cycligent.import("app.reports.chart").then(function(script){
+         *     new app.reports.Chart();
+         * }, function(error){
+         *     console.error(error.message);
+         * });
+         */
+        cycligent.Completion = function () {};
+    };
+    cycligent.class({
+        name: "cycligent.Completion",
+        definition: {
+
+            init: function () {
+                cycligent.args(arguments, {});
+
+                this.handlers = [];
+            },
+
+            state: "pending",
+            value: undefined,
 
-    if (!cycligent.config.debug.on) {
-        cycligent.config.debug.args.check = false;
-    }
+            /**
+             * Registers functions to be called when the completion settles.
+             *
+             * @param {function} [onResolved] - Called with the resolved value.
+             * @param {function} [onRejected] - Called with the rejection reason.
+             *
+             * @returns {cycligent.Completion} - A new completion settled with the
+             * result of whichever function is called.
+             */
+            then: function (onResolved, onRejected) {
+                var next = new cycligent.Completion();
 
-    if (cycligent.config.debug.args.arrays === undefined) {
-        cycligent.config.debug.args.arrays = {};
-    }
+                this.handlers.push({ resolved: onResolved, rejected: onRejected, next: next });
 
-    if (!cycligent.config.debug.args.check) {
-        cycligent.config.debug.args.arrays.check = false;
-    }
+                if (this.state != "pending") {
+                    this.flush();
+                }
 
-    if (cycligent.config.debug.interfaces === undefined) {
-        //noinspection JSPrimitiveTypeWrapperUsage
-        cycligent.config.debug.interfaces = {};
-    }
+                return next;
+            },
 
-    if (!cycligent.config.debug.on) {
-        cycligent.config.debug.interfaces.check = false;
-    }
+            /**
+             * Registers a node style callback, callback(error, value), to be called
+             * when the completion settles.
+             *
+             * @param {function} callback - The function to call.
+             *
+             * @returns {cycligent.Completion} - This completion.
+             */
+            done: function (callback) {
+                this.then(
+                    function (value) { callback(undefined, value); },
+                    function (reason) { callback(reason); }
+                );
 
-    if (!cycligent.config.debug.on) {
-        //noinspection JSPrimitiveTypeWrapperUsage
-        cycligent.config.debug.scripts = false;
-    }
+                return this;
+            },
 
-    return true;
-};
+            /**
+             * Resolves the completion. Has no effect if already settled.
+             *
+             * @param {*} [value] - The value to resolve with. If it is itself a
+             * thenable, this completion follows it instead.
+             */
+            resolve: function (value) {
+                var me = this;
 
-/*************************
- *   B O O T S T R A P   *
- *************************/
+                if (me.state != "pending") {
+                    return;
+                }
 
-/**
- * Bootstraps Cycligent after dependencies have been loaded.
- *
- * @module cycligent.boot
- *
- * @private
- */
-cycligent.boot = function() {
+                if (value && typeof value.then == "function" && value !== me) {
+                    value.then(function (v) { me.resolve(v); }, function (r) { me.reject(r); });
+                    return;
+                }
 
-    cycligent.timing.event("Boot Cycligent", 0);
+                me.state = "resolved";
+                me.value = value;
+                me.flush();
+            },
 
-    /**
-     * Provides functions that supply debugging information. Typically used
-     * internally by the Cycligent. This support object allows argument types
-     * to functions to be output, as well as function names.
-     *
-     * @module cycligent.debug {object}
-     * @protected
-     * @ignore
-     */
-    cycligent.debug = {
+            /**
+             * Rejects the completion. Has no effect if already settled.
+             *
+             * @param {*} reason - The reason, typically an Error.
+             */
+            reject: function (reason) {
+                if (this.state != "pending") {
+                    return;
+                }
 
-        /**
-         * Given an argument passed to a function this function returns a
-         * string representing the argument's type.
-         *
-         * @param {({tagName: (string|undefined)}|*)} argType
-         *
-         * @return {string} The type, as a string, of the argument passed.
-         */
-        argTypeText: function (argType) {
+                this.state = "rejected";
+                this.value = reason;
+                this.flush();
+            },
 
-            var text;
+            /**
+             * Calls the registered handlers asynchronously, in the order in which
+             * they were registered.
+             * @inner
+             * @private
+             */
+            flush: function () {
+                var me = this;
+                var handlers = me.handlers.splice(0, me.handlers.length);
 
-            if(argType === null){
-                return "null";
-            }
+                setTimeout(function () {
+                    var handler;
+                    var fn;
 
-            if (argType.tagName !== undefined) {
-                text = "HtmlElement:" + argType.tagName +
-                    " or XmlNode:" + argType.tagName;
-            }
-            else if (argType.nodeName && argType.nodeName == "#document") {
-                text = "Document";
-            }
-            else {
-                if (argType.cycligentClass) {
-                    text = argType.cycligentClass;
-                } else if (argType.prototype instanceof Interface) {
-                    text = argType.name;
-                }
-                else {
-                    if (argType.constructor === Function) {
-                        text = cycligent.debug.functionName(argType);
-                    }
-                    else {
-                        text = cycligent.debug.functionName(argType.constructor);
+                    for (var index = 0; index < handlers.length; index++) {
+                        handler = handlers[index];
+                        fn = (me.state == "resolved" ? handler.resolved : handler.rejected);
 
-                        if (text == "(?)") {
-                            text = "Unknown";
+                        if (typeof fn != "function") {
+                            if (me.state == "resolved") {
+                                handler.next.resolve(me.value);
+                            } else {
+                                handler.next.reject(me.value);
+                            }
+                            continue;
+                        }
+
+                        try {
+                            handler.next.resolve(fn(me.value));
+                        }
+                        catch (ex) {
+                            handler.next.reject(ex);
                         }
                     }
-                }
+                }, 0);
             }
 
-            return text;
-        },
+        }
+    });
 
+    cycligent.doc = function(){
         /**
-         * Given an item of an cycligent argument specification, returns the
-         * type, in the form of a string, that the specification requires
-         * for that item (argument). For more information on cycligent
-         * arguments specifications please see {@link cycligent.args}.
+         * @summary
+         * Represents a JavaScript script that loads asynchronously.
          *
-         * @return {string} The type, in a string, required by the specification
-         * for a string.
+         * @description
+         * A load attempt fails if the script reports an error (for example a 404 or
+         * a network error) or if it does not load within
+         * {@link cycligent.config.loader.timeout} milliseconds, or the timeout of its root (see
+         * {@link cycligent.url}). A failed attempt is
+         * retried {@link cycligent.config.loader.retries} times, waiting
+         * {@link cycligent.config.loader.retryDelay} milliseconds before the first
+         * retry and twice as long before each retry after that. If the script still
+         * has not loaded, it is tried from each of its root's fallbacks in turn (see
+         * {@link cycligent.urls}), with the same number of retries. Once every attempt
+         * has failed the script is failed, so startup does not wait on it forever.
+         *
+         * @class cycligent.Script
+         *
+         * @property {string} scriptId - Dotted name or URL of script to load. See {@link cycligent.url}.
+         * @property {function|undefined} callback - The function to callback when the script loads successfully.
+         * @property {function|undefined} failedCallback - The function to callback when every attempt to load
+         * the script has failed.
+         * @property {string[]} urls - The locations (URLs) the script can be loaded from, primary location
+         * first (see {@link cycligent.urls}).
+         * @property {string} url - The location (URL) of the current, or last, attempt to load the script.
+         * @property {object[]} attempts - A record of each attempt to load the script, with the properties
+         * url, start and end (timestamps in milliseconds) and result ("pending", "loaded", "http", "timeout",
+         * "script", "parse" or "integrity").
+         * @property {string|null} integrity - The integrity hash the script is checked against, if any (see
+         * {@link cycligent.elementSecure}).
+         * @property {object|null} failure - Once failed, the script's entry in {@link cycligent.imports.failures}.
+         * @property {int} loadTimeout - The milliseconds to wait for each attempt to load.
+         * @property {int} timer - The ID for the timeout that checks if the current attempt timed out, or that
+         * delays the next attempt.
+         * @property {boolean} loaded - True when the script has successfully loaded
+         * @property {boolean} failed - True when the script failed to load.
+         * @property {boolean} debugging - True when script loading is being debugged, which causes extra messages
+         * to be logged.
+         * @property {cycligent.Completion} completion - Resolved with this script once it, and every script it
+         * imports in turn, has loaded and been processed. Rejected if any of them fail.
+         * @property {cycligent.Script[]} children - The scripts imported by this script while it was executing.
+         * @property {object} registered - The names of the classes, interfaces and definitions declared
+         * while the script was executing, with the properties classes, interfaces and definitions.
+         * @property {boolean} bundled - True when the script is loaded from a bundle rather than from its own
+         * URL (see {@link cycligent.imports.bundleDeclare}). It has no load attempts.
+         * @property {string} extension - The file type (extension) loaded, "js" for scripts. See
+         * {@link cycligent.loaders}.
+         * @property {string} key - The key of the script in cycligent.imports.scripts, the scriptId for
+         * scripts and the scriptId followed by the extension for other resources.
+         * @property {boolean} executes - True when loading executes the file, as it does for scripts, so
+         * the imports it makes while loading are its own.
+         * @property {string} scriptType - The type of the script element, "text/javascript".
+         *
+         * @param {string} scriptId - Dotted name or URL of script to load. See {@link cycligent.url}.
+         * @param {function} [callback=cycligent.imports.scriptLoaded] - The function to callback when the script loads
+         * successfully. It is passed the script.
+         * @param {function} [failedCallback=cycligent.imports.scriptFailed] - The function to callback when the
+         * script fails to load. It is passed the script.
+         * @param {string} [extension='js'] - The file type (extension) to load.
          */
-        specTypeText: function (specType) {
-
-            var text;
-
-            if (typeof specType == "string") {
-                text = specType;
-            }
-            else {
-                if (specType.prototype && specType.prototype.cycligentClass) {
-                    text = specType.prototype.cycligentClass;
-                }
-                else {
-                    text = this.argTypeText(specType);
-                }
-            }
+        cycligent.Script = function (scriptId, callback, failedCallback, extension) {};
+    };
+    cycligent.class({
+        name: "cycligent.Script",
+        definition: {
 
-            return text;
-        },
+            init: function () {
+                var a = cycligent.args(arguments, {
+                    scriptId: { type: String, required: true },
+                    callback: { type: Function, required: false, defaultValue: cycligent.imports.scriptLoaded },
+                    failedCallback: { type: Function, required: false, defaultValue: cycligent.imports.scriptFailed },
+                    extension: { type: String, required: false, defaultValue: "js" }
+                });
 
-        /**
-         * Given a function, returns its name as a string.
-         *
-         * @return {string} The name of the function.
-         */
-        functionName: function (fn) {
+                this.scriptId = a.scriptId;
+                this.callback = a.callback;
+                this.failedCallback = a.failedCallback;
+                this.extension = a.extension;
+                this.key = cycligent.imports.scriptKey(this.scriptId, this.extension);
+                this.completion = new cycligent.Completion();
+                this.children = [];
+                this.registered = { classes: [], interfaces: [], definitions: [] };
+                this.attempts = [];
+
+                this.urls = cycligent.urls(this.scriptId, this.extension);
+                this.loadTimeout = cycligent.url.rootOptions(this.scriptId).timeout || cycligent.config.loader.timeout;
+                this.url = this.urls[0];
+
+                // Recorded before it starts loading, so imports made while starting, such as a shim's deps,
+                // find it, and a failure while starting is the load pass's
+                cycligent.imports.scripts[this.key] = this;
+                cycligent.appLoad.passScriptAdd(this);
+                this.start();
+            },
 
-            var text;
+            /**
+             * Starts loading the script. Called by the constructor, once the script
+             * has been added to cycligent.imports.scripts.
+             * @inner
+             * @private
+             */
+            start: function () {
 
-            var match = fn.toString().match(/function\s*(\w+)\(/);
+                // Bundles only hold scripts, so a resource of the same name is still fetched
+                if (this.extension == "js" && cycligent.imports.bundled.hasOwnProperty(this.scriptId)) {
+                    // Loaded once its bundle reaches it, see cycligent.imports.bundleScript.
+                    this.bundled = true;
 
-            if (match === null) {
-                //noinspection JSUnresolvedVariable
-                if (fn === jQuery) {
-                    text = "jQuery"
+                    if (this.debugging) {
+                        console.info("Importing script: " + this.scriptId + " (bundled)");
+                    }
                 } else {
-                    text = "(?)"; //"ANONYMOUS";
-                }
-            }
-            else {
-                text = match[1];
-            }
+                    if (this.debugging) {
+                        console.info("Importing script: " + this.scriptId + " (" + this.url + ")");
+                    }
 
-            return text;
-        }
+                    if (cycligent.node) {
+                        this.attemptNode();
+                    } else {
+                        this.attemptStart();
+                    }
+                }
+            },
 
-    };
+            scriptId: null,
+            urls: null,
+            url: null,
+            element: null,
+            timer: null,
+            loaded: false,
+            failed: false,
+            failure: null,
+            scriptError: null,
+            integrity: null,
+            loadTimeout: null,
+            bundled: false,
+            extension: "js",
+            key: null,
+            executes: true,
+            scriptType: "text/javascript",
+            debugging: cycligent.config.debug.scripts,
 
-    /**
-     * Base class for providing classical inheritance<br>
-     * Inspired by John Resig (http://ejohn.org/blog/simple-javascript-inheritance/)
-     * which in turn was inspired by base2 and Prototype.
-     *
-     * @method _classicalClass
-     * @memberof cycligent.boot
-     * @private
-     */
-    (function _classicalClass() {
-        var initializing = false;
+            /**
+             * Records the next attempt to load the script, from the next URL once
+             * the retries of the current one are used up.
+             * @inner
+             * @private
+             *
+             * @returns {object} - The attempt.
+             */
+            attemptCreate: function () {
 
-        /**
-         * Internal base class implementation providing classical inheritance.
-         *
-         * @memberof cycligent.boot
-         */
-        window.Class = function () { };
+                var me = this;
+                var attempt = {
+                    url: me.urls[Math.floor(me.attempts.length / (cycligent.config.loader.retries + 1))],
+                    start: (new Date()).getTime(),
+                    end: null,
+                    result: "pending"
+                };
 
-        /**
-         * Extends a class. Creates a new class that inherits from this class
-         *
-         * @memberof cycligent.boot
-         * @private
-         *
-         * @param {string} cycligentClass - Name of cycligent class
-         * @param {object} prop - The class declaration in the form of an object.
-         *
-         * @return {Class} Returns the new class.
-         */
-        Class.extend = function(cycligentClass, prop) {
-            // Instantiate a base class (but only create the instance,
-            // don't run the init constructor)
-            initializing = true;
-            var prototype = new this();
-            prototype.cycligentClass = cycligentClass;
-            initializing = false;
+                me.attempts.push(attempt);
+                me.url = attempt.url;
 
-            // Copy the properties over onto the new prototype
-            // The follow loop was modified from the inspiration to correctly
-            // support stack traces.
-            var holder;
-            for (var name in prop) {
-                if (!prop.hasOwnProperty(name)) continue;
+                return attempt;
+            },
 
-                holder = prototype[name];
-                prototype[name] = prop[name];
+            /**
+             * Starts the next attempt to load the script.
+             * @inner
+             * @private
+             */
+            attemptStart: function () {
 
-                if (typeof prototype[name] == "function" && holder) {
-                    prototype[name].super = holder;
+                var me = this;
+
+                if (cycligent.context && me.scriptType == "text/javascript") {
+                    me.attemptContext();
+                    return;
                 }
 
-            }
+                var attempt = me.attemptCreate();
 
-            // The dummy class constructor
-            function Class() {
-                // All construction is actually done in the init method
-                if (!initializing && this.init) {
-                    this.init.apply(this, arguments);
-                }
-            }
+                var script = document.createElement("script");
+                script.id = me.scriptId;
+                script.type = me.scriptType;
+                script.src = me.url;
+                script.cycligentScript = me;
+                script.cycligentAttempt = attempt;
+                me.integrity = cycligent.elementSecure(script, me.scriptId, me.url);
 
-            // Populate our constructed prototype object
-            Class.prototype = prototype;
+                script.addEventListener("load", function() { me.scriptLoaded(attempt); }, false);
+                script.addEventListener("error", function() { me.attemptError(attempt); }, false);
 
-            // Enforce the constructor to be what we expect
-            Class.constructor = Class;
+                me.timer = setTimeout(function() { me.timeout(attempt); }, me.loadTimeout);
 
-            // And make this class extendable
-            Class.extend = arguments.callee;
+                me.element = script;
+                document.getElementsByTagName("head")[0].appendChild(script);
+            },
 
-            return Class;
-        };
-    })();
+            /**
+             * Starts the next attempt to load the script in Node.js (see
+             * {@link cycligent.node}), reading the file rather than adding an element.
+             * @inner
+             * @private
+             */
+            attemptNode: function () {
 
+                var me = this;
+                var attempt = me.attemptCreate();
 
-    /**
-     * Base interface for providing classical interfaces.
-     *
-     * @method _classicalInterface
-     * @memberof cycligent.boot
-     * @private
-     */
-    (function _classicalInterface() {
+                cycligent.node.fileRead(attempt.url, function (error, text) {
+                    if (me.loaded || me.failed || attempt.result != "pending") {
+                        return;
+                    }
 
-        /**
-         * Internal base interface implementation providing classical inheritance.
-         *
-         * @memberof cycligent.boot
-         */
-        window.Interface = function () { };
+                    if (error) {
+                        me.attemptFailed(attempt, "http");
+                    } else {
+                        me.nodeLoaded(attempt, text);
+                    }
+                });
+            },
 
-        /**
-         * Extends an Interface.
-         *
-         * @memberof cycligent.boot
-         * @private
-         *
-         * @param {object} prop - The interface declaration in the form of an
-         * object literal.
-         *
-         * @return {Interface} Returns the new interface.
-         */
-        Interface.extend = function(prop) {
+            /**
+             * Starts the next attempt to load the script in a context (see
+             * {@link cycligent.context}), fetching the script to run it there
+             * rather than adding an element.
+             * @inner
+             * @private
+             */
+            attemptContext: function () {
 
-            var prototype = new this();
-            // Copy the properties over onto the new prototype
-            for (var name in prop) {
-                if (prop.hasOwnProperty(name)) {
-                    prototype[name] = prop[name];
-                }
-            }
+                var me = this;
+                var attempt = me.attemptCreate();
+                var request = new XMLHttpRequest();
 
-            // The dummy interface constructor
-            function Interface() { }
+                request.onreadystatechange = function () {
+                    if (request.readyState != 4 || me.loaded || me.failed || attempt.result != "pending") {
+                        return;
+                    }
 
-            // Populate our constructed prototype object
-            Interface.prototype = prototype;
+                    // Pages opened from the file system report a status of 0
+                    if ((request.status >= 200 && request.status < 300) || (request.status === 0 && request.responseText)) {
+                        me.integrityVerify(attempt, request.responseText, function () {
+                            me.nodeLoaded(attempt, request.responseText);
+                        });
+                    } else {
+                        me.attemptFailed(attempt, "http");
+                    }
+                };
 
-            // Enforce the constructor to be what we expect
-            Interface.constructor = Interface;
+                me.timer = setTimeout(function() { me.timeout(attempt); }, me.loadTimeout);
 
-            // And make this class extend-able
-            Interface.extend = arguments.callee;
+                request.open("GET", attempt.url, true);
+                request.send();
+            },
 
-            return Interface;
-        };
-    })();
+            /**
+             * Called in Node.js, or in a context, when the file has been read. Runs the
+             * script as the executing script, so the imports and declarations it makes
+             * are its own.
+             * @inner
+             * @private
+             *
+             * @param {object} attempt - The attempt that read it.
+             * @param {string} text - The source of the script.
+             */
+            nodeLoaded: function (attempt, text) {
 
+                var me = this;
+                var imports = cycligent.imports;
+                var previous = imports.executing;
 
-    /**
-     * Enhances and optionally validates the arguments passed to a function.<br>
-     * <br>
-     * cycligent.args always takes the form cycligent.args(arguments, [ArgumentSpec]);<br>
-     * <br>
-     * Argument specifications take the form of an object literal which contains
-     * one or more properties.  Each of these properties represents an argument.
-     * Each of the argument properties contains another object literal that
-     * defines the attributes of the argument.  The available argument attributes
-     * are type, required and defaultValue. See examples below for how to structure
-     * argument specifications.<br>
-     * <br>
-     * The Cycligent Framework provides the following enhancement for function arguments:
-     * <br>
-     * <br>
-     * <li>Mapped or ordered arguments for the same function</li>
-     * <li>Default values for optional arguments</li>
-     * <li>Validation of supplied arguments (required, quantity and type)</li>
-     * <li>Handling of advanced types (Arrays and HTML elements)</li>
-     * <li>Reuse of argument specifications, especially useful with interfaces</li>
-     * <br>
-     * cycligent.args supports either mapped or ordered arguments.  When a single
-     * argument is passed to a function, and that argument is an object,
-     * and that object contains a property named the same as an argument,
-     * it is assumed to be an argument map. In all other cases the system
-     * treats the arguments as ordered. To pass a single object to a function
-     * that has a property with the same name as an argument
-     * it must be passed in  as a map. (function( object ) will not work).
-     * The construct of  function( {argumentName: object} ) must be used
-     * instead. When a map is not used the arguments must be passed in the
-     * order of their declaration.<br>
-     * <br>
-     * cycligent.args will also provide default values for optional arguments that
-     * are not supplied, if a default value for the optional argument has been
-     * provided.<br>
-     * <br>
-     * Supplied arguments can be validated for correctness. Validations are
-     * performed when {@link cycligent.config.debug.on} and
-     * {@link cycligent.config.debug.args.check} are true. When validation is active
-     * arguments are validated for the correct type, that all required
-     * arguments were supplied, and that the correct number of arguments were
-     * supplied.<br>
-     * <br>
-     * All required arguments must appear before any optional arguments. This
-     * conventions allows cycligent.args to successfully parse arguments which are
-     * passed to a function but are not in a map.<br>
-     * <br>
-     * cycligent.args supports advanced types. Array arguments can be specified
-     * by wrapping the type in square brackets, as in "[String]" (which indicates
-     * that the function takes an array of strings).  When validation is on,
-     * {@link cycligent.config.debug.args.arrays.check} is true, then arrays are checked
-     * for the correct type.  When {@link cycligent.config.debug.args.arrays.allElements}
-     * is true, elements of the array validated to contain the correct type.
-     * This can be very time consuming and is not recommended.  Therefore,
-     * {@link cycligent.config.debug.args.arrays.allElements} defaults to false, in which
-     * case only the first element of the array is validated.<br>
-     * <br>
-     * In addition to arrays, cycligent.args supports special types.  Specials types are
-     * passed as a string.  Currently cycligent.args supports Document, HTML elements and
-     * XML nodes as special types. Document is a DOM/XML document. If an argument
-     * can take any HTML element then
-     * the argument specification would be "HtmlElement".  Likewise for any XML
-     * node the argument would by "XmlNode". If an argument requires a specific
-     * type of HTML element or XML node, such as a div, then that is specified
-     * by postfixing the "HtmlElement" or "XmlNode" with a colon and the elements
-     * tag name (in all lowercase) as in "HtmlElement:div" or "XmlNode:item".<br>
-     * <br>
-     * Argument specifications can be stored in a variable and reused. This is
-     * especially helpful when interfaces are declared. When an interface is
-     * declared the signatures for its methods are stored in the interfaces
-     * prototype. This allows the developer to use these prototype properties
-     * in the creation of methods on an object that implements the interface.<br>
-     * <br>
-     * The convention when working with the cycligent framework is to use a
-     * variable named 'a' to hold the return value from cycligent.args.
-     * variable named 'a' to hold the return value from cycligent.args.
-     *
-     * @method cycligent.args
-     *
-     * @param {arguments[]} argsIn - The arguments object that is
-     * passed/present in a function.
-     * @param {Object} spec - The argument specification.
-     * @param {Boolean} [ignoreExtraArguments=false] - When true extra arguments are
-     * ignored. Typically used by base classes that are inherited to allow
-     * the super class to pass the argument list passed to it to the base
-     * class.
-     *
-     * @Example
-     * // Using examples from the Cycligent framework itself:
-     *
-     * cycligent.class = function(){
-     *     var a = cycligent.args(arguments, {
-     *         name:{type: String},                         // The fully qualified name of the class being created
-     *         definition:{type: Object},                   // The object literal that defines the class
-     *         extends:{type: Object, required: false},     // The class from which this class inherits its methods and properties
-     *         implements:{type: [Object], required: false} // The newly created class implements the interface class or classes specified
-     *     });
-     *     ...
-     *
-     * ********** OR VIA REUSABLE ARGS **********
-     * 
-     * cycligent.classArgs = {
-     *     name:{type: String},                             // The fully qualified name of the class being created
-     *     definition:{type: Object},                       // The object literal that defines the class
-     *     extends:{type: Object, required: false},         // The class from which this class inherits its methods and properties
-     *     implements:{type: [Object], required: false}     // The newly created class implements the interface class or classes specified
-     * };
-     *
-     * cycligent.class = function(){
-     *     var a = cycligent.args(arguments, cycligent.classArgs);
-     *     ...
-     *
-     * ********** OR VIA INTERFACE **********
-     * 
-     * cycligent.tracerMessageArgs = {
-     *     message:{type: String},                          // The trace message.
-     *     type:{type: Number, required: false, defaultValue: cycligent.traceTypes.information }, // The trace type (a value from cycligent.traceTypes).
-     *     category:{type: String, required: false, defaultValue: ""}, // A string representing the category of the trace. Used for filtering (see cycligent.config.trace).
-     *     ex: {type: Object, required: false}
-     * };
-     * 
-     * cycligent.interface({
-     *     name: "cycligent.TracerInt",
-     *     definition:{
-     *         getElement: {},                              // Gets the HTML element that holds the trace information.
-     *         setElement: {element: {type: "HtmlElement:DIV"}}, // Sets the HTML element that holds the trace information.
-     *         trace: cycligent.tracerMessageArgs                  // Issue a trace.
-     *     }
-     * });
-     * 
-     * ...
-     * trace: function(){
-     *     cycligent.args(arguments,cycligent.TracerInt.prototype.trace);
-     * ...
-     */
-    cycligent.args = function(argsIn, spec, ignoreExtraArguments) {
+                imports.executing = me;
 
-        var argsInSeen = 0;
-        var argsOut = {};
+                try {
+                    (cycligent.node || cycligent.context).scriptRun(text, attempt.url);
+                }
+                catch (ex) {
+                    imports.scriptError(ex.message, attempt.url, ex.line, ex.column);
+                }
 
-        var specIndex;
+                // A bundle that stopped leaves the script it was executing, see cycligent.imports.bundleRelease
+                if (imports.executing === me) {
+                    imports.executing = previous;
+                }
+
+                me.scriptLoaded(attempt);
+            },
+
+            /**
+             * Called by the system when a script has completed loading.
+             * @inner
+             * @private
+             *
+             * @param {object} [attempt] - The attempt that loaded.
+             */
+            scriptLoaded: function (attempt) {
 
-        var value;
-        var positionIndex = 0;
+                var me = this;
 
-        // Was argument list passed as an object or as separate arguments?
+                // An attempt that timed out can still load once the next has started
+                if (me.loaded || me.failed || (attempt && attempt.result != "pending")) {
+                    return;
+                }
 
-        // When a single object is passed as the only argument. We assume that
-        // it is a map.  To pass only a single object as the only argument to a
-        // function it must be passed in as a map
+                clearTimeout(me.timer);
 
-        // Assume it was.
-        var map = false;
+                if (attempt) {
+                    attempt.end = (new Date()).getTime();
+                    attempt.result = (me.scriptError ? "script" : "loaded");
+                    me.url = attempt.url;
+                }
 
-        if (argsIn.length == 1) {
-            for (specIndex in spec) {
-                if (!spec.hasOwnProperty(specIndex)) continue;
-                if (argsIn[0] !== undefined && argsIn[0] !== null && argsIn[0][specIndex] !== undefined) {
-                    map = true;
-                    break;
+                // An error while the script was executing fails it, retrying won't help.
+                if (me.scriptError) {
+                    me.fail("script", me.scriptError);
+                    return;
                 }
-            }
-        }
 
+                me.loaded = true;
 
-        // We use two loops so that we don't have to test map on every iteration
-        // of the loop.
-        if (map) {
-            for (specIndex in spec) {
-                if (!spec.hasOwnProperty(specIndex)) continue;
-                value = argsIn[0][specIndex];
-                if (value !== undefined) {
-                    argsOut[specIndex] = value;
-                    argsInSeen++;
-                }
-                else {
-                    argsOut[specIndex] = spec[specIndex].defaultValue;
-                }
-            }
-        }
-        else {
-            for (specIndex in spec) {
-                if (!spec.hasOwnProperty(specIndex)) continue;
-                value = argsIn[positionIndex++];
-                if (value !== undefined) {
-                    argsOut[specIndex] = value;
-                    argsInSeen++;
-                }
-                else {
-                    argsOut[specIndex] = spec[specIndex].defaultValue;
+                if (me.debugging) {
+                    console.info("Import Complete (Script Loaded): " + me.scriptId);
                 }
-            }
-        }
 
-        // CycligentBuilder.delete.start
-        /**
-         * Validates a single argument against its expected type
-         *
-         * @method
-         * @memberof cycligent.args
-         * @inner
-         * @private
-         *
-         * @param {*} argType - The expected type of the argument
-         * @param {*} argActual - The actual argument
-         *
-         * @returns {boolean} - True if the argument is valid, false if it is invalid
-         */
-        function argValid(argType, argActual) {
-            // Check for a "special" type
-            if (typeof argType == "string") {
+                cycligent.lifecycle.emit("scriptLoaded", me);
 
-                var baseType;
-                var baseTypeMatch = argType.match(/\w+(?=($|:))/);
-                if (baseTypeMatch === null) {
-                    baseType = baseTypeMatch;
-                }
-                else {
-                    baseType = baseTypeMatch[0];
+                if (me.callback) {
+                    me.callback(me);
                 }
+            },
 
-                switch (baseType) {
+            /**
+             * Called by the system when the element reports an error. If the
+             * element has an integrity hash and its URL can be retrieved, the
+             * error was the integrity check failing, which fails the script as
+             * retrying won't help. Otherwise the attempt failed.
+             * @inner
+             * @private
+             *
+             * @param {object} attempt - The attempt that reported the error.
+             */
+            attemptError: function (attempt) {
 
-                    case "Any":
-                        return true;
+                var me = this;
 
-                    case "HtmlElement":
+                if (!me.integrity) {
+                    me.attemptFailed(attempt, "http");
+                    return;
+                }
 
-                        if (argActual.tagName === undefined) {
-                            return false;
-                        }
-                        else {
-                            // Check for a specific element type
-                            if (argType.substr(11, 1) == ":") {
-                                if (argType.substr(12).toLowerCase() != argActual.tagName.toLowerCase()) {
-                                    return false;
-                                }
-                            }
-                        }
+                cycligent.urlRetrievable(attempt.url, function (retrievable) {
+                    if (me.loaded || me.failed || attempt.result != "pending") {
+                        return;
+                    }
 
-                        break;
+                    if (!retrievable) {
+                        me.attemptFailed(attempt, "http");
+                        return;
+                    }
 
-                    case "XmlNode":
+                    clearTimeout(me.timer);
 
-                        if (argActual.tagName === undefined) {
-                            return false;
-                        }
-                        else {
-                            // Check for a specific element type
-                            if (argType.substr(7, 1) == ":") {
-                                if (argType.substr(8).toLowerCase() != argActual.tagName.toLowerCase()) {
-                                    return false;
-                                }
-                            }
-                        }
+                    attempt.end = (new Date()).getTime();
+                    attempt.result = "integrity";
 
-                        break;
+                    if (me.element && me.element.parentNode) {
+                        me.element.parentNode.removeChild(me.element);
+                    }
 
-                    case "Document":
+                    me.fail("integrity", "The file does not match its integrity hash " + me.integrity + ".");
+                });
+            },
 
-                        if (!argActual.nodeName || argActual.nodeName != "#document") {
-                            return false;
-                        }
+            /**
+             * Checks text fetched with XMLHttpRequest against the integrity hash
+             * configured for it, as a browser checks an element's (see
+             * {@link cycligent.integrityCheck}), failing the script if it doesn't match.
+             * @inner
+             * @private
+             *
+             * @param {object} attempt - The attempt that fetched it.
+             * @param {string} text - The text fetched.
+             * @param {function} verified - Called if the text matches, or has no hash.
+             */
+            integrityVerify: function (attempt, text, verified) {
 
-                        break;
+                var me = this;
+                var integrity = cycligent.config.loader.integrity;
 
-                    default:
-                        console.error("An unknown special type '" + baseType +
-                            "' was specified for the argument '" + specIndex +
-                            "'.");
-                        return false;
+                me.integrity = (integrity ? integrity[me.scriptId] || integrity[attempt.url] : null) || null;
+
+                if (!me.integrity) {
+                    verified();
+                    return;
                 }
-            }
-            else {
-                if (argActual !== null && !(argActual.constructor == argType || argActual instanceof argType)) {
-                    if (argActual.isPrototypeOf != argType.isPrototypeOf) {
-                        // Handle the special case of the same object type being compared in two different windows
-                        // This is not a perfect check but the best we can do across windows
-                        var argClass = cycligent.debug.argTypeText(argActual);
-                        var specClass = cycligent.debug.specTypeText(argType);
-                        if (argClass != specClass) {
-                            // Check for a subclass
-                            if (argClass.substr(0, specClass.length + 1) != specClass + ".") {
-                                if (argClass.split(".")[0] == specClass.split(".")[0]) {
-                                    console.warn("An unverifiable type (due to cross window access) of '" + argClass +
-                                            "' was assumed to by of type '" + specClass +
-                                            "' because the first segment of the dotted name matched."
-                                    );
 
-                                } else {
-                                    return false;
-                                }
-                            }
-                        }
-                    } else if (argType.prototype instanceof Interface) {
-                        return (argActual.cycligentInterfaces && argActual.cycligentInterfaces.indexOf(argType) != -1);
-                    } else {
-                        return false;
+                cycligent.integrityCheck(text, me.integrity, function (message) {
+                    if (me.loaded || me.failed || attempt.result != "pending") {
+                        return;
                     }
-                }
-            }
 
-            return true;
-        }
+                    if (!message) {
+                        verified();
+                        return;
+                    }
 
-        if (cycligent.config.debug.args.check) {
-            // Validate that the spec (specification) has all required arguments first.
+                    clearTimeout(me.timer);
 
-            for (specIndex in spec) {
-                if (!spec.hasOwnProperty(specIndex)) continue;
-                var typeIsArray = spec[specIndex].type.constructor == Array || spec[specIndex].type.constructor instanceof Array;
-                var typeCurrent;
-                if (typeIsArray) {
-                    typeCurrent = spec[specIndex].type[0];
-                } else {
-                    typeCurrent = spec[specIndex].type;
-                }
-                var isInterface = (typeCurrent.prototype instanceof Interface);
-                var defaultTypeMessage;
-                if (isInterface) {
-                    defaultTypeMessage = "which does not declare that it implements the interface";
-                } else {
-                    defaultTypeMessage = "but is required to be of type";
-                }
+                    attempt.end = (new Date()).getTime();
+                    attempt.result = "integrity";
 
-                if (argsOut[specIndex] === undefined) {
-                    // Validate required arguments
-                    if (spec[specIndex].required === undefined || spec[specIndex].required) {
-                        var notSuppliedMessage;
-                        if (isInterface) {
-                            notSuppliedMessage = "which must implement the interface";
-                        } else {
-                            notSuppliedMessage = "of type";
-                        }
-                        console.error("The required argument '" + specIndex +
-                            "' " + notSuppliedMessage + " '" + cycligent.debug.specTypeText(typeCurrent) +
-                            "' was not supplied." + (map ? " A single object must be passed as a map. If appropriate use: {" + specIndex + ":[Object]} to pass a single object for this function." : ""));
-                    }
-                }
-                else {
-                    if (typeIsArray) {
-                        //Validate array arguments
-                        if (argsOut[specIndex] && (argsOut[specIndex].constructor == Array || argsOut[specIndex].constructor instanceof Array)) {
-                            if (cycligent.config.debug.args.arrays.check) {
-                                if (cycligent.config.debug.args.arrays.allElements) {
-                                    var arrayIndex;
-                                    for (arrayIndex = 0; arrayIndex < argsOut[specIndex].length; arrayIndex++) {
-                                        if (!argValid(typeCurrent, argsOut[specIndex][arrayIndex])) {
-                                            console.error("Element '" + arrayIndex + "' of the array passed as an argument was of type '" + cycligent.debug.argTypeText(argsOut[specIndex][arrayIndex]) + "' " + defaultTypeMessage + " '" + cycligent.debug.specTypeText(typeCurrent) + "'.");
-                                            break;
-                                        }
-                                    }
-                                }
-                                else {
-                                    if (argsOut[specIndex].length > 0 && !argValid(typeCurrent, argsOut[specIndex][0])) {
-                                        console.error("The first element of the array passed as an argument was of type '" + cycligent.debug.argTypeText(argsOut[specIndex][0]) + "' " + defaultTypeMessage + " '" + cycligent.debug.specTypeText(typeCurrent) + "'.");
-                                    }
-                                }
-                            }
-                        }
-                        else {
-                            // Spec called for an array argument but an array
-                            // argument was not supplied.
+                    me.fail("integrity", message);
+                });
+            },
 
-                            console.error("An array argument was required but instead an argument of type '" + cycligent.debug.argTypeText(argsOut[specIndex]) + "' was supplied.");
-                        }
-                    }
-                    else {
-                        // Validate a non array argument
-                        if (!argValid(typeCurrent, argsOut[specIndex])) {
-                            console.error("The argument '" + specIndex + "' was of type '" + cycligent.debug.argTypeText(argsOut[specIndex]) + "' " + defaultTypeMessage + " '" + cycligent.debug.specTypeText(typeCurrent) + "'.");
-                        }
-                    }
-                }
-            }
+            /**
+             * Called by the system when a script fails to load
+             * within a specified amount of time.
+             * @inner
+             * @private
+             *
+             * @param {object} attempt - The attempt that timed out.
+             */
+            timeout: function (attempt) {
+                this.attemptFailed(attempt, "timeout");
+            },
 
-            if (!ignoreExtraArguments) {
+            /**
+             * Handles a failed attempt, either starting the next attempt or
+             * failing the script if there are no attempts left.
+             * @inner
+             * @private
+             *
+             * @param {object} attempt - The attempt that failed.
+             * @param {string} result - Why it failed, "http" or "timeout".
+             */
+            attemptFailed: function (attempt, result) {
+
+                var me = this;
 
-                if (map) {
-                    for (var inIndex in argsIn[0]) {
-                        if (!argsIn[0].hasOwnProperty(inIndex)) continue;
-                        if (!spec[inIndex]) {
-                            console.error("Unrecognized argument '" + inIndex + "' was supplied.");
-                        }
-                    }
-                }
-                else {
-                    if (argsInSeen > argsIn.length) {
-                        console.error("Extra arguments were supplied.");
-                    }
+                // Ignore late events from earlier attempts
+                if (me.loaded || me.failed || attempt.result != "pending") {
+                    return;
                 }
 
+                clearTimeout(me.timer);
 
-            }
-        }
-        // CycligentBuilder.delete.end
+                attempt.end = (new Date()).getTime();
+                attempt.result = result;
 
-        return argsOut;
-    };
+                if (me.element && me.element.parentNode) {
+                    me.element.parentNode.removeChild(me.element);
+                }
 
-    cycligent.definitionGetArgs = {
-        "name": { "type": String, "required": false } // Name of the definition to find (e.g. cycligentClass, cycligentInterface, etc.)
-    };
+                var retries = cycligent.config.loader.retries;
+                var attemptCount = me.attempts.length;
 
-    /**
-     * Finds a definition value, where the definition name is allowed to be a string
-     * that has dots in it, and will be properly found nested within a JavaScript object.
-     * It is common in Cycligent to define class names using a dotted syntax, such as cycligent.console.
-     * These names are stored as nested JavaScript objects, but the names are also commonly passed
-     * around as strings, which becomes difficult when you want to access them easily from the
-     * string name, this function and {@link cycligent.definitionSet} help make this
-     * very simple and easy. The definition is found starting from the window object.
-     *
-     * This function assumes that the nested structure you're trying to pull data out of exists.
-     *
-     * @method cycligent.definitionGet
-     *
-     * @param {string} dottedName - The dotted name to find.
-     *
-     * @return {object} - The value of the dotted name
-     *
-     * @Example
-     * cycligent.definitionGet("MyNamespace.MyClass");
-     */
-    cycligent.definitionGet = function(dottedName) {
-        var args = cycligent['args'](arguments, cycligent.definitionGetArgs);
-        if (args.name === undefined)
-            return undefined;
+                if (attemptCount >= me.urls.length * (retries + 1)) {
+                    if (result == "timeout") {
+                        me.fail(result, "The script did not load within " + me.loadTimeout + "ms.");
+                    } else {
+                        me.fail(result, "The script could not be retrieved (HTTP or network error).");
+                    }
+                    return;
+                }
 
-        var split = args.name.split('.');
-        var currentObj = window;
-        for (var i = 0; i < split.length; i++) {
-            currentObj = currentObj[split[i]];
-        }
-        return currentObj;
-    };
+                var delay = 0;
+                var retry = attemptCount % (retries + 1);
 
-    cycligent.definitionSetArgs = {
-        "name": { "type": String }, // Name of the definition to find (e.g. cycligentClass, cycligentInterface, etc.)
-        "value": { "type": "Any" } // Value to set the name to.
-    };
+                // Retries of the same URL back off, moving on to a fallback does not.
+                if (retry > 0) {
+                    delay = cycligent.config.loader.retryDelay * Math.pow(2, retry - 1);
+                }
 
-    /**
-     * Sets a definition to a value, where the definition name is allowed to be a string
-     * that has dots in it, and will be properly assigned to a nested JavaScript object.
-     * It is common in Cycligent to define class names using a dotted syntax, such as cycligent.Tracer.
-     * These names are stored as nested JavaScript objects, but the names are also commonly passed
-     * around as strings, which becomes difficult when you want to access them easily from the
-     * string name, this function and {@link cycligent.definitionGet} help make this
-     * very simple and easy. The definition is assigned starting from the window object.
-     *
-     * This function assumes that the nested structure you're trying to put data into exists.
-     *
-     * @method cycligent.definitionSet
-     *
-     * @param {(string | object)} dottedName - The dotted name to set. Or a map of the
-     * arguments.
-     * @param {*} [value] - The value to set the dotted name to.
-     * @return {*}
-     *
-     * @Example
-     * cycligent.definitionSet("MyNamespace.MyClass", classDefinition);
-     */
-    cycligent.definitionSet = function(dottedName, value) {
-        var args = cycligent['args'](arguments, cycligent.definitionSetArgs);
+                console.warn("Script import attempt " + attemptCount + " of '" + me.scriptId + "' failed (" +
+                    result + "): " + cycligent.dottedName.describe(attempt.url) + ". " + (retry > 0 ? "Retrying in " + delay + "ms." :
+                    "Trying fallback " + me.urls[attemptCount / (retries + 1)] + "."));
 
-        var split = args.name.split('.');
-        var currentObj = window;
-        for (var i = 0; i < split.length-1; i++) {
-            currentObj = currentObj[split[i]];
-        }
+                me.timer = setTimeout(function() {
+                    if (cycligent.node) {
+                        me.attemptNode();
+                    } else {
+                        me.attemptStart();
+                    }
+                }, delay);
+            },
 
-        currentObj[split[split.length-1]] = args['value'];
-        return args['value'];
-    };
+            /**
+             * Fails the script, recording the failure in
+             * {@link cycligent.imports.failures}.
+             * @inner
+             * @private
+             *
+             * @param {string} reason - "timeout", "http", "script", "parse", "integrity" or "dependency".
+             * @param {string} message - Describes the failure.
+             */
+            fail: function (reason, message) {
 
-    // The following two objects facilitate the validation of interfaces
-    // implemented by classes.
-    cycligent.classes = {};
-    cycligent.interfaces = {};
+                var me = this;
 
-    cycligent.classesToProcess = [];
-    cycligent.interfacesToProcess = [];
+                me.failed = true;
+                me.failure = cycligent.imports.failureAdd(me, reason, message);
 
-    /**
-     * Arguments for cycligent.class.
-     *
-     * @memberof cycligent
-     *
-     * @property {string} name - The fully qualified dotted name fo the class.
-     * @property {string} [extends] - The fully qualified dotted name of the
-     * class to extend.
-     * @property {...string} [implements] - The fully qualified dotted names of the
-     * interfaces required by the class. If the class implements multiple
-     * interfaces, separate them by commas.
-     * @property {object} definition - The object, usually from a code literal,
-     * that defines the class.
-     *
-     * @see {@link cycligent.class}
-     */
-    cycligent.classArgs = {
-        name: { type: String },							// The fully qualified name of the class being created.
-        definition: { type: Object },						// The object literal that defines the class.
-        extends: { type: String, required: false },		// The class name, as a string, from which this class inherits its methods and properties. Defaults to "Class".
-        implements: { type: String, required: false }		// The newly created class implements the interface or interface names specified. This argument should be passed as a string, multiple interfaces should be seperated by a comma.
-    };
+                console.error("Script Import Failed: " + me.scriptId + " after " + me.attempts.length +
+                    " attempt(s) (" + me.urls.join(", ") + ")" + (me.failure.name != me.scriptId ? " [" + me.failure.name + "]" : "") +
+                    ": " + message);
 
-    //noinspection ReservedWordAsName
-    /**
-     * @summary
-     * Declares a class that supports classical inheritance and interfaces.
-     *
-     * @description
-     * cycligent.class allows a class to be created that extends (inherits from) another
-     * class. It also provides for the implementation of interfaces. To make class
-     * definitions easy to follow, it is recommended that calls to cycligent.class use
-     * mapped arguments in the following order: name, extends, implements, definition.
-     * See the example below. cycligent.class also validates that the first character of
-     * the class name is an uppercase letter, which is the common convention in
-     * JavaScript.<br>
-     * <br>
-     * cycligent.class definitions should be placed outside of functions. This allows
-     * them to be processed at startup. The processing of class definitions that
-     * are dependant on other class definitions that have not yet been processed
-     * are deferred until they can be processed.  This allows race conditions
-     * during the asynchronous loading of scripts at startup to be avoided, and makes the
-     * order in which scripts are loaded unimportant.<br>
-     * <br>
-     * If enabled in the configuration settings (see {@link cycligent.config.debug.interfaces})
-     * the interfaces implemented by the class are validated. This is done by checking
-     * the class's source to see if it is calling {@link cycligent.args} on the argument
-     * definition defined by the interface.
-     * <br>
-     * Note that if you define a class, you can create it as a singleton using
-     * {@link cycligent.singleton}. Singleton classes can have an initSingleton that
-     * will be called when the class is instantiated as a singleton.
-     *
-     * @method cycligent.class
-     *
-     * @param {object} map - The object that specifies the class, typically
-     * from an object literal in code (see example, and {@link cycligent.classArgs}).
-     *
-     * @property {string} cycligentClass - The name of the class as a property
-     * of the prototype.
-     *
-     * @see {@link cycligent.singleton}
-     *
-     * @Example
-     * cycligent.class({
-     *     name: "cycligent.Tracer",
-     *     extends: "cycligent.ExtendThisClassExample"
-     *     implements: "cycligent.TracerInt, cycligent.anotherInterface",
-     *     definition: {
-     *         ...
-     *     }
-     * });
-     */
-    cycligent.class = function(map) {
-        var args = cycligent.args(arguments, cycligent.classArgs);
+                var error = new Error("Script Import Failed: " + me.scriptId + " (" + me.url + "): " + message);
+                error.failure = me.failure;
+                me.completion.reject(error);
 
-        // Converts implements argument into an array
-        if (args.implements) {
-            args.implements = args.implements.split(",");
-            // Trim the elements of the array
-            for (var index = 0; index < args.implements.length; index++) {
-                args.implements[index] = args.implements[index].replace(/(^\s*|\s*$)/g, "");
+                if (me.failedCallback) {
+                    me.failedCallback(me);
+                }
             }
-        }
-
-        // Check to see if this class is ready to be processed (all of its
-        // dependencies have already been processed).
 
-        if (cycligent.classMissing(args) == "") {
-            cycligent.classProcess(args);
-            cycligent.classProcessDeferred();
-        }
-        else {
-            cycligent.classes[args.name] = false;
-            cycligent.classesToProcess.push(args);
         }
-    };
+    });
 
-    /**
-     * Takes a class name and returns a singleton object.  If the singleton
-     * object already exists it simply returns it, if not, it creates it.
-     *
-     * @method cycligent.singleton
-     *
-     * @param {string} name - The name of the class from which to construct the singleton
-     * @param {...*} arguments - Arguments to singleton constructor
-     *
-     * @property {function} initSingleton - If initSingleton is defined by the
-     * class it is called when the singleton is instantiated.
-     *
-     * @returns {Object}
-     *
-     * @see {@link cycligent.class}
-     *
-     * @example
-     * cycligent.define("app");
-     * cycligent.class({
-     *     name: "app.Session",
-     *     definition: {
-     *         initSingleton: function() {
-     *             cycligent.args(arguments, {});
-     *             var me = this;
-     *             $.get("/sessionData", function(data) {
-     *                 me.data = data;
-     *             });
-     *         },
-     *
-     *         userName: function() {
-     *             return this.data.username;
-     *         }
-     *     }
-     * });
-     *
-     * function main() {
-     *     var session = cycligent.singleton("app.Session");
-     * }
-     */
-    cycligent.singleton = function(name) {
-        var args = cycligent.args(arguments, {
-            className: { type: String }
-        });
+    cycligent.doc = function(){
+        /**
+         * @summary
+         * Loads a resource, such as an HTML template or a text file, asynchronously
+         * via XMLHttpRequest.
+         *
+         * @description
+         * Resources are loaded through {@link cycligent.import}, and are retried and
+         * failed in the same way as scripts (see {@link cycligent.Script}). Once loaded,
+         * the resource's value is the text of the file, as returned by its parse method.
+         * A resource that can't be parsed fails with the reason "parse".<br>
+         * <br>
+         * Loaders for other file types can extend this class, overriding parse, and be
+         * added to {@link cycligent.loaders}.
+         *
+         * @class cycligent.Resource
+         * @extends cycligent.Script
+         *
+         * @property {*} value - The parsed resource, once loaded.
+         * @property {XMLHttpRequest|null} request - The request of the current, or last, attempt.
+         *
+         * @param {string} scriptId - Dotted name or URL of the resource. See {@link cycligent.url}.
+         * @param {function} [callback=cycligent.imports.scriptLoaded] - The function to callback when the
+         * resource loads successfully. It is passed the resource.
+         * @param {function} [failedCallback=cycligent.imports.scriptFailed] - The function to callback when the
+         * resource fails to load. It is passed the resource.
+         * @param {string} [extension='txt'] - The file type (extension) to load.
+         */
+        cycligent.Resource = function (scriptId, callback, failedCallback, extension) {};
+    };
+    cycligent.class({
+        name: "cycligent.Resource",
+        extends: "cycligent.Script",
+        definition: {
 
-        var className = args.className + ".singleton";
+            value: undefined,
+            request: null,
+            executes: false,
 
-        var classValue = cycligent.definitionGet(className);
+            /**
+             * Starts the next attempt to load the resource.
+             * @inner
+             * @private
+             */
+            attemptStart: function () {
 
-        if (!classValue) {
-            classValue = cycligent.definitionSet({
-                "name": className,
-                "value": new (cycligent.definitionGet(args['className']))()
-            });
+                var me = this;
+                var attempt = me.attemptCreate();
+                var request = new XMLHttpRequest();
 
-            if (classValue.initSingleton) {
-                var a = [];
-                for (var i = 2; i < arguments.length; i++) {
-                    a.push(arguments[i]);
-                }
-                classValue.initSingleton.apply(classValue, a);
-            }
-        }
+                request.onreadystatechange = function () {
+                    if (request.readyState != 4 || me.loaded || me.failed || attempt.result != "pending") {
+                        return;
+                    }
 
-        return classValue;
-    };
+                    // Pages opened from the file system report a status of 0
+                    if ((request.status >= 200 && request.status < 300) || (request.status === 0 && request.responseText)) {
+                        me.integrityVerify(attempt, request.responseText, function () {
+                            me.resourceLoaded(attempt, request.responseText);
+                        });
+                    } else {
+                        me.attemptFailed(attempt, "http");
+                    }
+                };
 
-    /**
-     * Checks to see if all dependencies of a given class
-     * are defined. If so, returns true to indicate that the class can be
-     * processed, otherwise false is returned.
-     *
-     * @protected
-     * @ignore
-     */
-    cycligent.classMissing = function (args) {
+                me.timer = setTimeout(function() { me.timeout(attempt); }, me.loadTimeout);
 
-        var missing = "";
+                me.request = request;
+                request.open("GET", attempt.url, true);
+                request.send();
+            },
 
-        // Check to see if all elements of the name are defined.
-        var splits = args.name.split(".");
-        var dependantVar = window;
-        var dependantVarName = "window";
-        var index;
+            /**
+             * Called in Node.js when the file has been read.
+             * @inner
+             * @private
+             *
+             * @param {object} attempt - The attempt that read it.
+             * @param {string} text - The text of the resource.
+             */
+            nodeLoaded: function (attempt, text) {
+                this.resourceLoaded(attempt, text);
+            },
 
-        if (splits.length > 1) {
-            for (index = 0; index < splits.length - 1; index++) {
-                dependantVarName += "." + splits[index];
-                if (!dependantVar[splits[index]]) {
-                    missing = dependantVarName;
-                    break;
+            /**
+             * Called by the system when an attempt times out. Abandons the request.
+             * @inner
+             * @private
+             *
+             * @param {object} attempt - The attempt that timed out.
+             */
+            timeout: function (attempt) {
+                var request = this.request;
+
+                this.attemptFailed(attempt, "timeout");
+                request.abort();
+            },
+
+            /**
+             * Called when the text of the resource has been retrieved. Parses it,
+             * failing the resource if it can't be.
+             * @inner
+             * @private
+             *
+             * @param {object} attempt - The attempt that retrieved it.
+             * @param {string} text - The text of the resource.
+             */
+            resourceLoaded: function (attempt, text) {
+
+                var me = this;
+
+                try {
+                    me.value = me.parse(text);
                 }
-                dependantVar = dependantVar[splits[index]];
+                catch (ex) {
+                    clearTimeout(me.timer);
+                    attempt.end = (new Date()).getTime();
+                    attempt.result = "parse";
+                    me.url = attempt.url;
+                    me.fail("parse", "The resource could not be parsed: " + ex.message);
+                    return;
+                }
+
+                me.scriptLoaded(attempt);
+            },
+
+            /**
+             * Returns the value of the resource from its text. Override to load
+             * other types of resources.
+             *
+             * @param {string} text - The text of the resource.
+             *
+             * @returns {*} - The value of the resource, the text itself.
+             */
+            parse: function (text) {
+                return text;
             }
-        }
 
-        if (!missing && args.extends && !cycligent.classes[args.extends]) {
-            missing = args.extends;
         }
+    });
 
-        if (!missing && args.implements) {
-            for (index = 0; index < args.implements.length; index++) {
-                if (!cycligent.interfaces[args.implements[index]]) {
-                    missing = args.implements[index];
-                    break;
-                }
+    cycligent.doc = function(){
+        /**
+         * Loads a JSON file, its value being the parsed JSON.
+         * See {@link cycligent.Resource}.
+         *
+         * @class cycligent.JsonResource
+         * @extends cycligent.Resource
+         */
+        cycligent.JsonResource = function (scriptId, callback, failedCallback, extension) {};
+    };
+    cycligent.class({
+        name: "cycligent.JsonResource",
+        extends: "cycligent.Resource",
+        definition: {
+
+            /**
+             * Parses the JSON text of the resource.
+             *
+             * @param {string} text - The text of the resource.
+             *
+             * @returns {*} - The parsed JSON.
+             */
+            parse: function (text) {
+                return cycligent.jsonParse(text);
             }
+
         }
+    });
 
-        return missing;
+    cycligent.doc = function(){
+        /**
+         * Loads a stylesheet by adding a &lt;link&gt; to the page, succeeding or
+         * failing on the link's load or error event. See {@link cycligent.styleLoad}.
+         *
+         * @class cycligent.Style
+         * @extends cycligent.Script
+         */
+        cycligent.Style = function (scriptId, callback, failedCallback, extension) {};
     };
+    cycligent.class({
+        name: "cycligent.Style",
+        extends: "cycligent.Script",
+        definition: {
 
-    /**
-     * Processes any classes whose processing has been
-     * deferred but which are now ready to be processed.
-     *
-     * @protected
-     * @ignore
-     */
-    cycligent.classProcessDeferred = function() {
-
-        var ProcessSeen = false;
-        var index;
-        var args;
+            executes: false,
 
-        do {
-            ProcessSeen = false;
+            /**
+             * Starts the next attempt to load the stylesheet.
+             * @inner
+             * @private
+             */
+            attemptStart: function () {
 
-            for (index = 0; index < cycligent.classesToProcess.length; index++) {
+                var me = this;
+                var attempt = me.attemptCreate();
 
-                args = cycligent.classesToProcess[index];
+                var link = document.createElement("link");
+                link.rel = "stylesheet";
+                link.type = "text/css";
+                link.href = me.url;
+                me.integrity = cycligent.elementSecure(link, me.scriptId, me.url);
 
-                if (args !== null && cycligent.classMissing(args) == "") {
-                    ProcessSeen = true;
-                    cycligent.classProcess(args);
-                    cycligent.classesToProcess[index] = null;
-                }
+                link.addEventListener("load", function() { me.scriptLoaded(attempt); }, false);
+                link.addEventListener("error", function() { me.attemptError(attempt); }, false);
 
-            }
+                me.timer = setTimeout(function() { me.timeout(attempt); }, me.loadTimeout);
 
-            while (cycligent.classesToProcess.length > 0
-                && cycligent.classesToProcess[cycligent.classesToProcess.length - 1] === null) {
-                cycligent.classesToProcess.pop();
-            }
+                me.element = link;
+                document.getElementsByTagName("head")[0].appendChild(link);
+            },
 
-            while (cycligent.classesToProcess.length > 0 && cycligent.classesToProcess[0] === null) {
-                cycligent.classesToProcess.shift();
+            /**
+             * Called in Node.js when the file has been read. There is no page to
+             * style, so the stylesheet only has to exist.
+             * @inner
+             * @private
+             *
+             * @param {object} attempt - The attempt that read it.
+             */
+            nodeLoaded: function (attempt) {
+                this.scriptLoaded(attempt);
             }
 
-        } while (ProcessSeen);
+        }
+    });
 
+    cycligent.doc = function(){
+        /**
+         * @summary
+         * Loads an ES module, with a &lt;script type="module"&gt;.
+         *
+         * @description
+         * Modules are imported by giving the extension mjs, or by a URL ending in it,
+         * and count toward the load pass like scripts. The module has loaded, and its
+         * completion is resolved, once it and the modules it imports have been
+         * evaluated. Modules depend on Cycligent definitions with
+         * {@link cycligent.ready}, and declare their own with cycligent.define and
+         * cycligent.class, through cycligent.mjs or the cycligent global. Browsers
+         * don't say which module is executing, so the imports a module makes are
+         * recorded as the page's (see {@link cycligent.imports.graph}).<br>
+         * <br>
+         * Modules can't be imported in Node.js (see {@link cycligent.node}), or in a
+         * context (see {@link cycligent.context}).
+         *
+         * @class cycligent.ModuleScript
+         * @extends cycligent.Script
+         *
+         * @example
+         * cycligent.import("@app.widgets.chart", null, "mjs").then(function(){
+         *     ...
+         * });
+         */
+        cycligent.ModuleScript = function (scriptId, callback, failedCallback, extension) {};
     };
+    cycligent.class({
+        name: "cycligent.ModuleScript",
+        extends: "cycligent.Script",
+        definition: {
 
-    /**
-     * Process a class. See {@link cycligent.class}
-     *
-     * @protected
-     * @ignore
-     */
-    cycligent.classProcess = function(args) {
+            scriptType: "module",
 
-        var newClass;
+            /**
+             * Starts the next attempt to load the module. A module in a context would
+             * use the page's Cycligent rather than the context's, so it fails.
+             * @inner
+             * @private
+             */
+            attemptStart: function () {
+                if (cycligent.context) {
+                    this.fail("script", "ES modules can't be imported in a context (see cycligent.context), they would " +
+                        "use the page's Cycligent.");
+                    return;
+                }
 
-        // Check to make sure the class starts with an uppercase letter
-        var className = args.name.match(/\.\w+$/);
+                cycligent.Script.prototype.attemptStart.call(this);
+            },
+
+            /**
+             * Called in Node.js when the file has been read. Modules can't be run
+             * in the vm context scripts are run in, so the module fails.
+             * @inner
+             * @private
+             *
+             * @param {object} attempt - The attempt that read it.
+             */
+            nodeLoaded: function (attempt) {
+                this.scriptError = "ES modules can't be imported in Node.js.";
+                this.scriptLoaded(attempt);
+            }
 
-        if (className === null) {
-            className = args.name;
-        }
-        else {
-            className = className[0].substr(1);
         }
+    });
 
-        if (className.substr(0, 1).search(/[A-Z]/) < 0) {
-            console.error("Class '" +
-                args.name +
-                "of the expression '" + args.name +
-                "' should begin with an uppercase letter.");
+    cycligent.doc = function(){
+        /**
+         * @summary
+         * Loads a library that isn't written for Cycligent, one that sets a global
+         * rather than using cycligent.define, as declared in cycligent.config.loader.shims.
+         *
+         * @description
+         * Each entry of cycligent.config.loader.shims is keyed by the dotted name
+         * imported, and may have the properties:
+         * <ul>
+         * <li>url - The URL or dotted name to load the library from. Defaults to the
+         * dotted name imported.
+         * <li>exports - The global the library sets, for example "jQuery", or a dotted
+         * name under the global object, such as "L.Map".
+         * <li>define - The dotted name the global is defined as. Defaults to the dotted
+         * name imported.
+         * <li>deps - The dotted names to import before the library is loaded, typically
+         * other shims. A shim whose deps lead back to it, directly or through the
+         * imports of scripts, fails with the reason "dependency".
+         * </ul>
+         * Importing a shimmed name imports its deps first, waiting for them (and what
+         * they import) to complete, and then loads the library. Once it has loaded, its
+         * global is defined (see {@link cycligent.define}), so classes and definitions can
+         * depend on it like any other. A shim fails if any of its deps fail, with the
+         * reason "dependency", or if the global isn't set, with the reason "script".
+         *
+         * @class cycligent.ShimScript
+         * @extends cycligent.Script
+         *
+         * @property {object} shim - The shim's entry in cycligent.config.loader.shims.
+         * @property {boolean} depsLoaded - True once the shim's deps have completed.
+         *
+         * @example
+         * // config.js
+         * loader: {
+         *     shims: {
+         *         "vendor.jquery": { url: "https://code.jquery.com/jquery-3.7.1.min.js", exports: "jQuery" },
+         *         "vendor.select2": { url: "/vendor/select2/select2.min.js", exports: "jQuery.fn.select2",
+         *             deps: ["vendor.jquery"] }
+         *     }
+         * }
+         *
+         * cycligent.import("vendor.select2");
+         * cycligent.define("app.picker", function(){
+         *     return vendor.jquery("#picker").select2();
+         * }, 1);
+         */
+        cycligent.ShimScript = function (scriptId, callback, failedCallback, extension) {};
+    };
+    cycligent.class({
+        name: "cycligent.ShimScript",
+        extends: "cycligent.Script",
+        definition: {
 
-        }
-        // End name check
+            shim: null,
+            depsLoaded: false,
 
-        var Extends = cycligent.definitionGet(args.extends);
+            /**
+             * Starts the next attempt to load the library, once its deps have completed.
+             * @inner
+             * @private
+             */
+            attemptStart: function () {
+                this.depsAfter(cycligent.Script.prototype.attemptStart);
+            },
 
-        if (Extends) {
-            newClass = Extends.extend(args.name, args.definition);
-        }
-        else {
-            newClass = Class.extend(args.name, args.definition);
-        }
+            /**
+             * Starts the next attempt to load the library in Node.js, once its deps
+             * have completed.
+             * @inner
+             * @private
+             */
+            attemptNode: function () {
+                this.depsAfter(cycligent.Script.prototype.attemptNode);
+            },
 
-        if (cycligent.config.debug.on) {
+            /**
+             * Calls attempt once the shim's deps have completed, importing them
+             * the first time.
+             * @inner
+             * @private
+             *
+             * @param {function} attempt - The method starting the attempt.
+             */
+            depsAfter: function (attempt) {
 
-            if (cycligent.config.debug.args.check) {
+                var me = this;
 
-                if (Extends) {
-                    if (!Extends.cyName || cycligent.classes[Extends.cyName] === undefined) {
-                        console.error("Class '" +
-                            args.name +
-                            "' tries to extend a non-Class based object '" +
-                            (Extends && Extends.cyName ? Extends.cyName : "UNKNOWN") +
-                            "'.");
-                    }
+                if (me.depsLoaded) {
+                    attempt.call(me);
+                    return;
+                }
+
+                me.shim = cycligent.config.loader.shims[me.scriptId];
+
+                if (me.shim.url) {
+                    me.urls = cycligent.urls(me.shim.url, "js");
+                    me.url = me.urls[0];
                 }
-            }
 
-            if (cycligent.config.debug.interfaces.check || cycligent.config.debug.args.check) {
-                if (args.implements) {
-                    // Make an array if only a single item passed
-                    var ImplementsString = args.implements;
-                    if (!(args.implements instanceof Array)) {
-                        ImplementsString = [ImplementsString];
+                var deps = me.shim.deps || [];
+                var remaining = deps.length;
+                var failed = false;
+                var imports = cycligent.imports;
+                var previous = imports.executing;
+                var completions = [];
+                var index;
+
+                function depDone(error) {
+                    if (failed || me.failed) {
+                        return;
                     }
 
-                    // Contain an array to contain the actual interface references (versus their names as a string)
-                    var Implements = [];
+                    if (error) {
+                        failed = true;
+                        me.fail("dependency", "A dependency of the shim failed: " + error.message);
+                        return;
+                    }
 
-                    for (interfaceIndex = 0; interfaceIndex < ImplementsString.length; interfaceIndex++) {
-                        Implements.push(cycligent.definitionGet(ImplementsString[interfaceIndex]));
+                    remaining--;
+                    if (remaining === 0) {
+                        me.depsLoaded = true;
+                        attempt.call(me);
                     }
-                    newClass.prototype.cycligentInterfaces = Implements;
-                } else {
-                    newClass.prototype.cycligentInterfaces = [];
                 }
-            }
 
-            if (args.implements && cycligent.config.debug.interfaces.check) {
+                if (remaining === 0) {
+                    me.depsLoaded = true;
+                    attempt.call(me);
+                    return;
+                }
 
-                var currentInterface;
-                var interfaceIndex;
-                var methodIndex;
-                var source = "";
+                var cycle = me.depsCycle([me.scriptId]);
+                if (cycle) {
+                    me.fail("dependency", "The shim depends on itself: " + cycle.join(" -> ") + ".");
+                    return;
+                }
 
-                for (interfaceIndex in Implements) {
-                    if (!Implements.hasOwnProperty(interfaceIndex)) continue;
-                    currentInterface = Implements[interfaceIndex];
+                // Imported as the shim's own, so they are its children in the graph
+                imports.executing = me;
+                for (index = 0; index < deps.length; index++) {
+                    completions.push(cycligent.import({ scriptId: deps[index] }));
+                }
+                imports.executing = previous;
 
-                    if (!currentInterface || !currentInterface.cyName || cycligent.interfaces[currentInterface.cyName] === undefined) {
-                        console.error("Class '" +
-                            args.name +
-                            "' tries to implement a non-Interface based object '" +
-                            (currentInterface && currentInterface.cyName ? currentInterface.cyName : "UNKNOWN") +
-                            "'.");
+                for (index = 0; index < completions.length; index++) {
+                    completions[index].done(depDone);
+                }
+            },
+
+            /**
+             * Returns the chain of shims by which the shim's deps lead back to it,
+             * or null if they don't.
+             * @inner
+             * @private
+             *
+             * @param {string[]} chain - The shims followed so far, this one first.
+             *
+             * @returns {string[]|null}
+             */
+            depsCycle: function (chain) {
 
+                var shims = cycligent.config.loader.shims;
+                var shim = shims[chain[chain.length - 1]];
+                var deps = (shim && shim.deps) || [];
+
+                for (var index = 0; index < deps.length; index++) {
+                    if (deps[index] == chain[0]) {
+                        return chain.concat([deps[index]]);
                     }
 
-                    for (methodIndex in currentInterface.prototype) {
+                    if (shims.hasOwnProperty(deps[index]) && chain.indexOf(deps[index]) < 0) {
+                        var cycle = this.depsCycle(chain.concat([deps[index]]));
+                        if (cycle) {
+                            return cycle;
+                        }
+                    }
+                }
 
-                        if (!currentInterface.prototype.hasOwnProperty(methodIndex)) continue;
+                return null;
+            },
 
-                        if (methodIndex in newClass.prototype) {
-                            if (newClass.prototype[methodIndex] instanceof Function) {
+            /**
+             * Called when the library has loaded. Defines the global it exports.
+             * @inner
+             * @private
+             *
+             * @param {object} [attempt] - The attempt that loaded.
+             */
+            scriptLoaded: function (attempt) {
 
-                                // Validate arguments being passed
-                                source = newClass.prototype[methodIndex].toString();
+                var me = this;
 
-                                //ROADMAP: This check will be problematic if the same method supports separate interfaces
-                                if (source.search(
-                                    new RegExp(
-                                            "cycligent\\.args\\s*\\(\\s*arguments\\s*\\,\\s*" +
-                                            currentInterface.cyName +
-                                            "\\.prototype\\." +
-                                            methodIndex +
-                                            "\\s*\\)\\s*\\;"
-                                    )
-                                ) < 0) {
-                                    console.error("Class " + (args.name ? args.name : "?") + " tries to implement the interface " + currentInterface.cyName + " but the method '" + methodIndex + "' does not have the required signature (" + currentInterface.cyName + ".prototype." + methodIndex + "). Check to make sure you did not forget the .prototype. as part of the name.");
-                                }
-                            }
-                            else {
-                                console.error("Class " + (args.name ? args.name : "?") + " tries to implement the interface " + currentInterface.cyName + " but does not contain the required method: " + methodIndex + ", although it is present as a non-function.");
-                            }
-                        }
-                        else {
-                            console.error("Class " + (args.name ? args.name : "?") + " tries to implement the interface " + currentInterface.cyName + " but does not contain the required method: " + methodIndex + ".");
-                        }
+                if (!me.loaded && !me.failed && !me.scriptError && me.shim && me.shim.exports) {
+                    var split = me.shim.exports.split(".");
+                    var value = window;
+
+                    for (var index = 0; index < split.length && value !== undefined && value !== null; index++) {
+                        value = value[split[index]];
                     }
-                }
 
-            }
-        }
+                    if (value === undefined || value === null) {
+                        me.scriptError = "The shim did not set the global '" + me.shim.exports + "'.";
+                    } else {
+                        var imports = cycligent.imports;
+                        var previous = imports.executing;
 
-        newClass.cyName = args.name;
-        cycligent.definitionSet({"name": args.name, "value": newClass});
+                        // A function, so a function exported isn't taken for the definition function
+                        imports.executing = me;
+                        cycligent.define(me.shim.define || me.scriptId, function () {
+                            return value;
+                        });
+                        imports.executing = previous;
+                    }
+                }
 
-        cycligent.classes[args.name] = true;
+                cycligent.Script.prototype.scriptLoaded.call(me, attempt);
+            }
 
-        return newClass;
-    };
+        }
+    });
 
     /**
-     * Arguments for cycligent.interface.
+     * @summary
+     * The loaders used by {@link cycligent.import}, keyed by file type (extension).
      *
-     * @memberof cycligent
+     * @description
+     * A loader is a class that extends {@link cycligent.Script} or
+     * {@link cycligent.Resource}, constructed as new Loader(scriptId, callback,
+     * failedCallback, extension), which starts it loading. Scripts (js) are loaded
+     * by {@link cycligent.Script}, ES modules (mjs) by {@link cycligent.ModuleScript},
+     * stylesheets (css) by {@link cycligent.Style}, JSON (json) by
+     * {@link cycligent.JsonResource}, and HTML templates (html, htm) and plain text
+     * (txt) by {@link cycligent.Resource}. Other file types can be loaded by adding
+     * a loader for their extension.
      *
-     * @property {string} name - The fully qualified dotted name fo the class.
-     * @property {string} [extends] - The fully qualified dotted name of the
-     * class to extend.
-     * @property {object} definition - The object, usually from a code literal,
-     * that defines the class.
+     * @member {object} cycligent.loaders
      *
-     * @see {@link cycligent.interface}
+     * @example
+     * cycligent.class({
+     *     name: "app.CsvResource",
+     *     extends: "cycligent.Resource",
+     *     definition: {
+     *         parse: function(text){
+     *             return text.split("\n").map(function(line){ return line.split(","); });
+     *         }
+     *     }
+     * });
+     * cycligent.loaders.csv = app.CsvResource;
      */
-    cycligent.interfaceArgs = {
-        name: { type: String, required: true },				// The fully qualified name of the interface being created.
-        definition: { type: Object },							// The object literal that defines the interace.
-        extends: { type: String, required: false }			// The class from which this interface inherits its methods.
+    cycligent.loaders = {
+        js: cycligent.Script,
+        mjs: cycligent.ModuleScript,
+        css: cycligent.Style,
+        json: cycligent.JsonResource,
+        html: cycligent.Resource,
+        htm: cycligent.Resource,
+        txt: cycligent.Resource
     };
 
-    //noinspection ReservedWordAsName
     /**
      * @summary
-     * Declares a classic interface (for use with classical inheritance classes).
+     * Returns a resource loaded by {@link cycligent.import}.
      *
      * @description
-     * cycligent.interface defines an interface that other classes can implement.
-     * It allows the methods of the interface, and their signatures,
-     * to be specified. It also allows for the method signature definition to be
-     * reused by {@link cycligent.args}. It is recommended that calls to cycligent.interface
-     * use mapped arguments in the following order: name, extends, definition.
-     * See the example below.<br>
-     * <br>
-     * cycligent.interface definitions should be placed outside of functions. This allows
-     * them to be processed at startup. The processing of interface definitions that
-     * are dependant on other interface definitions (for example, if you extend an interface
-     * to create a new one with more methods) that have not yet been processed
-     * are deferred until they can be processed.  This allows race conditions
-     * during the asynchronous loading of scripts at startup to be avoided, and makes the
-     * order in which scripts are loaded unimportant.<br>
-     * <br>
-     * Depending on configuration settings (see {@link cycligent.config.debug.interfaces})
-     * the implementation of interfaces by the class are validated.
-     *
-     * @method cycligent.interface
+     * Returns the value of the resource imported as dottedNameOrUrl with the
+     * extension given: the text of HTML templates and text files, or the parsed
+     * JSON of JSON files (see {@link cycligent.loaders}). Returns undefined if the
+     * resource hasn't been imported, or hasn't loaded yet.
      *
-     * @param {object} map - The object that specifies the interface, typically
-     * from an object literal in code (see example, and {@link cycligent.interfaceArgs}).
-     *
-     * @Example
-     * // The Interface:
-     * cycligent.interface({
-     *     name: "cycligent.TracerInt",
-     *     definition:{
-     *         getElement: {},										// Gets the HTML element that holds the trace information.
-     *         setElement: {element: {type: "HtmlElement:div"}},	// Sets the HTML element that holds the trace information.
-     *         trace: cycligent.tracerMessageArgs							// Issue a trace.
-     * }
+     * @method cycligent.resource
      *
-     * // A class that implements that interface:
-     * cycligent.Class({
-     *     name: "cycligent.Tracer",
-     *     implements: "cycligent.TracerInt",
-     *     definition: {
-     *         getElement: function() {
-     *             cycligent.args(arguments, cycligent.TracerInt.prototype.getElement);
-     *             // ... implementation ...
-     *         },
+     * @param {string} dottedNameOrUrl - The dotted name or URL the resource was
+     * imported as.
+     * @param {string} [extension] - The file type (extension) it was imported as.
+     * May be left out for URLs that end in it.
      *
-     *         setElement: function() {
-     *             cycligent.args(arguments, cycligent.TracerInt.prototype.setElement);
-     *             // ... implementation ...
-     *         },
+     * @returns {*} - The resource's value.
      *
-     *         trace: function() {
-     *             cycligent.args(arguments, cycligent.TracerInt.prototype.trace);
-     *             // ... implementation ...
-     *         }
-     *     }
-     * });
+     * @example
+     * cycligent.import({ scriptId: "@app.views.orderForm", extension: "html" });
+     * ...
+     * element.innerHTML = cycligent.resource("@app.views.orderForm", "html");
      */
-    cycligent.interface = function(map) {
-        var args = cycligent.args(arguments, cycligent.interfaceArgs);
+    cycligent.resource = function (dottedNameOrUrl, extension) {
+        var args = cycligent.args(arguments, {
+            dottedNameOrUrl: { type: String, required: true },
+            extension: { type: String, required: false }
+        });
 
-        // Check to see if this class is ready to be processed (all of its
-        // dependencies have already been processed).
+        var name = (args.dottedNameOrUrl.substr(0, 1) == "~" ? cycligent.url.relative(args.dottedNameOrUrl) : args.dottedNameOrUrl);
+        var resource = (cycligent.imports && name !== null ? cycligent.imports.scripts[cycligent.imports.scriptKey(name,
+            cycligent.imports.extensionOf(name, args.extension))] : undefined);
 
-        if (cycligent.interfaceMissing(args) == "") {
-            cycligent.interfaceProcess(args);
-            cycligent.interfaces[args.name] = true;
-            cycligent.interfaceProcessDeferred();
-        }
-        else {
-            cycligent.interfaces[args.name] = false;
-            cycligent.interfacesToProcess.push(args);
+        if (!resource || !resource.loaded) {
+            if (cycligent.config.debug.on) {
+                console.warn("Resource '" + args.dottedNameOrUrl + "' " + (resource ? "has not loaded yet." : "was not imported."));
+            }
+            return undefined;
         }
+
+        return resource.value;
     };
 
-    /**
-     * Checks to see if all dependencies of a given interface
-     * are defined. If so, returns true to indicate that the interface can be
-     * processed, otherwise false is returned.
-     *
-     * @protected
-     * @ignore
-     */
-    cycligent.interfaceMissing = function(args) {
+    cycligent.doc = function(){
+        /**
+         * Manager for dynamically importing JavaScript files asynchronously.
+         * See {@link cycligent.Imports.Import}.
+         *
+         * @class
+         * @protected
+         * @ignore
+         */
+        cycligent.Imports = function () {};
+    };
+    cycligent.class({
+        name: "cycligent.Imports",
+        definition: {
 
-        var missing = "";
+            init: function () {
+                cycligent.args(arguments, {});
 
-        // Check to see if all elements of the name are defined.
-        var splits = args.name.split(".");
-        var dependantVar = window;
-        var dependantVarName = "window";
-        var index;
+                // Errors thrown while an imported script executes fail that script
+                var onerrorPrevious = window.onerror;
 
-        if (splits.length > 1) {
-            for (index = 0; index < splits.length - 1; index++) {
-                dependantVarName += "." + splits[index];
-                if (!dependantVar[splits[index]]) {
-                    missing = dependantVarName;
-                    break;
-                }
-                dependantVar = dependantVar[splits[index]];
-            }
-        }
+                window.onerror = function (message, url, line, column) {
+                    cycligent.imports.scriptError(message, url, line, column);
+
+                    if (onerrorPrevious) {
+                        return onerrorPrevious.apply(this, arguments);
+                    }
+
+                    return false;
+                };
+            },
+
+            scriptsPending: 1, // INTERNAL USE ONLY. The number of JavaScript files currently being loaded. Set to 1 instead of zero so we're sure we wait for the startupScript to be loaded.
+            scripts: [],
+            scriptsCount: 0,
+            orphans: [], // Scripts imported while no importing script could be identified (browsers without document.currentScript).
+            roots: [], // Scripts imported by the page itself, such as the startup script, rather than by another script.
+            executing: null, // The script currently executing, for loaders that run scripts themselves rather than through the browser.
+            declaring: null, // The script that declared the define body or import callback currently running, see cycligent.imports.declaredBy.
+            bundled: {}, // The bundle script (or null if it couldn't be determined) for each dotted name declared by a bundle that hasn't reached it yet.
+
+            /**
+             * The imports that failed, in the order they failed. Each failure has
+             * the properties:
+             * <ul>
+             * <li>scriptId - The dotted name or URL that was imported.
+             * <li>name - The dotted name of the URL that failed (see {@link cycligent.dottedName}),
+             * or the scriptId if it has none.
+             * <li>url - The URL of the last attempt to load it.
+             * <li>urls - Every URL it could be loaded from (see {@link cycligent.urls}).
+             * <li>reason - "timeout", "http" (an HTTP or network error), "script" (an
+             * error thrown while the script executed), "parse" (a resource, such as a
+             * JSON file, that could not be parsed), "integrity" (the file did not match
+             * its integrity hash, see {@link cycligent.elementSecure}) or "dependency" (a
+             * dependency of a shim failed, see {@link cycligent.ShimScript}).
+             * <li>message - Describes the failure.
+             * <li>attempts - The load attempts (see {@link cycligent.Script}).
+             * <li>pass - The number of the load pass it was imported in.
+             * </ul>
+             *
+             * @member {object[]} cycligent.imports.failures
+             */
+            failures: [],
+
+            /**
+             * See {@link cycligent.import}
+             *
+             * @private
+             */
+            Import: function () {
+                var args = cycligent.args(arguments, {
+                    scriptId: { type: String, required: true }, // Id or URL of the script to load.
+                    callback: { type: Function, required: false }, // Called as callback(error, script) once the script and its imports complete.
+                    extension: { type: String, required: false } // The file type to load, see cycligent.loaders. Defaults to the URL's extension, or js.
+                });
 
-        if (!missing && args.extends && !cycligent.interfaces[args.extends]) {
-            missing = args.extends;
-        }
+                var script;
+                var completion;
+                var parent = cycligent.imports.scriptExecuting();
+                var scriptId = args.scriptId;
 
-        return missing;
-    };
+                if (scriptId.substr(0, 1) == "~") {
+                    // Script-relative, named as though the importing script had used its full name
+                    scriptId = cycligent.url.relative(scriptId, (parent ? parent.scriptId : undefined));
+                }
 
-    /**
-     * Processes any interfaces whose processing has been
-     * deferred but which are now ready to be processed.
-     *
-     * @protected
-     * @ignore
-     */
-    cycligent.interfaceProcessDeferred = function() {
+                var extension = (scriptId === null ? null : cycligent.imports.extensionOf(scriptId, args.extension));
+
+                if (scriptId === null) {
+                    completion = new cycligent.Completion();
+                    completion.reject(new Error("The script-relative name '" + args.scriptId + "' could not be resolved."));
+                } else if (!cycligent.loaders[extension]) {
+                    console.error("No loader is registered for the extension '" + extension + "' of '" + args.scriptId + "'.");
+                    completion = new cycligent.Completion();
+                    completion.reject(new Error("No loader is registered for the extension '" + extension + "'."));
+                } else if (cycligent.test && !cycligent.test.doImports) {
+                    completion = new cycligent.Completion();
+                    completion.resolve();
+                } else {
+                    var key = cycligent.imports.scriptKey(scriptId, extension);
 
-        var interfaceProcessed = false;
-        var processSeen = false;
-        var index;
-        var args;
+                    script = cycligent.imports.scripts[key];
 
-        do {
-            processSeen = false;
+                    if (script) {
+                        if (cycligent.config.debug.scripts) {
+                            console.info("Redundant import of '" + key + "' avoided.");
+                        }
+                    }
+                    else {
+                        script = cycligent.imports.scriptAdd(scriptId, extension);
+                    }
 
-            for (index = 0; index < cycligent.interfacesToProcess.length; index++) {
+                    cycligent.imports.dependencyAdd(parent, script);
+                    completion = script.completion;
+                }
 
-                args = cycligent.interfacesToProcess[index];
+                if (args.callback) {
+                    var declaring = cycligent.imports.scriptRelative();
+                    completion.done(function () {
+                        return cycligent.imports.declaredBy(declaring, args.callback, this, arguments);
+                    });
+                }
 
-                if (args !== null && cycligent.interfaceMissing(this) == "") {
+                return completion;
+            },
 
-                    processSeen = true;
-                    interfaceProcessed = true;
-                    cycligent.interfaceProcess(this);
-                    cycligent.interfacesToProcess[index] = null;
+            /**
+             * Creates the script (or other resource) for scriptId with the loader
+             * for its extension, or {@link cycligent.ShimScript} for shimmed scripts,
+             * which adds it to the open load pass and starts it loading, and accounts
+             * for it as pending.
+             *
+             * @private
+             *
+             * @param {string} scriptId - Dotted name or URL of the script.
+             * @param {string} [extension='js'] - The file type to load.
+             *
+             * @returns {cycligent.Script}
+             */
+            scriptAdd: function (scriptId, extension) {
+                var script;
 
-                }
+                extension = extension || "js";
 
-            }
+                var Loader = cycligent.loaders[extension];
 
-            while (cycligent.interfacesToProcess.length > 0
-                && cycligent.interfacesToProcess[cycligent.interfacesToProcess.length - 1] === null) {
-                cycligent.interfacesToProcess.pop();
-            }
+                if (extension == "js" && cycligent.config.loader.shims.hasOwnProperty(scriptId)) {
+                    Loader = cycligent.ShimScript;
+                }
 
-            while (cycligent.interfacesToProcess.length > 0 && cycligent.interfacesToProcess[0] === null) {
-                cycligent.interfacesToProcess.shift();
-            }
+                cycligent.imports.scriptsPending++;
+                cycligent.imports.scriptsCount++;
+                script = new Loader(scriptId, cycligent.imports.scriptLoaded, cycligent.imports.scriptFailed, extension);
 
-        } while (processSeen);
+                return script;
+            },
 
-        if (interfaceProcessed) {
-            cycligent.classProcessDeferred();
-        }
+            /**
+             * Returns the extension to load scriptId with: the extension given,
+             * otherwise the extension of a URL (or alias of one, see
+             * cycligent.alias) if there is a loader for it,
+             * otherwise the extension of the root it is under, otherwise "js".
+             *
+             * @private
+             *
+             * @param {string} scriptId - Dotted name or URL.
+             * @param {string} [extension] - The extension asked for.
+             *
+             * @returns {string}
+             */
+            extensionOf: function (scriptId, extension) {
+                if (extension) {
+                    return extension;
+                }
 
-    };
+                var target = cycligent.alias(scriptId);
+                var candidate = (target.indexOf("/") >= 0 ? /\.([^.\/]+)$/.exec(target) : null);
 
-    /**
-     * Process a interface. See {@link cycligent.interface}
-     *
-     * @protected
-     * @ignore
-     */
-    cycligent.interfaceProcess = function(args) {
+                if (candidate && cycligent.loaders[candidate[1]]) {
+                    return candidate[1];
+                }
 
-        var newInterface;
+                return cycligent.url.rootOptions(scriptId).extension || "js";
+            },
 
-        if (args.extends) {
-            cycligent.definitionGet(args.extends).extend(args.definition);
-        }
-        else {
-            newInterface = Interface.extend(args.definition);
-        }
+            /**
+             * Returns the key of scriptId in cycligent.imports.scripts. Scripts
+             * are keyed by their scriptId, other resources by their scriptId
+             * followed by their extension, unless it already ends in it.
+             *
+             * @private
+             *
+             * @param {string} scriptId - Dotted name or URL.
+             * @param {string} extension - The file type loaded.
+             *
+             * @returns {string}
+             */
+            scriptKey: function (scriptId, extension) {
+                if (extension == "js" || scriptId.substr(scriptId.length - extension.length - 1) == "." + extension) {
+                    return scriptId;
+                }
 
-        newInterface.cyName = args.name;
-        cycligent.definitionSet(args.name, newInterface);
+                return scriptId + "." + extension;
+            },
 
-    };
+            /**
+             * @summary
+             * Declares the scripts contained in the bundle that is executing.
+             *
+             * @description
+             * Called at the start of a bundle written by cycligent-bundle (see the
+             * bin directory). Imports of the declared scripts, whether made before or
+             * while the bundle executes, wait for the bundle to reach them instead of
+             * requesting them from their own URLs. Scripts that were already imported
+             * are not declared.<br>
+             * <br>
+             * Bundles are normally listed in cycligent.config.loader.bundles, so they
+             * load before the startup script.
+             *
+             * @method cycligent.imports.bundleDeclare
+             * @protected
+             *
+             * @param {string[]} scriptIds - The dotted names of the scripts in the
+             * bundle, in the order they appear.
+             */
+            bundleDeclare: function (scriptIds) {
+                var imports = cycligent.imports;
+                var bundle = imports.scriptExecuting();
 
-    /////////////////////////////
-    //  D E F I N I T I O N S  //
-    /////////////////////////////
+                for (var index = 0; index < scriptIds.length; index++) {
+                    if (!imports.scripts[scriptIds[index]]) {
+                        imports.bundled[scriptIds[index]] = bundle;
+                    }
+                }
+            },
 
-    cycligent.definitionsToProcess = [];
-    cycligent.priorityDefinitions = [];
+            /**
+             * Called by a bundle before the source of each script it contains, and
+             * with null after the last. Completes the previous script in the bundle,
+             * and makes scriptId the executing script, so the imports and
+             * declarations it makes are recorded against it.
+             *
+             * @method cycligent.imports.bundleScript
+             * @protected
+             *
+             * @param {string|null} scriptId - The dotted name of the script that
+             * follows, or null at the end of the bundle.
+             */
+            bundleScript: function (scriptId) {
+                var imports = cycligent.imports;
+                var previous = imports.executing;
+                var script;
+                var bundle;
 
-    /**
-     * @summary
-     * Allows the creation of identifiers in a way that takes into account dependencies
-     * and optionally allows for a function to be run when the identifier is created or
-     * during a prioritized startup.
-     *
-     * @description
-     * cycligent.define allows files to be loaded in any order
-     * and thus enables asynchronous loading of JavaScript files.  The actual definition
-     * (creation) of the identifier does not happen until all of it dependencies are
-     * defined.<br>
-     * <br>
-     * If a definition function is defined and no priority is defined the definition
-     * function is called immediately upon the creation of the identifier (the
-     * identifier is defined when the function is called). If a definition function and
-     * priority are specified then the call of the definition function is delayed until
-     * all startup process have completed and then the definition function is called, in
-     * the order indicated by priority, just before main() is called.<br>
-     * <br>
-     * All priority 1 functions are called first, then all priority 2 functions, and so on
-     * and so forth. Please note that the order of calls within a priority are random.  So,
-     * for instance, if you set three functions as priority 1 you are assured that these
-     * function will be called before any other definition functions, but you don't know
-     * which of these three functions will be called first, second or third.<br>
-     * <br>
-     * If after all scripts have been loaded the dependencies for a given define have not
-     * been created, then Cycligent creates those dependencies as blank objects.  So, for
-     * instance, if there was a define of 'demo.something.here' and after all
-     * scripts had loaded only 'demo' was defined then Cycligent would define 'something'
-     * as a blank object and then define 'here' as well.<br>
-     *
-     * @method cycligent.define
-     *
-     * @param {string} name - The fully qualified name/namespace to define
-     * @param {*} [definition] - Value/object/definition to be assigned to the name
-     * @param {number} [priority] - The priority order, if any. If zero or undefined
-     * the definition to be executed as soon as all dependencies are available. If a
-     * non-zero priority is defined then the definition is not executed until all
-     * scripts have been loaded and all definitions with a lower priority have been
-     * executed.
-     */
-    cycligent.define = function (name, definition, priority) {
-        var args = cycligent.args(arguments, {
-            name: { type: String },					        // The fully qualified namespace to define
-            definition: { type: "Any", required: false },	// The optional init function used to initialize the definitions of the namespace
-            priority: { type: Number, required: false }     // The optional priority of the definition.  The priority if undefined or zero causes
-        });
+                imports.executing = null;
 
-        if (cycligent.definitionMissing(args) == "") {
-            cycligent.definitionProcess(args);
-            cycligent.definitionProcessDeferred();
-        }
-        else {
-            cycligent.definitionsToProcess.push(args);
-        }
-    };
+                if (previous && previous.bundled && !previous.loaded && !previous.failed) {
+                    delete imports.bundled[previous.scriptId];
+                    previous.scriptLoaded();
+                }
 
-    /**
-     * Executes definitions
-     *
-     * @protected
-     * @ignore
-     */
-    cycligent.define.execute = function () {
+                if (scriptId === null) {
+                    return;
+                }
 
-        // First sort for priorities
-        cycligent.priorityDefinitions.sort
-        (function (a, b) {
-                return a.priority - b.priority;
-            }
-        );
+                bundle = imports.bundled[scriptId];
+                script = imports.scripts[scriptId];
 
-        for (var definitionIndex in cycligent.priorityDefinitions) {
+                if (!script) {
+                    script = imports.scriptAdd(scriptId);
+                    imports.dependencyAdd(bundle, script);
+                } else if (!script.bundled) {
+                    console.warn("Script '" + scriptId + "' was imported before its bundle loaded, it has been executed twice.");
+                } else if (bundle) {
+                    imports.dependencyAdd(bundle, script);
+                }
 
-            if (!cycligent.priorityDefinitions.hasOwnProperty(definitionIndex)) continue;
+                imports.executing = script;
+            },
 
-            if (cycligent.priorityDefinitions[definitionIndex].definition instanceof Function) {
-                var returnValue = cycligent.priorityDefinitions[definitionIndex].definition();
-                if (returnValue) {
-                    cycligent.definitionSet({
-                        "name": cycligent.priorityDefinitions[definitionIndex].name,
-                        "value": returnValue
-                    });
+            /**
+             * Called once a bundle has finished loading, or has failed. Any script it
+             * declared but didn't reach, because the bundle failed or threw an error,
+             * is requested from its own URL instead. The script that was executing
+             * when the bundle threw an error fails with that error.
+             *
+             * @private
+             *
+             * @param {cycligent.Script} bundle - The script that may be a bundle.
+             */
+            bundleRelease: function (bundle) {
+                var imports = cycligent.imports;
+                var script;
+
+                if (imports.executing && imports.executing.bundled && imports.bundled[imports.executing.scriptId] === bundle) {
+                    script = imports.executing;
+                    imports.executing = null;
+                    delete imports.bundled[script.scriptId];
+                    script.scriptError = script.scriptError || "The bundle " + bundle.scriptId + " stopped while executing it.";
+                    script.scriptLoaded();
                 }
-            } else {
-                cycligent.definitionSet({
-                    "name": cycligent.priorityDefinitions[definitionIndex].name,
-                    "value": cycligent.priorityDefinitions[definitionIndex].definition
-                });
-            }
-            cycligent.classProcessDeferred();
-            cycligent.interfaceProcessDeferred();
-        }
-    };
 
-    /**
-     * Checks to see if all dependencies of a given class
-     * are defined. If so, returns true to indicate that the class can be
-     * processed, otherwise false is returned.
-     *
-     * @protected
-     * @ignore
-     */
-    cycligent.definitionMissing = function (args) {
+                for (var scriptId in imports.bundled) {
+                    if (!imports.bundled.hasOwnProperty(scriptId) || imports.bundled[scriptId] !== bundle) continue;
 
-        var missing = "";
+                    delete imports.bundled[scriptId];
+                    script = imports.scripts[scriptId];
 
-        // Check to see if all elements of the name are defined.
-        var splits = args.name.split(".");
-        var dependantVar = window;
-        var dependantVarName = "window";
-        var index;
+                    if (script && !script.loaded && !script.failed) {
+                        console.warn("Bundled script '" + scriptId + "' was not loaded by its bundle " + bundle.scriptId +
+                            ", importing it from " + cycligent.dottedName.describe(script.url) + ".");
+                        script.bundled = false;
+                        script.attemptStart();
+                    }
+                }
+            },
 
-        if (splits.length > 1) {
-            for (index = 0; index < splits.length - 1; index++) {
-                dependantVarName += "." + splits[index];
-                if (!dependantVar[splits[index]]) {
-                    missing = dependantVarName;
-                    break;
+            /**
+             * Records the failure of a script.
+             *
+             * @private
+             *
+             * @param {cycligent.Script} script - The script that failed.
+             * @param {string} reason - "timeout", "http" or "script".
+             * @param {string} message - Describes the failure.
+             *
+             * @returns {object} - The failure (see {@link cycligent.imports.failures}).
+             */
+            failureAdd: function (script, reason, message) {
+                var failure = {
+                    scriptId: script.scriptId,
+                    name: cycligent.dottedName(script.url) || script.scriptId,
+                    url: script.url,
+                    urls: script.urls,
+                    reason: reason,
+                    message: message,
+                    attempts: script.attempts,
+                    pass: (script.pass ? script.pass.number : undefined)
+                };
+
+                cycligent.imports.failures.push(failure);
+
+                // The scripts of a bundle that fails are imported from their own URLs instead
+                // (see cycligent.imports.bundleRelease), so it doesn't fail the pass.
+                if (script.pass && cycligent.config.loader.bundles.indexOf(script.scriptId) < 0) {
+                    script.pass.failures.push(failure);
                 }
-                dependantVar = dependantVar[splits[index]];
-            }
-        }
 
-        return missing;
-    };
+                return failure;
+            },
 
-    /**
-     * Processes any classes whose processing has been
-     * deferred but which are now ready to be processed.
-     *
-     * @protected
-     * @ignore
-     */
-    cycligent.definitionProcessDeferred = function () {
+            /**
+             * Called from window.onerror. If the error came from a script that is
+             * still loading, that script is marked as having failed with a script
+             * error. It fails once its load event fires.
+             *
+             * @private
+             */
+            scriptError: function (message, url, line, column) {
+                var scripts = cycligent.imports.scripts;
+                var executing = cycligent.imports.executing;
+                var script;
 
-        var ProcessSeen = false;
-        var index;
-        var args;
+                // Errors thrown by a script in a bundle belong to that script rather than the bundle
+                if (executing && executing.bundled && !executing.loaded && !executing.failed) {
+                    script = cycligent.imports.bundled[executing.scriptId];
 
-        do {
-            ProcessSeen = false;
+                    if (script && url && script.url == url) {
+                        executing.scriptError = message + " (line " + line + (column ? ", column " + column : "") + ")";
+                        return;
+                    }
+                }
+
+                for (var id in scripts) {
+                    if (!scripts.hasOwnProperty(id)) continue;
+                    script = scripts[id];
+
+                    if (!script.loaded && !script.failed && url && script.url == url) {
+                        script.scriptError = message + " (line " + line + (column ? ", column " + column : "") + ")";
+                        return;
+                    }
+                }
+            },
 
-            for (index = 0; index < cycligent.definitionsToProcess.length; index++) {
+            /**
+             * Returns the imported script that is currently executing, if it can be
+             * determined.
+             *
+             * @private
+             *
+             * @returns {cycligent.Script|null}
+             */
+            scriptExecuting: function () {
+                if (cycligent.imports.executing) {
+                    return cycligent.imports.executing;
+                }
 
-                args = cycligent.definitionsToProcess[index];
+                var element = (typeof document != "undefined" ? document.currentScript : null);
 
-                if (args !== null && cycligent.definitionMissing(args) == "") {
-                    ProcessSeen = true;
-                    cycligent.definitionProcess(args);
-                    cycligent.definitionsToProcess.splice(index, 1);
-                    index--;
+                if (element && element.cycligentScript) {
+                    return element.cycligentScript;
                 }
-            }
 
-        } while (ProcessSeen);
-    };
+                return null;
+            },
 
-    /**
-     * First step in define process. See {@link cycligent.define}
-     *
-     * @protected
-     * @ignore
-     */
-    cycligent.definitionProcess = function (args) {
+            /**
+             * Returns the script that script-relative names ('~') currently resolve
+             * against: the script that is executing, otherwise the script that declared
+             * the define body or import callback that is running.
+             *
+             * @private
+             *
+             * @returns {cycligent.Script|null}
+             */
+            scriptRelative: function () {
+                return cycligent.imports.scriptExecuting() || cycligent.imports.declaring;
+            },
 
-        // Create the namespace
-        if (!cycligent.definitionGet(args.name)) {
-            cycligent.definitionSet({
-                "name": args.name,
-                "value": {}
-            });
-        }
+            /**
+             * Calls fn as code declared by script, so script-relative names used by
+             * it resolve against script even though script has finished executing.
+             *
+             * @private
+             *
+             * @param {cycligent.Script|null} script - The declaring script.
+             * @param {function} fn - The define body or import callback.
+             * @param {*} [thisArg] - this for the call.
+             * @param {Array|Arguments} [args] - The arguments of the call.
+             *
+             * @returns {*} - What fn returns.
+             */
+            declaredBy: function (script, fn, thisArg, args) {
+                var previous = cycligent.imports.declaring;
 
-        cycligent.definitionProcess2(args);
-    };
+                cycligent.imports.declaring = script;
 
-    /**
-     * Second step in define process. See {@link cycligent.define}
-     *
-     * @protected
-     * @ignore
-     */
-    cycligent.definitionProcess2 = function (args) {
+                try {
+                    return fn.apply(thisArg, args || []);
+                }
+                finally {
+                    cycligent.imports.declaring = previous;
+                }
+            },
 
-        if (args.definition) {
-            if (args.priority) {
-                cycligent.priorityDefinitions.push(args);
-            } else {
-                if (args.definition instanceof Function) {
-                    var returnValue = args.definition();
-                    if (returnValue) {
-                        cycligent.definitionSet({
-                            "name": args.name,
-                            "value": returnValue
-                        });
+            /**
+             * Records that parent imported script. When the parent could not be
+             * determined and the browser can't tell us which script is executing,
+             * the script is held until the next script finishes loading, which
+             * is when an importing script would have finished executing.
+             *
+             * @private
+             */
+            dependencyAdd: function (parent, script) {
+                if (parent) {
+                    if (parent !== script && parent.children.indexOf(script) < 0) {
+                        parent.children.push(script);
+                        cycligent.imports.shimCycleFail(parent, script);
                     }
-                } else {
-                    cycligent.definitionSet({
-                        "name": args.name,
-                        "value": args.definition
-                    });
+                } else if (typeof document != "undefined" && !("currentScript" in document)) {
+                    cycligent.imports.orphans.push(script);
+                } else if (cycligent.imports.roots.indexOf(script) < 0) {
+                    cycligent.imports.roots.push(script);
                 }
-            }
-        }
-    };
+            },
 
-    //noinspection ReservedWordAsName
-    /**
-     * @summary
-     * cycligent.private is used during debugging to ensure that private methods are only
-     * called by methods of the object in which it is defined.
-     *
-     * @description
-     * To use cycligent.private simply place "cycligent.private(this);" at the top of the
-     * function. The cycligent framework will then throw an error if the call
-     * to the function was made from outside the object.
-     *
-     * @method cycligent.private
-     *
-     * @param {object} alwaysThis - the only parameter to cycligent.private is always the "this" keyword.
-     *
-     * @Example
-     * cycligent.class({
-     *     name: "Person",
-     *     definition:{
-     *         init: function(){
-     *             var a = cycligent.args(arguments, PersonArgs );
-     *             	
-     *             var name = a.name;
-     *             
-     *             this.getProtectedName = function Person_init_getProtectedName(){
-     *                 cycligent.private(this);
-     *                 return name;
-     *             };
-     *         },
-     *
-     *         nameGet: function(){
-     *             return this.getProtectedName();
-     *         }
-     *     }
-     * });
-     */
-    cycligent.private = function(alwaysThis) {
+            /**
+             * Fails a shim that waits on its deps when the import of script by parent
+             * closes a cycle through it, such as a shim whose dep is a script that
+             * imports the shim. The shim would wait on itself forever.
+             *
+             * @private
+             *
+             * @param {cycligent.Script} parent - The importing script.
+             * @param {cycligent.Script} script - The script imported.
+             */
+            shimCycleFail: function (parent, script) {
+                var seen = [];
 
-        if (!cycligent.config.debug.private.check) {
-            return;
-        }
+                // The scripts from script to parent, following the imports each made
+                function pathFind(from) {
+                    if (from === parent) {
+                        return [from];
+                    }
+                    if (seen.indexOf(from) >= 0) {
+                        return null;
+                    }
+                    seen.push(from);
 
-        var me = alwaysThis;
+                    for (var index = 0; index < from.children.length; index++) {
+                        var path = pathFind(from.children[index]);
+                        if (path) {
+                            return [from].concat(path);
+                        }
+                    }
 
-        if (!me) {
-            me = this;
-        }
+                    return null;
+                }
 
-        var caller = arguments.callee.caller.caller;
-        var found = false;
-        var index;
+                var path = pathFind(script);
 
-        for (index in me) {
-            if (!me.hasOwnProperty(index)) continue;
-            if (caller == me[index]) {
-                found = true;
-                break;
-            }
-        }
+                for (var index = 0; path && index < path.length; index++) {
+                    var shim = path[index];
 
-        if (!found) {
-            console.error("Private method accessed by a method outside of the defining class.");
-            if(console.trace) {
-                console.trace();
-            }
-        }
+                    if (shim.shim && !shim.depsLoaded && !shim.loaded && !shim.failed) {
+                        var cycle = path.slice(index).concat(path.slice(0, index), [shim]);
+                        shim.fail("dependency", "The shim depends on itself: " + cycle.map(function (cycleScript) {
+                            return cycleScript.scriptId;
+                        }).join(" -> ") + ".");
+                        return;
+                    }
+                }
+            },
 
-    };
+            /**
+             * Records that a class, interface or definition was declared by the
+             * script that is currently executing. A script element removed when its
+             * attempt timed out can still execute once the next attempt has started,
+             * declaring everything twice; what it declares is ignored.
+             *
+             * @private
+             *
+             * @param {string} type - "class", "interface" or "definition".
+             * @param {string} name - The dotted name declared.
+             *
+             * @returns {boolean} - False if the declaration is from an attempt that was
+             * given up on, and is to be ignored.
+             */
+            registered: function (type, name) {
+                var script = cycligent.imports.scriptExecuting();
+                var element = (typeof document != "undefined" ? document.currentScript : null);
+
+                if (!cycligent.imports.executing && element && element.cycligentAttempt &&
+                    element.cycligentAttempt.result != "pending") {
+                    if (!element.cycligentIgnored) {
+                        element.cycligentIgnored = true;
+                        console.warn("Ignored the declarations of an attempt to load '" + element.cycligentScript.scriptId +
+                            "' that ran after it was given up on (" + element.cycligentAttempt.result + "): " +
+                            element.cycligentAttempt.url);
+                    }
+                    return false;
+                }
 
+                if (script) {
+                    script.registered[type == "class" ? "classes" : type + "s"].push(name);
+                }
 
-    //TODO: 5. Have Cycligent Builder remove cycligent.doc blocks
-    cycligent.doc = function(){
-        /**
-         * Represents a JavaScript script that loads asynchronously.
-         *
-         * @class cycligent.Script
-         *
-         * @property {string} scriptId - Dotted name or URL of script to load. See {@link cycligent.url}.
-         * @property {function|undefined} callback - The function to callback when the script loads successfully.
-         * @property {string} url - The computed location (URL) of the script on the server (see {@link cycligent.url}).
-         * @property {int} interval - The ID for the interval that checks if the script load timed out.
-         * @property {boolean} loaded - True when the script has successfully loaded
-         * @property {boolean} debugging - True when script loading is being debugged, which causes extra messages
-         * to be logged.
-         *
-         * @param {string} scriptId - Dotted name or URL of script to load. See {@link cycligent.url}.
-         * @param {function} [callback=cycligent.imports.scriptLoaded] - The function to callback when the script loads
-         * successfully.
-         */
-        cycligent.Script = function (scriptId, callback) {};
-    };
-    cycligent.class({
-        name: "cycligent.Script",
-        definition: {
+                return true;
+            },
 
-            init: function () {
-                var a = cycligent.args(arguments, {
-                    scriptId: { type: String, required: true },
-                    callback: { type: Function, required: false, defaultValue: cycligent.imports.scriptLoaded }
+            /**
+             * @summary
+             * Returns the import dependency graph, as recorded at runtime.
+             *
+             * @description
+             * Each call to {@link cycligent.import} is recorded against the script that
+             * was executing at the time, making it an edge from that script to the one
+             * imported. Imports made by the page itself, such as the import of the
+             * startup script or imports from main(), are edges from the "(page)" node.<br>
+             * <br>
+             * Each node has the properties id (the dotted name or URL imported, followed
+             * by the extension for resources other than scripts), url,
+             * duration (milliseconds from the first load attempt until the script loaded
+             * or failed, undefined while pending), state ("pending", "loaded" or "failed"),
+             * pass (the load pass number) and the classes, interfaces and definitions the
+             * script declared. Each edge has the properties from and to, the ids of the
+             * nodes.<br>
+             * <br>
+             * The graph can be exported as JSON with JSON.stringify(), or in the
+             * Graphviz DOT language with its toDot() method.
+             *
+             * @method cycligent.imports.graph
+             *
+             * @returns {{nodes: object[], edges: object[], toJSON: function, toDot: function}}
+             *
+             * @example
+             * console.log(JSON.stringify(cycligent.imports.graph(), null, 2));
+             * console.log(cycligent.imports.graph().toDot());
+             */
+            graph: function () {
+
+                var imports = cycligent.imports;
+                var nodes = [];
+                var edges = [];
+                var pageId = "(page)";
+                var id;
+                var script;
+                var index;
+                var attempts;
+
+                nodes.push({
+                    id: pageId,
+                    url: window.location.href,
+                    duration: undefined,
+                    state: "loaded",
+                    pass: 0,
+                    classes: [],
+                    interfaces: [],
+                    definitions: []
                 });
 
-                this.scriptId = a.scriptId;
-                this.callback = a.callback;
-
-                this.url = cycligent.url(this.scriptId);
+                for (index = 0; index < imports.roots.length; index++) {
+                    edges.push({ from: pageId, to: imports.roots[index].key });
+                }
 
-                if (this.debugging) {
-                    console.info("Importing script: " + this.scriptId + " (" + this.url + ")");
+                for (index = 0; index < imports.orphans.length; index++) {
+                    edges.push({ from: pageId, to: imports.orphans[index].key });
                 }
 
-                var me = this;
+                for (id in imports.scripts) {
+                    if (!imports.scripts.hasOwnProperty(id)) continue;
+                    script = imports.scripts[id];
+                    attempts = script.attempts;
+
+                    nodes.push({
+                        id: script.key,
+                        url: script.url,
+                        duration: (attempts.length > 0 && attempts[attempts.length - 1].end ?
+                            attempts[attempts.length - 1].end - attempts[0].start : undefined),
+                        state: (script.failed ? "failed" : (script.loaded ? "loaded" : "pending")),
+                        pass: (script.pass ? script.pass.number : undefined),
+                        classes: script.registered.classes.slice(0),
+                        interfaces: script.registered.interfaces.slice(0),
+                        definitions: script.registered.definitions.slice(0)
+                    });
 
-                var script = document.createElement("script");
-                script.id = this.scriptId;
-                script.type = "text/javascript";
-                script.src = this.url;
+                    for (index = 0; index < script.children.length; index++) {
+                        edges.push({ from: script.key, to: script.children[index].key });
+                    }
+                }
 
-                script.addEventListener("load", function() { me.scriptLoaded(); }, false);
+                /**
+                 * Quotes a string for use as a DOT identifier or label.
+                 *
+                 * @private
+                 */
+                function dotQuote(text) {
+                    return '"' + String(text).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n") + '"';
+                }
 
-                this.interval = setInterval(function() { me.timeout(); }, cycligent.config.loader.timeout);
+                return {
+                    nodes: nodes,
+                    edges: edges,
 
-                document.getElementsByTagName("head")[0].appendChild(script);
-            },
+                    toJSON: function () {
+                        return { nodes: nodes, edges: edges };
+                    },
 
-            scriptId: null,
-            url: null,
-            interval: null,
-            loaded: false,
-            debugging: cycligent.config.debug.scripts,
+                    toDot: function () {
+                        var lines = ["digraph imports {", "    node [shape=box, fontname=\"sans-serif\"];"];
+                        var node;
+                        var label;
+                        var registered;
 
-            /**
-             * Called by the system when a script has completed loading.
-             * @inner
-             * @private
-             */
-            scriptLoaded: function () {
+                        for (var n = 0; n < nodes.length; n++) {
+                            node = nodes[n];
+                            label = node.id + "\n" + node.url;
 
-                var me = this;
+                            if (node.duration !== undefined) {
+                                label += "\n" + node.duration + "ms";
+                            }
 
-                clearInterval(me.interval);
+                            registered = node.classes.concat(node.interfaces, node.definitions);
+                            if (registered.length > 0) {
+                                label += "\n" + registered.join("\n");
+                            }
 
-                me.loaded = true;
+                            lines.push("    " + dotQuote(node.id) + " [label=" + dotQuote(label) +
+                                (node.state == "failed" ? ", color=red" : (node.state == "pending" ? ", style=dashed" : "")) + "];");
+                        }
 
-                if (me.debugging) {
-                    console.info("Import Complete (Script Loaded): " + me.scriptId);
-                }
+                        for (var e = 0; e < edges.length; e++) {
+                            lines.push("    " + dotQuote(edges[e].from) + " -> " + dotQuote(edges[e].to) + ";");
+                        }
 
-                if (me.callback) {
-                    me.callback();
-                }
+                        lines.push("}");
+
+                        return lines.join("\n");
+                    }
+                };
             },
 
             /**
-             * Called by the system when a script fails to load
-             * within a specified amount of time.
-             * @inner
+             * Settles the completion of every script whose outcome is now known.
+             * A script completes once it has loaded and all of the scripts it
+             * imported, directly or indirectly, have completed. It fails as soon
+             * as any of them fail.
+             *
              * @private
              */
-            timeout: function () {
-                clearInterval(this.interval);
-                console.error("Script Import Failed: " + this.scriptId);
-            }
+            completeCheck: function () {
+
+                var scripts = cycligent.imports.scripts;
+                var outcomes = [];
+                var id;
+                var script;
+                var outcome;
+
+                function outcomeGet(script, visiting) {
+
+                    if (script.completion.state == "resolved") {
+                        return { state: "complete" };
+                    }
+
+                    if (script.failed) {
+                        return { state: "failed", reason: script.completion.value };
+                    }
+
+                    if (!script.loaded) {
+                        return { state: "pending" };
+                    }
+
+                    var result = { state: "complete" };
+                    var childOutcome;
+
+                    visiting.push(script);
+
+                    for (var index = 0; index < script.children.length; index++) {
+                        // Scripts that import each other are complete when they have all loaded.
+                        if (visiting.indexOf(script.children[index]) >= 0) {
+                            continue;
+                        }
+
+                        childOutcome = outcomeGet(script.children[index], visiting);
+
+                        if (childOutcome.state == "failed") {
+                            result = childOutcome;
+                            break;
+                        }
+
+                        if (childOutcome.state == "pending") {
+                            result = childOutcome;
+                        }
+                    }
 
-        }
-    });
+                    visiting.pop();
 
-    cycligent.doc = function(){
-        /**
-         * Manager for dynamically importing JavaScript files asynchronously.
-         * See {@link cycligent.Imports.Import}.
-         *
-         * @class
-         * @protected
-         * @ignore
-         */
-        cycligent.Imports = function () {};
-    };
-    cycligent.class({
-        name: "cycligent.Imports",
-        definition: {
+                    return result;
+                }
 
-            init: function () {
-                cycligent.args(arguments, {});
-            },
+                for (id in scripts) {
+                    if (!scripts.hasOwnProperty(id)) continue;
+                    script = scripts[id];
 
-            scriptsPending: 1, // INTERNAL USE ONLY. The number of JavaScript files currently being loaded. Set to 1 instead of zero so we're sure we wait for the startupScript to be loaded.
-            scripts: [],
-            scriptsCount: 0,
+                    if (script.completion.state == "pending") {
+                        outcome = outcomeGet(script, []);
+                        if (outcome.state != "pending") {
+                            outcomes.push({ script: script, outcome: outcome });
+                        }
+                    }
+                }
+
+                for (var index = 0; index < outcomes.length; index++) {
+                    script = outcomes[index].script;
+                    outcome = outcomes[index].outcome;
+
+                    if (outcome.state == "complete") {
+                        script.completion.resolve(script);
+                    } else {
+                        script.completion.reject(outcome.reason);
+                    }
+                }
+            },
 
             /**
-             * See {@link cycligent.import}
+             * See {@link cycligent.styleLoad}
              *
              * @private
              */
-            Import: function () {
+            StyleLoad: function () {
                 var args = cycligent.args(arguments, {
-                    scriptId: { type: String, required: true } // Id or URL of the script to load.
+                    styleId: { type: String, required: true }, // Id or URL of the stylesheet to load.
+                    callback: { type: Function, required: false } // Called as callback(error, style) once the stylesheet loads or fails.
                 });
 
-                if (cycligent.test && !cycligent.test.doImports) {
-                    return;
-                }
-
-                if (cycligent.imports.scripts[args.scriptId]) {
-                    if (cycligent.config.debug.scripts) {
-                        console.info("Redundant import of '" + args.scriptId + "' avoided.");
-                    }
-                }
-                else {
-                    cycligent.imports.scriptsPending++;
-                    cycligent.imports.scriptsCount++;
-                    cycligent.imports.scripts[args.scriptId] = new cycligent.Script(args.scriptId);
-                }
+                return cycligent.imports.Import({ scriptId: args.styleId, callback: args.callback, extension: "css" });
             },
 
             /**
@@ -3300,9 +6951,13 @@ cycligent.boot = function() {
                 }
 
 
+                if (cycligent.node) {
+                    return;     // No page to have loaded it
+                }
+
                 var url = cycligent.url(dottedNameOrUrl, "css");
                 if (!isLoaded(url)) {
-                    console.error("Style '" + url + "' was not loaded as required.");
+                    console.error("Style '" + cycligent.dottedName.describe(url) + "' was not loaded as required.");
                 }
             },
 
@@ -3311,17 +6966,57 @@ cycligent.boot = function() {
              * loaded asynchronously has completed loading.
              *
              * @private
+             *
+             * @param {cycligent.Script} [script] - The script that loaded.
              */
-            scriptLoaded: function () {
+            scriptLoaded: function (script) {
+
+                var orphans = cycligent.imports.orphans;
+
+                if (script && script.executes) {
+                    while (orphans.length > 0) {
+                        cycligent.imports.dependencyAdd(script, orphans.shift());
+                    }
+                }
 
                 cycligent.classProcessDeferred();
                 cycligent.interfaceProcessDeferred();
 
+                if (script) {
+                    cycligent.imports.bundleRelease(script);
+                }
+
+                cycligent.imports.scriptDone();
+            },
+
+            /**
+             * Called by the system when a script being loaded
+             * asynchronously has failed to load.
+             *
+             * @private
+             *
+             * @param {cycligent.Script} script - The script that failed.
+             */
+            scriptFailed: function (script) {
+                cycligent.imports.bundleRelease(script);
+                cycligent.imports.scriptDone();
+            },
+
+            /**
+             * Accounts for a script that is no longer pending, whether it loaded
+             * or failed, finishing the load pass if it was the last one.
+             *
+             * @private
+             */
+            scriptDone: function () {
+
                 cycligent.imports.scriptsPending--;
                 if (cycligent.imports.scriptsPending === 0) {
 
                     cycligent.appLoad.allScriptsLoaded();
                 }
+
+                cycligent.imports.completeCheck();
             }
 
         }
@@ -3391,21 +7086,74 @@ cycligent.boot = function() {
          * <br>
          * Scripts to be imported can be specified either in the form of a dottend name or
          * a URL. For more information on dotted name and URL usage see
-         * {@link cycligent.url}
+         * {@link cycligent.url}<br>
+         * <br>
+         * Each import returns a {@link cycligent.Completion} that is resolved once
+         * the script, and every script it imports in turn, has loaded and its
+         * cycligent.define and cycligent.class work has been processed. Importing
+         * the same script more than once returns the same completion. Definitions
+         * given a priority are not executed until the end of the load pass (see
+         * {@link cycligent.define}).<br>
+         * <br>
+         * If a script fails to load (see {@link cycligent.Script}), its completion and
+         * those of the scripts that imported it are rejected, and the failure is recorded
+         * in {@link cycligent.imports.failures}. If any import fails during startup, main()
+         * is not called. Instead the failures are passed to
+         * cycligent.config.loader.onFailure, a function or the dotted name of one, which
+         * defaults to {@link cycligent.appLoad.failureScreen}.<br>
+         * <br>
+         * Files other than scripts, such as JSON files, HTML templates and text files,
+         * are imported by giving their extension, or by a URL ending in it. They are
+         * loaded by the loader for their extension (see {@link cycligent.loaders}), count
+         * toward the load pass like scripts, and once loaded their values are available
+         * from {@link cycligent.resource}. ES modules are imported the same way, with
+         * the extension mjs (see {@link cycligent.ModuleScript}). Libraries that set
+         * globals rather than using cycligent.define can be declared as shims, so
+         * importing them defines their globals (see {@link cycligent.ShimScript}).<br>
+         * <br>
+         * Names beginning with '~' are relative to the script making the import
+         * (see {@link cycligent.url.relative}), so a component can import its own
+         * files wherever it is deployed. They are recorded, and imported only once,
+         * under the full names they resolve to.
          *
          * @method cycligent.import
          *
          * @param {string} dottedNameOrUrl - The script to import, specified
          * as either a dotted name or a URL. For more information on name
          * and URL handling see {@link cycligent.url}
-         * @param {string} [extension='js'] - The extenstion to be used with
-         * dotted names. Defaults to 'js'.
+         * @param {function} [callback] - Called as callback(error, script) once the
+         * script and its imports have completed, for code that prefers callbacks
+         * to the returned completion.
+         * @param {string} [extension] - The file type to import, see
+         * {@link cycligent.loaders}. Defaults to the extension of a URL that has
+         * a loader, otherwise "js".
+         *
+         * @returns {cycligent.Completion} - Settled when the script and its imports
+         * have completed.
          *
          * @Example
          *    cycligent.import( "app.sub.myScript" );
          *    cycligent.import( "/myApp/mySubDirectory/myScript.js" );
+         *
+         *    cycligent.import( "app.reports.chart" ).then(function(script){
+         *        new app.reports.Chart();
+         *    });
+         *
+         *    cycligent.import( "app.reports.chart", function(error, script){
+         *        if(!error){
+         *            new app.reports.Chart();
+         *        }
+         *    });
+         *
+         *    cycligent.import({ scriptId: "@app.settings", extension: "json" }).then(function(resource){
+         *        var settings = resource.value;
+         *    });
+         *
+         *    // In app/reports/chart.js, imports app/reports/legend.js and app/util/format.js
+         *    cycligent.import( "~legend" );
+         *    cycligent.import( "~~.util.format" );
          */
-        cycligent.import = function(dottedNameOrUrl,extension){};
+        cycligent.import = function(dottedNameOrUrl,callback,extension){};
     };
 
     cycligent.doc = function(){
@@ -3433,6 +7181,40 @@ cycligent.boot = function() {
         cycligent.styleRequired = function(dottedNameOrUrl){};
     };
 
+    cycligent.doc = function(){
+        /**
+         * @summary
+         * Loads a stylesheet asynchronously via either a dotted name or a URL.
+         *
+         * @description
+         * The stylesheet's URL is built by {@link cycligent.url} with the "css"
+         * extension, so the version suffix and {@link cycligent.config.minimizeSource}
+         * apply as they do to scripts. A &lt;link&gt; for it is added to the page.<br>
+         * <br>
+         * Stylesheets are imported like scripts (see {@link cycligent.import}): they
+         * count toward the load pass, so main() is not called until the stylesheets
+         * loaded during startup have loaded, and a stylesheet that can't be loaded
+         * is retried and then failed in the same way. Loading the same stylesheet
+         * more than once adds it once.
+         *
+         * @method cycligent.styleLoad
+         *
+         * @param {string} dottedNameOrUrl - The stylesheet to load, specified
+         * as either a dotted name or a URL. For more information on name
+         * and URL handling see {@link cycligent.url}
+         * @param {function} [callback] - Called as callback(error, style) once the
+         * stylesheet has loaded or failed.
+         *
+         * @returns {cycligent.Completion} - Settled when the stylesheet has loaded
+         * or failed.
+         *
+         * @example
+         *    cycligent.styleLoad( "app.common.css.myStyles" );
+         *    cycligent.styleLoad( "/app/common/css/myStyles.css" );
+         */
+        cycligent.styleLoad = function(dottedNameOrUrl,callback){};
+    };
+
     /**
      * Loads (starts) the application by importing the startup
      * script specified in {@link cycligent.config.loader.libs}.
@@ -3448,7 +7230,40 @@ cycligent.boot = function() {
         var domReady = false;
         var pageReady = false;
         var appLoadFinished = false;
+        var startupFailed = false;
+        var mainExecuted = false;
         var notifyFunctions = [];
+        var passes = [];
+        var passOpen = null;
+
+        /**
+         * A load pass, a batch of imports that are loaded and then processed
+         * together. The first pass loads the startup script and everything it
+         * imports. Imports made once a pass has finished loading form a new,
+         * lazy, pass.
+         *
+         * @private
+         * @constructor
+         *
+         * @param {boolean} lazy - True for passes started after startup.
+         *
+         * @property {int} number - The pass number, the startup pass is zero.
+         * @property {boolean} lazy - True for passes started after startup.
+         * @property {cycligent.Script[]} scripts - The scripts first imported in this pass.
+         * @property {object[]} failures - The imports that failed in this pass (see {@link cycligent.imports.failures}).
+         * @property {boolean} finished - True once the pass has been processed.
+         * @property {cycligent.Completion} completion - Resolved with the pass once it has been processed.
+         */
+        function Pass(lazy) {
+            this.number = passes.length;
+            this.lazy = lazy;
+            this.scripts = [];
+            this.failures = [];
+            this.finished = false;
+            this.completion = new cycligent.Completion();
+
+            passes.push(this);
+        }
 
         /**
          * Checks to see if all startup tasks have
@@ -3471,9 +7286,11 @@ cycligent.boot = function() {
             if (scriptsReady
                 && domReady
                 && pageReady
+                && !mainExecuted
                 ) {
-                if (window.cycligentConfigOverride) {
-                    console.log("Configuration override was present in markup.");
+                if (startupFailed) {
+                    _startupFail();
+                    return;
                 }
 
                 if(!appLoadFinished && cycligent.config.debug.startup) {
@@ -3484,6 +7301,46 @@ cycligent.boot = function() {
             }
         }
 
+        /**
+         * Called instead of main() when imports failed during startup. Hands
+         * the failures to cycligent.config.loader.onFailure, which may be a
+         * function or the dotted name of one, or shows the default failure
+         * screen.
+         *
+         * @private
+         */
+        function _startupFail() {
+
+            var failures = passes[0].failures;
+            var onFailure = cycligent.config.loader.onFailure;
+
+            mainExecuted = true;
+
+            cycligent.timing.event("Startup failed", 0);
+
+            console.error("The application failed to start because " + failures.length + " import(s) failed.");
+
+            cycligent.lifecycle.emit("startupFailed", failures);
+
+            if (typeof onFailure == "string") {
+                onFailure = cycligent.definitionGet(onFailure);
+            }
+
+            if (!onFailure) {
+                if (cycligent.node) {
+                    return;     // No page for the failure screen, the failures were logged
+                }
+                onFailure = cycligent.appLoad.failureScreen;
+            }
+
+            try {
+                onFailure(failures);
+            }
+            catch (ex) {
+                console.error(ex);
+            }
+        }
+
         /**
          * Create the necessary blank definitions
          *
@@ -3512,71 +7369,299 @@ cycligent.boot = function() {
                 cycligent.definitionProcess2(definition);
             }
 
+            // They have all been processed now, don't process them again in a later pass.
+            cycligent.definitionsToProcess.splice(0, cycligent.definitionsToProcess.length);
+
             cycligent.classProcessDeferred();
             cycligent.interfaceProcessDeferred();
-
-            _allScriptsLoaded2();
         }
 
         /**
-         * Second step of all script loading process
+         * Processes the definitions gathered during a load pass, creating
+         * any assumed definitions first, then executing the priority
+         * definitions.
          *
          * @private
          */
-        function _allScriptsLoaded2() {
-            cycligent.define.execute();
+        function _definitionsProcess() {
+            if (cycligent.definitionsToProcess.length > 0) {
+                _createAssumedDefinitions();
+            }
 
-            readyCheck();
+            cycligent.define.execute();
         }
 
         /**
-         * Execute main process with error trapping.
+         * Reports the interfaces and classes that still could not be processed
+         * because of missing dependencies. Each is only reported once.
          *
          * @private
+         *
+         * @param {string} when - Describes the point at which processing failed
+         * for the error message, for example "at startup".
          */
-        function _executeMain() {
+        function _unresolvedReport(when) {
 
             var index;
             var o;
 
             for(index = 0; index < cycligent.interfacesToProcess.length; index++){
                 o = cycligent.interfacesToProcess[index];
-                console.error("The interface '" + o.name + "' failed to process at startup. Missing dependency '" + cycligent.interfaceMissing(o) + "'.");
+                if (o !== null && !o.unresolvedReported) {
+                    o.unresolvedReported = true;
+                    console.error("The interface '" + o.name + "' failed to process " + when + ". Missing dependency '" + cycligent.interfaceMissing(o) + "'.");
+                }
             }
 
             for(index = 0; index < cycligent.classesToProcess.length; index++){
                 o = cycligent.classesToProcess[index];
-                console.error("The class '" + o.name + "' failed to process at startup. Missing dependency '" + cycligent.classMissing(o) + "'.");
+                if (o !== null && !o.unresolvedReported) {
+                    o.unresolvedReported = true;
+                    console.error("The class '" + o.name + "' failed to process " + when + ". Missing dependency '" + cycligent.classMissing(o) + "'.");
+                }
+            }
+        }
+
+        /**
+         * Marks a pass as finished and notifies those waiting on it.
+         *
+         * @private
+         *
+         * @param {Pass} pass - The pass that finished.
+         */
+        function _passFinish(pass) {
+            pass.finished = true;
+
+            for (var i = 0; i < notifyFunctions.length; i++) {
+                notifyFunctions[i](pass);
+            }
+
+            pass.completion.resolve(pass);
+        }
+
+        /**
+         * Processes a lazy load pass once all of its scripts have loaded, in
+         * the same way the startup pass is processed before main() is called.
+         *
+         * @private
+         *
+         * @param {Pass} pass - The pass to process.
+         */
+        function _passLazyProcess(pass) {
+
+            cycligent.timing.event("Process lazy load pass " + pass.number, 1);
+
+            if (cycligent.config.debug.scripts) {
+                console.info(pass.scripts.length + " script(s) loaded in lazy load pass " + pass.number + ".");
+            }
+
+            if (pass.failures.length > 0) {
+                console.error(pass.failures.length + " import(s) failed in lazy load pass " + pass.number + ".");
             }
 
+            _definitionsProcess();
+            _unresolvedReport("in lazy load pass " + pass.number);
+            _passFinish(pass);
+        }
+
+        /**
+         * Runs the application's entry points (see {@link cycligent.appLoad.finished}),
+         * one after another, waiting for those that return a promise (a thenable)
+         * to settle. An entry point that throws or rejects stops the ones after it,
+         * its error going to the error boundary.
+         *
+         * @private
+         */
+        function _executeMain() {
+
+            mainExecuted = true;
+
+            _unresolvedReport("at startup");
+
             cycligent.timing.event("Initialize application (time first call to timing.event)", 0);
 
-            function mainGo(){
-                if (cycligent.test) {
-                    cycligent.test.scaffoldingReady = true;
-                } else if (appLoadFinished == false) {
-                    //noinspection JSUnresolvedFunction
-                    main();
+            // Errors thrown on localhost are passed on uncaught so the debugger stops on them
+            var uncaught = (cycligent.config.debug.doNotCatchAllExceptionsOnLocalHost &&
+                (window.location.hostname == "localhost" || window.location.hostname == "127.0.0.1"));
+
+            cycligent.lifecycle.emit("beforeMain");
+
+            if (cycligent.test) {
+                cycligent.test.scaffoldingReady = true;
+                mainFinish();
+                return;
+            }
+
+            var entries = _entriesGet();
+
+            entryRun(0);
+
+            /**
+             * Runs an entry point, and once it has finished the ones after it.
+             *
+             * @private
+             */
+            function entryRun(index) {
+
+                if (index >= entries.length) {
+                    mainFinish();
+                    return;
+                }
+
+                var entry = entries[index];
+                var result;
+
+                if (typeof entry.func != "function") {
+                    mainFail(new Error("The entry point '" + entry.name + "' in cycligent.config.main is not a function."), entry);
+                    return;
+                }
+
+                if (uncaught) {
+                    try {
+                        result = entry.func(cycligent);
+                    }
+                    catch (ex) {
+                        // Startup still finishes, the error is passed on for the debugger
+                        mainFinish(ex);
+                        throw ex;
+                    }
+                } else {
+                    try {
+                        result = entry.func(cycligent);
+                    }
+                    catch (ex) {
+                        mainFail(ex, entry);
+                        return;
+                    }
+                }
+
+                if (result && typeof result.then == "function") {
+                    result.then(function () {
+                        entryRun(index + 1);
+                    }, function (reason) {
+                        mainFail(reason, entry);
+                    });
+                } else {
+                    entryRun(index + 1);
                 }
+            }
+
+            /**
+             * Hands an entry point's error to the error boundary and finishes.
+             *
+             * @private
+             */
+            function mainFail(error, entry) {
+                _errorBoundary(error, entry.name);
+                mainFinish(error);
+            }
 
+            /**
+             * Marks startup finished once the entry points have.
+             *
+             * @private
+             */
+            function mainFinish(error) {
                 appLoadFinished = true;
 
-                for (var i = 0; i < notifyFunctions.length; i++) {
-                    notifyFunctions[i]();
+                cycligent.lifecycle.emit("afterMain", (error === undefined ? undefined : { error: error }));
+
+                _passFinish(passes[0]);
+            }
+        }
+
+        /**
+         * Returns the entry points to run at startup: those in cycligent.config.main,
+         * or else main().
+         *
+         * @private
+         *
+         * @returns {object[]} - The entry points, as {name, func}.
+         */
+        function _entriesGet() {
+
+            var configured = cycligent.config.main;
+            var entries = [];
+
+            if (configured === undefined) {
+                // A context's main is on its global object, see cycligent.context
+                var mainFunction = (cycligent.context ? window.main : (typeof main == "function" ? main : null));
+
+                if (mainFunction) {
+                    entries.push({ name: "main", func: mainFunction });
+                } else if (cycligent.context) {
+                    console.warn("The context '" + cycligent.context.name + "' has no main(), neither its scripts nor " +
+                        "cycligent.config.main gave it one.");
+                } else if (!cycligent.node) {
+                    //noinspection JSUnresolvedFunction
+                    entries.push({ name: "main", func: function () { return main(); } });   // Reports that there is no main()
                 }
+
+                return entries;
             }
 
-            if(cycligent.config.debug.doNotCatchAllExceptionsOnLocalHost &&
-                (window.location.hostname == "localhost" || window.location.hostname == "127.0.0.1")){
-                mainGo();
-            } else {
+            configured = (Object.prototype.toString.call(configured) == "[object Array]" ? configured : [configured]);
+
+            for (var index = 0; index < configured.length; index++) {
+                var entry = configured[index];
+
+                if (typeof entry == "function") {
+                    entries.push({ name: entry.name || "(function " + (index + 1) + ")", func: entry });
+                } else {
+                    var func;
+                    try {
+                        func = cycligent.definitionGet(entry);
+                    }
+                    catch (ex) {
+                        func = undefined;   // A namespace along the way isn't defined
+                    }
+                    entries.push({ name: entry, func: func });
+                }
+            }
+
+            return entries;
+        }
+
+        /**
+         * Hands an error thrown or rejected by an entry point to
+         * cycligent.config.errorBoundary, which may be a function or the dotted
+         * name of one, or logs it if there is none.
+         *
+         * @private
+         *
+         * @param {*} error - The error.
+         * @param {string} entryName - The name of the entry point.
+         */
+        function _errorBoundary(error, entryName) {
+
+            var boundary = cycligent.config.errorBoundary;
+
+            if (typeof boundary == "string") {
+                var boundaryName = boundary;
+
+                try {
+                    boundary = cycligent.definitionGet(boundaryName);
+                }
+                catch (ex) {
+                    boundary = null;    // A namespace on the way to it is missing
+                }
+
+                if (typeof boundary != "function") {
+                    console.error("The error boundary (cycligent.config.errorBoundary) '" + boundaryName + "' is not a function.");
+                }
+            }
+
+            if (typeof boundary == "function") {
                 try {
-                    mainGo();
+                    boundary(error, entryName);
+                    return;
                 }
                 catch (ex) {
-                    console.error(ex);
+                    console.error("The error boundary (cycligent.config.errorBoundary) failed: " + (ex && ex.message ? ex.message : ex));
                 }
             }
+
+            console.error(error);
         }
 
         /**
@@ -3596,6 +7681,7 @@ cycligent.boot = function() {
         function domLoaded() {
             domReady = true;
             cycligent.timing.event("DOM ready", 1);
+            cycligent.lifecycle.emit("domReady");
             readyCheck();
         }
 
@@ -3616,9 +7702,44 @@ cycligent.boot = function() {
         function pageLoaded() {
             pageReady = true;
             cycligent.timing.event("Page ready", 1);
+            cycligent.lifecycle.emit("pageReady");
             readyCheck();
         }
 
+        /**
+         * Imports the bundles in cycligent.config.loader.bundles, calling
+         * callback once they and everything they import have loaded or failed.
+         * A bundle that fails leaves its scripts to be imported from their own
+         * URLs, and doesn't fail startup.
+         *
+         * @private
+         *
+         * @param {function} callback - Called once the bundles have settled.
+         */
+        function _bundlesLoad(callback) {
+
+            var bundles = cycligent.config.loader.bundles;
+            var remaining = bundles.length;
+
+            if (remaining === 0) {
+                callback();
+                return;
+            }
+
+            cycligent.timing.event("Load bundles", 1);
+
+            function bundleSettled() {
+                remaining--;
+                if (remaining === 0) {
+                    callback();
+                }
+            }
+
+            for (var index = 0; index < bundles.length; index++) {
+                cycligent.import({ scriptId: bundles[index], callback: bundleSettled });
+            }
+        }
+
         /**
          * Load the application
          *
@@ -3628,11 +7749,14 @@ cycligent.boot = function() {
 
             cycligent.timing.event("Load script dependencies", 0);
 
+            passOpen = new Pass(false);
+
             cycligent.imports = new cycligent.Imports();
             cycligent.import = cycligent.imports.Import;
             cycligent.styleRequired = cycligent.imports.StyleRequired;
+            cycligent.styleLoad = cycligent.imports.StyleLoad;
 
-            if (!cycligent.test && cycligent.config.loader.waitFor.dom) {
+            if (!cycligent.test && !cycligent.node && cycligent.config.loader.waitFor.dom) {
                 /*
                  * contentloaded.js
                  *
@@ -3690,30 +7814,43 @@ cycligent.boot = function() {
             }
             else {
                 domReady = true;
+                cycligent.lifecycle.emit("domReady");
             }
 
-            if (!cycligent.test && cycligent.config.loader.waitFor.page) {
-                window.onload = pageLoaded;
+            if (!cycligent.test && !cycligent.node && cycligent.config.loader.waitFor.page) {
+                if (!cycligent.context) {
+                    window.onload = pageLoaded;
+                } else if (document.readyState == "complete") {
+                    pageReady = true;       // Contexts are usually created once the page has loaded
+                    cycligent.lifecycle.emit("pageReady");
+                } else {
+                    window.addEventListener("load", pageLoaded, false);
+                }
             }
             else {
                 pageReady = true;
+                cycligent.lifecycle.emit("pageReady");
             }
 
             if (!cycligent.test || cycligent.test.doImports) {
-                cycligent.timing.event("Load startup script and its dependencies", 1);
-                cycligent.imports.scriptsPending--; // Decrement because we initially set this 1 higher than it needed to be so we would be sure to wait to load main.js.
-                cycligent.import({ scriptId: cycligent.config.startupScript });
+                _bundlesLoad(function() {
+                    cycligent.timing.event("Load startup script and its dependencies", 1);
+                    if (cycligent.config.startupScript) {   // Optional in Node.js, see cycligent.node
+                        cycligent.import({ scriptId: cycligent.config.startupScript });
+                    }
+                    cycligent.imports.scriptDone(); // Done because we initially set scriptsPending 1 higher than it needed to be so we would be sure to wait to load main.js.
+                });
             } else {
                 scriptsReady = true;
+                cycligent.lifecycle.emit("scriptsReady");
                 if(cycligent.config.debug.startup) {
                     console.info("Running module initialization code in test mode.");
                 }
 
-                if (cycligent.definitionsToProcess.length > 0) {
-                    _createAssumedDefinitions();
-                } else {
-                    _allScriptsLoaded2();
-                }
+                passOpen = null;
+                _definitionsProcess();
+                cycligent.lifecycle.emit("definitionsExecuted");
+                readyCheck();
             }
         }
 
@@ -3737,10 +7874,28 @@ cycligent.boot = function() {
              * @ignore
              */
             allScriptsLoaded: function () {
+                var pass = passOpen;
+
+                // Imports from here on form a new pass
+                passOpen = null;
+
+                if (pass && pass.lazy) {
+                    _passLazyProcess(pass);
+                    return;
+                }
+
                 if (cycligent.config.debug.scripts) {
                     console.info(cycligent.imports.scriptsCount + " script(s) loaded.");
                 }
                 scriptsReady = true;
+                cycligent.lifecycle.emit("scriptsReady");
+
+                if (pass && pass.failures.length > 0) {
+                    // Wait for the DOM so the failure can be shown, but don't run any startup code.
+                    startupFailed = true;
+                    readyCheck();
+                    return;
+                }
 
                 if(cycligent.config.debug.startup) {
                     console.info("Running module initialization code.");
@@ -3748,18 +7903,65 @@ cycligent.boot = function() {
 
                 if (cycligent.definitionsToProcess.length > 0) {
                     cycligent.timing.event("Create assumed definitions", 1);
-                    _createAssumedDefinitions();
-                } else {
-                    _allScriptsLoaded2();
                 }
 
+                _definitionsProcess();
+                cycligent.lifecycle.emit("definitionsExecuted");
+                readyCheck();
+            },
+
+            /**
+             * INTERNAL USE ONLY. Adds a newly imported script to the open load
+             * pass, starting a new lazy pass if none is open.
+             *
+             * @protected
+             * @inner
+             * @ignore
+             *
+             * @param {cycligent.Script} script - The script being imported.
+             */
+            passScriptAdd: function (script) {
+                if (!passOpen) {
+                    passOpen = new Pass(true);
+                    cycligent.timing.event("Lazy load pass " + passOpen.number, 0);
+
+                    if (cycligent.config.debug.scripts) {
+                        console.info("Starting lazy load pass " + passOpen.number + ".");
+                    }
+                }
+
+                script.pass = passOpen;
+                passOpen.scripts.push(script);
+            },
+
+            /**
+             * Gets the load pass currently loading scripts.
+             *
+             * @returns {object|null} - The open pass (see {@link cycligent.appLoad.passes})
+             * or null if no scripts are being loaded.
+             *
+             * @static
+             */
+            pass: function () {
+                return passOpen;
             },
 
+            /**
+             * The load passes so far, the startup pass first. Each has the properties
+             * number, lazy, scripts, finished and completion, a
+             * {@link cycligent.Completion} resolved once the pass has been processed.
+             *
+             * @member {object[]}
+             * @static
+             */
+            passes: passes,
+
             /**
              * Register a notification function
              *
              * @param func {function} The function to be called whenever a script
-             * loading pass gets completed.
+             * loading pass gets completed. It is passed the pass (see
+             * {@link cycligent.appLoad.passes}).
              *
              * @static
              */
@@ -3789,15 +7991,131 @@ cycligent.boot = function() {
                 }
             },
 
+            /**
+             * Indicates if startup has finished: the entry points have been run and,
+             * for those that returned a promise, it has settled.<br>
+             * <br>
+             * The entry points are those in cycligent.config.main, a dotted name or a
+             * list of dotted names or functions, run in order. Each is passed the
+             * cycligent namespace, and the next is run once the promise it returns,
+             * if any, has resolved. Without cycligent.config.main the global main()
+             * is the entry point. An entry point that throws or rejects stops those
+             * after it, and the error is handed to cycligent.config.errorBoundary, a
+             * function or the dotted name of one called as errorBoundary(error,
+             * entryName), or logged if there is none. See also the afterMain event
+             * of {@link cycligent.lifecycle}.
+             *
+             * @returns {boolean} - True if startup has finished.
+             *
+             * @static
+             *
+             * @example
+             * cycligent.config = {
+             *     main: ["app.session.restore", "app.shell.start"],
+             *     errorBoundary: "app.shell.crashed",
+             *     ...
+             * };
+             */
             finished: function () {
                 return appLoadFinished;
+            },
+
+            /**
+             * Indicates if startup was abandoned because imports failed.
+             *
+             * @returns {boolean} - True if startup failed.
+             *
+             * @static
+             */
+            failed: function () {
+                return startupFailed;
+            },
+
+            /**
+             * The default for cycligent.config.loader.onFailure. Replaces the page
+             * with a list of the imports that failed, their URLs and why they failed.
+             *
+             * @param {object[]} failures - The failures (see {@link cycligent.imports.failures}).
+             *
+             * @static
+             */
+            failureScreen: function (failures) {
+
+                var screen = document.createElement("div");
+                screen.id = "cycligent-failure";
+                screen.style.cssText = "position: fixed; top: 0; left: 0; right: 0; bottom: 0; z-index: 2147483647;" +
+                    "overflow: auto; padding: 2em; background: #fff; color: #333; font: 14px sans-serif;";
+
+                var heading = document.createElement("h2");
+                heading.textContent = "The application failed to start";
+                screen.appendChild(heading);
+
+                var intro = document.createElement("p");
+                intro.textContent = "The following script(s) could not be loaded:";
+                screen.appendChild(intro);
+
+                var list = document.createElement("ul");
+                var item;
+                var detail;
+
+                for (var index = 0; index < failures.length; index++) {
+                    item = document.createElement("li");
+                    item.style.marginBottom = "1em";
+
+                    detail = document.createElement("b");
+                    detail.textContent = failures[index].scriptId + (failures[index].name != failures[index].scriptId ?
+                        " (" + failures[index].name + ")" : "");
+                    item.appendChild(detail);
+
+                    detail = document.createElement("div");
+                    detail.textContent = failures[index].url;
+                    item.appendChild(detail);
+
+                    detail = document.createElement("div");
+                    detail.textContent = failures[index].reason + ": " + failures[index].message;
+                    item.appendChild(detail);
+
+                    list.appendChild(item);
+                }
+
+                screen.appendChild(list);
+
+                (document.body || document.documentElement).appendChild(screen);
             }
         };
     })();
 
+    cycligent.boot.finished = true;
+
+    for (var notifyIndex = 0; notifyIndex < cycligent.boot.notifyFunctions.length; notifyIndex++) {
+        cycligent.boot.notifyFunctions[notifyIndex]();
+    }
+    cycligent.boot.notifyFunctions = [];
+
     cycligent.appLoad.load();
 };
 
+cycligent.boot.finished = false;
+cycligent.boot.notifyFunctions = [];
+
+/**
+ * Registers a function to be called once Cycligent has booted, when
+ * cycligent.class, cycligent.define and the rest of the framework are available,
+ * or calls it immediately if Cycligent already has. Used by code that can run
+ * before the configuration and libraries have loaded, such as cycligent.mjs.
+ *
+ * @method cycligent.boot.notify
+ *
+ * @param {function} func - The function to call.
+ */
+cycligent.boot.notify = function (func) {
+    if (cycligent.boot.finished) {
+        func();
+    } else {
+        cycligent.boot.notifyFunctions.push(func);
+    }
+};
+
 /*******************
  *   L O A D E R   *
  *******************/
@@ -3814,6 +8132,12 @@ cycligent.doc = function(){
      * <br>
      * At startup the first file loaded by cycligent is config.js. Config.js
      * contains the global configuration for cycligent.<br>
+     * <br>
+     * The configuration may instead be a JSON file, of the object config.js would
+     * set cycligent.config to, when the config location (see below) has the
+     * extension json. It is fetched rather than run, so it can be generated and
+     * checked with standard tools. Errors in it are reported with their line and
+     * column. Its environment overlays are JSON too, config.dev.json for "dev".<br>
      *<br>
      * By default config.js is loaded from the root directory for servers
      * that do not have a concept of application root or from the application
@@ -3831,14 +8155,39 @@ cycligent.doc = function(){
      *         script tag. This attribute is the depth within the path hierarchy from
      *         the current HTML file (window.location), where a depth of zero is the
      *         root directory of the server.
-     *     <li>Specifying a URL of the config location in
-     *     window.cycligentConfigLocationOverride (often useful in testing.)
+     *     <li>Specifying a URL of the config location as a string in
+     *     window.cycligentConfigOverride (often useful in testing.) An object there
+     *     is a configuration layer instead (see {@link cycligent.configLayers}).
      * </ul>
      * By default the application root is determined in the same manner as for the
      * config.js file. If the default method of figuring out the app root doesn't
      * work in your environment, the application root can be specified via the
      * config-app-root (or x-config-app-roox or data-config-app-root) attribute.
-     * No trailing slash should be used when specifying the path.
+     * No trailing slash should be used when specifying the path.<br>
+     * <br>
+     * The roots are determined by the first of these resolvers that applies:
+     *
+     * <ol>
+     *     <li>Functions in window.cycligentRootResolvers, given the context described
+     *         below and returning null, or {deploy, app, client, reason} where app and
+     *         client default to deploy. A function's cycligentName property names its rule.
+     *     <li>client: the page, or the config location, is under a /client/ directory,
+     *         as served by a Cycligent server.
+     *     <li>config-depth: the config-depth attribute.
+     *     <li>config-deploy: the config-deploy (or x-config-deploy or data-config-deploy)
+     *         attribute, the deploy directory relative to cycligent.js, for example "../..".
+     *     <li>base: with the config-base (or x-config-base or data-config-base) attribute,
+     *         for example config-base="true", the directory of the page's &lt;base href&gt;
+     *         is the deploy directory.
+     *     <li>guess: a page whose path starts with a directory is taken to be served from
+     *         a context root, as Java servers do, otherwise from the root of the site.
+     * </ol>
+     * Resolvers are given {href, location, script, configLocation, attribute(name)},
+     * where script is the cycligent-script element and attribute returns one of its
+     * attributes. A resolver that throws is skipped, and the error is logged and
+     * recorded as its step. What was decided, and why, is recorded in cycligent.root.detection.
+     * If cycligent.root was set before cycligent.js loaded (as when testing) no
+     * resolver is used and the rule is "preset".
      *
      * @method cycligent._loader
      *
@@ -3858,106 +8207,729 @@ cycligent.doc = function(){
      * <script id="cycligent-script" src="/app/lib/cycligent/cycligent.js" data-config-location="/app/config.js"></script>
      * config file will be read from /app/config.js
      *
-     * Example 4 (window.cycligentConfigLocationOverride="/app/config.js")
+     * Example 4 (window.cycligentConfigOverride="/app/config.js")
      * Requested URL: http://localhost:3680/app/myApp/myPage/index.html
-     * <script type="text/javascript">window.cycligentConfigLocationOverride = "/app/config.js";</script>
+     * <script type="text/javascript">window.cycligentConfigOverride = "/app/config.js";</script>
      * <script id="cycligent-script" src="/app/lib/cycligent/cycligent.js"></script>
      * config file will be read from /app/config.js
+     *
+     * Example 5 (config-deploy="../..")
+     * Requested URL: http://localhost:3680/app/myApp/myPage/index.html
+     * <script id="cycligent-script" src="/app/lib/cycligent/cycligent.js" data-config-deploy="../.."></script>
+     * config file will be read from /app/config.js
+     *
+     * Example 6 (a resolver of your own)
+     * <script type="text/javascript">
+     *     function tenantRoot(context) {
+     *         var tenant = /^\/t\/[^\/]+/.exec(context.location.pathname);
+     *         return (tenant ? { deploy: context.location.origin + tenant[0], reason: "Tenant path." } : null);
+     *     }
+     *     tenantRoot.cycligentName = "tenant";
+     *     window.cycligentRootResolvers = [tenantRoot];
+     * </script>
      */
 
     cycligent._loader = function(){};
 };
 
-(function() {
-    try {
-        (function () {
+cycligent.doc = function(){
+    /**
+     * @summary
+     * Runs Cycligent headless in Node.js, with no DOM, for example to unit test
+     * classes outside the browser.
+     *
+     * @description
+     * Set by cycligent-node.js, which runs cycligent.js in a vm context whose
+     * global object is the namespace root (window, as far as the framework is
+     * concerned), so namespaces such as app.orders are created on that object. When
+     * cycligent.node is present the loader does not start itself: there is no page
+     * to find the configuration from, and cycligent.config.loader.libs (typically
+     * browser libraries) are not loaded. cycligent-node.js sets cycligent.root and
+     * cycligent.config and then calls {@link cycligent.boot}.<br>
+     * <br>
+     * Nothing waits for the DOM or the page, cycligent.config.startupScript is
+     * optional, and main() is only called if there is one. Dotted names are
+     * resolved to file URLs with {@link cycligent.url}, exactly as in the browser,
+     * and imported files are read and run in the same vm context. cycligent.class,
+     * cycligent.interface, cycligent.define and cycligent.args behave as they do in
+     * the browser. Stylesheets only have to exist, and the failure screen is not
+     * shown.
+     *
+     * @member {object} cycligent.node
+     *
+     * @property {object} global - The namespace root.
+     * @property {function} fileRead - Called as fileRead(url, callback) to read a file,
+     * calling callback(error, text).
+     * @property {function} scriptRun - Called as scriptRun(source, url) to run a script
+     * in the vm context. Errors thrown are given the line and column properties of
+     * where they were thrown in the script, if known.
+     *
+     * @example
+     * var cycligent = require("cycligent.js").create({ directory: __dirname + "/public",
+     *     config: { loader: { roots: { lib: { root: "/lib" } } } } });
+     *
+     * cycligent.import("lib.orders.Order").then(function(){
+     *     var order = new cycligent.node.global.lib.orders.Order();
+     * });
+     */
+    cycligent.node = {};
+};
+
+cycligent.doc = function(){
+    /**
+     * @summary
+     * Present on an instance of Cycligent made by {@link cycligent.createContext}.
+     *
+     * @description
+     * The instance is a second copy of cycligent.js, run with its own global object
+     * (window, as far as it and the scripts it imports are concerned), so it has its
+     * own configuration, roots, loader, classes and interfaces, captured console
+     * messages and startup. Namespaces such as app.orders are created on that
+     * object rather than the page's window.<br>
+     * <br>
+     * Scripts it imports are fetched and run with {@link cycligent.context}.scriptRun,
+     * rather than added to the page as elements, so a page with a Content-Security-Policy
+     * must allow 'unsafe-eval'. They are run inside with (window) { ... }, so their
+     * free names, such as cycligent, console and app, are looked up on the context's
+     * global before the page's, this is the context's global, and names assigned
+     * without being declared are set on the context's global, not the page's window
+     * (in browsers without Proxy they are set on the page's window). Top level var
+     * declarations are globals of the context too, but top level functions, let and
+     * const are the script's own, except a function main, which is made the context's
+     * main(). Strict mode doesn't allow with, so a script starting with "use strict"
+     * is run in a function inside it instead, where this is still the context's
+     * global and its declarations are all its own.<br>
+     * <br>
+     * The context shares the page's DOM and stylesheets. It doesn't load
+     * cycligent.config.loader.libs, libraries already on the page are used as they
+     * are. ES modules can't be imported, as they would use the page's Cycligent
+     * (see {@link cycligent.ModuleScript}).
+     *
+     * @member {object} cycligent.context
+     *
+     * @property {string} name - The name given to cycligent.createContext.
+     * @property {object} global - The context's global object.
+     * @property {object} parent - The Cycligent that created the context.
+     * @property {function} scriptRun - Called as scriptRun(source, url) to run a
+     * script in the context. Errors thrown are given the line and column properties
+     * of where they were thrown in the script, if known.
+     */
+    cycligent.context = {};
+};
+
+/**
+ * @summary
+ * Creates an isolated instance of Cycligent, for hosting independently configured
+ * applications on one page.
+ *
+ * @description
+ * The instance is configured with options.config, as config.js would configure
+ * the page (it is validated the same way, see {@link cycligent.configSchema}), and
+ * then boots, importing its cycligent.config.startupScript. See
+ * {@link cycligent.context} for how it differs from the page's Cycligent.<br>
+ * <br>
+ * cycligent.js is fetched again (from the src of the cycligent-script tag) the
+ * first time a context is created, normally from the browser's cache. In
+ * Node.js use cycligent-node.js, which creates isolated instances already.
+ *
+ * @method cycligent.createContext
+ *
+ * @param {object} options
+ * @param {object} options.config - The configuration (cycligent.config).
+ * @param {object} [options.root] - The instance's roots (see {@link cycligent.root}):
+ * app, client, deploy and name. Those not given are the page's, app and client
+ * defaulting to each other and name to the last directory of app.
+ * @param {string} [options.name] - The name of the context, used in messages.
+ * Defaults to root.name.
+ * @param {object} [options.global={}] - The context's global object.
+ *
+ * @returns {cycligent.Completion} - Resolved with the instance once it has started,
+ * when its entry points have run (see the afterMain event of {@link cycligent.lifecycle}),
+ * or rejected with an Error if it could not be created, its startup failed or an
+ * entry point failed, the Error's failures property then being those of the failed
+ * imports, and its cause property the entry point's error.
+ *
+ * @example
+ * cycligent.createContext({
+ *     name: "orders",
+ *     root: { app: "https://portal.example.com/orders" },
+ *     config: { loader: { roots: { lib: { root: "/orders/lib" } } }, startupScript: "@main" }
+ * }).then(function (orders) {
+ *     orders.import("lib.orders.Order").then(function () {
+ *         var order = new orders.context.global.lib.orders.Order();
+ *     });
+ * });
+ */
+cycligent.createContext = function (options) {
+
+    var completion = new cycligent.Completion();
+    var framework = cycligent.createContext.framework;
+
+    options = options || {};
+
+    if (cycligent.node || typeof document == "undefined") {
+        completion.reject(new Error("cycligent.createContext needs a page, in Node.js use require(\"cycligent.js\").create()."));
+        return completion;
+    }
+
+    if (framework) {
+        contextStart();
+        return completion;
+    }
+
+    var cycligentScript = document.getElementById("cycligent-script");
+    var src = (cycligentScript ? cycligentScript.src : null);
+
+    if (!src) {
+        contextFail("cycligent.js could not be found to create the context, the cycligent-script tag has no src.");
+        return completion;
+    }
+
+    var request = new XMLHttpRequest();
+
+    request.onreadystatechange = function () {
+        if (request.readyState != 4) {
+            return;
+        }
+
+        // Pages opened from the file system report a status of 0
+        if ((request.status >= 200 && request.status < 300) || (request.status === 0 && request.responseText)) {
+            cycligent.createContext.framework = framework = { source: request.responseText, url: src };
+            contextStart();
+        } else {
+            contextFail("cycligent.js could not be retrieved from " + src + " to create the context.");
+        }
+    };
+
+    request.open("GET", src, true);
+    request.send();
+
+    return completion;
+
+    /**
+     * Runs the copy of cycligent.js with the context's global object and boots it.
+     *
+     * @private
+     */
+    function contextStart() {
+
+        var global = options.global || {};
+        var root = options.root || {};
+        var app = (root.app || root.client || cycligent.root.app).replace(/\/$/, "");
+        var name = root.name || app.substr(app.lastIndexOf("/") + 1);
+        var contextName = options.name || name;
+
+        global.window = global;
+        global.document = document;
+        global.location = window.location;
+        global.navigator = navigator;
+        global.addEventListener = function () { return window.addEventListener.apply(window, arguments); };
+        global.removeEventListener = function () { return window.removeEventListener.apply(window, arguments); };
+        global.console = {
+            info: function () { console.info.apply(console, arguments); },
+            log: function () { console.log.apply(console, arguments); },
+            warn: function () { console.warn.apply(console, arguments); },
+            error: function () { console.error.apply(console, arguments); }
+        };
+
+        var scope = scopeCreate();
+        var instance = global.cycligent = {
+            root: {
+                app: app,
+                name: name,
+                client: (root.client || app).replace(/\/$/, ""),
+                deploy: (root.deploy || cycligent.root.deploy).replace(/\/$/, ""),
+                context: cycligent.root.context,
+                detection: {
+                    rule: "preset",
+                    reason: "The roots were given to cycligent.createContext, or are the page's.",
+                    steps: [],
+                    sources: { deploy: "createContext", app: "createContext", client: "createContext", name: "createContext", config: "createContext" }
+                }
+            },
+            context: {
+                name: contextName,
+                global: global,
+                parent: cycligent,
+                scriptRun: scriptRun
+            }
+        };
+
+        try {
+            new Function("window", "cycligent", "console", framework.source + "\n//# sourceURL=" + framework.url)(global, instance, global.console);
+
+            instance.createContext.framework = framework;
+            instance.configMerge([{ name: "base", location: "cycligent.createContext", config: options.config || {} }]);
+
+            if (!instance.configValid() || !instance.loaderValid() || !instance.debugValid()) {
+                contextFail("The configuration of the context '" + contextName + "' is not valid, see the errors above.");
+                return;
+            }
+
+            // Startup continues asynchronously, as scripts load
+            instance.lifecycle.on("afterMain", function (state) {
+                if (state && state.error !== undefined) {
+                    var error = new Error("The context '" + contextName + "' failed to start, its entry point failed: " +
+                        (state.error && state.error.message ? state.error.message : state.error));
+                    error.failures = [];
+                    error.cause = state.error;
+                    completion.reject(error);
+                } else {
+                    completion.resolve(instance);
+                }
+            });
+            instance.lifecycle.on("startupFailed", function (failures) {
+                var error = new Error("The context '" + contextName + "' failed to start because " + failures.length + " import(s) failed.");
+                error.failures = failures;
+                completion.reject(error);
+            });
+
+            instance.lifecycle.emit("configLoaded", instance.config);
+            instance.boot();
+        }
+        catch (ex) {
+            contextFail("The context '" + contextName + "' could not be created: " + ex.message);
+        }
+
+        /**
+         * Runs a script with the context's global object as window, this and the
+         * first place free names are looked up. Strict mode doesn't allow with, so
+         * scripts starting with "use strict" are run in a function inside it. A
+         * top level main() is made the context's.
+         *
+         * @private
+         */
+        function scriptRun(source, url) {
+
+            var strict = /^\s*((\/\/[^\n]*|\/\*[\s\S]*?\*\/)\s*)*(["'])use strict\3/.test(source);
+            var header = "with (cycligentScope) {" + (strict ? "(function () {" : "");
+            var footer = (/^\s*((async\s+)?function\s*\*?|var|let|const)\s*main\b/m.test(source) ?
+                    "\n;if (typeof main == \"function\") { window.main = main; }" : "") +
+                (strict ? "\n}).call(this);" : "") + "\n}";
+
+            try {
+                // On the same line as the script's first, so only the function's own header offsets its lines
+                new Function("window", "cycligentScope", header + source + footer + "\n//# sourceURL=" + url).call(global, global, scope);
+            }
+            catch (ex) {
+                var position = (ex && ex.stack ? ex.stack.split(url + ":") : []);
+                var numbers = (position.length > 1 ? /^(\d+):(\d+)/.exec(position[1]) : null);
+
+                if (numbers) {
+                    ex.line = parseInt(numbers[1], 10) - lineOffset();
+                    ex.column = parseInt(numbers[2], 10) - (ex.line == 1 ? header.length : 0);
+                }
+                throw ex;
+            }
+        }
+
+        /**
+         * Returns the object scripts are run with: a proxy that has every name, so
+         * assignments to undeclared names set them on the context's global rather
+         * than the page's window, and that looks names up on the context's global,
+         * then the page's window. Without Proxy, the context's global itself.
+         *
+         * @private
+         */
+        function scopeCreate() {
+
+            if (typeof Proxy == "undefined") {
+                return global;
+            }
+
+            var bound = {};
+
+            return new Proxy(global, {
+                has: function (target, key) {
+                    return (typeof key == "string");
+                },
+
+                get: function (target, key) {
+                    if (key === Symbol.unscopables) {
+                        return undefined;
+                    }
+
+                    if (key in target) {
+                        return target[key];
+                    }
+
+                    var value = window[key];
+
+                    // Functions of the page such as setTimeout must be called on its window, not the proxy
+                    if (typeof value == "function" && !value.prototype) {
+                        if (!bound.hasOwnProperty(key) || bound[key].value !== value) {
+                            bound[key] = { value: value, bound: value.bind(window) };
+                        }
+                        return bound[key].bound;
+                    }
+
+                    return value;
+                },
+
+                set: function (target, key, value) {
+                    target[key] = value;
+                    return true;
+                }
+            });
+        }
+    }
+
+    /**
+     * Returns the number of lines browsers put before the body of a function
+     * made with new Function.
+     *
+     * @private
+     */
+    function lineOffset() {
+        if (cycligent.createContext.lineOffset === undefined) {
+            try {
+                new Function("throw new Error();\n//# sourceURL=cycligent-offset.js")();
+            }
+            catch (ex) {
+                var numbers = /cycligent-offset\.js:(\d+)/.exec(ex.stack || "");
+                cycligent.createContext.lineOffset = (numbers ? parseInt(numbers[1], 10) - 1 : 0);
+            }
+        }
+
+        return cycligent.createContext.lineOffset;
+    }
+
+    /**
+     * Reports that the context could not be created, rejecting the completion.
+     *
+     * @private
+     */
+    function contextFail(message) {
+        console.error(message);
+        completion.reject(new Error(message));
+    }
+};
+
+(function() {
+    try {
+        (function () {
+
+            if (cycligent.node || cycligent.context) {
+                return;     // Started by cycligent-node.js or cycligent.createContext rather than the page
+            }
+
+            // A string is the config location, an object a configuration layer (see configLayer)
+            var configLocationOverride = (typeof window.cycligentConfigOverride == "string" ?
+                window.cycligentConfigOverride : undefined);
+            var configSource = "window.cycligentConfigOverride";
+
+            if (!cycligent.root.deploy) {            // This will be set when unit testing is active
+
+                var cycligentScript = document.getElementById("cycligent-script");
+                if (cycligentScript && configLocationOverride === undefined) {
+                    configLocationOverride = attributeGet(cycligentScript, "config-location");
+                    configSource = "config-location attribute";
+                }
+
+                rootDetect({
+                    href: window.location.href,
+                    location: window.location,
+                    script: cycligentScript,
+                    configLocation: configLocationOverride,
+                    attribute: function (name) {
+                        return (cycligentScript ? attributeGet(cycligentScript, name) : null);
+                    }
+                });
+            } else {
+                cycligent.root.detection = {
+                    rule: "preset",
+                    reason: "cycligent.root was set before cycligent.js loaded.",
+                    steps: [],
+                    sources: { deploy: "preset", app: "preset", client: "preset", name: "preset" }
+                };
+            }
+
+            var configLocation = cycligent.root.client + "/" + "config.js";
+            cycligent.root.detection.sources.config = cycligent.root.detection.sources.client;
 
-            var configLocationOverride = window.cycligentConfigOverride;
+            if (configLocationOverride) {
+                configLocation = configLocationOverride;
+                cycligent.root.detection.sources.config = configSource;
+            }
 
-            if (!cycligent.root.deploy) {            // This will be set when unit testing is active
+            if (cycligent.test) {
+                cycligent.boot();
+            } else {
+                configLoad("Config", configLocation, function (base) {
+                    configLayer(base);
+                });
+            }
 
-                var clientIndex = window.location.href.indexOf("/client/");
-                var cycligentScript = document.getElementById("cycligent-script");
-                if (cycligentScript && configLocationOverride === undefined)
-                    configLocationOverride = attributeGet(cycligentScript, "config-location");
+            /**
+             * Loads a configuration file, which sets cycligent.config, handing the
+             * configuration to the callback and leaving cycligent.config as it was.
+             * Files with the extension json are fetched and parsed instead (see
+             * {@link cycligent._loader}).
+             *
+             * @method
+             * @memberof cycligent._loader
+             * @inner
+             * @private
+             *
+             * @param {string} id - The id of the script element.
+             * @param {string} location - The URL of the configuration file.
+             * @param {function} callback - Called with the configuration.
+             */
+            function configLoad(id, location, callback) {
 
-                if(clientIndex < 0 && configLocationOverride){
-                    clientIndex = configLocationOverride.indexOf("/client/");
+                if (/\.json$/i.test(location.replace(/[?#].*$/, ""))) {
+                    configJsonLoad(location, callback);
+                    return;
                 }
 
-                if (clientIndex >= 0) {
-                    // Assume Cycligent server
-                    cycligent.root.client = window.location.href.substr(0, clientIndex + 7);
-                    if (cycligentScript) {
-                        cycligent.root.app = attributeGet(cycligentScript, "config-app-root");
+                var previous = cycligent.config;
+                cycligent.config = undefined;
+
+                new cycligent.EarlyLoader(id, location, function () {
+                    var config = cycligent.config;
+                    cycligent.config = previous;
+
+                    if (config) {
+                        callback(config);
+                    } else {
+                        console.error("The configuration " + location + " loaded but did not set cycligent.config. The system is unable to start the application.");
                     }
-                    if(!cycligent.root.app) {
-                        cycligent.root.app = window.location.href.substr(0, clientIndex);
+                });
+            }
+
+            /**
+             * Fetches and parses a JSON configuration file, handing the configuration
+             * to the callback.
+             *
+             * @method
+             * @memberof cycligent._loader
+             * @inner
+             * @private
+             *
+             * @param {string} location - The URL of the configuration file.
+             * @param {function} callback - Called with the configuration.
+             */
+            function configJsonLoad(location, callback) {
+
+                var request = new XMLHttpRequest();
+                var described = cycligent.dottedName.describe(location);
+
+                var timeoutId = setTimeout(function () {
+                    request.onreadystatechange = null;
+                    request.abort();
+                    console.error('The load of "' + described + '" failed. The system is unable to start the application.');
+                }, (window.location.hostname == "localhost" || window.location.hostname == '' ? 7000 : 70000));
+
+                request.onreadystatechange = function () {
+                    if (request.readyState != 4) {
+                        return;
                     }
-                    cycligent.root.deploy = cycligent.root.app.substr(0, cycligent.root.app.lastIndexOf("/"));
-                } else {
 
-                    var splits = window.location.pathname.split('/');
-                    cycligent.root.deploy = window.location.protocol + "//" + window.location.host;
+                    clearTimeout(timeoutId);
 
-                    var depth;
-                    if (cycligentScript)
-                        depth = parseInt(attributeGet(cycligentScript, "config-depth"));
+                    // Pages opened from the file system report a status of 0
+                    if (!((request.status >= 200 && request.status < 300) || (request.status === 0 && request.responseText))) {
+                        console.error('The load of "' + described + '" failed. The system is unable to start the application.');
+                        return;
+                    }
 
-                    if (depth === undefined || depth === null || isNaN(depth)) {
-                        if (splits[1] != "" && splits[1].indexOf('.htm') < 0) {
-                            depth = 1;   // Assume Java server (context roots, not sure how we could approach it any other way)
-                        } else {
-                            depth = 0;   // First split is html file, so we must be running off the root!
-                        }
+                    var config;
+                    try {
+                        config = cycligent.jsonParse(request.responseText);
+                    }
+                    catch (ex) {
+                        console.error('The configuration "' + described + '" is not valid JSON: ' + ex.message +
+                            ". The system is unable to start the application.");
+                        return;
                     }
 
-                    for (var index = 0; index < depth; index++) {
-                        cycligent.root.deploy += "/" + splits[index + 1];
+                    if (!config || typeof config != "object" || Object.prototype.toString.call(config) == "[object Array]") {
+                        console.error('The configuration "' + described + '" should be a JSON object. The system is unable to start the application.');
+                        return;
                     }
 
-                    cycligent.root.client = cycligent.root.deploy;
-                    cycligent.root.app = cycligent.root.deploy;
+                    callback(config);
+                };
+
+                request.open("GET", location, true);
+                request.send();
+            }
+
+            /**
+             * Adds the environment, inline and query layers to the base
+             * configuration (see {@link cycligent.configLayers}) and starts
+             * loading the libraries.
+             *
+             * @method
+             * @memberof cycligent._loader
+             * @inner
+             * @private
+             *
+             * @param {object} base - The configuration from config.js.
+             */
+            function configLayer(base) {
+
+                var inline = window.cycligentConfigOverride;
+                var layers = [{ name: "base", location: configLocation, config: base }];
+
+                if (inline && typeof inline == "object") {
+                    layers.push({ name: "inline", location: "window.cycligentConfigOverride", config: inline });
                 }
 
-                var split = cycligent.root.app.split('/');
-                cycligent.root.name = split[split.length - 1];
+                // The base and inline layers decide what the query string can override,
+                // and, with the query string, which environment to load.
+                cycligent.configMerge(layers);
+
+                var query = configQuery(cycligent.config.queryOverrides || []);
+                if (query) {
+                    layers.push({ name: "query", location: window.location.search, config: query });
+                    cycligent.configMerge(layers);
+                }
+
+                var environment = cycligent.config.environment;
+                if (environment) {
+                    var overlayLocation = configLocation.replace(/\.(js|json)(?=$|[?#])/i, "." + environment + ".$1");
+                    if (overlayLocation == configLocation) {
+                        overlayLocation = configLocation + "." + environment + ".js";
+                    }
+
+                    configLoad("Config-" + environment, overlayLocation, function (overlay) {
+                        layers.splice(1, 0, { name: "environment", location: overlayLocation, config: overlay });
+                        configStart(layers);
+                    });
+                } else {
+                    configStart(layers);
+                }
             }
 
-            var configLocation = cycligent.root.client + "/" + "config.js";
+            /**
+             * Merges the configuration layers, validates the result and starts
+             * loading the libraries.
+             *
+             * @method
+             * @memberof cycligent._loader
+             * @inner
+             * @private
+             *
+             * @param {object[]} layers - The configuration layers.
+             */
+            function configStart(layers) {
 
-            if (configLocationOverride) {
-                configLocation = configLocationOverride;
+                cycligent.configMerge(layers);
+
+                if (!cycligent.configValid()) {
+                    return;
+                }
+
+                if (!cycligent.loaderValid()) {
+                    return;
+                }
+
+                if (!cycligent.debugValid()) {
+                    return;
+                }
+
+                cycligent.lifecycle.emit("configLoaded", cycligent.config);
+
+                if (cycligent.config.debug.startup) {
+                    var names = [];
+                    for (var index = 0; index < layers.length; index++) {
+                        names.push(layers[index].name + " (" + layers[index].location + ")");
+                    }
+                    console.info("Configuration layers: " + names.join(", ") + ".");
+                }
+
+                loadLibs();
             }
 
-            if (cycligent.test) {
-                cycligent.boot();
-            } else {
-                new cycligent.EarlyLoader("Config", configLocation, function () {
-                    if (cycligent.config) {
+            /**
+             * Reads the configuration overrides in the query string, the parameters
+             * starting with "cy.". Overrides of settings that are not allowed are
+             * ignored with a warning.
+             *
+             * @method
+             * @memberof cycligent._loader
+             * @inner
+             * @private
+             *
+             * @param {string[]} allowed - The settings that can be overridden, each
+             * allowing the settings under it as well.
+             *
+             * @returns {object|null} - The overrides, or null if there are none.
+             */
+            function configQuery(allowed) {
 
-                        // Check for configuration overrides in the markup file (typically markup.htm)
+                var search = window.location.search.replace(/^\?/, "");
+                var params = (search ? search.split("&") : []);
+                var query = null;
 
-                        if (!cycligent.loaderValid()) {
-                            return;
-                        }
+                for (var index = 0; index < params.length; index++) {
+                    var equals = params[index].indexOf("=");
+                    var path = (equals < 0 ? params[index] : params[index].substr(0, equals));
+                    var text;
+
+                    // Other parameters are the page's own business, however they are encoded
+                    if (path.indexOf("cy.") !== 0) {
+                        continue;
+                    }
+
+                    try {
+                        path = decodeURIComponent(path.substr(3).replace(/\+/g, " "));
+                        text = (equals < 0 ? "true" : decodeURIComponent(params[index].substr(equals + 1).replace(/\+/g, " ")));
+                    } catch (ex) {
+                        console.warn("The query string override '" + params[index] + "' was ignored, it is not " +
+                            "properly URL encoded.");
+                        continue;
+                    }
+
+                    if (/(^|\.)(__proto__|constructor|prototype)(\.|$)/.test(path)) {
+                        console.warn("The query string override 'cy." + path + "' was ignored, '__proto__', 'constructor' " +
+                            "and 'prototype' cannot be settings.");
+                        continue;
+                    }
 
-                        if (!cycligent.debugValid()) {
-                            return;
+                    var permitted = false;
+                    for (var allowedIndex = 0; allowedIndex < allowed.length; allowedIndex++) {
+                        if (path == allowed[allowedIndex] || path.indexOf(allowed[allowedIndex] + ".") === 0) {
+                            permitted = true;
                         }
+                    }
 
-                        loadLibs();
+                    if (!permitted) {
+                        console.warn("The query string override 'cy." + path + "' was ignored, '" + path +
+                            "' is not in cycligent.config.queryOverrides.");
+                        continue;
+                    }
 
+                    var value;
+                    try {
+                        value = JSON.parse(text);
+                    } catch (ex) {
+                        value = text;
                     }
-                    else {
-                        console.error("The configuration loaded but failed to start. The system is unable to start the application.");
+
+                    query = query || {};
+
+                    var names = path.split(".");
+                    var target = query;
+                    for (var nameIndex = 0; nameIndex < names.length - 1; nameIndex++) {
+                        if (!target.hasOwnProperty(names[nameIndex]) || typeof target[names[nameIndex]] != "object" ||
+                            target[names[nameIndex]] === null) {
+                            target[names[nameIndex]] = {};
+                        }
+                        target = target[names[nameIndex]];
                     }
-                });
+                    target[names[names.length - 1]] = value;
+                }
+
+                return query;
             }
 
 
             /**
-             * Load library dependencies that must be loaded in order.
+             * Load library dependencies that must be executed in order.
+             * They are fetched in parallel where the browser can still execute
+             * them in order, otherwise one after another.
              *
              * @method
              * @memberof cycligent._loader
@@ -3969,7 +8941,68 @@ cycligent.doc = function(){
                 cycligent.timing.event("Load frameworks / synchronous scripts", 0);
 
                 var libIndex = 0;
-                loadLibLoop();
+
+                if ((!cycligent.test || cycligent.test.doImports) && cycligent.config.loader.libs.length > 1 &&
+                    "async" in document.createElement("script")) {
+                    loadLibsOrdered();
+                } else {
+                    loadLibLoop();
+                }
+
+                /**
+                 * Starts fetching every library at once. They are inserted with
+                 * async set to false, which has browsers execute them in the
+                 * order inserted, the order declared. Browsers without support
+                 * for this (IE9) use loadLibLoop instead.
+                 *
+                 * @method
+                 * @memberof cycligent._loader.loadLibs
+                 * @inner
+                 * @private
+                 */
+                function loadLibsOrdered() {
+
+                    var libs = cycligent.config.loader.libs;
+                    var executed = 0;
+
+                    cycligent.timing.event("Load libraries in parallel", 1);
+
+                    for (libIndex = 0; libIndex < libs.length; libIndex++) {
+                        loadLibOrdered(libs[libIndex], libIndex);
+                    }
+
+                    /**
+                     * Starts fetching a library, proceeding once it, and so every
+                     * library before it, has executed.
+                     *
+                     * @private
+                     * @param {string} lib - The URL or dotted name where the library can be found.
+                     * @param {int} index - The position of the library in cycligent.config.loader.libs.
+                     */
+                    function loadLibOrdered(lib, index) {
+
+                        var fetched = (new Date()).getTime();
+
+                        if (cycligent.config.debug.scripts) {
+                            console.info("Loading boot library '" + lib + "'");
+                        }
+
+                        new cycligent.EarlyLoader("lib" + (index + 1) + "-script", cycligent.url(lib), function () {
+                            if (cycligent.config.debug.scripts) {
+                                console.info("Loaded boot library '" + lib + "'");
+                            }
+
+                            // The libraries overlap, so each runs from its fetch to its execution
+                            cycligent.timing.event(lib, 2, (new Date()).getTime() - fetched, fetched);
+
+                            executed++;
+
+                            if (executed == libs.length) {
+                                loadLibEnd();
+                            }
+                        }, lib, true);
+                    }
+                }
 
                 /**
                  * Asynchronous loop control function for loading initial
@@ -4014,7 +9047,7 @@ cycligent.doc = function(){
                             console.info("Loaded boot library '" + lib + "'");
                         }
                         loadLibLoop();
-                    });
+                    }, lib);
                 }
 
                 /**
@@ -4026,12 +9059,247 @@ cycligent.doc = function(){
                  * @private
                  */
                 function loadLibEnd() {
+                    cycligent.lifecycle.emit("libsLoaded", cycligent.config.loader.libs);
                     cycligent.boot();
                 }
 
             }
 
 
+            /**
+             * Determines cycligent.root by trying each resolver in turn, the
+             * resolvers in window.cycligentRootResolvers first, recording the
+             * decision in cycligent.root.detection (see {@link cycligent.root}).
+             *
+             * @method
+             * @memberof cycligent._loader
+             * @inner
+             * @private
+             *
+             * @param {object} context - What the resolvers decide from: href (of the
+             * page), location, script (the cycligent-script element, if any),
+             * configLocation (the config-location attribute or override, if any)
+             * and attribute(name), which returns an attribute of the script element.
+             */
+            function rootDetect(context) {
+
+                var resolvers = [];
+                var steps = [];
+                var result = null;
+                var index;
+
+                var custom = window.cycligentRootResolvers || [];
+                for (index = 0; index < custom.length; index++) {
+                    resolvers.push({ name: custom[index].cycligentName || "custom" + (index + 1), resolve: custom[index] });
+                }
+
+                resolvers.push(
+                    { name: "client", resolve: rootClient },
+                    { name: "config-depth", resolve: rootDepth },
+                    { name: "config-deploy", resolve: rootScript },
+                    { name: "base", resolve: rootBase },
+                    { name: "guess", resolve: rootGuess }
+                );
+
+                for (index = 0; index < resolvers.length && !result; index++) {
+                    try {
+                        result = resolvers[index].resolve(context);
+                    }
+                    catch (ex) {
+                        var message = (ex && ex.message ? ex.message : String(ex));
+                        console.error("The root resolver '" + resolvers[index].name + "' failed, it was skipped: " + message);
+                        steps.push({ rule: resolvers[index].name, applied: false, reason: null, error: message });
+                        continue;
+                    }
+
+                    steps.push({ rule: resolvers[index].name, applied: !!result, reason: (result ? result.reason : null) });
+                    if (result) {
+                        result.rule = resolvers[index].name;
+                    }
+                }
+
+                var sources = { deploy: result.rule, app: result.rule, client: result.rule, name: result.rule };
+
+                cycligent.root.deploy = result.deploy.replace(/\/$/, "");
+                cycligent.root.app = (result.app || cycligent.root.deploy).replace(/\/$/, "");
+                cycligent.root.client = (result.client || cycligent.root.app).replace(/\/$/, "");
+
+                if (result.appSource) {
+                    sources.deploy = sources.app = sources.name = result.appSource;
+                }
+
+                var split = cycligent.root.app.split('/');
+                cycligent.root.name = split[split.length - 1];
+
+                cycligent.root.detection = {
+                    rule: result.rule,
+                    reason: result.reason,
+                    steps: steps,
+                    sources: sources
+                };
+            }
+
+            /**
+             * Resolver for a Cycligent server, which serves the client side of an
+             * application from its client directory. Applies when the page, or the
+             * configuration location, is under a /client/ directory.
+             *
+             * @private
+             */
+            function rootClient(context) {
+
+                var url = context.href;
+                var clientIndex = url.indexOf("/client/");
+
+                if (clientIndex < 0 && context.configLocation) {
+                    url = context.configLocation;
+                    if (url.indexOf("//") < 0) {
+                        url = context.location.protocol + "//" + context.location.host + url;
+                    }
+                    clientIndex = url.indexOf("/client/");
+                }
+
+                if (clientIndex < 0) {
+                    return null;
+                }
+
+                var app = context.attribute("config-app-root");
+                var result = {
+                    client: url.substr(0, clientIndex + 7),
+                    app: app || url.substr(0, clientIndex),
+                    appSource: (app ? "config-app-root attribute" : null),
+                    reason: "'/client/' was found in " + (url == context.href ? "the page URL " : "the configuration location ") + url +
+                        (app ? ", the application root is the config-app-root attribute" : "") + "."
+                };
+
+                result.deploy = result.app.substr(0, result.app.lastIndexOf("/"));
+
+                return result;
+            }
+
+            /**
+             * Returns the root of the site the page is on, followed by the given
+             * number of directories of the page's path.
+             *
+             * @private
+             */
+            function rootAtDepth(context, depth) {
+
+                var splits = context.location.pathname.split('/');
+                var deploy = context.location.protocol + "//" + context.location.host;
+
+                for (var index = 0; index < depth; index++) {
+                    deploy += "/" + splits[index + 1];
+                }
+
+                return deploy;
+            }
+
+            /**
+             * Resolver for the config-depth attribute, the depth of the deploy
+             * directory within the page's path.
+             *
+             * @private
+             */
+            function rootDepth(context) {
+
+                var depth = parseInt(context.attribute("config-depth"));
+
+                if (isNaN(depth)) {
+                    return null;
+                }
+
+                return {
+                    deploy: rootAtDepth(context, depth),
+                    reason: "The config-depth attribute is " + depth + "."
+                };
+            }
+
+            /**
+             * Resolver for the config-deploy attribute, the location of the deploy
+             * directory relative to cycligent.js, for example "../.." for
+             * /myApp/lib/cycligent/cycligent.js.
+             *
+             * @private
+             */
+            function rootScript(context) {
+
+                var relative = context.attribute("config-deploy");
+                var src = (context.script ? context.script.src : null);
+
+                if (!relative || !src) {
+                    return null;
+                }
+
+                var segments = src.replace(/[?#].*$/, "").split("/");
+                var parts = relative.replace(/\/$/, "").split("/");
+
+                segments.pop();     // cycligent.js itself
+
+                for (var index = 0; index < parts.length; index++) {
+                    if (parts[index] == "..") {
+                        segments.pop();
+                    } else if (parts[index] != "." && parts[index] != "") {
+                        segments.push(parts[index]);
+                    }
+                }
+
+                return {
+                    deploy: segments.join("/"),
+                    reason: "The config-deploy attribute is '" + relative + "', relative to cycligent.js at " + src + "."
+                };
+            }
+
+            /**
+             * Resolver for a &lt;base href&gt; in the page, whose directory is taken
+             * to be the deploy directory, and so the application's. Applies only with
+             * the config-base attribute, as the base of single page applications
+             * (&lt;base href="/"&gt; in Angular) often says nothing about where they are
+             * deployed.
+             *
+             * @private
+             */
+            function rootBase(context) {
+
+                var bases = document.getElementsByTagName("base");
+
+                if (!context.attribute("config-base") || !bases.length || !bases[0].href) {
+                    return null;
+                }
+
+                var href = bases[0].href;
+
+                return {
+                    deploy: href.substr(0, href.lastIndexOf("/")),
+                    reason: "The page has the <base href=\"" + bases[0].getAttribute("href") + "\">."
+                };
+            }
+
+            /**
+             * The resolver used when no other applies. Pages whose path starts
+             * with a directory are taken to be served from a context root, as Java
+             * servers do, otherwise from the root of the site.
+             *
+             * @private
+             */
+            function rootGuess(context) {
+
+                var splits = context.location.pathname.split('/');
+
+                if (splits[1] != "" && splits[1].indexOf('.htm') < 0) {
+                    return {
+                        deploy: rootAtDepth(context, 1),
+                        reason: "Guessed: the page's path starts with the directory '" + splits[1] +
+                            "', taken to be a context root. Set config-depth or config-deploy on the cycligent-script tag if that is wrong."
+                    };
+                }
+
+                return {
+                    deploy: rootAtDepth(context, 0),
+                    reason: "Guessed: the page is at the root of the site."
+                };
+            }
+
             /**
              * Get an attribute from an element with or without common
              * prefixes (x- and data-).
@@ -16,62 +16,166 @@
  limitations under the License.
 */
 window.cycligent||(window.cycligent={root:{app:"",name:"",client:"",deploy:"",context:""}});
-cycligent.EarlyLoader=function(a,b,c){function d(){0>navigator.appName.indexOf("Netscape")&&"loaded"!=window.event.srcElement.readyState&&"complete"!=window.event.srcElement.readyState||(0<=navigator.appName.indexOf("Netscape")?e.removeEventListener("load",d,!1):e.detachEvent("onreadystatechange",d),clearTimeout(g),c())}var g=setTimeout(function(){console.error('The load of "'+b+'" failed. The system is unable to start the application.')},"localhost"==location.hostname||""==location.hostname?7E3:
-7E4),e=document.createElement("script");e.id=a;e.type="text/javascript";e.src=b;0<=navigator.appName.indexOf("Netscape")?e.addEventListener("load",d,!1):e.attachEvent("onreadystatechange",d);document.getElementsByTagName("head")[0].appendChild(e)};
-cycligent.browser=function(){var a={ie:!1,chrome:!1,firefox:!1,safari:!1,version:null},b=navigator.userAgent;if(0<=navigator.appName.indexOf("Netscape"))if(0<=b.indexOf("Chrome"))a.chrome=!0;else if(0<=b.indexOf("Firefox"))a.firefox=!0;else if(0<=b.indexOf("Safari"))a.safari=!0;else{var c=-1;null!=/Trident\/.*rv:([0-9]{1,}[/.0-9]{0,})/.exec(b)&&(c=parseFloat(RegExp.$1));10<=c&&(a.ie=!0,a.version=c)}else a.ie=!0,c=b.indexOf("MSIE "),0<=c&&(a.version=parseFloat(b.substring(c+5,b.indexOf(";",c))));return a}();
-cycligent.console=function(){function a(a){for(var b=0;b<g.length;b++)g[b](a)}function b(){d.splice(0,d.length);for(var b in h)h.hasOwnProperty(b)&&(f[b]=0);a()}function c(b,c){for(var g="",h=0;h<c.length;h++)var q=c[h],g=null===q?g+"null":void 0===q?g+"undefined":g+c[h].toString();g=new m(b,g);d.push(g);100<d.length&&d.shift();e[b]&&e[b].apply(console,c);void 0!==f[b]&&f[b]++;a(g)}var d=[],g=[],e={},f={},h={info:"info",log:"log",warn:"warn",error:"error"},m=function(a,b,c){void 0===h[a]&&console.error("Unknown message type '"+
-a+"' detected in cycligent.console.");this.type=a;this.message=b;this.timestamp=c?c:new Date};b();return{init:function(){window.console&&window.console.log&&window.console.log.apply?(e.info=console.info,e.log=console.log,e.warn=console.warn,e.error=console.error):window.console={};window.console.info=cycligent.console.info;window.console.log=cycligent.console.log;window.console.warn=cycligent.console.warn;window.console.error=cycligent.console.error;window.console.exception=cycligent.console.error},
-messageType:h,Message:m,messages:d,clear:b,count:function(a){return void 0===a?d.length:void 0===f[a]?0:f[a]},notify:function(a){for(var b=0;b<g.length;b++)if(a===g[b])return;g.push(a)},notifyClear:function(a){for(var b=0;b<g.length;b++)a===g[b]&&(g.splice(b,1),b--)},message:function(a,b,e){for(var d=[],f=1;f<arguments.length;f++)d.push(arguments[f]);c(a,d)},info:function(a,b){c(h.info,arguments)},log:function(a,b){c(h.log,arguments)},warn:function(a,b){c(h.warn,arguments)},error:function(a,b){c(h.error,
-arguments)}}}();cycligent.console.init();
-cycligent.url=function(a,b){function c(a,b){var c=/(?:\.([^.]+))?$/.exec(a)[1];return c&&"min"!=c&&0<="htm html js css gif jpg png cgi pl java class php php3 shtm shtml asp cfm cfml".split(" ").indexOf(c)?a:a+"."+b}function d(a,b,c){var d=cycligent.config.loader.roots[a[0]];d?b+=d.root:(b=c,"/"!=c.substr(c.length-1)&&"\\"!=c.substr(c.length-1)&&(b+="/"),b+=a[0]);a.splice(0,1);0<a.length&&"/"!=b.substr(b.length-1,1)&&"\\"!=b.substr(b.length-1,1)&&(b+="/");return b}function g(a){a=a.split("/");0<a[a.length-
-1].indexOf(".htm")&&a.splice(a.length-1,1);a=a.join("/");"/"==a&&(a="");return a}var e=b;e||(e="js");a&&""!==a||console.error("Required argument 'dottedId' was not supplied to cycligent.url.");if(0<=a.indexOf("//"))return c(a,e);if("/"==a.substr(0,1))return c(cycligent.root.deploy+a,e);if(0==a.indexOf("@/"))return c(cycligent.root.app+a.substr(1),e);var f,h;switch(a.substr(0,1)){case ".":f=a.substr(1).split(".");h=window.location.protocol+"//"+window.location.host+g(window.location.pathname)+"/";
-break;case "^":f=a.substr(1).split(".");h=d(f,cycligent.root.deploy,cycligent.root.deploy);break;case "@":f=a.substr(1).split(".");h=cycligent.root.client+"/";break;default:f=a.split("."),h=d(f,cycligent.root.deploy,window.location.protocol+"//"+window.location.host+g(window.location.pathname))}h+=f.join("/");cycligent.config.production&&(h+="-"+cycligent.config.appVersion);!cycligent.config.minimizeSource||"js"!=e&&"css"!=e||(h+=".min");return h+"."+e};
-cycligent.timing=function(){function a(a){for(var b=0;b<c.length;b++)c[b](a)}var b=[],c=[],d=0,g=(new Date).getTime(),e=!1,f=0,h=function(a,c,f){this.title=a;this.startTime=(new Date).getTime();e&&(g=this.startTime,e=!1);void 0!=c&&(d=c);this.indent=d;this.expanded=this.hasChildren=!1;this.visible=0==this.indent;0<b.length&&b[b.length-1].indent<this.indent&&(b[b.length-1].hasChildren=!0);void 0===f?(this.pending=!0,this.external=!1,this.duration=0):(this.duration=f,this.pending=!1,this.external=!0);
-this.index=b.length;b.push(this);for(a=b.length-2;0<=a;){f=b[a+1];c=b[a];c.pending&&(c.external||(c.duration=this.startTime-c.startTime,f.external&&c.indent==f.indent&&(c.duration-=f.duration)),c.indent>=this.indent&&(c.endTime=this.startTime));if(0==c.indent){for(c=void 0;a<b.length;)c=b[a],c.pending&&(c.running=c.startTime-g+c.duration,c.pending=void 0===c.endTime),a++;if(200<b.length){for(;200<b.length;)b.shift();for(a=0;a<b.length;a++)b[a].index=a}break}a--}};window.cycligentRunningBase&&(g=(new h("Load HTML file components (css & scripts) - does not include HTML file",
-0)).startTime=window.cycligentRunningBase);return{events:b,clear:function(){b.splice(0,b.length);var c=new h("Timings cleared",0);c.idle=!0;c.running=0;a()},TimingEvent:h,event:function(b,c,d){new h(b,c,d);a()},eventIndent:function(b,c,d,e){new h(c,d);new h(e?e:"Network/Other",d+1);b&&f++;a()},asyncBegin:function(b,c){new h(b,c);f++;a()},asyncEnd:function(){this.idle()},idleIndent:function(){f++},idle:function(){if(1<f)f--;else{f=0;var b=new h("Idle",0);b.idle=!0;b.running=0;e=!0;g=void 0;a()}},indent:function(){25>
-d&&d++},unindent:function(){0<d&&d--},notify:function(a){for(var b=0;b<c.length;b++)if(a===c[b])return;c.push(a)},notifyClear:function(a){for(var b=0;b<c.length;b++)a===c[b]&&(c.splice(b,1),b--)}}}();
-cycligent.loaderValid=function(){if(void 0===cycligent.config.loader)return console.error("Loader section, cycligent.config.loader, is missing from the configuration file."),!1;if(void 0===cycligent.config.loader.roots)return console.error("Root definitions are required but the roots sections, cycligent.config.loader.roots, is missing from the configuration file."),!1;void 0===cycligent.config.loader.timeout&&(cycligent.config.loader.timeout="localhost"==location.hostname||""==location.hostname?7E3:
-7E4);return!0};
-cycligent.debugValid=function(){void 0===cycligent.config.debug&&(cycligent.config.debug={});void 0===cycligent.config.debug.private&&(cycligent.config.debug.private={});cycligent.config.debug.on||(cycligent.config.debug.private.check=!1);void 0===cycligent.config.debug.args&&(cycligent.config.debug.args={});cycligent.config.debug.on||(cycligent.config.debug.args.check=!1);void 0===cycligent.config.debug.args.arrays&&(cycligent.config.debug.args.arrays={});cycligent.config.debug.args.check||(cycligent.config.debug.args.arrays.check=
-!1);void 0===cycligent.config.debug.interfaces&&(cycligent.config.debug.interfaces={});cycligent.config.debug.on||(cycligent.config.debug.interfaces.check=!1);cycligent.config.debug.on||(cycligent.config.debug.scripts=!1);return!0};
-cycligent.boot=function(){cycligent.timing.event("Boot Cycligent",0);cycligent.debug={argTypeText:function(a){if(null===a)return"null";void 0!==a.tagName?a="HtmlElement:"+a.tagName+" or XmlNode:"+a.tagName:a.nodeName&&"#document"==a.nodeName?a="Document":a.cycligentClass?a=a.cycligentClass:a.prototype instanceof Interface?a=a.name:a.constructor===Function?a=cycligent.debug.functionName(a):(a=cycligent.debug.functionName(a.constructor),"(?)"==a&&(a="Unknown"));return a},specTypeText:function(a){return"string"==
-typeof a?a:a.prototype&&a.prototype.cycligentClass?a.prototype.cycligentClass:this.argTypeText(a)},functionName:function(a){var b=a.toString().match(/function\s*(\w+)\(/);return null===b?a===jQuery?"jQuery":"(?)":b[1]}};(function(){var a=!1;window.Class=function(){};Class.extend=function(b,c){function d(){!a&&this.init&&this.init.apply(this,arguments)}a=!0;var g=new this;g.cycligentClass=b;a=!1;var e,f;for(f in c)c.hasOwnProperty(f)&&(e=g[f],g[f]=c[f],"function"==typeof g[f]&&e&&(g[f].super=e));d.prototype=
-g;d.constructor=d;d.extend=arguments.callee;return d}})();(function(){window.Interface=function(){};Interface.extend=function(a){function b(){}var c=new this,d;for(d in a)a.hasOwnProperty(d)&&(c[d]=a[d]);b.prototype=c;b.constructor=b;b.extend=arguments.callee;return b}})();cycligent.args=function(a,b,c){function d(a,b){if("string"==typeof a){var c;c=a.match(/\w+(?=($|:))/);c=null===c?c:c[0];switch(c){case "Any":break;case "HtmlElement":if(void 0===b.tagName||":"==a.substr(11,1)&&a.substr(12).toLowerCase()!=
-b.tagName.toLowerCase())return!1;break;case "XmlNode":if(void 0===b.tagName||":"==a.substr(7,1)&&a.substr(8).toLowerCase()!=b.tagName.toLowerCase())return!1;break;case "Document":if(!b.nodeName||"#document"!=b.nodeName)return!1;break;default:return console.error("An unknown special type '"+c+"' was specified for the argument '"+f+"'."),!1}}else if(null!==b&&!(b.constructor==a||b instanceof a))if(b.isPrototypeOf!=a.isPrototypeOf){c=cycligent.debug.argTypeText(b);var d=cycligent.debug.specTypeText(a);
-if(c!=d&&c.substr(0,d.length+1)!=d+".")if(c.split(".")[0]==d.split(".")[0])console.warn("An unverifiable type (due to cross window access) of '"+c+"' was assumed to by of type '"+d+"' because the first segment of the dotted name matched.");else return!1}else return a.prototype instanceof Interface?b.cycligentInterfaces&&-1!=b.cycligentInterfaces.indexOf(a):!1;return!0}var g=0,e={},f,h,m=0,l=!1;if(1==a.length)for(f in b)if(b.hasOwnProperty(f)&&void 0!==a[0]&&null!==a[0]&&void 0!==a[0][f]){l=!0;break}if(l)for(f in b)b.hasOwnProperty(f)&&
-(h=a[0][f],void 0!==h?(e[f]=h,g++):e[f]=b[f].defaultValue);else for(f in b)b.hasOwnProperty(f)&&(h=a[m++],void 0!==h?(e[f]=h,g++):e[f]=b[f].defaultValue);if(cycligent.config.debug.args.check){for(f in b)if(b.hasOwnProperty(f)){var k=b[f].type.constructor==Array||b[f].type.constructor instanceof Array;h=k?b[f].type[0]:b[f].type;var p=h.prototype instanceof Interface,m=p?"which does not declare that it implements the interface":"but is required to be of type";if(void 0===e[f])(void 0===b[f].required||
-b[f].required)&&console.error("The required argument '"+f+"' "+(p?"which must implement the interface":"of type")+" '"+cycligent.debug.specTypeText(h)+"' was not supplied."+(l?" A single object must be passed as a map. If appropriate use: {"+f+":[Object]} to pass a single object for this function.":""));else if(k)if(e[f]&&(e[f].constructor==Array||e[f].constructor instanceof Array)){if(cycligent.config.debug.args.arrays.check)if(cycligent.config.debug.args.arrays.allElements)for(k=0;k<e[f].length;k++){if(!d(h,
-e[f][k])){console.error("Element '"+k+"' of the array passed as an argument was of type '"+cycligent.debug.argTypeText(e[f][k])+"' "+m+" '"+cycligent.debug.specTypeText(h)+"'.");break}}else 0<e[f].length&&!d(h,e[f][0])&&console.error("The first element of the array passed as an argument was of type '"+cycligent.debug.argTypeText(e[f][0])+"' "+m+" '"+cycligent.debug.specTypeText(h)+"'.")}else console.error("An array argument was required but instead an argument of type '"+cycligent.debug.argTypeText(e[f])+
-"' was supplied.");else d(h,e[f])||console.error("The argument '"+f+"' was of type '"+cycligent.debug.argTypeText(e[f])+"' "+m+" '"+cycligent.debug.specTypeText(h)+"'.")}if(!c)if(l)for(var n in a[0])a[0].hasOwnProperty(n)&&(b[n]||console.error("Unrecognized argument '"+n+"' was supplied."));else g>a.length&&console.error("Extra arguments were supplied.")}return e};cycligent.definitionGetArgs={name:{type:String,required:!1}};cycligent.definitionGet=function(a){var b=cycligent.args(arguments,cycligent.definitionGetArgs);
-if(void 0!==b.name){for(var b=b.name.split("."),c=window,d=0;d<b.length;d++)c=c[b[d]];return c}};cycligent.definitionSetArgs={name:{type:String},value:{type:"Any"}};cycligent.definitionSet=function(a,b){for(var c=cycligent.args(arguments,cycligent.definitionSetArgs),d=c.name.split("."),g=window,e=0;e<d.length-1;e++)g=g[d[e]];return g[d[d.length-1]]=c.value};cycligent.classes={};cycligent.interfaces={};cycligent.classesToProcess=[];cycligent.interfacesToProcess=[];cycligent.classArgs={name:{type:String},
-definition:{type:Object},extends:{type:String,required:!1},implements:{type:String,required:!1}};cycligent.class=function(a){var b=cycligent.args(arguments,cycligent.classArgs);if(b.implements){b.implements=b.implements.split(",");for(var c=0;c<b.implements.length;c++)b.implements[c]=b.implements[c].replace(/(^\s*|\s*$)/g,"")}""==cycligent.classMissing(b)?(cycligent.classProcess(b),cycligent.classProcessDeferred()):(cycligent.classes[b.name]=!1,cycligent.classesToProcess.push(b))};cycligent.singleton=
-function(a){var b=cycligent.args(arguments,{className:{type:String}}),c=b.className+".singleton",d=cycligent.definitionGet(c);if(!d&&(d=cycligent.definitionSet({name:c,value:new (cycligent.definitionGet(b.className))}),d.initSingleton)){b=[];for(c=2;c<arguments.length;c++)b.push(arguments[c]);d.initSingleton.apply(d,b)}return d};cycligent.classMissing=function(a){var b="",c=a.name.split("."),d=window,g="window",e;if(1<c.length)for(e=0;e<c.length-1;e++){g+="."+c[e];if(!d[c[e]]){b=g;break}d=d[c[e]]}b||
-!a.extends||cycligent.classes[a.extends]||(b=a.extends);if(!b&&a.implements)for(e=0;e<a.implements.length;e++)if(!cycligent.interfaces[a.implements[e]]){b=a.implements[e];break}return b};cycligent.classProcessDeferred=function(){var a=!1,b,c;do{a=!1;for(b=0;b<cycligent.classesToProcess.length;b++)c=cycligent.classesToProcess[b],null!==c&&""==cycligent.classMissing(c)&&(a=!0,cycligent.classProcess(c),cycligent.classesToProcess[b]=null);for(;0<cycligent.classesToProcess.length&&null===cycligent.classesToProcess[cycligent.classesToProcess.length-
-1];)cycligent.classesToProcess.pop();for(;0<cycligent.classesToProcess.length&&null===cycligent.classesToProcess[0];)cycligent.classesToProcess.shift()}while(a)};cycligent.classProcess=function(a){var b;b=a.name.match(/\.\w+$/);b=null===b?a.name:b[0].substr(1);0>b.substr(0,1).search(/[A-Z]/)&&console.error("Class '"+a.name+"of the expression '"+a.name+"' should begin with an uppercase letter.");var c=cycligent.definitionGet(a.extends);b=c?c.extend(a.name,a.definition):Class.extend(a.name,a.definition);
-if(cycligent.config.debug.on){cycligent.config.debug.args.check&&c&&(c.cyName&&void 0!==cycligent.classes[c.cyName]||console.error("Class '"+a.name+"' tries to extend a non-Class based object '"+(c&&c.cyName?c.cyName:"UNKNOWN")+"'."));if(cycligent.config.debug.interfaces.check||cycligent.config.debug.args.check)if(a.implements){c=a.implements;a.implements instanceof Array||(c=[c]);for(var d=[],g=0;g<c.length;g++)d.push(cycligent.definitionGet(c[g]));b.prototype.cycligentInterfaces=d}else b.prototype.cycligentInterfaces=
-[];if(a.implements&&cycligent.config.debug.interfaces.check){var g,e,f="";for(g in d)if(d.hasOwnProperty(g))for(e in(c=d[g])&&c.cyName&&void 0!==cycligent.interfaces[c.cyName]||console.error("Class '"+a.name+"' tries to implement a non-Interface based object '"+(c&&c.cyName?c.cyName:"UNKNOWN")+"'."),c.prototype)c.prototype.hasOwnProperty(e)&&(e in b.prototype?b.prototype[e]instanceof Function?(f=b.prototype[e].toString(),0>f.search(new RegExp("cycligent\\.args\\s*\\(\\s*arguments\\s*\\,\\s*"+c.cyName+
-"\\.prototype\\."+e+"\\s*\\)\\s*\\;"))&&console.error("Class "+(a.name?a.name:"?")+" tries to implement the interface "+c.cyName+" but the method '"+e+"' does not have the required signature ("+c.cyName+".prototype."+e+"). Check to make sure you did not forget the .prototype. as part of the name.")):console.error("Class "+(a.name?a.name:"?")+" tries to implement the interface "+c.cyName+" but does not contain the required method: "+e+", although it is present as a non-function."):console.error("Class "+
-(a.name?a.name:"?")+" tries to implement the interface "+c.cyName+" but does not contain the required method: "+e+"."))}}b.cyName=a.name;cycligent.definitionSet({name:a.name,value:b});cycligent.classes[a.name]=!0;return b};cycligent.interfaceArgs={name:{type:String,required:!0},definition:{type:Object},extends:{type:String,required:!1}};cycligent.interface=function(a){var b=cycligent.args(arguments,cycligent.interfaceArgs);""==cycligent.interfaceMissing(b)?(cycligent.interfaceProcess(b),cycligent.interfaces[b.name]=
-!0,cycligent.interfaceProcessDeferred()):(cycligent.interfaces[b.name]=!1,cycligent.interfacesToProcess.push(b))};cycligent.interfaceMissing=function(a){var b="",c=a.name.split("."),d=window,g="window",e;if(1<c.length)for(e=0;e<c.length-1;e++){g+="."+c[e];if(!d[c[e]]){b=g;break}d=d[c[e]]}b||!a.extends||cycligent.interfaces[a.extends]||(b=a.extends);return b};cycligent.interfaceProcessDeferred=function(){var a=!1,b=!1,c,d;do{b=!1;for(c=0;c<cycligent.interfacesToProcess.length;c++)d=cycligent.interfacesToProcess[c],
-null!==d&&""==cycligent.interfaceMissing(this)&&(a=b=!0,cycligent.interfaceProcess(this),cycligent.interfacesToProcess[c]=null);for(;0<cycligent.interfacesToProcess.length&&null===cycligent.interfacesToProcess[cycligent.interfacesToProcess.length-1];)cycligent.interfacesToProcess.pop();for(;0<cycligent.interfacesToProcess.length&&null===cycligent.interfacesToProcess[0];)cycligent.interfacesToProcess.shift()}while(b);a&&cycligent.classProcessDeferred()};cycligent.interfaceProcess=function(a){var b;
-a.extends?cycligent.definitionGet(a.extends).extend(a.definition):b=Interface.extend(a.definition);b.cyName=a.name;cycligent.definitionSet(a.name,b)};cycligent.definitionsToProcess=[];cycligent.priorityDefinitions=[];cycligent.define=function(a,b,c){var d=cycligent.args(arguments,{name:{type:String},definition:{type:"Any",required:!1},priority:{type:Number,required:!1}});""==cycligent.definitionMissing(d)?(cycligent.definitionProcess(d),cycligent.definitionProcessDeferred()):cycligent.definitionsToProcess.push(d)};
-cycligent.define.execute=function(){cycligent.priorityDefinitions.sort(function(a,b){return a.priority-b.priority});for(var a in cycligent.priorityDefinitions)if(cycligent.priorityDefinitions.hasOwnProperty(a)){if(cycligent.priorityDefinitions[a].definition instanceof Function){var b=cycligent.priorityDefinitions[a].definition();b&&cycligent.definitionSet({name:cycligent.priorityDefinitions[a].name,value:b})}else cycligent.definitionSet({name:cycligent.priorityDefinitions[a].name,value:cycligent.priorityDefinitions[a].definition});
-cycligent.classProcessDeferred();cycligent.interfaceProcessDeferred()}};cycligent.definitionMissing=function(a){var b="";a=a.name.split(".");var c=window,d="window",g;if(1<a.length)for(g=0;g<a.length-1;g++){d+="."+a[g];if(!c[a[g]]){b=d;break}c=c[a[g]]}return b};cycligent.definitionProcessDeferred=function(){var a=!1,b,c;do for(a=!1,b=0;b<cycligent.definitionsToProcess.length;b++)c=cycligent.definitionsToProcess[b],null!==c&&""==cycligent.definitionMissing(c)&&(a=!0,cycligent.definitionProcess(c),
-cycligent.definitionsToProcess.splice(b,1),b--);while(a)};cycligent.definitionProcess=function(a){cycligent.definitionGet(a.name)||cycligent.definitionSet({name:a.name,value:{}});cycligent.definitionProcess2(a)};cycligent.definitionProcess2=function(a){if(a.definition)if(a.priority)cycligent.priorityDefinitions.push(a);else if(a.definition instanceof Function){var b=a.definition();b&&cycligent.definitionSet({name:a.name,value:b})}else cycligent.definitionSet({name:a.name,value:a.definition})};cycligent.private=
-function(a){if(cycligent.config.debug.private.check){var b=a;b||(b=this);var c=arguments.callee.caller.caller,d=!1,g;for(g in b)if(b.hasOwnProperty(g)&&c==b[g]){d=!0;break}d||(console.error("Private method accessed by a method outside of the defining class."),console.trace&&console.trace())}};cycligent.doc=function(){cycligent.Script=function(a,b){}};cycligent.class({name:"cycligent.Script",definition:{init:function(){var a=cycligent.args(arguments,{scriptId:{type:String,required:!0},callback:{type:Function,
-required:!1,defaultValue:cycligent.imports.scriptLoaded}});this.scriptId=a.scriptId;this.callback=a.callback;this.url=cycligent.url(this.scriptId);this.debugging&&console.info("Importing script: "+this.scriptId+" ("+this.url+")");var b=this,a=document.createElement("script");a.id=this.scriptId;a.type="text/javascript";a.src=this.url;a.addEventListener("load",function(){b.scriptLoaded()},!1);this.interval=setInterval(function(){b.timeout()},cycligent.config.loader.timeout);document.getElementsByTagName("head")[0].appendChild(a)},
-scriptId:null,url:null,interval:null,loaded:!1,debugging:cycligent.config.debug.scripts,scriptLoaded:function(){clearInterval(this.interval);this.loaded=!0;this.debugging&&console.info("Import Complete (Script Loaded): "+this.scriptId);this.callback&&this.callback()},timeout:function(){clearInterval(this.interval);console.error("Script Import Failed: "+this.scriptId)}}});cycligent.doc=function(){cycligent.Imports=function(){}};cycligent.class({name:"cycligent.Imports",definition:{init:function(){cycligent.args(arguments,
-{})},scriptsPending:1,scripts:[],scriptsCount:0,Import:function(){var a=cycligent.args(arguments,{scriptId:{type:String,required:!0}});if(!cycligent.test||cycligent.test.doImports)cycligent.imports.scripts[a.scriptId]?cycligent.config.debug.scripts&&console.info("Redundant import of '"+a.scriptId+"' avoided."):(cycligent.imports.scriptsPending++,cycligent.imports.scriptsCount++,cycligent.imports.scripts[a.scriptId]=new cycligent.Script(a.scriptId))},StyleRequired:function(a){cycligent.args(arguments,
-{styleId:{type:String,required:!0}});var b=cycligent.url(a,"css");(function(){for(var a=cycligent.args(arguments,{url:{type:String,required:!0}}),b=0;b<document.styleSheets.length;b++)if(document.styleSheets[b].href==a.url||document.styleSheets[b].href==window.location.protocol+"//"+window.location.host+a.url)return!0;return!1})(b)||console.error("Style '"+b+"' was not loaded as required.")},scriptLoaded:function(){cycligent.classProcessDeferred();cycligent.interfaceProcessDeferred();cycligent.imports.scriptsPending--;
-0===cycligent.imports.scriptsPending&&cycligent.appLoad.allScriptsLoaded()}}});cycligent.doc=function(){cycligent.import=function(a,b){}};cycligent.doc=function(){cycligent.styleRequired=function(a){}};cycligent.appLoad=function(){function a(){!l&&cycligent.config.debug.startup&&console.info("Scripts "+(f?"":"not ")+"ready, DOM "+(h?"":"not ")+"ready, page "+(m?"":"not ")+"ready.");f&&h&&m&&(window.cycligentConfigOverride&&console.log("Configuration override was present in markup."),!l&&cycligent.config.debug.startup&&
-console.info("Cycligent starting application."),d())}function b(){var a,b;for(a=0;a<cycligent.definitionsToProcess.length;a++){b=cycligent.definitionsToProcess[a];var d=b.name.split("."),e=window,f;for(f=0;f<d.length;f++)e[d[f]]||(e[d[f]]={}),e=e[d[f]];cycligent.definitionProcess2(b)}cycligent.classProcessDeferred();cycligent.interfaceProcessDeferred();c()}function c(){cycligent.define.execute();a()}function d(){function a(){cycligent.test?cycligent.test.scaffoldingReady=!0:0==l&&main();l=!0;for(var b=
-0;b<k.length;b++)k[b]()}var b,c;for(b=0;b<cycligent.interfacesToProcess.length;b++)c=cycligent.interfacesToProcess[b],console.error("The interface '"+c.name+"' failed to process at startup. Missing dependency '"+cycligent.interfaceMissing(c)+"'.");for(b=0;b<cycligent.classesToProcess.length;b++)c=cycligent.classesToProcess[b],console.error("The class '"+c.name+"' failed to process at startup. Missing dependency '"+cycligent.classMissing(c)+"'.");cycligent.timing.event("Initialize application (time first call to timing.event)",
-0);if(!cycligent.config.debug.doNotCatchAllExceptionsOnLocalHost||"localhost"!=window.location.hostname&&"127.0.0.1"!=window.location.hostname)try{a()}catch(d){console.error(d)}else a()}function g(){h=!0;cycligent.timing.event("DOM ready",1);a()}function e(){m=!0;cycligent.timing.event("Page ready",1);a()}var f=!1,h=!1,m=!1,l=!1,k=[];return{load:function(){cycligent.timing.event("Load script dependencies",0);cycligent.imports=new cycligent.Imports;cycligent.import=cycligent.imports.Import;cycligent.styleRequired=
-cycligent.imports.StyleRequired;!cycligent.test&&cycligent.config.loader.waitFor.dom?function(a,b){var c=!1,d=!0,e=a.document,f=e.documentElement,g=e.addEventListener?"addEventListener":"attachEvent",h=e.addEventListener?"removeEventListener":"detachEvent",k=e.addEventListener?"":"on",l=function(d){if("readystatechange"!=d.type||"complete"==e.readyState)("load"==d.type?a:e)[h](k+d.type,l,!1),!c&&(c=!0)&&b.call(a,d.type||d)},m=function(){try{f.doScroll("left")}catch(a){setTimeout(m,50);return}l("poll")};
-if("complete"==e.readyState)b.call(a,"lazy");else{if(e.createEventObject&&f.doScroll){try{d=!a.frameElement}catch(r){}d&&m()}e[g](k+"DOMContentLoaded",l,!1);e[g](k+"readystatechange",l,!1);a[g](k+"load",l,!1)}}(window,g):h=!0;!cycligent.test&&cycligent.config.loader.waitFor.page?window.onload=e:m=!0;!cycligent.test||cycligent.test.doImports?(cycligent.timing.event("Load startup script and its dependencies",1),cycligent.imports.scriptsPending--,cycligent.import({scriptId:cycligent.config.startupScript})):
-(f=!0,cycligent.config.debug.startup&&console.info("Running module initialization code in test mode."),0<cycligent.definitionsToProcess.length?b():c())},allScriptsLoaded:function(){cycligent.config.debug.scripts&&console.info(cycligent.imports.scriptsCount+" script(s) loaded.");f=!0;cycligent.config.debug.startup&&console.info("Running module initialization code.");0<cycligent.definitionsToProcess.length?(cycligent.timing.event("Create assumed definitions",1),b()):c()},notify:function(a){for(var b=
-0;b<k.length;b++)if(a===k[b])return;k.push(a)},notifyClear:function(a){for(var b=0;b<k.length;b++)a===k[b]&&(k.splice(b,1),b--)},finished:function(){return l}}}();cycligent.appLoad.load()};cycligent.doc=function(){cycligent._loader=function(){}};
-(function(){try{(function(){function a(){function b(){!cycligent.test||cycligent.test.doImports?d<cycligent.config.loader.libs.length?c(cycligent.config.loader.libs[d++]):cycligent.boot():cycligent.boot()}function c(a){cycligent.timing.event(a,1);cycligent.config.debug.scripts&&console.info("Loading boot library '"+a+"'");new cycligent.EarlyLoader("lib"+d+"-script",cycligent.url(a),function(){cycligent.config.debug.scripts&&console.info("Loaded boot library '"+a+"'");b()})}cycligent.timing.event("Load frameworks / synchronous scripts",
-0);var d=0;b()}function c(a,b){var c=a.getAttribute("data-"+b);return c||(c=a.getAttribute("x-"+b))?c:c=a.getAttribute(b)}var d=window.cycligentConfigOverride;if(!cycligent.root.deploy){var g=window.location.href.indexOf("/client/"),e=document.getElementById("cycligent-script");e&&void 0===d&&(d=c(e,"config-location"));0>g&&d&&(g=d.indexOf("/client/"));if(0<=g)cycligent.root.client=window.location.href.substr(0,g+7),e&&(cycligent.root.app=c(e,"config-app-root")),cycligent.root.app||(cycligent.root.app=
-window.location.href.substr(0,g)),cycligent.root.deploy=cycligent.root.app.substr(0,cycligent.root.app.lastIndexOf("/"));else{g=window.location.pathname.split("/");cycligent.root.deploy=window.location.protocol+"//"+window.location.host;var f;e&&(f=parseInt(c(e,"config-depth")));if(void 0===f||null===f||isNaN(f))f=""!=g[1]&&0>g[1].indexOf(".htm")?1:0;for(e=0;e<f;e++)cycligent.root.deploy+="/"+g[e+1];cycligent.root.client=cycligent.root.deploy;cycligent.root.app=cycligent.root.deploy}f=cycligent.root.app.split("/");
-cycligent.root.name=f[f.length-1]}f=cycligent.root.client+"/config.js";d&&(f=d);cycligent.test?cycligent.boot():new cycligent.EarlyLoader("Config",f,function(){cycligent.config?cycligent.loaderValid()&&cycligent.debugValid()&&a():console.error("The configuration loaded but failed to start. The system is unable to start the application.")})})()}catch(a){console.error("Uncaught exception in loader. Exception message: "+a.message),a.stack&&console.error(a.stack)}})();
+cycligent.EarlyLoader=function(l,a,b,c,d){function f(){navigator.appName.indexOf("Netscape")<0&&window.event.srcElement.readyState!="loaded"&&window.event.srcElement.readyState!="complete"||(navigator.appName.indexOf("Netscape")>=0?k.removeEventListener("load",f,!1):k.detachEvent("onreadystatechange",f),clearTimeout(g),b())}function e(){clearTimeout(g);var m=cycligent.dottedName.describe(a);h?cycligent.urlRetrievable(a,function(q){q?console.error('"'+m+'" does not match its integrity hash '+h+". The system is unable to start the application."):
+console.error('The load of "'+m+'" failed. The system is unable to start the application.')}):console.error('The load of "'+m+'" failed. The system is unable to start the application.')}var g=setTimeout(function(){console.error('The load of "'+cycligent.dottedName.describe(a)+'" failed. The system is unable to start the application.')},location.hostname=="localhost"||location.hostname==""?7E3:7E4),k=document.createElement("script");k.id=l;k.type="text/javascript";k.src=a;d&&(k.async=!1);var h=cycligent.elementSecure(k,
+c||a,a);navigator.appName.indexOf("Netscape")>=0?(k.addEventListener("load",f,!1),k.addEventListener("error",e,!1)):k.attachEvent("onreadystatechange",f);document.getElementsByTagName("head")[0].appendChild(k)};
+cycligent.browser=function(){var l={ie:!1,chrome:!1,firefox:!1,safari:!1,version:null};if(typeof navigator=="undefined")return l;var a=navigator.userAgent;if(navigator.appName.indexOf("Netscape")>=0)if(a.indexOf("Chrome")>=0)l.chrome=!0;else if(a.indexOf("Firefox")>=0)l.firefox=!0;else if(a.indexOf("Safari")>=0)l.safari=!0;else{var b=-1;RegExp("Trident/.*rv:([0-9]{1,}[/.0-9]{0,})").exec(a)!=null&&(b=parseFloat(RegExp.$1));b>=10&&(l.ie=!0,l.version=b)}else l.ie=!0,b=a.indexOf("MSIE "),b>=0&&(l.version=
+parseFloat(a.substring(b+5,a.indexOf(";",b))));return l}();
+cycligent.console=function(){function l(h){for(var m=0;m<d.length;m++)d[m](h)}function a(){c.splice(0,c.length);for(var h in g)g.hasOwnProperty(h)&&(e[h]=0);l()}function b(h,m){for(var q="",y=0;y<m.length;y++){var C=m[y];q=C===null?q+"null":C===void 0?q+"undefined":q+m[y].toString()}h==g.error&&cycligent.dottedName&&(q=q.replace(/[a-z][a-z0-9+.\-]*:\/\/[^\s'"()<>\[\]]+/gi,function(x,v,A){var B=cycligent.dottedName(x.replace(/(:\d+)+$/,""));return B&&A.substr(v+x.length,B.length+2)!=" ("+B?x+" ["+
+B+"]":x}));q=new k(h,q);c.push(q);c.length>100&&c.shift();f[h]&&f[h].apply(console,m);e[h]!==void 0&&e[h]++;l(q)}var c=[],d=[],f={},e={},g={info:"info",log:"log",warn:"warn",error:"error"},k=function(h,m,q){g[h]===void 0&&console.error("Unknown message type '"+h+"' detected in cycligent.console.");this.type=h;this.message=m;this.timestamp=q?q:new Date};a();return{init:function(){window.console&&window.console.log&&window.console.log.apply?(f.info=console.info,f.log=console.log,f.warn=console.warn,
+f.error=console.error):window.console={};window.console.info=cycligent.console.info;window.console.log=cycligent.console.log;window.console.warn=cycligent.console.warn;window.console.error=cycligent.console.error;window.console.exception=cycligent.console.error},messageType:g,Message:k,messages:c,clear:a,count:function(h){return h===void 0?c.length:e[h]===void 0?0:e[h]},notify:function(h){for(var m=0;m<d.length;m++)if(h===d[m])return;d.push(h)},notifyClear:function(h){for(var m=0;m<d.length;m++)h===
+d[m]&&(d.splice(m,1),m--)},message:function(h,m,q){for(var y=[],C=1;C<arguments.length;C++)y.push(arguments[C]);b(h,y)},info:function(h,m){b(g.info,arguments)},log:function(h,m){b(g.log,arguments)},warn:function(h,m){b(g.warn,arguments)},error:function(h,m){b(g.error,arguments)}}}();cycligent.console.init();
+cycligent.lifecycle=function(){function l(f){return b.indexOf(f)<0?(console.error("Unknown lifecycle event '"+f+"', the events are: "+b.join(", ")+"."),!1):!0}function a(f,e,g){try{e(g,f)}catch(k){console.error("A listener for the lifecycle event '"+f+"' failed: "+(k&&k.message?k.message:k))}}var b="configLoaded libsLoaded scriptLoaded scriptsReady definitionsExecuted domReady pageReady beforeMain afterMain startupFailed".split(" "),c={},d={};return{on:function(f,e){l(f)&&(c[f]=c[f]||[],c[f].indexOf(e)>=
+0||(c[f].push(e),d.hasOwnProperty(f)&&a(f,e,d[f])))},off:function(f,e){f=c[f]||[];for(var g=0;g<f.length;g++)e===f[g]&&(f.splice(g,1),g--)},emit:function(f,e){if(l(f)){f!="scriptLoaded"&&(d[f]=e);for(var g=(c[f]||[]).slice(0),k=0;k<g.length;k++)a(f,g[k],e)}},state:function(){for(var f={},e=0;e<b.length;e++)b[e]!="scriptLoaded"&&(f[b[e]]=d.hasOwnProperty(b[e]));return f}}}();
+cycligent.url=function(l,a,b){function c(m,q){var y=/(?:\.([^.]+))?$/.exec(m)[1];return y&&y!="min"&&"htm html js mjs json txt css gif jpg png cgi pl java class php php3 shtm shtml asp cfm cfml".split(" ").indexOf(y)>=0?m:m+"."+q}function d(m,q,y){var C=cycligent.config.loader.roots[m[0]];if(C&&g){if(!C.fallbacks||g>C.fallbacks.length)return null;var x=C.fallbacks[g-1];x.indexOf("//")<0&&(x=q+x)}else if(C&&C.url)x=C.url;else if(C)x=C.root.indexOf("//")>=0?C.root:q+C.root;else{if(g)return null;x=y;
+y.substr(y.length-1)!="/"&&y.substr(y.length-1)!="\\"&&(x+="/");x+=m[0]}C&&(k=m[0]);m.splice(0,1);m.length>0&&x.substr(x.length-1,1)!="/"&&x.substr(x.length-1,1)!="\\"&&(x+="/");return x}function f(m){m=m.split("/");m[m.length-1].indexOf(".htm")>0&&m.splice(m.length-1,1);m=m.join("/");m=="/"&&(m="");return m}if((l=cycligent.alias(l))&&l.substr(0,1)=="~"){var e=cycligent.url.relative(l,b?b.from:void 0);return e===null?null:cycligent.url(e,a,b)}e=cycligent.url.rootOptions(l);a||(a=e.extension||"js");
+var g=b&&b.fallback?b.fallback:0;(b=l)&&b!==""||console.error("Required argument 'dottedId' was not supplied to cycligent.url.");if(g&&(b.indexOf("/")>=0||b.substr(0,1)=="."||b.substr(0,1)=="@"))return null;if(b.indexOf("//")>=0)return c(b,a);if(b.substr(0,1)=="/")return c(cycligent.root.deploy+b,a);if(b.indexOf("@/")==0)return c(cycligent.root.app+b.substr(1),a);var k;switch(b.substr(0,1)){case ".":l=b.substr(1).split(".");var h=window.location.protocol+"//"+window.location.host+f(window.location.pathname)+
+"/";break;case "^":l=b.substr(1).split(".");h=d(l,cycligent.root.deploy,cycligent.root.deploy);if(h===null)return null;break;case "@":l=b.substr(1).split(".");h=cycligent.root.client+"/";break;default:if(l=b.split("."),h=d(l,cycligent.root.deploy,window.location.protocol+"//"+window.location.host+f(window.location.pathname)),h===null)return null}h+=l.join("/");a={path:h,min:(e.minimize!==void 0?e.minimize:cycligent.config.minimizeSource)&&(a=="js"||a=="css")?".min":"",extension:a,dottedName:b,root:k,
+version:e.version!==void 0?e.version:cycligent.config.appVersion};if(!cycligent.config.production||e.version===!1)return a.path+a.min+"."+a.extension;e=cycligent.config.versioning||"suffix";typeof e=="string"&&(cycligent.url.versioning[e]||(console.error("Unknown versioning strategy '"+e+"' in cycligent.config.versioning, using 'suffix'."),e="suffix"),e=cycligent.url.versioning[e]);return e(a)};
+cycligent.url.rootName=function(l){(l=l?cycligent.alias(l):l)&&l.substr(0,1)=="~"&&(l=cycligent.url.relative(l));if(l&&!(l.indexOf("/")>=0)&&l.substr(0,1)!="@"&&l.substr(0,1)!=".")return l.substr(0,1)=="^"&&(l=l.substr(1)),l=l.split(".")[0],cycligent.config.loader.roots.hasOwnProperty(l)?l:void 0};cycligent.url.rootOptions=function(l){return(l=cycligent.url.rootName(l))?cycligent.config.loader.roots[l]:{}};
+cycligent.url.relative=function(l,a){var b=/^~+/.exec(l)[0].length-1,c=l.substr(b+1).replace(/^\./,"");if(a===void 0){a=cycligent.imports&&cycligent.imports.scriptRelative?cycligent.imports.scriptRelative():null;if(!a)return console.error("The script-relative name '"+l+"' can't be resolved, no script is executing. Use it while the script executes, or in its define bodies or import callbacks, or pass the script's name (in a class's methods, this.cycligentScript)."),null;a=a.scriptId}a=cycligent.alias(a);
+if(!c||a.substr(0,1)=="~")return console.error("The script-relative name '"+l+"' can't be resolved from '"+a+"'."),null;if(a.indexOf("/")>=0){var d=a.replace(/[?#].*$/,"").split("/");var f=a.indexOf("//")>=0?a.substr(0,a.indexOf("//")).split("/").length+2:1;var e=""}else e=/^[\^@.]/.test(a)?a.substr(0,1):"",d=a.substr(e.length).split("."),f=e!="@"&&e!="."&&cycligent.config.loader.roots.hasOwnProperty(d[0])?1:0,e||f||(e=".");d.pop();if(d.length-b<f)return console.error("The script-relative name '"+
+l+"' goes above the top of '"+a+"'."),null;d.splice(d.length-b,b);return a.indexOf("/")>=0?d.concat(c.split(".")).join("/"):e+d.concat(c.split(".")).join(".")};
+cycligent.url.versioning={suffix:function(l){return l.path+"-"+l.version+l.min+"."+l.extension},query:function(l){return l.path+l.min+"."+l.extension+"?v="+encodeURIComponent(l.version)},root:function(l){return cycligent.url.versioning.suffix(l)},manifest:function(l){var a=(cycligent.config.versionManifest||{})[l.extension=="js"?l.dottedName:l.dottedName+"."+l.extension];return a?l.path.substr(0,l.path.lastIndexOf("/")+1)+a:cycligent.url.versioning.suffix(l)}};
+cycligent.alias=function(l){function a(g){var k=null;if(b.hasOwnProperty(g))return{key:g,target:b[g]};for(h in b)b.hasOwnProperty(h)&&h.substr(h.length-2)==".*"&&g.indexOf(h.substr(0,h.length-1))==0&&(k===null||h.length>k.length)&&(k=h);if(k===null)return null;var h=g.substr(k.length-1);g=b[k];g.substr(g.length-2)=="/*"&&(h=h.split(".").join("/"));return{key:k,target:g.replace(/\*$/,h)}}for(var b=cycligent.config&&cycligent.config.loader&&cycligent.config.loader.aliases||{},c=l,d=[l],f=[],e;(e=a(c))!==
+null;){d.push(e.target);if(f.indexOf(e.key)>=0)return console.error("The aliases in cycligent.config.loader.aliases loop: "+d.join(" -> ")+", '"+e.key+"' applies again."),l;f.push(e.key);c=e.target}return c};cycligent.urls=function(l,a){for(var b=[cycligent.url(l,a)],c,d=1;;d++){c=cycligent.url(l,a,{fallback:d});if(c===null)break;b.push(c)}return b};
+cycligent.dottedName=function(l){function a(y){return y.indexOf("//")>=0?y:cycligent.root.deploy+y}if(!(l&&cycligent.config&&cycligent.config.loader&&cycligent.config.loader.roots))return null;var b=cycligent.config,c=b.loader.roots;l=l.replace(/#.*$/,"");var d=l.replace(/\?.*$/,""),f=/\.([^.\/]+)$/.exec(d),e=[],g=[],k=[b.appVersion];if(!f)return null;f=f[1];var h=d.substr(0,d.lastIndexOf("/")+1),m=d.substr(h.length);for(q in b.versionManifest)b.versionManifest.hasOwnProperty(q)&&b.versionManifest[q]==
+m&&(d=q.split("."),g.push(d[d.length-(f=="js"?1:2)]));d=m.substr(0,m.length-f.length-1).replace(/\.min$/,"");g.push(d);for(q in c)c.hasOwnProperty(q)&&c[q].version&&k.push(c[q].version);for(b=0;b<k.length;b++)k[b]&&d.substr(d.length-String(k[b]).length-1)=="-"+k[b]&&g.push(d.substr(0,d.length-String(k[b]).length-1));for(q in c)if(c.hasOwnProperty(q))for(e.push({base:c[q].url||a(c[q].root),prefix:q+".",fallback:0}),b=0;c[q].fallbacks&&b<c[q].fallbacks.length;b++)e.push({base:a(c[q].fallbacks[b]),prefix:q+
+".",fallback:b+1});e.push({base:cycligent.root.client,prefix:"@",fallback:0});e.push({base:window.location.href.replace(/[?#].*$/,"").replace(/\/[^\/]*$/,""),prefix:".",fallback:0});e.push({base:cycligent.root.deploy,prefix:"^",fallback:0});for(b=0;b<e.length;b++)if(c=e[b].base.replace(/\/$/,"")+"/",h.indexOf(c)==0)for(k=0;k<g.length;k++){d=(h.substr(c.length)+g[k]).split("/");var q=e[b].prefix+d.join(".");if(d.join("").indexOf(".")<0&&cycligent.url(q,f,{fallback:e[b].fallback})==l)return q}return null};
+cycligent.dottedName.describe=function(l){var a=cycligent.dottedName(l);return a?l+" ("+a+")":l};
+cycligent.elementSecure=function(l,a,b){var c=cycligent.config&&cycligent.config.loader?cycligent.config.loader:{},d={},f;for(m in c.roots)if(c.roots.hasOwnProperty(m)){var e=[c.roots[m].url||c.roots[m].root].concat(c.roots[m].fallbacks||[]);for(f=0;f<e.length;f++){var g=b,k=g.indexOf;var h=e[f];h=h.indexOf("//")>=0?h:cycligent.root.deploy+h;k.call(g,h+"/")==0&&(d=c.roots[m])}}f=document.getElementById("cycligent-script");var m=d.nonce||c.nonce||(f?f.nonce||f.getAttribute("nonce"):null);a=(c.integrity?
+c.integrity[a]||c.integrity[b]:null)||null;c=d.crossorigin||c.crossorigin;!c&&a&&(f=b.indexOf("//"),f>=0&&b.substr(f,window.location.host.length+3)!="//"+window.location.host+"/"&&(c="anonymous"));m&&l.setAttribute("nonce",m);c&&l.setAttribute("crossorigin",c);a&&l.setAttribute("integrity",a);return a};cycligent.urlRetrievable=function(l,a){var b=new XMLHttpRequest;b.onreadystatechange=function(){b.readyState==4&&a(b.status>=200&&b.status<300)};try{b.open("GET",l,!0),b.send()}catch(c){a(!1)}};
+cycligent.integrityCheck=function(l,a,b){function c(y){return function(C){y&&btoa(String.fromCharCode.apply(null,new Uint8Array(C)))==y.digest&&(q=!0);--m===0&&b(q?null:"The file does not match its integrity hash "+a+".")}}var d={sha256:1,sha384:2,sha512:3},f=a.split(/\s+/),e=[],g=0,k,h;for(h=0;h<f.length;h++)if(k=/^(sha256|sha384|sha512)-([A-Za-z0-9+\/=_-]+)/.exec(f[h]))d[k[1]]>g&&(g=d[k[1]],e=[]),d[k[1]]==g&&e.push({algorithm:"SHA-"+k[1].substr(3),digest:k[2]});if(e.length===0)b(null);else if((d=
+typeof crypto!="undefined"&&crypto.subtle?crypto.subtle:null)&&typeof TextEncoder!="undefined"){l=(new TextEncoder).encode(l);var m=e.length,q=!1;for(h=0;h<e.length;h++)d.digest(e[h].algorithm,l).then(c(e[h]),c(null))}else b("The file's integrity hash "+a+" can't be checked, the browser only provides SubtleCrypto to secure (https) pages.")};
+cycligent.jsonParse=function(l){try{return JSON.parse(l)}catch(h){var a=/position (\d+)/.exec(h.message);var b=/line (\d+) column (\d+)/.exec(h.message);if(a)a=parseInt(a[1],10);else if(a=String(l),/end of (JSON|data|input)|EOF/i.test(h.message))a=a.length;else{for(var c=0,d=a.length;d-c>1;){var f=Math.floor((c+d)/2);var e=a,g=f;try{JSON.parse(e.substr(0,g));var k=!0}catch(m){k=/position (\d+)/.exec(m.message),k=/end of (JSON|data|input)|EOF/i.test(m.message)||k!==null&&parseInt(k[1],10)>=g}k?c=f:
+d=f}a=c}b?(l=parseInt(b[1],10),b=parseInt(b[2],10)):(b=String(l).substr(0,a).split("\n"),l=b.length,b=b[b.length-1].length+1);a=new SyntaxError(h.message.replace(/\s*\(line \d+ column \d+\)$/,"")+" (line "+l+", column "+b+")");a.line=l;a.column=b;throw a;}};
+cycligent.timing=function(){function l(k){for(var h=0;h<b.length;h++)b[h](k)}var a=[],b=[],c=0,d=(new Date).getTime(),f=!1,e=0,g=function(k,h,m,q){this.title=k;this.startTime=q===void 0?(new Date).getTime():q;f&&(d=this.startTime,f=!1);h!=void 0&&(c=h);this.indent=c;this.expanded=this.hasChildren=!1;this.visible=this.indent==0;a.length>0&&a[a.length-1].indent<this.indent&&(a[a.length-1].hasChildren=!0);m===void 0?(this.pending=!0,this.external=!1,this.duration=0):(this.duration=m,this.pending=!1,
+this.external=!0,q!==void 0&&(this.endTime=q+m));this.index=a.length;a.push(this);for(k=a.length-2;k>=0;){m=a[k+1];h=a[k];h.pending&&(h.external||(h.duration=this.startTime-h.startTime,m.external&&h.indent==m.indent&&(h.duration-=m.duration)),h.indent>=this.indent&&(h.endTime=this.startTime));if(h.indent==0){for(h=k;h<a.length;)k=a[h],k.pending&&(k.running=k.startTime-d+k.duration,k.pending=k.endTime===void 0),h++;if(a.length>200){for(;a.length>200;)a.shift();for(k=0;k<a.length;k++)a[k].index=k}break}k--}};
+window.cycligentRunningBase&&(d=(new g("Load HTML file components (css & scripts) - does not include HTML file",0)).startTime=window.cycligentRunningBase);return{events:a,clear:function(){a.splice(0,a.length);var k=new g("Timings cleared",0);k.idle=!0;k.running=0;l()},TimingEvent:g,event:function(k,h,m,q){new g(k,h,m,q);l()},eventIndent:function(k,h,m,q){new g(h,m);new g(q?q:"Network/Other",m+1);k&&e++;l()},asyncBegin:function(k,h){new g(k,h);e++;l()},asyncEnd:function(){this.idle()},idleIndent:function(){e++},
+idle:function(){if(e>1)e--;else{e=0;var k=new g("Idle",0);k.idle=!0;k.running=0;f=!0;d=void 0;l()}},indent:function(){c<25&&c++},unindent:function(){c>0&&c--},notify:function(k){for(var h=0;h<b.length;h++)if(k===b[h])return;b.push(k)},notifyClear:function(k){for(var h=0;h<b.length;h++)k===b[h]&&(b.splice(h,1),h--)}}}();
+cycligent.loaderValid=function(){if(cycligent.config.loader===void 0)return console.error("Loader section, cycligent.config.loader, is missing from the configuration file."),!1;if(cycligent.config.loader.roots===void 0)return console.error("Root definitions are required but the roots sections, cycligent.config.loader.roots, is missing from the configuration file."),!1;cycligent.config.loader.libs===void 0&&(cycligent.config.loader.libs=[]);cycligent.config.loader.waitFor===void 0&&(cycligent.config.loader.waitFor=
+{});cycligent.config.loader.waitFor.dom===void 0&&(cycligent.config.loader.waitFor.dom=!0);cycligent.config.loader.timeout===void 0&&(cycligent.config.loader.timeout=location.hostname=="localhost"||location.hostname==""?7E3:7E4);cycligent.config.loader.retries===void 0&&(cycligent.config.loader.retries=0);cycligent.config.loader.retryDelay===void 0&&(cycligent.config.loader.retryDelay=500);cycligent.config.loader.bundles===void 0&&(cycligent.config.loader.bundles=[]);cycligent.config.loader.aliases===
+void 0&&(cycligent.config.loader.aliases={});for(var l in cycligent.config.loader.aliases)if(cycligent.config.loader.aliases.hasOwnProperty(l)){var a=cycligent.config.loader.aliases[l];if(l.substr(l.length-2)==".*"&&a.indexOf(l.substr(0,l.length-1))===0)return console.error('The alias "'+l+'": "'+a+'" in cycligent.config.loader.aliases matches its own target, so every name it aliases would be aliased again. Alias names under a different prefix.'),!1}cycligent.config.loader.shims===void 0&&(cycligent.config.loader.shims=
+{});return!0};
+cycligent.debugValid=function(){cycligent.config.debug===void 0&&(cycligent.config.debug={});cycligent.config.debug.private===void 0&&(cycligent.config.debug.private={});cycligent.config.debug.on||(cycligent.config.debug.private.check=!1);cycligent.config.debug.args===void 0&&(cycligent.config.debug.args={});cycligent.config.debug.on||(cycligent.config.debug.args.check=!1);cycligent.config.debug.args.arrays===void 0&&(cycligent.config.debug.args.arrays={});cycligent.config.debug.args.check||(cycligent.config.debug.args.arrays.check=
+!1);cycligent.config.debug.interfaces===void 0&&(cycligent.config.debug.interfaces={});cycligent.config.debug.on||(cycligent.config.debug.interfaces.check=!1);cycligent.config.debug.on||(cycligent.config.debug.scripts=!1);return!0};cycligent.doc=function(){cycligent.configLayers=[];cycligent.configSources={}};
+cycligent.configMerge=function(l){function a(g,k,h,m){for(var q in k)if(k.hasOwnProperty(q)){var y=h+q,C=k[q];q=="__proto__"||q=="constructor"||q=="prototype"?console.warn("The setting '"+y+"' in the "+m+" configuration was ignored, '"+q+"' cannot be a setting."):b(C)?(g.hasOwnProperty(q)&&b(g[q])||(c(y),g[q]={}),a(g[q],C,y+".",m)):(c(y),g[q]=C,f[y]=m)}}function b(g){return g!==null&&typeof g=="object"&&Object.prototype.toString.call(g)=="[object Object]"}function c(g){delete f[g];for(var k in f)k.indexOf(g+
+".")===0&&delete f[k]}for(var d={},f={},e=0;e<l.length;e++)a(d,l[e].config,"",l[e].name);cycligent.config=d;cycligent.configLayers=l;cycligent.configSources=f};
+cycligent.configSchema=function(){var l={type:"boolean"},a={type:"number"},b={type:"string"},c={type:"array",items:b},d={type:"object",values:b},f={type:"string",choices:["anonymous","use-credentials"]};return{type:"object",keys:{loader:{type:"object",required:!0,keys:{libs:c,waitFor:{type:"object",keys:{dom:l,page:l}},timeout:a,retries:a,retryDelay:a,roots:{type:"object",required:!0,values:{type:"object",keys:{root:b,url:b,version:{type:["string","number","boolean"]},minimize:l,extension:b,timeout:a,
+fallbacks:c,nonce:b,crossorigin:f}}},bundles:c,aliases:d,shims:{type:"object",values:{type:"object",keys:{url:b,exports:b,define:b,deps:c}}},onFailure:{type:["function","string"]},nonce:b,crossorigin:f,integrity:d}},startupScript:b,production:l,appVersion:{type:["string","number"]},minimizeSource:l,versioning:{type:["string","function"]},versionManifest:d,environment:b,queryOverrides:c,main:{type:["string","function","array"],items:{type:["string","function"]}},errorBoundary:{type:["function","string"]},
+debug:{type:"object",keys:{on:l,startup:l,scripts:l,doNotCatchAllExceptionsOnLocalHost:l,private:{type:"object",keys:{check:l}},args:{type:"object",keys:{check:l,arrays:{type:"object",keys:{check:l,allElements:l}}}},interfaces:{type:"object",keys:{check:l}}}}}}}();
+cycligent.configValid=function(){function l(f,e,g){var k=typeof e.type=="string"?[e.type]:e.type;var h=f===null?"null":Object.prototype.toString.call(f)=="[object Array]"?"array":typeof f;if(k.indexOf(h)<0)c.push(a(g)+" should be "+k.join(" or ")+", not "+h+(h=="object"||h=="array"?"":" ("+(h=="string"?'"'+f+'"':String(f))+")")+b(g)+".");else{e.choices&&e.choices.indexOf(f)<0&&c.push(a(g)+' should be one of "'+e.choices.join('", "')+'", not "'+f+'"'+b(g)+".");var m;if(h=="object"&&e.keys)for(m in e.keys)e.keys.hasOwnProperty(m)&&
+e.keys[m].required&&f[m]===void 0&&c.push(a(g+m)+" is required.");if(h=="object"&&(e.keys||e.values))for(m in f)if(f.hasOwnProperty(m)&&f[m]!==void 0)if(e.values)l(f[m],e.values,g+m+".");else if(e.keys.hasOwnProperty(m))l(f[m],e.keys[m],g+m+".");else{k=void 0;var q=m,y=e.keys,C=null,x=Math.max(2,Math.floor(q.length/3))+1;for(k in y)if(y.hasOwnProperty(k)){if(k.toLowerCase()==q.toLowerCase())var v=0;else{var A,B=q.toLowerCase(),u=k.toLowerCase(),r=[];for(v=0;v<=u.length;v++)r.push(v);for(A=1;A<=B.length;A++){var n=
+[A];for(v=1;v<=u.length;v++)n.push(Math.min(r[v]+1,n[v-1]+1,r[v-1]+(B.charAt(A-1)==u.charAt(v-1)?0:1)));r=n}v=r[u.length]}v<x&&(C=k,x=v)}k=C;d.push(a(g+m)+" is not a setting"+b(g+m)+(k?", did you mean "+a(g+k)+"?":"."))}if(h=="array"&&e.items)for(h=0;h<f.length;h++)l(f[h],e.items,g.replace(/\.$/,"")+"["+h+"].")}}function a(f){return"cycligent.config"+(f?"."+f.replace(/\.$/,""):"")}function b(f){var e=cycligent.configSources||{};f=f.replace(/\.$/,"");for(var g in e)if(e.hasOwnProperty(g)&&e[g]!="base"&&
+(g==f||g.indexOf(f+".")===0))return" (from the "+e[g]+" configuration)";return""}var c=[],d=[];l(cycligent.config,cycligent.configSchema,"");c.length?console.error("The configuration is not valid, the system is unable to start the application:\n    "+c.concat(d).join("\n    ")):d.length&&console.warn("The configuration has settings Cycligent does not use:\n    "+d.join("\n    "));return c.length==0};
+cycligent.boot=function(){cycligent.timing.event("Boot Cycligent",0);cycligent.debug={argTypeText:function(a){if(a===null)return"null";a.tagName!==void 0?a="HtmlElement:"+a.tagName+" or XmlNode:"+a.tagName:a.nodeName&&a.nodeName=="#document"?a="Document":a.cycligentClass?a=a.cycligentClass:a.prototype instanceof Interface?a=a.name:a.constructor===Function?a=cycligent.debug.functionName(a):(a=cycligent.debug.functionName(a.constructor),a=="(?)"&&(a="Unknown"));return a},specTypeText:function(a){return typeof a==
+"string"?a:a.prototype&&a.prototype.cycligentClass?a.prototype.cycligentClass:this.argTypeText(a)},functionName:function(a){var b=a.toString().match(/function\s*(\w+)\(/);return b===null?a===jQuery?"jQuery":"(?)":b[1]}};(function(){var a=!1;window.Class=function(){};Class.extend=function(b,c){function d(){!a&&this.init&&this.init.apply(this,arguments)}a=!0;var f=new this;f.cycligentClass=b;a=!1;var e;for(e in c)if(c.hasOwnProperty(e)){var g=f[e];f[e]=c[e];typeof f[e]=="function"&&g&&(f[e].super=g)}d.prototype=
+f;d.constructor=d;d.extend=arguments.callee;return d}})();(function(){window.Interface=function(){};Interface.extend=function(a){function b(){}var c=new this,d;for(d in a)a.hasOwnProperty(d)&&(c[d]=a[d]);b.prototype=c;b.constructor=b;b.extend=arguments.callee;return b}})();cycligent.args=function(a,b,c){function d(x,v){if(typeof x=="string"){var A=x.match(/\w+(?=($|:))/);A=A===null?A:A[0];switch(A){case "Any":break;case "HtmlElement":if(v.tagName===void 0||x.substr(11,1)==":"&&x.substr(12).toLowerCase()!=
+v.tagName.toLowerCase())return!1;break;case "XmlNode":if(v.tagName===void 0||x.substr(7,1)==":"&&x.substr(8).toLowerCase()!=v.tagName.toLowerCase())return!1;break;case "Document":if(!v.nodeName||v.nodeName!="#document")return!1;break;default:return console.error("An unknown special type '"+A+"' was specified for the argument '"+g+"'."),!1}}else if(v!==null&&!(v.constructor==x||v instanceof x))if(v.isPrototypeOf!=x.isPrototypeOf){if(v=cycligent.debug.argTypeText(v),x=cycligent.debug.specTypeText(x),
+v!=x&&v.substr(0,x.length+1)!=x+".")if(v.split(".")[0]==x.split(".")[0])console.warn("An unverifiable type (due to cross window access) of '"+v+"' was assumed to by of type '"+x+"' because the first segment of the dotted name matched.");else return!1}else return x.prototype instanceof Interface?v.cycligentInterfaces&&v.cycligentInterfaces.indexOf(x)!=-1:!1;return!0}var f=0,e={},g,k=0,h=!1;if(a.length==1)for(g in b)if(b.hasOwnProperty(g)&&a[0]!==void 0&&a[0]!==null&&a[0][g]!==void 0){h=!0;break}if(h)for(g in b){if(b.hasOwnProperty(g)){var m=
+a[0][g];m!==void 0?(e[g]=m,f++):e[g]=b[g].defaultValue}}else for(g in b)b.hasOwnProperty(g)&&(m=a[k++],m!==void 0?(e[g]=m,f++):e[g]=b[g].defaultValue);if(cycligent.config.debug.args.check){for(g in b)if(b.hasOwnProperty(g)){var q=b[g].type.constructor==Array||b[g].type.constructor instanceof Array;m=q?b[g].type[0]:b[g].type;var y=m.prototype instanceof Interface;k=y?"which does not declare that it implements the interface":"but is required to be of type";if(e[g]===void 0)(b[g].required===void 0||
+b[g].required)&&console.error("The required argument '"+g+"' "+(y?"which must implement the interface":"of type")+" '"+cycligent.debug.specTypeText(m)+"' was not supplied."+(h?" A single object must be passed as a map. If appropriate use: {"+g+":[Object]} to pass a single object for this function.":""));else if(q)if(e[g]&&(e[g].constructor==Array||e[g].constructor instanceof Array)){if(cycligent.config.debug.args.arrays.check)if(cycligent.config.debug.args.arrays.allElements)for(q=0;q<e[g].length;q++){if(!d(m,
+e[g][q])){console.error("Element '"+q+"' of the array passed as an argument was of type '"+cycligent.debug.argTypeText(e[g][q])+"' "+k+" '"+cycligent.debug.specTypeText(m)+"'.");break}}else e[g].length>0&&!d(m,e[g][0])&&console.error("The first element of the array passed as an argument was of type '"+cycligent.debug.argTypeText(e[g][0])+"' "+k+" '"+cycligent.debug.specTypeText(m)+"'.")}else console.error("An array argument was required but instead an argument of type '"+cycligent.debug.argTypeText(e[g])+
+"' was supplied.");else d(m,e[g])||console.error("The argument '"+g+"' was of type '"+cycligent.debug.argTypeText(e[g])+"' "+k+" '"+cycligent.debug.specTypeText(m)+"'.")}if(!c)if(h)for(var C in a[0])a[0].hasOwnProperty(C)&&(b[C]||console.error("Unrecognized argument '"+C+"' was supplied."));else f>a.length&&console.error("Extra arguments were supplied.")}return e};cycligent.definitionGetArgs={name:{type:String,required:!1}};cycligent.definitionGet=function(a){var b=cycligent.args(arguments,cycligent.definitionGetArgs);
+if(b.name!==void 0){b=b.name.split(".");for(var c=window,d=0;d<b.length;d++)c=c[b[d]];return c}};cycligent.definitionSetArgs={name:{type:String},value:{type:"Any"}};cycligent.definitionSet=function(a,b){for(var c=cycligent.args(arguments,cycligent.definitionSetArgs),d=c.name.split("."),f=window,e=0;e<d.length-1;e++)f=f[d[e]];return f[d[d.length-1]]=c.value};cycligent.classes={};cycligent.interfaces={};cycligent.classesToProcess=[];cycligent.interfacesToProcess=[];cycligent.classArgs={name:{type:String},
+definition:{type:Object},extends:{type:String,required:!1},implements:{type:String,required:!1}};cycligent.class=function(a){var b=cycligent.args(arguments,cycligent.classArgs);if(!cycligent.imports||cycligent.imports.registered("class",b.name)){b.script=cycligent.imports?cycligent.imports.scriptRelative():null;if(b.implements){b.implements=b.implements.split(",");for(var c=0;c<b.implements.length;c++)b.implements[c]=b.implements[c].replace(/(^\s*|\s*$)/g,"")}cycligent.classMissing(b)==""?(cycligent.classProcess(b),
+cycligent.classProcessDeferred()):(cycligent.classes[b.name]=!1,cycligent.classesToProcess.push(b))}};cycligent.singleton=function(a){var b=cycligent.args(arguments,{className:{type:String}}),c=b.className+".singleton",d=cycligent.definitionGet(c);if(!d&&(d=cycligent.definitionSet({name:c,value:new (cycligent.definitionGet(b.className))}),d.initSingleton)){b=[];for(c=2;c<arguments.length;c++)b.push(arguments[c]);d.initSingleton.apply(d,b)}return d};cycligent.classMissing=function(a){var b="",c=a.name.split("."),
+d=window,f="window",e;if(c.length>1)for(e=0;e<c.length-1;e++){f+="."+c[e];if(!d[c[e]]){b=f;break}d=d[c[e]]}b||!a.extends||cycligent.classes[a.extends]||(b=a.extends);if(!b&&a.implements)for(e=0;e<a.implements.length;e++)if(!cycligent.interfaces[a.implements[e]]){b=a.implements[e];break}return b};cycligent.classProcessDeferred=function(){var a;do{var b=!1;for(a=0;a<cycligent.classesToProcess.length;a++){var c=cycligent.classesToProcess[a];c!==null&&cycligent.classMissing(c)==""&&(b=!0,cycligent.classProcess(c),
+cycligent.classesToProcess[a]=null)}for(;cycligent.classesToProcess.length>0&&cycligent.classesToProcess[cycligent.classesToProcess.length-1]===null;)cycligent.classesToProcess.pop();for(;cycligent.classesToProcess.length>0&&cycligent.classesToProcess[0]===null;)cycligent.classesToProcess.shift()}while(b)};cycligent.classProcess=function(a){var b=a.name.match(/\.\w+$/);b=b===null?a.name:b[0].substr(1);b.substr(0,1).search(/[A-Z]/)<0&&console.error("Class '"+a.name+"of the expression '"+a.name+"' should begin with an uppercase letter.");
+var c=cycligent.definitionGet(a.extends);b=c?c.extend(a.name,a.definition):Class.extend(a.name,a.definition);b.prototype.cycligentScript=a.script?a.script.scriptId:void 0;if(cycligent.config.debug.on){cycligent.config.debug.args.check&&c&&(c.cyName&&cycligent.classes[c.cyName]!==void 0||console.error("Class '"+a.name+"' tries to extend a non-Class based object '"+(c&&c.cyName?c.cyName:"UNKNOWN")+"'."));if(cycligent.config.debug.interfaces.check||cycligent.config.debug.args.check)if(a.implements){c=
+a.implements;a.implements instanceof Array||(c=[c]);var d=[];for(f=0;f<c.length;f++)d.push(cycligent.definitionGet(c[f]));b.prototype.cycligentInterfaces=d}else b.prototype.cycligentInterfaces=[];if(a.implements&&cycligent.config.debug.interfaces.check){var f,e;for(f in d)if(d.hasOwnProperty(f))for(e in(c=d[f])&&c.cyName&&cycligent.interfaces[c.cyName]!==void 0||console.error("Class '"+a.name+"' tries to implement a non-Interface based object '"+(c&&c.cyName?c.cyName:"UNKNOWN")+"'."),c.prototype)if(c.prototype.hasOwnProperty(e))if(e in
+b.prototype)if(b.prototype[e]instanceof Function){var g=b.prototype[e].toString();g.search(new RegExp("cycligent\\.args\\s*\\(\\s*arguments\\s*\\,\\s*"+c.cyName+"\\.prototype\\."+e+"\\s*\\)\\s*\\;"))<0&&console.error("Class "+(a.name?a.name:"?")+" tries to implement the interface "+c.cyName+" but the method '"+e+"' does not have the required signature ("+c.cyName+".prototype."+e+"). Check to make sure you did not forget the .prototype. as part of the name.")}else console.error("Class "+(a.name?a.name:
+"?")+" tries to implement the interface "+c.cyName+" but does not contain the required method: "+e+", although it is present as a non-function.");else console.error("Class "+(a.name?a.name:"?")+" tries to implement the interface "+c.cyName+" but does not contain the required method: "+e+".")}}b.cyName=a.name;cycligent.definitionSet({name:a.name,value:b});cycligent.classes[a.name]=!0;cycligent.ready.check();return b};cycligent.interfaceArgs={name:{type:String,required:!0},definition:{type:Object},
+extends:{type:String,required:!1}};cycligent.interface=function(a){var b=cycligent.args(arguments,cycligent.interfaceArgs);if(!cycligent.imports||cycligent.imports.registered("interface",b.name))cycligent.interfaceMissing(b)==""?(cycligent.interfaceProcess(b),cycligent.interfaces[b.name]=!0,cycligent.interfaceProcessDeferred()):(cycligent.interfaces[b.name]=!1,cycligent.interfacesToProcess.push(b))};cycligent.interfaceMissing=function(a){var b="",c=a.name.split("."),d=window,f="window",e;if(c.length>
+1)for(e=0;e<c.length-1;e++){f+="."+c[e];if(!d[c[e]]){b=f;break}d=d[c[e]]}b||!a.extends||cycligent.interfaces[a.extends]||(b=a.extends);return b};cycligent.interfaceProcessDeferred=function(){var a=!1,b;do{var c=!1;for(b=0;b<cycligent.interfacesToProcess.length;b++){var d=cycligent.interfacesToProcess[b];d!==null&&cycligent.interfaceMissing(this)==""&&(a=c=!0,cycligent.interfaceProcess(this),cycligent.interfacesToProcess[b]=null)}for(;cycligent.interfacesToProcess.length>0&&cycligent.interfacesToProcess[cycligent.interfacesToProcess.length-
+1]===null;)cycligent.interfacesToProcess.pop();for(;cycligent.interfacesToProcess.length>0&&cycligent.interfacesToProcess[0]===null;)cycligent.interfacesToProcess.shift()}while(c);a&&cycligent.classProcessDeferred()};cycligent.interfaceProcess=function(a){var b;a.extends?cycligent.definitionGet(a.extends).extend(a.definition):b=Interface.extend(a.definition);b.cyName=a.name;cycligent.definitionSet(a.name,b);cycligent.ready.check()};cycligent.definitionsToProcess=[];cycligent.priorityDefinitions=[];
+cycligent.readyWaiting=[];cycligent.define=function(a,b,c){var d=cycligent.args(arguments,{name:{type:String},definition:{type:"Any",required:!1},priority:{type:Number,required:!1}});if(!cycligent.imports||cycligent.imports.registered("definition",d.name))d.script=cycligent.imports?cycligent.imports.scriptRelative():null,cycligent.definitionMissing(d)==""?(cycligent.definitionProcess(d),cycligent.definitionProcessDeferred()):cycligent.definitionsToProcess.push(d)};cycligent.define.execute=function(){for(var a;cycligent.priorityDefinitions.length>
+0;){a=cycligent.priorityDefinitions.splice(0,cycligent.priorityDefinitions.length);a.sort(function(d,f){return d.priority-f.priority});for(var b=0;b<a.length;b++){if(a[b].definition instanceof Function){var c=cycligent.definitionRun(a[b]);c&&cycligent.definitionSet({name:a[b].name,value:c})}else cycligent.definitionSet({name:a[b].name,value:a[b].definition});cycligent.classProcessDeferred();cycligent.interfaceProcessDeferred()}}cycligent.ready.check()};cycligent.ready=function(a){var b=cycligent.args(arguments,
+{dottedName:{type:String,required:!0}}),c=new cycligent.Completion;cycligent.readyWaiting.push({name:b.dottedName,completion:c});cycligent.ready.check();return c};cycligent.ready.check=function(){function a(g){g=g.split(".");for(var k=window,h=0;h<g.length&&k;h++)k=k[g[h]];return k}function b(g){for(var k=0;k<d.length;k++)for(var h=0;d[k]&&h<d[k].length;h++)if(d[k][h]&&d[k][h].name==g)return!0;return!1}var c=cycligent.readyWaiting;if(c.length!==0)for(var d=[cycligent.definitionsToProcess,cycligent.priorityDefinitions,
+cycligent.classesToProcess,cycligent.interfacesToProcess],f=0;f<c.length;f++){var e=a(c[f].name);e===void 0||b(c[f].name)||(c.splice(f,1)[0].completion.resolve(e),f--)}};cycligent.definitionMissing=function(a){var b="";a=a.name.split(".");var c=window,d="window",f;if(a.length>1)for(f=0;f<a.length-1;f++){d+="."+a[f];if(!c[a[f]]){b=d;break}c=c[a[f]]}return b};cycligent.definitionProcessDeferred=function(){var a;do{var b=!1;for(a=0;a<cycligent.definitionsToProcess.length;a++){var c=cycligent.definitionsToProcess[a];
+c!==null&&cycligent.definitionMissing(c)==""&&(b=!0,cycligent.definitionProcess(c),cycligent.definitionsToProcess.splice(a,1),a--)}}while(b)};cycligent.definitionProcess=function(a){cycligent.definitionGet(a.name)||cycligent.definitionSet({name:a.name,value:{}});cycligent.definitionProcess2(a);cycligent.ready.check()};cycligent.definitionProcess2=function(a){if(a.definition)if(a.priority)cycligent.priorityDefinitions.push(a);else if(a.definition instanceof Function){var b=cycligent.definitionRun(a);
+b&&cycligent.definitionSet({name:a.name,value:b})}else cycligent.definitionSet({name:a.name,value:a.definition})};cycligent.definitionRun=function(a){return cycligent.imports?cycligent.imports.declaredBy(a.script,a.definition):a.definition()};cycligent.private=function(a){if(cycligent.config.debug.private.check){var b=a;b||(b=this);var c=arguments.callee.caller.caller,d=!1,f;for(f in b)if(b.hasOwnProperty(f)&&c==b[f]){d=!0;break}d||(console.error("Private method accessed by a method outside of the defining class."),
+console.trace&&console.trace())}};cycligent.doc=function(){cycligent.Completion=function(){}};cycligent.class({name:"cycligent.Completion",definition:{init:function(){cycligent.args(arguments,{});this.handlers=[]},state:"pending",value:void 0,then:function(a,b){var c=new cycligent.Completion;this.handlers.push({resolved:a,rejected:b,next:c});this.state!="pending"&&this.flush();return c},done:function(a){this.then(function(b){a(void 0,b)},function(b){a(b)});return this},resolve:function(a){var b=this;
+b.state=="pending"&&(a&&typeof a.then=="function"&&a!==b?a.then(function(c){b.resolve(c)},function(c){b.reject(c)}):(b.state="resolved",b.value=a,b.flush()))},reject:function(a){this.state=="pending"&&(this.state="rejected",this.value=a,this.flush())},flush:function(){var a=this,b=a.handlers.splice(0,a.handlers.length);setTimeout(function(){for(var c,d,f=0;f<b.length;f++)if(c=b[f],d=a.state=="resolved"?c.resolved:c.rejected,typeof d!="function")a.state=="resolved"?c.next.resolve(a.value):c.next.reject(a.value);
+else try{c.next.resolve(d(a.value))}catch(e){c.next.reject(e)}},0)}}});cycligent.doc=function(){cycligent.Script=function(a,b,c,d){}};cycligent.class({name:"cycligent.Script",definition:{init:function(){var a=cycligent.args(arguments,{scriptId:{type:String,required:!0},callback:{type:Function,required:!1,defaultValue:cycligent.imports.scriptLoaded},failedCallback:{type:Function,required:!1,defaultValue:cycligent.imports.scriptFailed},extension:{type:String,required:!1,defaultValue:"js"}});this.scriptId=
+a.scriptId;this.callback=a.callback;this.failedCallback=a.failedCallback;this.extension=a.extension;this.key=cycligent.imports.scriptKey(this.scriptId,this.extension);this.completion=new cycligent.Completion;this.children=[];this.registered={classes:[],interfaces:[],definitions:[]};this.attempts=[];this.urls=cycligent.urls(this.scriptId,this.extension);this.loadTimeout=cycligent.url.rootOptions(this.scriptId).timeout||cycligent.config.loader.timeout;this.url=this.urls[0];cycligent.imports.scripts[this.key]=
+this;cycligent.appLoad.passScriptAdd(this);this.start()},start:function(){this.extension=="js"&&cycligent.imports.bundled.hasOwnProperty(this.scriptId)?(this.bundled=!0,this.debugging&&console.info("Importing script: "+this.scriptId+" (bundled)")):(this.debugging&&console.info("Importing script: "+this.scriptId+" ("+this.url+")"),cycligent.node?this.attemptNode():this.attemptStart())},scriptId:null,urls:null,url:null,element:null,timer:null,loaded:!1,failed:!1,failure:null,scriptError:null,integrity:null,
+loadTimeout:null,bundled:!1,extension:"js",key:null,executes:!0,scriptType:"text/javascript",debugging:cycligent.config.debug.scripts,attemptCreate:function(){var a={url:this.urls[Math.floor(this.attempts.length/(cycligent.config.loader.retries+1))],start:(new Date).getTime(),end:null,result:"pending"};this.attempts.push(a);this.url=a.url;return a},attemptStart:function(){var a=this;if(cycligent.context&&a.scriptType=="text/javascript")a.attemptContext();else{var b=a.attemptCreate(),c=document.createElement("script");
+c.id=a.scriptId;c.type=a.scriptType;c.src=a.url;c.cycligentScript=a;c.cycligentAttempt=b;a.integrity=cycligent.elementSecure(c,a.scriptId,a.url);c.addEventListener("load",function(){a.scriptLoaded(b)},!1);c.addEventListener("error",function(){a.attemptError(b)},!1);a.timer=setTimeout(function(){a.timeout(b)},a.loadTimeout);a.element=c;document.getElementsByTagName("head")[0].appendChild(c)}},attemptNode:function(){var a=this,b=a.attemptCreate();cycligent.node.fileRead(b.url,function(c,d){a.loaded||
+a.failed||b.result!="pending"||(c?a.attemptFailed(b,"http"):a.nodeLoaded(b,d))})},attemptContext:function(){var a=this,b=a.attemptCreate(),c=new XMLHttpRequest;c.onreadystatechange=function(){c.readyState!=4||a.loaded||a.failed||b.result!="pending"||(c.status>=200&&c.status<300||c.status===0&&c.responseText?a.integrityVerify(b,c.responseText,function(){a.nodeLoaded(b,c.responseText)}):a.attemptFailed(b,"http"))};a.timer=setTimeout(function(){a.timeout(b)},a.loadTimeout);c.open("GET",b.url,!0);c.send()},
+nodeLoaded:function(a,b){var c=cycligent.imports,d=c.executing;c.executing=this;try{(cycligent.node||cycligent.context).scriptRun(b,a.url)}catch(f){c.scriptError(f.message,a.url,f.line,f.column)}c.executing===this&&(c.executing=d);this.scriptLoaded(a)},scriptLoaded:function(a){this.loaded||this.failed||a&&a.result!="pending"||(clearTimeout(this.timer),a&&(a.end=(new Date).getTime(),a.result=this.scriptError?"script":"loaded",this.url=a.url),this.scriptError?this.fail("script",this.scriptError):(this.loaded=
+!0,this.debugging&&console.info("Import Complete (Script Loaded): "+this.scriptId),cycligent.lifecycle.emit("scriptLoaded",this),this.callback&&this.callback(this)))},attemptError:function(a){var b=this;b.integrity?cycligent.urlRetrievable(a.url,function(c){b.loaded||b.failed||a.result!="pending"||(c?(clearTimeout(b.timer),a.end=(new Date).getTime(),a.result="integrity",b.element&&b.element.parentNode&&b.element.parentNode.removeChild(b.element),b.fail("integrity","The file does not match its integrity hash "+
+b.integrity+".")):b.attemptFailed(a,"http"))}):b.attemptFailed(a,"http")},integrityVerify:function(a,b,c){var d=this,f=cycligent.config.loader.integrity;d.integrity=(f?f[d.scriptId]||f[a.url]:null)||null;d.integrity?cycligent.integrityCheck(b,d.integrity,function(e){d.loaded||d.failed||a.result!="pending"||(e?(clearTimeout(d.timer),a.end=(new Date).getTime(),a.result="integrity",d.fail("integrity",e)):c())}):c()},timeout:function(a){this.attemptFailed(a,"timeout")},attemptFailed:function(a,b){var c=
+this;if(!c.loaded&&!c.failed&&a.result=="pending"){clearTimeout(c.timer);a.end=(new Date).getTime();a.result=b;c.element&&c.element.parentNode&&c.element.parentNode.removeChild(c.element);var d=cycligent.config.loader.retries,f=c.attempts.length;if(f>=c.urls.length*(d+1))b=="timeout"?c.fail(b,"The script did not load within "+c.loadTimeout+"ms."):c.fail(b,"The script could not be retrieved (HTTP or network error).");else{var e=0,g=f%(d+1);g>0&&(e=cycligent.config.loader.retryDelay*Math.pow(2,g-1));
+console.warn("Script import attempt "+f+" of '"+c.scriptId+"' failed ("+b+"): "+cycligent.dottedName.describe(a.url)+". "+(g>0?"Retrying in "+e+"ms.":"Trying fallback "+c.urls[f/(d+1)]+"."));c.timer=setTimeout(function(){cycligent.node?c.attemptNode():c.attemptStart()},e)}}},fail:function(a,b){this.failed=!0;this.failure=cycligent.imports.failureAdd(this,a,b);console.error("Script Import Failed: "+this.scriptId+" after "+this.attempts.length+" attempt(s) ("+this.urls.join(", ")+")"+(this.failure.name!=
+this.scriptId?" ["+this.failure.name+"]":"")+": "+b);a=Error("Script Import Failed: "+this.scriptId+" ("+this.url+"): "+b);a.failure=this.failure;this.completion.reject(a);this.failedCallback&&this.failedCallback(this)}}});cycligent.doc=function(){cycligent.Resource=function(a,b,c,d){}};cycligent.class({name:"cycligent.Resource",extends:"cycligent.Script",definition:{value:void 0,request:null,executes:!1,attemptStart:function(){var a=this,b=a.attemptCreate(),c=new XMLHttpRequest;c.onreadystatechange=
+function(){c.readyState!=4||a.loaded||a.failed||b.result!="pending"||(c.status>=200&&c.status<300||c.status===0&&c.responseText?a.integrityVerify(b,c.responseText,function(){a.resourceLoaded(b,c.responseText)}):a.attemptFailed(b,"http"))};a.timer=setTimeout(function(){a.timeout(b)},a.loadTimeout);a.request=c;c.open("GET",b.url,!0);c.send()},nodeLoaded:function(a,b){this.resourceLoaded(a,b)},timeout:function(a){var b=this.request;this.attemptFailed(a,"timeout");b.abort()},resourceLoaded:function(a,
+b){try{this.value=this.parse(b)}catch(c){clearTimeout(this.timer);a.end=(new Date).getTime();a.result="parse";this.url=a.url;this.fail("parse","The resource could not be parsed: "+c.message);return}this.scriptLoaded(a)},parse:function(a){return a}}});cycligent.doc=function(){cycligent.JsonResource=function(a,b,c,d){}};cycligent.class({name:"cycligent.JsonResource",extends:"cycligent.Resource",definition:{parse:function(a){return cycligent.jsonParse(a)}}});cycligent.doc=function(){cycligent.Style=
+function(a,b,c,d){}};cycligent.class({name:"cycligent.Style",extends:"cycligent.Script",definition:{executes:!1,attemptStart:function(){var a=this,b=a.attemptCreate(),c=document.createElement("link");c.rel="stylesheet";c.type="text/css";c.href=a.url;a.integrity=cycligent.elementSecure(c,a.scriptId,a.url);c.addEventListener("load",function(){a.scriptLoaded(b)},!1);c.addEventListener("error",function(){a.attemptError(b)},!1);a.timer=setTimeout(function(){a.timeout(b)},a.loadTimeout);a.element=c;document.getElementsByTagName("head")[0].appendChild(c)},
+nodeLoaded:function(a){this.scriptLoaded(a)}}});cycligent.doc=function(){cycligent.ModuleScript=function(a,b,c,d){}};cycligent.class({name:"cycligent.ModuleScript",extends:"cycligent.Script",definition:{scriptType:"module",attemptStart:function(){cycligent.context?this.fail("script","ES modules can't be imported in a context (see cycligent.context), they would use the page's Cycligent."):cycligent.Script.prototype.attemptStart.call(this)},nodeLoaded:function(a){this.scriptError="ES modules can't be imported in Node.js.";
+this.scriptLoaded(a)}}});cycligent.doc=function(){cycligent.ShimScript=function(a,b,c,d){}};cycligent.class({name:"cycligent.ShimScript",extends:"cycligent.Script",definition:{shim:null,depsLoaded:!1,attemptStart:function(){this.depsAfter(cycligent.Script.prototype.attemptStart)},attemptNode:function(){this.depsAfter(cycligent.Script.prototype.attemptNode)},depsAfter:function(a){function b(q){e||c.failed||(q?(e=!0,c.fail("dependency","A dependency of the shim failed: "+q.message)):(f--,f===0&&(c.depsLoaded=
+!0,a.call(c))))}var c=this;if(c.depsLoaded)a.call(c);else{c.shim=cycligent.config.loader.shims[c.scriptId];c.shim.url&&(c.urls=cycligent.urls(c.shim.url,"js"),c.url=c.urls[0]);var d=c.shim.deps||[],f=d.length,e=!1,g=cycligent.imports,k=g.executing,h=[],m;if(f===0)c.depsLoaded=!0,a.call(c);else if(m=c.depsCycle([c.scriptId]))c.fail("dependency","The shim depends on itself: "+m.join(" -> ")+".");else{g.executing=c;for(m=0;m<d.length;m++)h.push(cycligent.import({scriptId:d[m]}));g.executing=k;for(m=
+0;m<h.length;m++)h[m].done(b)}}},depsCycle:function(a){var b=cycligent.config.loader.shims,c=b[a[a.length-1]];c=c&&c.deps||[];for(var d=0;d<c.length;d++){if(c[d]==a[0])return a.concat([c[d]]);if(b.hasOwnProperty(c[d])&&a.indexOf(c[d])<0){var f=this.depsCycle(a.concat([c[d]]));if(f)return f}}return null},scriptLoaded:function(a){if(!this.loaded&&!this.failed&&!this.scriptError&&this.shim&&this.shim.exports){for(var b=this.shim.exports.split("."),c=window,d=0;d<b.length&&c!==void 0&&c!==null;d++)c=
+c[b[d]];c===void 0||c===null?this.scriptError="The shim did not set the global '"+this.shim.exports+"'.":(b=cycligent.imports,d=b.executing,b.executing=this,cycligent.define(this.shim.define||this.scriptId,function(){return c}),b.executing=d)}cycligent.Script.prototype.scriptLoaded.call(this,a)}}});cycligent.loaders={js:cycligent.Script,mjs:cycligent.ModuleScript,css:cycligent.Style,json:cycligent.JsonResource,html:cycligent.Resource,htm:cycligent.Resource,txt:cycligent.Resource};cycligent.resource=
+function(a,b){var c=cycligent.args(arguments,{dottedNameOrUrl:{type:String,required:!0},extension:{type:String,required:!1}}),d=c.dottedNameOrUrl.substr(0,1)=="~"?cycligent.url.relative(c.dottedNameOrUrl):c.dottedNameOrUrl;if((d=cycligent.imports&&d!==null?cycligent.imports.scripts[cycligent.imports.scriptKey(d,cycligent.imports.extensionOf(d,c.extension))]:void 0)&&d.loaded)return d.value;cycligent.config.debug.on&&console.warn("Resource '"+c.dottedNameOrUrl+"' "+(d?"has not loaded yet.":"was not imported."))};
+cycligent.doc=function(){cycligent.Imports=function(){}};cycligent.class({name:"cycligent.Imports",definition:{init:function(){cycligent.args(arguments,{});var a=window.onerror;window.onerror=function(b,c,d,f){cycligent.imports.scriptError(b,c,d,f);return a?a.apply(this,arguments):!1}},scriptsPending:1,scripts:[],scriptsCount:0,orphans:[],roots:[],executing:null,declaring:null,bundled:{},failures:[],Import:function(){var a=cycligent.args(arguments,{scriptId:{type:String,required:!0},callback:{type:Function,
+required:!1},extension:{type:String,required:!1}}),b=cycligent.imports.scriptExecuting(),c=a.scriptId;c.substr(0,1)=="~"&&(c=cycligent.url.relative(c,b?b.scriptId:void 0));var d=c===null?null:cycligent.imports.extensionOf(c,a.extension);if(c===null){var f=new cycligent.Completion;f.reject(Error("The script-relative name '"+a.scriptId+"' could not be resolved."))}else if(cycligent.loaders[d])if(cycligent.test&&!cycligent.test.doImports)f=new cycligent.Completion,f.resolve();else{var e=cycligent.imports.scriptKey(c,
+d);(f=cycligent.imports.scripts[e])?cycligent.config.debug.scripts&&console.info("Redundant import of '"+e+"' avoided."):f=cycligent.imports.scriptAdd(c,d);cycligent.imports.dependencyAdd(b,f);f=f.completion}else console.error("No loader is registered for the extension '"+d+"' of '"+a.scriptId+"'."),f=new cycligent.Completion,f.reject(Error("No loader is registered for the extension '"+d+"'."));if(a.callback){var g=cycligent.imports.scriptRelative();f.done(function(){return cycligent.imports.declaredBy(g,
+a.callback,this,arguments)})}return f},scriptAdd:function(a,b){b=b||"js";var c=cycligent.loaders[b];b=="js"&&cycligent.config.loader.shims.hasOwnProperty(a)&&(c=cycligent.ShimScript);cycligent.imports.scriptsPending++;cycligent.imports.scriptsCount++;return new c(a,cycligent.imports.scriptLoaded,cycligent.imports.scriptFailed,b)},extensionOf:function(a,b){if(b)return b;b=cycligent.alias(a);return(b=b.indexOf("/")>=0?/\.([^.\/]+)$/.exec(b):null)&&cycligent.loaders[b[1]]?b[1]:cycligent.url.rootOptions(a).extension||
+"js"},scriptKey:function(a,b){return b=="js"||a.substr(a.length-b.length-1)=="."+b?a:a+"."+b},bundleDeclare:function(a){for(var b=cycligent.imports,c=b.scriptExecuting(),d=0;d<a.length;d++)b.scripts[a[d]]||(b.bundled[a[d]]=c)},bundleScript:function(a){var b=cycligent.imports,c=b.executing;b.executing=null;c&&c.bundled&&!c.loaded&&!c.failed&&(delete b.bundled[c.scriptId],c.scriptLoaded());if(a!==null){var d=b.bundled[a];(c=b.scripts[a])?c.bundled?d&&b.dependencyAdd(d,c):console.warn("Script '"+a+"' was imported before its bundle loaded, it has been executed twice."):
+(c=b.scriptAdd(a),b.dependencyAdd(d,c));b.executing=c}},bundleRelease:function(a){var b=cycligent.imports;if(b.executing&&b.executing.bundled&&b.bundled[b.executing.scriptId]===a){var c=b.executing;b.executing=null;delete b.bundled[c.scriptId];c.scriptError=c.scriptError||"The bundle "+a.scriptId+" stopped while executing it.";c.scriptLoaded()}for(var d in b.bundled)b.bundled.hasOwnProperty(d)&&b.bundled[d]===a&&(delete b.bundled[d],!(c=b.scripts[d])||c.loaded||c.failed||(console.warn("Bundled script '"+
+d+"' was not loaded by its bundle "+a.scriptId+", importing it from "+cycligent.dottedName.describe(c.url)+"."),c.bundled=!1,c.attemptStart()))},failureAdd:function(a,b,c){b={scriptId:a.scriptId,name:cycligent.dottedName(a.url)||a.scriptId,url:a.url,urls:a.urls,reason:b,message:c,attempts:a.attempts,pass:a.pass?a.pass.number:void 0};cycligent.imports.failures.push(b);a.pass&&cycligent.config.loader.bundles.indexOf(a.scriptId)<0&&a.pass.failures.push(b);return b},scriptError:function(a,b,c,d){var f=
+cycligent.imports.scripts,e=cycligent.imports.executing,g;if(e&&e.bundled&&!e.loaded&&!e.failed&&(g=cycligent.imports.bundled[e.scriptId])&&b&&g.url==b){e.scriptError=a+" (line "+c+(d?", column "+d:"")+")";return}for(var k in f)if(f.hasOwnProperty(k)&&(g=f[k],!g.loaded&&!g.failed&&b&&g.url==b)){g.scriptError=a+" (line "+c+(d?", column "+d:"")+")";break}},scriptExecuting:function(){if(cycligent.imports.executing)return cycligent.imports.executing;var a=typeof document!="undefined"?document.currentScript:
+null;return a&&a.cycligentScript?a.cycligentScript:null},scriptRelative:function(){return cycligent.imports.scriptExecuting()||cycligent.imports.declaring},declaredBy:function(a,b,c,d){var f=cycligent.imports.declaring;cycligent.imports.declaring=a;try{return b.apply(c,d||[])}finally{cycligent.imports.declaring=f}},dependencyAdd:function(a,b){a?a!==b&&a.children.indexOf(b)<0&&(a.children.push(b),cycligent.imports.shimCycleFail(a,b)):typeof document=="undefined"||"currentScript"in document?cycligent.imports.roots.indexOf(b)<
+0&&cycligent.imports.roots.push(b):cycligent.imports.orphans.push(b)},shimCycleFail:function(a,b){function c(g){if(g===a)return[g];if(d.indexOf(g)>=0)return null;d.push(g);for(var k=0;k<g.children.length;k++){var h=c(g.children[k]);if(h)return[g].concat(h)}return null}for(var d=[],f=c(b),e=0;f&&e<f.length;e++)if(b=f[e],b.shim&&!b.depsLoaded&&!b.loaded&&!b.failed){f=f.slice(e).concat(f.slice(0,e),[b]);b.fail("dependency","The shim depends on itself: "+f.map(function(g){return g.scriptId}).join(" -> ")+
+".");break}},registered:function(a,b){var c=cycligent.imports.scriptExecuting(),d=typeof document!="undefined"?document.currentScript:null;if(!cycligent.imports.executing&&d&&d.cycligentAttempt&&d.cycligentAttempt.result!="pending")return d.cycligentIgnored||(d.cycligentIgnored=!0,console.warn("Ignored the declarations of an attempt to load '"+d.cycligentScript.scriptId+"' that ran after it was given up on ("+d.cycligentAttempt.result+"): "+d.cycligentAttempt.url)),!1;c&&c.registered[a=="class"?"classes":
+a+"s"].push(b);return!0},graph:function(){function a(k){return'"'+String(k).replace(/\\/g,"\\\\").replace(/"/g,'\\"').replace(/\n/g,"\\n")+'"'}var b=cycligent.imports,c=[],d=[],f,e;c.push({id:"(page)",url:window.location.href,duration:void 0,state:"loaded",pass:0,classes:[],interfaces:[],definitions:[]});for(e=0;e<b.roots.length;e++)d.push({from:"(page)",to:b.roots[e].key});for(e=0;e<b.orphans.length;e++)d.push({from:"(page)",to:b.orphans[e].key});for(f in b.scripts)if(b.scripts.hasOwnProperty(f)){var g=
+b.scripts[f];e=g.attempts;c.push({id:g.key,url:g.url,duration:e.length>0&&e[e.length-1].end?e[e.length-1].end-e[0].start:void 0,state:g.failed?"failed":g.loaded?"loaded":"pending",pass:g.pass?g.pass.number:void 0,classes:g.registered.classes.slice(0),interfaces:g.registered.interfaces.slice(0),definitions:g.registered.definitions.slice(0)});for(e=0;e<g.children.length;e++)d.push({from:g.key,to:g.children[e].key})}return{nodes:c,edges:d,toJSON:function(){return{nodes:c,edges:d}},toDot:function(){for(var k=
+["digraph imports {",'    node [shape=box, fontname="sans-serif"];'],h,m,q,y=0;y<c.length;y++)h=c[y],m=h.id+"\n"+h.url,h.duration!==void 0&&(m+="\n"+h.duration+"ms"),q=h.classes.concat(h.interfaces,h.definitions),q.length>0&&(m+="\n"+q.join("\n")),k.push("    "+a(h.id)+" [label="+a(m)+(h.state=="failed"?", color=red":h.state=="pending"?", style=dashed":"")+"];");for(h=0;h<d.length;h++)k.push("    "+a(d[h].from)+" -> "+a(d[h].to)+";");k.push("}");return k.join("\n")}}},completeCheck:function(){function a(g,
+k){if(g.completion.state=="resolved")return{state:"complete"};if(g.failed)return{state:"failed",reason:g.completion.value};if(!g.loaded)return{state:"pending"};var h={state:"complete"};k.push(g);for(var m=0;m<g.children.length;m++)if(!(k.indexOf(g.children[m])>=0)){var q=a(g.children[m],k);if(q.state=="failed"){h=q;break}q.state=="pending"&&(h=q)}k.pop();return h}var b=cycligent.imports.scripts,c=[],d;for(d in b)if(b.hasOwnProperty(d)){var f=b[d];if(f.completion.state=="pending"){var e=a(f,[]);e.state!=
+"pending"&&c.push({script:f,outcome:e})}}for(b=0;b<c.length;b++)f=c[b].script,e=c[b].outcome,e.state=="complete"?f.completion.resolve(f):f.completion.reject(e.reason)},StyleLoad:function(){var a=cycligent.args(arguments,{styleId:{type:String,required:!0},callback:{type:Function,required:!1}});return cycligent.imports.Import({scriptId:a.styleId,callback:a.callback,extension:"css"})},StyleRequired:function(a){cycligent.args(arguments,{styleId:{type:String,required:!0}});if(!cycligent.node){var b=cycligent.url(a,
+"css");(function(){for(var c=cycligent.args(arguments,{url:{type:String,required:!0}}),d=0;d<document.styleSheets.length;d++)if(document.styleSheets[d].href==c.url||document.styleSheets[d].href==window.location.protocol+"//"+window.location.host+c.url)return!0;return!1})(b)||console.error("Style '"+cycligent.dottedName.describe(b)+"' was not loaded as required.")}},scriptLoaded:function(a){var b=cycligent.imports.orphans;if(a&&a.executes)for(;b.length>0;)cycligent.imports.dependencyAdd(a,b.shift());
+cycligent.classProcessDeferred();cycligent.interfaceProcessDeferred();a&&cycligent.imports.bundleRelease(a);cycligent.imports.scriptDone()},scriptFailed:function(a){cycligent.imports.bundleRelease(a);cycligent.imports.scriptDone()},scriptDone:function(){cycligent.imports.scriptsPending--;cycligent.imports.scriptsPending===0&&cycligent.appLoad.allScriptsLoaded();cycligent.imports.completeCheck()}}});cycligent.doc=function(){cycligent.import=function(a,b,c){}};cycligent.doc=function(){cycligent.styleRequired=
+function(a){}};cycligent.doc=function(){cycligent.styleLoad=function(a,b){}};cycligent.appLoad=function(){function a(n){this.number=u.length;this.lazy=n;this.scripts=[];this.failures=[];this.finished=!1;this.completion=new cycligent.Completion;u.push(this)}function b(){!x&&cycligent.config.debug.startup&&console.info("Scripts "+(q?"":"not ")+"ready, DOM "+(y?"":"not ")+"ready, page "+(C?"":"not ")+"ready.");if(q&&y&&C&&!A)if(v)a:{var n=u[0].failures,p=cycligent.config.loader.onFailure;A=!0;cycligent.timing.event("Startup failed",
+0);console.error("The application failed to start because "+n.length+" import(s) failed.");cycligent.lifecycle.emit("startupFailed",n);typeof p=="string"&&(p=cycligent.definitionGet(p));if(!p){if(cycligent.node)break a;p=cycligent.appLoad.failureScreen}try{p(n)}catch(t){console.error(t)}}else!x&&cycligent.config.debug.startup&&console.info("Cycligent starting application."),e()}function c(){if(cycligent.definitionsToProcess.length>0){var n;for(n=0;n<cycligent.definitionsToProcess.length;n++){var p=
+cycligent.definitionsToProcess[n];var t=p.name.split("."),w=window,z;for(z=0;z<t.length;z++)w[t[z]]||(w[t[z]]={}),w=w[t[z]];cycligent.definitionProcess2(p)}cycligent.definitionsToProcess.splice(0,cycligent.definitionsToProcess.length);cycligent.classProcessDeferred();cycligent.interfaceProcessDeferred()}cycligent.define.execute()}function d(n){var p;for(p=0;p<cycligent.interfacesToProcess.length;p++){var t=cycligent.interfacesToProcess[p];t===null||t.unresolvedReported||(t.unresolvedReported=!0,console.error("The interface '"+
+t.name+"' failed to process "+n+". Missing dependency '"+cycligent.interfaceMissing(t)+"'."))}for(p=0;p<cycligent.classesToProcess.length;p++)t=cycligent.classesToProcess[p],t===null||t.unresolvedReported||(t.unresolvedReported=!0,console.error("The class '"+t.name+"' failed to process "+n+". Missing dependency '"+cycligent.classMissing(t)+"'."))}function f(n){n.finished=!0;for(var p=0;p<B.length;p++)B[p](n);n.completion.resolve(n)}function e(){function n(D){if(D>=z.length)t();else{var E=z[D];if(typeof E.func!=
+"function")p(Error("The entry point '"+E.name+"' in cycligent.config.main is not a function."),E);else{if(w)try{var F=E.func(cycligent)}catch(G){throw t(G),G;}else try{F=E.func(cycligent)}catch(G){p(G,E);return}F&&typeof F.then=="function"?F.then(function(){n(D+1)},function(G){p(G,E)}):n(D+1)}}}function p(D,E){a:{E=E.name;var F=cycligent.config.errorBoundary;if(typeof F=="string"){var G=F;try{F=cycligent.definitionGet(G)}catch(H){F=null}typeof F!="function"&&console.error("The error boundary (cycligent.config.errorBoundary) '"+
+G+"' is not a function.")}if(typeof F=="function")try{F(D,E);break a}catch(H){console.error("The error boundary (cycligent.config.errorBoundary) failed: "+(H&&H.message?H.message:H))}console.error(D)}t(D)}function t(D){x=!0;cycligent.lifecycle.emit("afterMain",D===void 0?void 0:{error:D});f(u[0])}A=!0;d("at startup");cycligent.timing.event("Initialize application (time first call to timing.event)",0);var w=cycligent.config.debug.doNotCatchAllExceptionsOnLocalHost&&(window.location.hostname=="localhost"||
+window.location.hostname=="127.0.0.1");cycligent.lifecycle.emit("beforeMain");if(cycligent.test)cycligent.test.scaffoldingReady=!0,t();else{var z=g();n(0)}}function g(){var n=cycligent.config.main,p=[];if(n===void 0)return(n=cycligent.context?window.main:typeof main=="function"?main:null)?p.push({name:"main",func:n}):cycligent.context?console.warn("The context '"+cycligent.context.name+"' has no main(), neither its scripts nor cycligent.config.main gave it one."):cycligent.node||p.push({name:"main",
+func:function(){return main()}}),p;n=Object.prototype.toString.call(n)=="[object Array]"?n:[n];for(var t=0;t<n.length;t++){var w=n[t];if(typeof w=="function")p.push({name:w.name||"(function "+(t+1)+")",func:w});else{try{var z=cycligent.definitionGet(w)}catch(D){z=void 0}p.push({name:w,func:z})}}return p}function k(){y=!0;cycligent.timing.event("DOM ready",1);cycligent.lifecycle.emit("domReady");b()}function h(){C=!0;cycligent.timing.event("Page ready",1);cycligent.lifecycle.emit("pageReady");b()}
+function m(n){function p(){w--;w===0&&n()}var t=cycligent.config.loader.bundles,w=t.length;if(w===0)n();else{cycligent.timing.event("Load bundles",1);for(var z=0;z<t.length;z++)cycligent.import({scriptId:t[z],callback:p})}}var q=!1,y=!1,C=!1,x=!1,v=!1,A=!1,B=[],u=[],r=null;return{load:function(){cycligent.timing.event("Load script dependencies",0);r=new a(!1);cycligent.imports=new cycligent.Imports;cycligent.import=cycligent.imports.Import;cycligent.styleRequired=cycligent.imports.StyleRequired;cycligent.styleLoad=
+cycligent.imports.StyleLoad;cycligent.test||cycligent.node||!cycligent.config.loader.waitFor.dom?(y=!0,cycligent.lifecycle.emit("domReady")):function(n,p){var t=!1,w=!0,z=n.document,D=z.documentElement,E=z.addEventListener?"addEventListener":"attachEvent",F=z.addEventListener?"removeEventListener":"detachEvent",G=z.addEventListener?"":"on",H=function(I){if(I.type!="readystatechange"||z.readyState=="complete")(I.type=="load"?n:z)[F](G+I.type,H,!1),!t&&(t=!0)&&p.call(n,I.type||I)},J=function(){try{D.doScroll("left")}catch(I){setTimeout(J,
+50);return}H("poll")};if(z.readyState=="complete")p.call(n,"lazy");else{if(z.createEventObject&&D.doScroll){try{w=!n.frameElement}catch(I){}w&&J()}z[E](G+"DOMContentLoaded",H,!1);z[E](G+"readystatechange",H,!1);n[E](G+"load",H,!1)}}(window,k);cycligent.test||cycligent.node||!cycligent.config.loader.waitFor.page?(C=!0,cycligent.lifecycle.emit("pageReady")):cycligent.context?document.readyState=="complete"?(C=!0,cycligent.lifecycle.emit("pageReady")):window.addEventListener("load",h,!1):window.onload=
+h;!cycligent.test||cycligent.test.doImports?m(function(){cycligent.timing.event("Load startup script and its dependencies",1);cycligent.config.startupScript&&cycligent.import({scriptId:cycligent.config.startupScript});cycligent.imports.scriptDone()}):(q=!0,cycligent.lifecycle.emit("scriptsReady"),cycligent.config.debug.startup&&console.info("Running module initialization code in test mode."),r=null,c(),cycligent.lifecycle.emit("definitionsExecuted"),b())},allScriptsLoaded:function(){var n=r;r=null;
+n&&n.lazy?(cycligent.timing.event("Process lazy load pass "+n.number,1),cycligent.config.debug.scripts&&console.info(n.scripts.length+" script(s) loaded in lazy load pass "+n.number+"."),n.failures.length>0&&console.error(n.failures.length+" import(s) failed in lazy load pass "+n.number+"."),c(),d("in lazy load pass "+n.number),f(n)):(cycligent.config.debug.scripts&&console.info(cycligent.imports.scriptsCount+" script(s) loaded."),q=!0,cycligent.lifecycle.emit("scriptsReady"),n&&n.failures.length>
+0?v=!0:(cycligent.config.debug.startup&&console.info("Running module initialization code."),cycligent.definitionsToProcess.length>0&&cycligent.timing.event("Create assumed definitions",1),c(),cycligent.lifecycle.emit("definitionsExecuted")),b())},passScriptAdd:function(n){r||(r=new a(!0),cycligent.timing.event("Lazy load pass "+r.number,0),cycligent.config.debug.scripts&&console.info("Starting lazy load pass "+r.number+"."));n.pass=r;r.scripts.push(n)},pass:function(){return r},passes:u,notify:function(n){for(var p=
+0;p<B.length;p++)if(n===B[p])return;B.push(n)},notifyClear:function(n){for(var p=0;p<B.length;p++)n===B[p]&&(B.splice(p,1),p--)},finished:function(){return x},failed:function(){return v},failureScreen:function(n){var p=document.createElement("div");p.id="cycligent-failure";p.style.cssText="position: fixed; top: 0; left: 0; right: 0; bottom: 0; z-index: 2147483647;overflow: auto; padding: 2em; background: #fff; color: #333; font: 14px sans-serif;";var t=document.createElement("h2");t.textContent="The application failed to start";
+p.appendChild(t);t=document.createElement("p");t.textContent="The following script(s) could not be loaded:";p.appendChild(t);t=document.createElement("ul");for(var w,z,D=0;D<n.length;D++)w=document.createElement("li"),w.style.marginBottom="1em",z=document.createElement("b"),z.textContent=n[D].scriptId+(n[D].name!=n[D].scriptId?" ("+n[D].name+")":""),w.appendChild(z),z=document.createElement("div"),z.textContent=n[D].url,w.appendChild(z),z=document.createElement("div"),z.textContent=n[D].reason+": "+
+n[D].message,w.appendChild(z),t.appendChild(w);p.appendChild(t);(document.body||document.documentElement).appendChild(p)}}}();cycligent.boot.finished=!0;for(var l=0;l<cycligent.boot.notifyFunctions.length;l++)cycligent.boot.notifyFunctions[l]();cycligent.boot.notifyFunctions=[];cycligent.appLoad.load()};cycligent.boot.finished=!1;cycligent.boot.notifyFunctions=[];cycligent.boot.notify=function(l){cycligent.boot.finished?l():cycligent.boot.notifyFunctions.push(l)};
+cycligent.doc=function(){cycligent._loader=function(){}};cycligent.doc=function(){cycligent.node={}};cycligent.doc=function(){cycligent.context={}};
+cycligent.createContext=function(l){function a(){var k=l.global||{},h=l.root||{},m=(h.app||h.client||cycligent.root.app).replace(/\/$/,""),q=h.name||m.substr(m.lastIndexOf("/")+1),y=l.name||q;k.window=k;k.document=document;k.location=window.location;k.navigator=navigator;k.addEventListener=function(){return window.addEventListener.apply(window,arguments)};k.removeEventListener=function(){return window.removeEventListener.apply(window,arguments)};k.console={info:function(){console.info.apply(console,
+arguments)},log:function(){console.log.apply(console,arguments)},warn:function(){console.warn.apply(console,arguments)},error:function(){console.error.apply(console,arguments)}};var C=function(){if(typeof Proxy=="undefined")return k;var v={};return new Proxy(k,{has:function(A,B){return typeof B=="string"},get:function(A,B){if(B!==Symbol.unscopables){if(B in A)return A[B];A=window[B];return typeof A!="function"||A.prototype?A:(v.hasOwnProperty(B)&&v[B].value===A||(v[B]={value:A,bound:A.bind(window)}),
+v[B].bound)}},set:function(A,B,u){A[B]=u;return!0}})}(),x=k.cycligent={root:{app:m,name:q,client:(h.client||m).replace(/\/$/,""),deploy:(h.deploy||cycligent.root.deploy).replace(/\/$/,""),context:cycligent.root.context,detection:{rule:"preset",reason:"The roots were given to cycligent.createContext, or are the page's.",steps:[],sources:{deploy:"createContext",app:"createContext",client:"createContext",name:"createContext",config:"createContext"}}},context:{name:y,global:k,parent:cycligent,scriptRun:function(v,
+A){var B=/^\s*((\/\/[^\n]*|\/\*[\s\S]*?\*\/)\s*)*(["'])use strict\3/.test(v),u="with (cycligentScope) {"+(B?"(function () {":"");B=(/^\s*((async\s+)?function\s*\*?|var|let|const)\s*main\b/m.test(v)?'\n;if (typeof main == "function") { window.main = main; }':"")+(B?"\n}).call(this);":"")+"\n}";try{(new Function("window","cycligentScope",u+v+B+"\n//# sourceURL="+A)).call(k,k,C)}catch(r){v=r&&r.stack?r.stack.split(A+":"):[];if(v=v.length>1?/^(\d+):(\d+)/.exec(v[1]):null){A=parseInt(v[1],10);if(cycligent.createContext.lineOffset===
+void 0)try{(new Function("throw new Error();\n//# sourceURL=cycligent-offset.js"))()}catch(n){B=/cycligent-offset\.js:(\d+)/.exec(n.stack||""),cycligent.createContext.lineOffset=B?parseInt(B[1],10)-1:0}r.line=A-cycligent.createContext.lineOffset;r.column=parseInt(v[2],10)-(r.line==1?u.length:0)}throw r;}}}};try{(new Function("window","cycligent","console",d.source+"\n//# sourceURL="+d.url))(k,x,k.console),x.createContext.framework=d,x.configMerge([{name:"base",location:"cycligent.createContext",config:l.config||
+{}}]),x.configValid()&&x.loaderValid()&&x.debugValid()?(x.lifecycle.on("afterMain",function(v){if(v&&v.error!==void 0){var A=Error("The context '"+y+"' failed to start, its entry point failed: "+(v.error&&v.error.message?v.error.message:v.error));A.failures=[];A.cause=v.error;c.reject(A)}else c.resolve(x)}),x.lifecycle.on("startupFailed",function(v){var A=Error("The context '"+y+"' failed to start because "+v.length+" import(s) failed.");A.failures=v;c.reject(A)}),x.lifecycle.emit("configLoaded",
+x.config),x.boot()):b("The configuration of the context '"+y+"' is not valid, see the errors above.")}catch(v){b("The context '"+y+"' could not be created: "+v.message)}}function b(k){console.error(k);c.reject(Error(k))}var c=new cycligent.Completion,d=cycligent.createContext.framework;l=l||{};if(cycligent.node||typeof document=="undefined")return c.reject(Error('cycligent.createContext needs a page, in Node.js use require("cycligent.js").create().')),c;if(d)return a(),c;var f=document.getElementById("cycligent-script"),
+e=f?f.src:null;if(!e)return b("cycligent.js could not be found to create the context, the cycligent-script tag has no src."),c;var g=new XMLHttpRequest;g.onreadystatechange=function(){g.readyState==4&&(g.status>=200&&g.status<300||g.status===0&&g.responseText?(cycligent.createContext.framework=d={source:g.responseText,url:e},a()):b("cycligent.js could not be retrieved from "+e+" to create the context."))};g.open("GET",e,!0);g.send();return c};
+(function(){try{(function(){function l(u,r,n){if(/\.json$/i.test(r.replace(/[?#].*$/,"")))a(r,n);else{var p=cycligent.config;cycligent.config=void 0;new cycligent.EarlyLoader(u,r,function(){var t=cycligent.config;cycligent.config=p;t?n(t):console.error("The configuration "+r+" loaded but did not set cycligent.config. The system is unable to start the application.")})}}function a(u,r){var n=new XMLHttpRequest,p=cycligent.dottedName.describe(u),t=setTimeout(function(){n.onreadystatechange=null;n.abort();
+console.error('The load of "'+p+'" failed. The system is unable to start the application.')},window.location.hostname=="localhost"||window.location.hostname==""?7E3:7E4);n.onreadystatechange=function(){if(n.readyState==4)if(clearTimeout(t),n.status>=200&&n.status<300||n.status===0&&n.responseText){try{var w=cycligent.jsonParse(n.responseText)}catch(z){console.error('The configuration "'+p+'" is not valid JSON: '+z.message+". The system is unable to start the application.");return}w&&typeof w=="object"&&
+Object.prototype.toString.call(w)!="[object Array]"?r(w):console.error('The configuration "'+p+'" should be a JSON object. The system is unable to start the application.')}else console.error('The load of "'+p+'" failed. The system is unable to start the application.')};n.open("GET",u,!0);n.send()}function b(u){var r=window.cycligentConfigOverride,n=[{name:"base",location:B,config:u}];r&&typeof r=="object"&&n.push({name:"inline",location:"window.cycligentConfigOverride",config:r});cycligent.configMerge(n);
+if(u=d(cycligent.config.queryOverrides||[]))n.push({name:"query",location:window.location.search,config:u}),cycligent.configMerge(n);if(u=cycligent.config.environment){var p=B.replace(/\.(js|json)(?=$|[?#])/i,"."+u+".$1");p==B&&(p=B+"."+u+".js");l("Config-"+u,p,function(t){n.splice(1,0,{name:"environment",location:p,config:t});c(n)})}else c(n)}function c(u){cycligent.configMerge(u);if(cycligent.configValid()&&cycligent.loaderValid()&&cycligent.debugValid()){cycligent.lifecycle.emit("configLoaded",
+cycligent.config);if(cycligent.config.debug.startup){for(var r=[],n=0;n<u.length;n++)r.push(u[n].name+" ("+u[n].location+")");console.info("Configuration layers: "+r.join(", ")+".")}f()}}function d(u){var r=window.location.search.replace(/^\?/,"");r=r?r.split("&"):[];for(var n=null,p=0;p<r.length;p++){var t=r[p].indexOf("="),w=t<0?r[p]:r[p].substr(0,t);if(w.indexOf("cy.")===0){try{w=decodeURIComponent(w.substr(3).replace(/\+/g," "));var z=t<0?"true":decodeURIComponent(r[p].substr(t+1).replace(/\+/g,
+" "))}catch(F){console.warn("The query string override '"+r[p]+"' was ignored, it is not properly URL encoded.");continue}if(/(^|\.)(__proto__|constructor|prototype)(\.|$)/.test(w))console.warn("The query string override 'cy."+w+"' was ignored, '__proto__', 'constructor' and 'prototype' cannot be settings.");else{t=!1;for(var D=0;D<u.length;D++)if(w==u[D]||w.indexOf(u[D]+".")===0)t=!0;if(t){try{var E=JSON.parse(z)}catch(F){E=z}n=n||{};w=w.split(".");t=n;for(D=0;D<w.length-1;D++)t.hasOwnProperty(w[D])&&
+typeof t[w[D]]=="object"&&t[w[D]]!==null||(t[w[D]]={}),t=t[w[D]];t[w[w.length-1]]=E}else console.warn("The query string override 'cy."+w+"' was ignored, '"+w+"' is not in cycligent.config.queryOverrides.")}}}return n}function f(){function u(){function w(E,F){var G=(new Date).getTime();cycligent.config.debug.scripts&&console.info("Loading boot library '"+E+"'");new cycligent.EarlyLoader("lib"+(F+1)+"-script",cycligent.url(E),function(){cycligent.config.debug.scripts&&console.info("Loaded boot library '"+
+E+"'");cycligent.timing.event(E,2,(new Date).getTime()-G,G);D++;D==z.length&&p()},E,!0)}var z=cycligent.config.loader.libs,D=0;cycligent.timing.event("Load libraries in parallel",1);for(t=0;t<z.length;t++)w(z[t],t)}function r(){!cycligent.test||cycligent.test.doImports?t<cycligent.config.loader.libs.length?n(cycligent.config.loader.libs[t++]):p():p()}function n(w){cycligent.timing.event(w,1);cycligent.config.debug.scripts&&console.info("Loading boot library '"+w+"'");new cycligent.EarlyLoader("lib"+
+t+"-script",cycligent.url(w),function(){cycligent.config.debug.scripts&&console.info("Loaded boot library '"+w+"'");r()},w)}function p(){cycligent.lifecycle.emit("libsLoaded",cycligent.config.loader.libs);cycligent.boot()}cycligent.timing.event("Load frameworks / synchronous scripts",0);var t=0;(!cycligent.test||cycligent.test.doImports)&&cycligent.config.loader.libs.length>1&&"async"in document.createElement("script")?u():r()}function e(u){var r=[],n=[],p=null,t,w=window.cycligentRootResolvers||
+[];for(t=0;t<w.length;t++)r.push({name:w[t].cycligentName||"custom"+(t+1),resolve:w[t]});r.push({name:"client",resolve:g},{name:"config-depth",resolve:h},{name:"config-deploy",resolve:m},{name:"base",resolve:q},{name:"guess",resolve:y});for(t=0;t<r.length&&!p;t++){try{p=r[t].resolve(u)}catch(z){w=z&&z.message?z.message:String(z);console.error("The root resolver '"+r[t].name+"' failed, it was skipped: "+w);n.push({rule:r[t].name,applied:!1,reason:null,error:w});continue}n.push({rule:r[t].name,applied:!!p,
+reason:p?p.reason:null});p&&(p.rule=r[t].name)}u={deploy:p.rule,app:p.rule,client:p.rule,name:p.rule};cycligent.root.deploy=p.deploy.replace(/\/$/,"");cycligent.root.app=(p.app||cycligent.root.deploy).replace(/\/$/,"");cycligent.root.client=(p.client||cycligent.root.app).replace(/\/$/,"");p.appSource&&(u.deploy=u.app=u.name=p.appSource);r=cycligent.root.app.split("/");cycligent.root.name=r[r.length-1];cycligent.root.detection={rule:p.rule,reason:p.reason,steps:n,sources:u}}function g(u){var r=u.href,
+n=r.indexOf("/client/");n<0&&u.configLocation&&(r=u.configLocation,r.indexOf("//")<0&&(r=u.location.protocol+"//"+u.location.host+r),n=r.indexOf("/client/"));if(n<0)return null;var p=u.attribute("config-app-root");u={client:r.substr(0,n+7),app:p||r.substr(0,n),appSource:p?"config-app-root attribute":null,reason:"'/client/' was found in "+(r==u.href?"the page URL ":"the configuration location ")+r+(p?", the application root is the config-app-root attribute":"")+"."};u.deploy=u.app.substr(0,u.app.lastIndexOf("/"));
+return u}function k(u,r){var n=u.location.pathname.split("/");u=u.location.protocol+"//"+u.location.host;for(var p=0;p<r;p++)u+="/"+n[p+1];return u}function h(u){var r=parseInt(u.attribute("config-depth"));return isNaN(r)?null:{deploy:k(u,r),reason:"The config-depth attribute is "+r+"."}}function m(u){var r=u.attribute("config-deploy");u=u.script?u.script.src:null;if(!r||!u)return null;var n=u.replace(/[?#].*$/,"").split("/"),p=r.replace(/\/$/,"").split("/");n.pop();for(var t=0;t<p.length;t++)p[t]==
+".."?n.pop():p[t]!="."&&p[t]!=""&&n.push(p[t]);return{deploy:n.join("/"),reason:"The config-deploy attribute is '"+r+"', relative to cycligent.js at "+u+"."}}function q(u){var r=document.getElementsByTagName("base");if(!u.attribute("config-base")||!r.length||!r[0].href)return null;u=r[0].href;return{deploy:u.substr(0,u.lastIndexOf("/")),reason:'The page has the <base href="'+r[0].getAttribute("href")+'">.'}}function y(u){var r=u.location.pathname.split("/");return r[1]!=""&&r[1].indexOf(".htm")<0?
+{deploy:k(u,1),reason:"Guessed: the page's path starts with the directory '"+r[1]+"', taken to be a context root. Set config-depth or config-deploy on the cycligent-script tag if that is wrong."}:{deploy:k(u,0),reason:"Guessed: the page is at the root of the site."}}function C(u,r){var n=u.getAttribute("data-"+r);return n||(n=u.getAttribute("x-"+r))?n:n=u.getAttribute(r)}if(!cycligent.node&&!cycligent.context){var x=typeof window.cycligentConfigOverride=="string"?window.cycligentConfigOverride:void 0,
+v="window.cycligentConfigOverride";if(cycligent.root.deploy)cycligent.root.detection={rule:"preset",reason:"cycligent.root was set before cycligent.js loaded.",steps:[],sources:{deploy:"preset",app:"preset",client:"preset",name:"preset"}};else{var A=document.getElementById("cycligent-script");A&&x===void 0&&(x=C(A,"config-location"),v="config-location attribute");e({href:window.location.href,location:window.location,script:A,configLocation:x,attribute:function(u){return A?C(A,u):null}})}var B=cycligent.root.client+
+"/config.js";cycligent.root.detection.sources.config=cycligent.root.detection.sources.client;x&&(B=x,cycligent.root.detection.sources.config=v);cycligent.test?cycligent.boot():l("Config",B,function(u){b(u)})}})()}catch(l){console.error("Uncaught exception in loader. Exception message: "+l.message),l.stack&&console.error(l.stack)}})();
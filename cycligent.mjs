@@ -0,0 +1,113 @@
+/**
+ * @file cycligent.mjs
+ *
+ * @description
+ * The ES module entry point. Gives ES modules the cycligent namespace of the
+ * page, loaded as usual by the cycligent-script tag, so modules and Cycligent
+ * code can depend on each other.<br>
+ * <br>
+ * The functions are available once Cycligent has booted, as they are for
+ * scripts it imports. Modules that may run sooner, such as modules of the page
+ * itself, wait for the definitions they depend on with ready(), which waits for
+ * Cycligent to boot first.
+ *
+ * @example
+ * import cycligent, { define, ready } from "/lib/cycligent/cycligent.mjs";
+ *
+ * const Order = await ready("app.orders.Order");
+ *
+ * cycligent.class({
+ *     name: "app.orders.RushOrder",
+ *     extends: "app.orders.Order",
+ *     definition: {}
+ * });
+ *
+ * define("app.orders.rush", { days: 1 });
+ *
+ * @copyright 2008-2015 Improvement Interactive All Rights Reserved Worldwide
+ * @license Apache-2.0
+ */
+
+const cycligent = (typeof window != "undefined" ? window : globalThis).cycligent;
+
+if (!cycligent) {
+    throw new Error("cycligent.js must be loaded, by the cycligent-script tag, before cycligent.mjs is imported.");
+}
+
+export default cycligent;
+
+/**
+ * Waits for Cycligent to boot, then for a class, interface or definition to be
+ * defined. See cycligent.ready.
+ *
+ * @param {string} dottedName - The dotted name of the class, interface or definition.
+ *
+ * @returns {Promise} - Resolved with the value of the dotted name.
+ */
+export function ready(dottedName) {
+    return new Promise(function (resolve, reject) {
+        cycligent.boot.notify(function () {
+            cycligent.ready(dottedName).then(resolve, reject);
+        });
+    });
+}
+
+/**
+ * Imports a script or other file, once Cycligent has booted. See cycligent.import.
+ *
+ * @param {string} dottedNameOrUrl - The dotted name or URL to import.
+ * @param {string} [extension] - The file type to import.
+ *
+ * @returns {Promise} - Resolved with the script once it and its imports have completed.
+ */
+export function scriptImport(dottedNameOrUrl, extension) {
+    return new Promise(function (resolve, reject) {
+        cycligent.boot.notify(function () {
+            cycligent.import({ scriptId: dottedNameOrUrl, extension: extension }).then(resolve, reject);
+        });
+    });
+}
+
+/**
+ * See cycligent.class.
+ */
+export function classDefine(map) {
+    return cycligent.class(map);
+}
+
+/**
+ * See cycligent.interface.
+ */
+export function interfaceDefine(map) {
+    return cycligent.interface(map);
+}
+
+/**
+ * See cycligent.define.
+ */
+export function define(name, definition, priority) {
+    return cycligent.define.apply(cycligent, arguments);
+}
+
+/**
+ * See cycligent.args.
+ */
+export function args(argsIn, spec, ignoreExtraArguments) {
+    return cycligent.args.apply(cycligent, arguments);
+}
+
+/**
+ * See cycligent.url.
+ */
+export function url(dottedNameOrUrl, extension, options) {
+    return cycligent.url.apply(cycligent, arguments);
+}
+
+/**
+ * See cycligent.resource.
+ */
+export function resource(dottedNameOrUrl, extension) {
+    return cycligent.resource.apply(cycligent, arguments);
+}
+
+export { classDefine as class, interfaceDefine as interface, scriptImport as import };
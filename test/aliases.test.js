@@ -0,0 +1,78 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers.js");
+
+// A new configuration for each test, as tests change theirs
+function config() {
+    return {
+        loader: {
+            roots: {
+                lib: { root: "/lib" }
+            }
+        }
+    };
+}
+
+test("loads the target of an alias in its place", function () {
+    var cycligent = helpers.nodeCreate("node", { config: config() });
+
+    cycligent.config.loader.aliases = {
+        "app.orders.*": "lib.orders.*",
+        "app.icons.*": "https://cdn.example.com/icons/1.2/*"
+    };
+
+    assert.strictEqual(cycligent.url("app.icons.arrows.up", "png"), "https://cdn.example.com/icons/1.2/arrows/up.png");
+
+    return cycligent.import("app.orders.Line").then(function (script) {
+        assert.match(script.url, /\/lib\/orders\/Line\.js$/);
+        assert.strictEqual(typeof cycligent.node.global.lib.orders.Line, "function");
+    });
+});
+
+test("prefers exact aliases, then longer wildcards", function () {
+    var cycligent = helpers.nodeCreate("node", { config: config() });
+
+    cycligent.config.loader.aliases = { "app.*": "lib.*", "app.charts.*": "lib.graphs.*", "app.charts.line": "lib.line" };
+
+    assert.strictEqual(cycligent.alias("app.charts.line"), "lib.line");
+    assert.strictEqual(cycligent.alias("app.charts.bar"), "lib.graphs.bar");
+    assert.strictEqual(cycligent.alias("app.orders"), "lib.orders");
+});
+
+test("resolves aliases of aliases", function () {
+    var cycligent = helpers.nodeCreate("node", { config: config() });
+
+    cycligent.config.loader.aliases = { "app.charts.*": "app.graphs.*", "app.graphs.*": "^vendor.charts2.*", "app.logger": "app.nullLogger" };
+
+    assert.strictEqual(cycligent.alias("app.charts.line"), "^vendor.charts2.line");
+    assert.strictEqual(cycligent.alias("app.logger"), "app.nullLogger");
+    assert.strictEqual(cycligent.alias("app.other"), "app.other");
+});
+
+test("reports aliases that loop", function () {
+    var cycligent = helpers.nodeCreate("node", { config: config() });
+
+    cycligent.config.loader.aliases = { "app.a": "app.b", "app.b.*": "app.a.*", "app.b": "app.a" };
+
+    assert.strictEqual(cycligent.alias("app.a"), "app.a");
+    assert.match(cycligent.output.text("error"), /loop: app\.a -> app\.b -> app\.a/);
+});
+
+test("stops a wildcard alias that matches its own target from looping", function () {
+    var cycligent = helpers.nodeCreate("node", { config: config() });
+
+    cycligent.config.loader.aliases = { "lib.a.*": "lib.a.v2.*" };
+
+    assert.strictEqual(cycligent.alias("lib.a.x"), "lib.a.x");
+    assert.match(cycligent.output.text("error"), /lib\.a\.x -> lib\.a\.v2\.x -> lib\.a\.v2\.v2\.x, 'lib\.a\.\*' applies again/);
+});
+
+test("rejects a wildcard alias that matches its own target", function () {
+    var output = helpers.consoleCreate();
+
+    assert.throws(function () {
+        helpers.nodeCreate("node", { config: { loader: { roots: {}, aliases: { "lib.a.*": "lib.a.v2.*" } } }, console: output });
+    }, /not valid/);
+
+    assert.match(output.text("error"), /"lib\.a\.\*": "lib\.a\.v2\.\*".*matches its own/);
+});
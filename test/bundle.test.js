@@ -0,0 +1,72 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var childProcess = require("child_process");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var helpers = require("./helpers.js");
+
+/**
+ * Runs cycligent-bundle over a copy of a directory of test/fixtures, as
+ * bundling writes into it.
+ *
+ * @returns {string} - The copy.
+ */
+function bundle(fixture) {
+    var root = fs.mkdtempSync(path.join(os.tmpdir(), "cycligent-bundle-"));
+
+    fs.cpSync(path.join(helpers.fixtures, fixture), root, { recursive: true });
+    childProcess.execFileSync(process.execPath, [path.join(__dirname, "..", "bin", "cycligent-bundle.js"),
+        "--root", root, "--page", "/index.html"], { stdio: "pipe" });
+
+    return root;
+}
+
+test("bundles the startup script after the scripts it imports", function (t) {
+    var root = bundle("bundler");
+    t.after(function () {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    var manifest = JSON.parse(fs.readFileSync(path.join(root, "bundle", "app.json"), "utf8"));
+
+    assert.strictEqual(manifest.bundle.scripts.map(function (script) {
+        return script.name;
+    }).join(", "), "lib.util, lib.strict, lib.app");
+
+    var globals = { cycligentConfigOverride: { loader: { bundles: ["@bundle.app"] } } };
+
+    return helpers.pageLoad(root, { globals: globals }).then(function (window) {
+        assert.strictEqual(window.lib.app.total, 3);
+        assert.strictEqual(window.cycligent.imports.scripts["lib.app"].bundled, true);
+        assert.strictEqual(window.cycligent.imports.scripts["lib.util"].attempts.length, 0);
+    });
+});
+
+test("keeps bundled scripts strict, and their let declarations apart", function (t) {
+    var root = bundle("bundler");
+    t.after(function () {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    var globals = { cycligentConfigOverride: { loader: { bundles: ["@bundle.app"] } } };
+
+    return helpers.pageLoad(root, { globals: globals }).then(function (window) {
+        assert.strictEqual(window.cycligent.lifecycle.state().afterMain, true);
+        assert.strictEqual(window.lib.strict.strict, true);
+        assert.strictEqual(window.lib.strict.count, 2);
+        assert.strictEqual(window.lib.util.count, 1);
+    });
+});
+
+test("starts from the scripts' own URLs when a bundle fails", function () {
+    return helpers.pageLoad("bundle").then(function (window) {
+        var cycligent = window.cycligent;
+
+        assert.strictEqual(cycligent.lifecycle.state().startupFailed, false);
+        assert.strictEqual(cycligent.lifecycle.state().afterMain, true);
+        assert.strictEqual(window.lib.start.started, true);
+        assert.strictEqual(cycligent.appLoad.passes[0].failures.length, 0);
+        assert.strictEqual(cycligent.imports.failures[0].scriptId, "bundles.missing");
+    });
+});
@@ -0,0 +1,119 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var vm = require("vm");
+var helpers = require("./helpers.js");
+
+// A new configuration for each test, as tests change theirs
+function config() {
+    return {
+        loader: {
+            roots: {
+                lib: { root: "/lib" }
+            }
+        }
+    };
+}
+
+test("ignores __proto__ in configuration layers", function () {
+    var cycligent = helpers.nodeCreate("node", { config: config() });
+
+    cycligent.configMerge([
+        { name: "base", location: "config.json", config: config() },
+        { name: "environment", location: "config.test.json", config: cycligent.jsonParse('{"debug": {"__proto__": {"polluted": "yes"}}}') }
+    ]);
+
+    assert.strictEqual(vm.runInContext("({}).polluted", cycligent.node.global), undefined);
+    assert.strictEqual(({}).polluted, undefined);
+    assert.match(cycligent.output.text("warn"), /'debug.__proto__' in the environment configuration was ignored/);
+});
+
+// Lets the query string override the debug settings
+var debugOverrides = { cycligentConfigOverride: { queryOverrides: ["debug"] } };
+
+test("overrides the configuration from the query string", function () {
+    return helpers.pageLoad("page", { page: "/index.html?cy.debug.startup=true", globals: debugOverrides }).then(function (window) {
+        var cycligent = window.cycligent;
+
+        assert.strictEqual(cycligent.config.debug.startup, true);
+        assert.strictEqual(cycligent.configSources["debug.startup"], "query");
+        assert.match(window.console.text("info"), /Configuration layers: base .*, query/);
+    });
+});
+
+test("ignores query overrides of settings that are not allowed", function () {
+    return helpers.pageLoad("page", { page: "/index.html?cy.loader.timeout=1", globals: debugOverrides }).then(function (window) {
+        assert.notStrictEqual(window.cycligent.config.loader.timeout, 1);
+        assert.match(window.console.text("warn"), /loader\.timeout/);
+    });
+});
+
+test("allows no query overrides unless the configuration lists them", function () {
+    return helpers.pageLoad("page", { page: "/index.html?cy.debug.startup=true" }).then(function (window) {
+        assert.notStrictEqual(window.cycligent.config.debug.startup, true);
+        assert.strictEqual(window.cycligent.configSources["debug.startup"], undefined);
+        assert.match(window.console.text("warn"), /'cy\.debug\.startup' was ignored, 'debug\.startup' is not in cycligent\.config\.queryOverrides/);
+    });
+});
+
+test("ignores query overrides of __proto__", function () {
+    var page = "/index.html?cy.debug.__proto__.polluted=%22yes%22&cy.debug.constructor.prototype.polluted=%22yes%22";
+
+    return helpers.pageLoad("page", { page: page, globals: debugOverrides }).then(function (window) {
+        assert.strictEqual(vm.runInContext("({}).polluted", window), undefined);
+        assert.strictEqual(window.cycligent.lifecycle.state().afterMain, true);
+        assert.match(window.console.text("warn"), /cy\.debug\.__proto__\.polluted' was ignored/);
+    });
+});
+
+test("loads the configuration from a string in window.cycligentConfigOverride", function () {
+    var globals = { cycligentConfigOverride: "/other/config.js" };
+
+    return helpers.pageLoad("page", { globals: globals }).then(function (window) {
+        assert.strictEqual(window.cycligent.config.loader.roots.lib.root, "/other/lib");
+        assert.strictEqual(window.cycligent.root.detection.sources.config, "window.cycligentConfigOverride");
+        assert.strictEqual(window.console.text("warn"), "");
+    });
+});
+
+test("layers an object in window.cycligentConfigOverride over config.js", function () {
+    var globals = { cycligentConfigOverride: { debug: { startup: true } } };
+
+    return helpers.pageLoad("page", { globals: globals }).then(function (window) {
+        assert.strictEqual(window.cycligent.config.debug.startup, true);
+        assert.strictEqual(window.cycligent.configSources["debug.startup"], "inline");
+        assert.strictEqual(window.cycligent.configSources["loader.roots.lib.root"], "base");
+    });
+});
+
+test("layers the overlay of the environment between config.js and the page's", function () {
+    var globals = { cycligentConfigOverride: { environment: "dev", loader: { timeout: 5000 } } };
+
+    return helpers.pageLoad("page", { globals: globals }).then(function (window) {
+        var cycligent = window.cycligent;
+
+        assert.strictEqual(cycligent.config.appVersion, "2.0-dev");
+        assert.strictEqual(cycligent.config.loader.timeout, 5000);
+        assert.strictEqual(cycligent.configSources.appVersion, "environment");
+        assert.strictEqual(cycligent.configSources["loader.timeout"], "inline");
+        assert.strictEqual(cycligent.configLayers.map(function (layer) {
+            return layer.name;
+        }).join(", "), "base, environment, inline");
+    });
+});
+
+test("leaves the page's own query string parameters alone, however they are encoded", function () {
+    return helpers.pageLoad("page", { page: "/index.html?discount=50%&cy.debug.startup=true", globals: debugOverrides }).then(function (window) {
+        assert.strictEqual(window.cycligent.lifecycle.state().afterMain, true);
+        assert.strictEqual(window.cycligent.config.debug.startup, true);
+        assert.strictEqual(window.console.text("warn"), "");
+    });
+});
+
+test("ignores query overrides that are not properly URL encoded", function () {
+    return helpers.pageLoad("page", { page: "/index.html?cy.debug.startup=50%&cy.debug.on=true", globals: debugOverrides }).then(function (window) {
+        assert.strictEqual(window.cycligent.lifecycle.state().afterMain, true);
+        assert.notStrictEqual(window.cycligent.config.debug.startup, "50%");
+        assert.strictEqual(window.cycligent.config.debug.on, true);
+        assert.match(window.console.text("warn"), /'cy\.debug\.startup=50%' was ignored, it is not properly URL encoded/);
+    });
+});
@@ -0,0 +1,53 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers.js");
+
+test("rejects a configuration with a setting of the wrong type", function () {
+    assert.throws(function () {
+        helpers.nodeCreate("node", { config: { loader: { roots: {}, timeout: "5" } } });
+    }, /not valid/);
+});
+
+test("suggests the setting meant by a misspelled one", function () {
+    var cycligent = helpers.nodeCreate("node", { config: { loader: { roots: {}, timout: 5 } } });
+
+    assert.match(cycligent.output.text("warn"), /timout.*timeout/);
+});
+
+test("reports every problem with the configuration at once", function () {
+    var output = helpers.consoleCreate();
+    var config = {
+        loader: {
+            roots: { lib: { root: 5, crossorigin: "always" } },
+            libs: ["/vendor/one.js", 2]
+        }
+    };
+
+    assert.throws(function () {
+        helpers.nodeCreate("node", { config: config, console: output });
+    }, /not valid/);
+
+    var errors = output.text("error");
+    assert.match(errors, /cycligent\.config\.loader\.roots\.lib\.root should be string, not number \(5\)/);
+    assert.match(errors, /cycligent\.config\.loader\.roots\.lib\.crossorigin should be one of "anonymous", "use-credentials", not "always"/);
+    assert.match(errors, /cycligent\.config\.loader\.libs\[1\] should be string, not number/);
+});
+
+test("requires the loader's roots", function () {
+    var cycligent = helpers.nodeCreate("node", { config: { loader: { roots: {} } } });
+
+    delete cycligent.config.loader.roots;
+
+    assert.strictEqual(cycligent.configValid(), false);
+    assert.match(cycligent.output.text("error"), /cycligent\.config\.loader\.roots is required/);
+});
+
+test("checks settings the application adds to the schema", function () {
+    var cycligent = helpers.nodeCreate("node", { config: { loader: { roots: {} } } });
+
+    cycligent.configSchema.keys.app = { type: "object", keys: { theme: { type: "string" } } };
+    cycligent.config.app = { theme: 3 };
+
+    assert.strictEqual(cycligent.configValid(), false);
+    assert.match(cycligent.output.text("error"), /cycligent\.config\.app\.theme should be string, not number/);
+});
@@ -0,0 +1,106 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers.js");
+
+/**
+ * Creates a context for the orders application of the page fixture, resolving
+ * with {window, instance, started}, started being whether it had started when
+ * createContext resolved, or rejecting with the error of its completion.
+ * Its cycligent.config.main is main, given or not.
+ */
+function contextCreate(startupScript, main) {
+    return helpers.pageLoad("page").then(function (window) {
+        return new Promise(function (resolve, reject) {
+            window.cycligent.createContext({
+                name: "orders",
+                root: { app: "http://localhost/orders" },
+                config: {
+                    loader: { roots: { lib: { root: "/orders/lib" } }, waitFor: { dom: false, page: false } },
+                    startupScript: startupScript,
+                    main: main
+                }
+            }).then(function (instance) {
+                resolve({ window: window, instance: instance, started: instance.lifecycle.state().afterMain });
+            }, reject);
+        });
+    });
+}
+
+test("resolves createContext once the context has started", function () {
+    return contextCreate("lib.start", "lib.start.run").then(function (created) {
+        var global = created.instance.context.global;
+
+        assert.strictEqual(created.started, true);
+        assert.strictEqual(global.lib.start.started, true);
+        assert.strictEqual(created.window.lib, undefined);
+    });
+});
+
+test("runs scripts starting with \"use strict\" in strict mode in a context", function () {
+    return contextCreate("lib.start", "lib.start.run").then(function (created) {
+        assert.strictEqual(created.instance.context.global.lib.start.strict, true);
+    });
+});
+
+test("rejects createContext when the context fails to start", function () {
+    return contextCreate("lib.missing", "lib.start.run").then(function () {
+        assert.fail("the context should not start");
+    }, function (error) {
+        assert.match(error.message, /'orders' failed to start because 1 import\(s\) failed/);
+        assert.strictEqual(error.failures[0].scriptId, "lib.missing");
+    });
+});
+
+test("keeps a context's undeclared names and top level vars off the page's window", function () {
+    return contextCreate("lib.sloppy").then(function (created) {
+        var global = created.instance.context.global;
+
+        assert.strictEqual(global.leaked, "from the context");
+        assert.strictEqual(global.counter, 1);
+        assert.strictEqual(created.window.leaked, undefined);
+        assert.strictEqual(created.window.counter, undefined);
+    });
+});
+
+test("makes a top level function main the context's main", function () {
+    return contextCreate("lib.sloppy").then(function (created) {
+        assert.strictEqual(created.instance.context.global.mainRan, "function");
+        assert.strictEqual(created.window.mainRan, undefined);
+        assert.doesNotMatch(created.window.console.text("warn"), /has no main/);
+    });
+});
+
+test("keeps the classes and interfaces of a context and the page apart", function () {
+    return contextCreate("lib.sloppy").then(function (created) {
+        var page = created.window.cycligent;
+        var instance = created.instance;
+
+        page.class({ name: "PageOnly", definition: { init: function () {} } });
+
+        assert.strictEqual(instance.classes["OrdersWidget"], true);
+        assert.strictEqual(instance.interfaces["OrdersDrawable"], true);
+        assert.strictEqual(page.classes["OrdersWidget"], undefined);
+        assert.strictEqual(page.interfaces["OrdersDrawable"], undefined);
+        assert.strictEqual(page.classes.PageOnly, true);
+        assert.strictEqual(instance.classes.PageOnly, undefined);
+        assert.strictEqual(typeof instance.context.global.OrdersWidget, "function");
+        assert.strictEqual(created.window.OrdersWidget, undefined);
+    });
+});
+
+test("fails the import of an ES module in a context", function () {
+    return contextCreate("lib.module").then(function () {
+        assert.fail("the context should not start");
+    }, function (error) {
+        assert.strictEqual(error.failures[0].scriptId, "lib.widget");
+        assert.match(error.failures[0].message, /ES modules can't be imported in a context/);
+    });
+});
+
+test("rejects createContext when the context's main throws", function () {
+    return contextCreate("lib.throws").then(function () {
+        assert.fail("the context should not start");
+    }, function (error) {
+        assert.match(error.message, /'orders' failed to start, its entry point failed: The orders could not be shown\./);
+    });
+});
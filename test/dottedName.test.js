@@ -0,0 +1,47 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers.js");
+
+function named(settings) {
+    return helpers.nodeCreate("node", {
+        config: Object.assign({
+            loader: {
+                roots: {
+                    lib: { root: "/lib", fallbacks: ["/backup/lib"] },
+                    vendor: { url: "https://cdn.example.com/vendor", version: "3.0" }
+                }
+            }
+        }, settings || {})
+    });
+}
+
+test("turns URLs back into the dotted names that resolve to them", function () {
+    var cycligent = named();
+
+    [
+        "lib.orders.Order",
+        "vendor.charts.line",
+        "^lib.orders.Order"
+    ].forEach(function (name) {
+        assert.strictEqual(cycligent.dottedName(cycligent.url(name)), name.replace(/^\^/, ""));
+    });
+
+    assert.strictEqual(cycligent.dottedName(cycligent.url("lib.orders.Order", "js", { fallback: 1 })), "lib.orders.Order");
+    assert.strictEqual(cycligent.dottedName("https://elsewhere.example.com/a.js"), null);
+});
+
+test("removes the version and .min of production URLs", function () {
+    var cycligent = named({ production: true, appVersion: "1.4", minimizeSource: true });
+
+    assert.match(cycligent.url("lib.orders.Order"), /Order-1\.4\.min\.js$/);
+    assert.strictEqual(cycligent.dottedName(cycligent.url("lib.orders.Order")), "lib.orders.Order");
+    assert.strictEqual(cycligent.dottedName("https://cdn.example.com/vendor/charts/line-3.0.min.js"), "vendor.charts.line");
+});
+
+test("describes URLs by their dotted names in diagnostics", function () {
+    var cycligent = named();
+
+    return cycligent.import("lib.missing").then(null, function () {
+        assert.match(cycligent.output.text("warn"), /\/lib\/missing\.js \(lib\.missing\)\. Trying fallback/);
+    });
+});
@@ -0,0 +1,59 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers.js");
+
+// A new configuration for each test, as tests change theirs
+function config() {
+    return {
+        loader: {
+            roots: {
+                lib: { root: "/lib" }
+            }
+        }
+    };
+}
+
+test("fails the import of a script that throws", function () {
+    var cycligent = helpers.nodeCreate("node", { config: config() });
+
+    return cycligent.import("lib.bad").then(function () {
+        assert.fail("lib.bad should not load");
+    }, function (error) {
+        assert.match(error.message, /undefinedThing/);
+        assert.strictEqual(error.failure.reason, "script");
+        assert.strictEqual(cycligent.imports.failures[0], error.failure);
+    });
+});
+
+test("rejects the import of a script whose import failed", function () {
+    var cycligent = helpers.nodeCreate("node", { config: config() });
+
+    return cycligent.import("lib.needsMissing").then(function () {
+        assert.fail("lib.needsMissing should not load");
+    }, function (error) {
+        assert.strictEqual(error.failure.scriptId, "lib.missing");
+        assert.strictEqual(error.failure.reason, "http");
+        assert.strictEqual(cycligent.imports.failures.length, 1);
+    });
+});
+
+test("aborts startup, passing the failures to loader.onFailure", function () {
+    var failures = null;
+    var globals = {
+        cycligentConfigOverride: { startupScript: "lib.missing", loader: { onFailure: "failed" } },
+        failed: function (passed) {
+            failures = passed;
+        }
+    };
+
+    return helpers.pageLoad("page", { globals: globals }).then(function (window) {
+        var state = window.cycligent.lifecycle.state();
+
+        assert.strictEqual(state.startupFailed, true);
+        assert.strictEqual(state.afterMain, false);
+        assert.strictEqual(failures.length, 1);
+        assert.strictEqual(failures[0].scriptId, "lib.missing");
+        assert.strictEqual(failures[0].reason, "http");
+        assert.match(window.console.text("error"), /failed to start because 1 import\(s\) failed/);
+    });
+});
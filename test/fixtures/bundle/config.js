@@ -0,0 +1,11 @@
+cycligent.config = {
+    loader: {
+        roots: {
+            lib: { root: "/lib" },
+            bundles: { root: "/bundles" }
+        },
+        bundles: ["bundles.missing"],
+        waitFor: { dom: false, page: false }
+    },
+    startupScript: "lib.start"
+};
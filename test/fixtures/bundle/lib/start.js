@@ -0,0 +1,3 @@
+cycligent.define("lib.start", function () {
+    return { started: true };
+}, 1);
@@ -0,0 +1,9 @@
+cycligent.config = {
+    loader: {
+        roots: {
+            lib: { root: "/lib" }
+        },
+        waitFor: { dom: false, page: false }
+    },
+    startupScript: "lib.app"
+};
@@ -0,0 +1,6 @@
+cycligent.import("~util");
+cycligent.import("~strict");
+
+cycligent.define("lib.app", function () {
+    return { total: lib.util.sum(1, 2) };
+}, 1);
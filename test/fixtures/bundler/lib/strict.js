@@ -0,0 +1,9 @@
+// Strict, and declaring the same name as lib/util.js
+"use strict";
+
+let count = 2;
+
+cycligent.define("lib.strict", {
+    count: count,
+    strict: (function () { return this === undefined; })()
+});
@@ -0,0 +1,9 @@
+let count = 1;
+
+cycligent.define("lib.util", {
+    count: count,
+
+    sum: function (a, b) {
+        return a + b;
+    }
+});
@@ -0,0 +1,10 @@
+cycligent.config = {
+    loader: {
+        roots: {
+            lib: { root: "/lib" }
+        },
+        waitFor: { dom: false, page: false }
+    },
+    startupScript: "lib.app",
+    main: ["lib.app.restore", "lib.app.start"]
+};
@@ -0,0 +1,21 @@
+cycligent.config = {
+    loader: {
+        roots: {
+            lib: { root: "/lib" }
+        },
+        waitFor: { dom: false, page: false }
+    },
+    startupScript: "lib.app",
+    main: ["lib.app.restore", "lib.app.start"]
+};
+
+window.events = [];
+["configLoaded", "libsLoaded", "scriptLoaded", "scriptsReady", "definitionsExecuted",
+    "domReady", "pageReady", "beforeMain", "afterMain", "startupFailed"].forEach(function (event) {
+    cycligent.lifecycle.on(event, function (detail) {
+        window.events.push({ event: event, detail: detail });
+    });
+});
+cycligent.lifecycle.on("scriptsReady", function () {
+    throw new Error("The progress display is gone.");
+});
@@ -0,0 +1,31 @@
+cycligent.define("lib.app", function () {
+    var app = {
+        started: [],
+
+        restore: function () {
+            return new Promise(function (resolve, reject) {
+                setTimeout(function () {
+                    app.started.push("restore");
+                    if (window.restoreFails) {
+                        reject(new Error("The saved state could not be read."));
+                        return;
+                    }
+                    resolve();
+                }, 10);
+            });
+        },
+
+        start: function () {
+            app.started.push("start");
+            if (window.startFails) {
+                throw new Error("The shell could not start.");
+            }
+        },
+
+        crashed: function (error, entryName) {
+            app.crash = entryName + ": " + error.message;
+        }
+    };
+
+    return app;
+}, 1);
@@ -0,0 +1,25 @@
+cycligent.imports.bundleDeclare(["lib.orders.Order", "lib.orders.tax"]);
+
+cycligent.imports.bundleScript("lib.orders.Order");
+cycligent.import("~Line");
+cycligent.import({ scriptId: "~tax", extension: "json" });
+
+cycligent.class({
+    name: "lib.orders.Order",
+    definition: {
+        init: function () {
+            this.lines = [new lib.orders.Line(2)];
+        },
+
+        total: function () {
+            return this.lines[0].quantity * cycligent.resource("lib.orders.tax", "json").rate;
+        }
+    }
+});
+
+cycligent.imports.bundleScript("lib.orders.tax");
+cycligent.define("lib.orders.tax", function () {
+    return { rate: 0 };
+});
+
+cycligent.imports.bundleScript(null);
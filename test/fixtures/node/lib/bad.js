@@ -0,0 +1,2 @@
+var before = 1;
+undefinedThing.call();
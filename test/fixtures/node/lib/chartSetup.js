@@ -0,0 +1,2 @@
+// Imports the shim that depends on this script
+cycligent.import("vendor.left");
@@ -0,0 +1 @@
+cycligent.import("~missing");
@@ -0,0 +1,10 @@
+cycligent.define("lib.orders");
+
+cycligent.class({
+    name: "lib.orders.Line",
+    definition: {
+        init: function (quantity) {
+            this.quantity = quantity;
+        }
+    }
+});
@@ -0,0 +1,17 @@
+cycligent.import("~Line");
+cycligent.import({ scriptId: "~tax", extension: "json" });
+
+cycligent.class({
+    name: "lib.orders.Order",
+    definition: {
+        init: function () {
+            var args = cycligent.args(arguments, { id: { type: Number, required: true } });
+            this.id = args.id;
+            this.lines = [new lib.orders.Line(2)];
+        },
+
+        total: function () {
+            return this.lines[0].quantity * cycligent.resource("lib.orders.tax", "json").rate;
+        }
+    }
+});
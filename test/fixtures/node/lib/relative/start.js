@@ -0,0 +1,18 @@
+cycligent.define("lib.relative", {});
+
+// Deferred until ~waiting defines lib.relative.waiting
+cycligent.define("lib.relative.waiting.format", function () {
+    return cycligent.url.relative("~format");
+});
+
+cycligent.import("~waiting", function () {
+    lib.relative.fromCallback = cycligent.url.relative("~format");
+});
+
+cycligent.class({
+    name: "lib.relative.Chart",
+    definition: {
+        init: function () {
+        }
+    }
+});
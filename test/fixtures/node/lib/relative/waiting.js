@@ -0,0 +1 @@
+cycligent.define("lib.relative.waiting");
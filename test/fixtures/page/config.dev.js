@@ -0,0 +1,6 @@
+cycligent.config = {
+    appVersion: "2.0-dev",
+    loader: {
+        timeout: 4000
+    }
+};
@@ -0,0 +1,8 @@
+cycligent.config = {
+    loader: {
+        roots: {
+            lib: { root: "/lib" }
+        },
+        waitFor: { dom: false, page: false }
+    }
+};
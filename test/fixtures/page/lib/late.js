@@ -0,0 +1,3 @@
+cycligent.define("lib.late", function () {
+    return { loaded: true };
+}, 1);
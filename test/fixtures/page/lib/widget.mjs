@@ -0,0 +1 @@
+cycligent.define("lib.widget", { module: true });
@@ -0,0 +1 @@
+cycligent.import({ scriptId: "lib.widget", extension: "mjs" });
@@ -0,0 +1,30 @@
+// Not strict: undeclared names and top level declarations
+leaked = "from the context";
+var counter = 1;
+
+function helper() {
+    return typeof setTimeout;
+}
+
+function main() {
+    window.mainRan = helper();
+}
+
+cycligent.interface({
+    name: "OrdersDrawable",
+    definition: {
+        draw: {}
+    }
+});
+
+cycligent.class({
+    name: "OrdersWidget",
+    implements: "OrdersDrawable",
+    definition: {
+        init: function () {
+        },
+
+        draw: function () {
+        }
+    }
+});
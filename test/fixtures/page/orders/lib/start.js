@@ -0,0 +1,14 @@
+"use strict";
+
+cycligent.define("lib.start", function () {
+    var start = {
+        strict: (function () { return this === undefined; })(),
+        started: false,
+
+        run: function () {
+            start.started = true;
+        }
+    };
+
+    return start;
+}, 1);
@@ -0,0 +1,3 @@
+window.main = function () {
+    throw new Error("The orders could not be shown.");
+};
@@ -0,0 +1,12 @@
+cycligent.config = {
+    loader: {
+        roots: {
+            lib: { root: "/lib" }
+        },
+        timeout: 50,
+        retries: 1,
+        retryDelay: 1,
+        waitFor: { dom: false, page: false }
+    },
+    startupScript: "lib.start"
+};
@@ -0,0 +1,6 @@
+window.startRuns = (window.startRuns || 0) + 1;
+
+cycligent.define("lib.start", function () {
+    window.startDefined = (window.startDefined || 0) + 1;
+    return { started: true };
+}, 1);
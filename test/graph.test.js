@@ -0,0 +1,41 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers.js");
+
+function graphImport(scriptId) {
+    var cycligent = helpers.nodeCreate("node", { config: { loader: { roots: { lib: { root: "/lib" } } } } });
+
+    function settled() {
+        return cycligent.imports.graph();
+    }
+
+    return cycligent.import(scriptId).then(settled, settled);
+}
+
+test("records who imported what, and what each script declared", function () {
+    return graphImport("lib.orders.Order").then(function (graph) {
+        var edges = graph.edges.map(function (edge) {
+            return edge.from + " -> " + edge.to;
+        });
+        var line = graph.nodes.filter(function (node) {
+            return node.id == "lib.orders.Line";
+        })[0];
+
+        assert.strictEqual(edges.join(", "), "(page) -> lib.orders.Order, lib.orders.Order -> lib.orders.Line, " +
+            "lib.orders.Order -> lib.orders.tax.json");
+        assert.strictEqual(line.state, "loaded");
+        assert.strictEqual(line.classes.join(", "), "lib.orders.Line");
+        assert.strictEqual(line.definitions.join(", "), "lib.orders");
+    });
+});
+
+test("exports the graph as JSON and DOT", function () {
+    return graphImport("lib.needsMissing").then(function (graph) {
+        var json = JSON.parse(JSON.stringify(graph));
+
+        assert.strictEqual(json.nodes.length, 3);
+        assert.strictEqual(json.nodes[2].state, "failed");
+        assert.match(graph.toDot(), /^digraph imports \{/);
+        assert.match(graph.toDot(), /"lib\.needsMissing" -> "lib\.missing";/);
+    });
+});
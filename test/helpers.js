@@ -0,0 +1,369 @@
+/**
+ * @file helpers
+ *
+ * @description
+ * Runs Cycligent for the tests: headless with cycligent-node.js, or as a page
+ * loading it, with a stand-in for the DOM just good enough for the loader, so
+ * the bootstrap (root detection, configuration layers) can be tested too.
+ * Files are served from test/fixtures.
+ *
+ * @copyright 2008-2015 Improvement Interactive All Rights Reserved Worldwide
+ * @license Apache-2.0
+ */
+
+var crypto = require("crypto");
+var fs = require("fs");
+var path = require("path");
+var url = require("url");
+var vm = require("vm");
+
+var fixtures = path.join(__dirname, "fixtures");
+var frameworkFile = path.join(__dirname, "..", "cycligent.js");
+
+/**
+ * Returns a console that records what is logged to it rather than printing it.
+ *
+ * @returns {object} - The console, with a messages property, a list of {type, text},
+ * and text(type), which returns the messages of a type as one string.
+ */
+function consoleCreate() {
+    var output = { messages: [] };
+
+    ["info", "log", "warn", "error"].forEach(function (type) {
+        output[type] = function () {
+            var text = Array.prototype.map.call(arguments, function (arg) {
+                return (arg && arg.message ? arg.message : String(arg));
+            }).join(" ");
+            output.messages.push({ type: type, text: text });
+        };
+    });
+
+    output.text = function (type) {
+        return output.messages.filter(function (message) {
+            return !type || message.type == type;
+        }).map(function (message) {
+            return message.text;
+        }).join("\n");
+    };
+
+    return output;
+}
+
+/**
+ * Creates a headless Cycligent (see cycligent-node.js) over a directory of
+ * test/fixtures, logging to a recording console.
+ *
+ * @param {string} fixture - The directory, under test/fixtures.
+ * @param {object} [options] - Options for create(), config in particular.
+ *
+ * @returns {object} - The cycligent namespace, with the console as its output property.
+ */
+function nodeCreate(fixture, options) {
+    options = Object.assign({ directory: path.join(fixtures, fixture), console: consoleCreate() }, options || {});
+
+    var cycligent = require("../cycligent-node.js").create(options);
+    cycligent.output = options.console;
+
+    return cycligent;
+}
+
+/**
+ * Checks a file against an integrity attribute, as browsers do: it matches if
+ * it matches any of the hashes.
+ *
+ * @private
+ */
+function integrityMatches(file, integrity) {
+    var contents = fs.readFileSync(file);
+
+    return integrity.split(/\s+/).some(function (hash) {
+        var parts = /^(sha256|sha384|sha512)-(.+)$/.exec(hash);
+        return parts && crypto.createHash(parts[1]).update(contents).digest("base64") == parts[2];
+    });
+}
+
+/**
+ * Creates a stand-in for an element.
+ *
+ * @private
+ */
+function elementCreate(tagName, attributes) {
+    var element = {
+        tagName: tagName.toUpperCase(),
+        attributes: attributes || {},
+        listeners: {},
+        style: {},
+        childNodes: [],
+        parentNode: null,
+
+        getAttribute: function (name) {
+            return (element.attributes.hasOwnProperty(name) ? element.attributes[name] : null);
+        },
+        setAttribute: function (name, value) {
+            element.attributes[name] = String(value);
+        },
+        addEventListener: function (type, listener) {
+            (element.listeners[type] = element.listeners[type] || []).push(listener);
+        },
+        removeEventListener: function (type, listener) {
+            var listeners = element.listeners[type] || [];
+            if (listeners.indexOf(listener) >= 0) {
+                listeners.splice(listeners.indexOf(listener), 1);
+            }
+        },
+        appendChild: function (child) {
+            child.parentNode = element;
+            element.childNodes.push(child);
+            if (element.onAppend) {
+                element.onAppend(child);
+            }
+            return child;
+        },
+        removeChild: function (child) {
+            element.childNodes.splice(element.childNodes.indexOf(child), 1);
+            child.parentNode = null;
+            return child;
+        },
+        dispatch: function (type, context) {
+            var listeners = (element.listeners[type] || []).slice(0);
+            for (var index = 0; index < listeners.length; index++) {
+                // As in a browser, a listener's error is reported and the other listeners still run
+                try {
+                    listeners[index].call(element, { type: type, target: element });
+                }
+                catch (ex) {
+                    if (context && context.onerror) {
+                        context.onerror(ex.message, element.src, 1, 1, ex);
+                    }
+                }
+            }
+        }
+    };
+
+    return element;
+}
+
+/**
+ * Loads cycligent.js as a page would, from http://localhost, the site being
+ * a directory of test/fixtures.
+ *
+ * @param {string} fixture - The directory, under test/fixtures, or the path of another one.
+ * @param {object} [options]
+ * @param {string} [options.page="/index.html"] - The path and query of the page.
+ * @param {object} [options.attributes] - The attributes of the cycligent-script tag.
+ * @param {string} [options.base] - The href of the page's &lt;base&gt;, if it has one.
+ * @param {object} [options.globals] - Globals set before cycligent.js runs, such as
+ * cycligentConfigOverride.
+ * @param {object} [options.slow] - Milliseconds to delay the first request of a path
+ * of the site by, keyed by path, as for a script that is slow to arrive. Scripts
+ * inserted with async set to false still run in the order inserted.
+ * @param {int} [options.wait=2000] - The most milliseconds to wait for startup to finish.
+ *
+ * @returns {Promise} - Resolved with the page's window once startup has finished or
+ * failed, or the wait is over. Its console property is the recording console.
+ */
+function pageLoad(fixture, options) {
+
+    options = options || {};
+
+    var directory = path.resolve(fixtures, fixture);
+    var pageUrl = url.parse("http://localhost" + (options.page || "/index.html"));
+    var output = consoleCreate();
+    var slow = Object.assign({}, options.slow || {});
+
+    /**
+     * Returns the file a URL of the site is, or null for other sites. The
+     * cycligent-script tag's src is cycligent.js itself.
+     */
+    function fileFromUrl(fileUrl) {
+        var parsed = url.parse(url.resolve(pageUrl.href, fileUrl));
+
+        if (parsed.href == cycligentScript.src) {
+            return frameworkFile;
+        }
+
+        return (parsed.host == "localhost" ? path.join(directory, decodeURIComponent(parsed.pathname)) : null);
+    }
+
+    var head = elementCreate("head");
+    var body = elementCreate("body");
+    var documentElement = elementCreate("html");
+    var cycligentScript = elementCreate("script", Object.assign({ id: "cycligent-script" }, options.attributes || {}));
+    cycligentScript.src = "http://localhost/lib/cycligent/cycligent.js";
+
+    // Scripts inserted with async false, which run in the order inserted
+    var ordered = [];
+
+    /**
+     * Runs a script, or applies a stylesheet, once it has arrived.
+     */
+    function arrived(element, file) {
+        if (!file || !fs.existsSync(file) || (element.attributes.integrity && !integrityMatches(file, element.attributes.integrity))) {
+            element.dispatch("error", context);
+            return;
+        }
+
+        if (element.tagName == "SCRIPT") {
+            context.document.currentScript = element;
+            try {
+                vm.runInContext(fs.readFileSync(file, "utf8"), context, { filename: file });
+            }
+            catch (ex) {
+                if (context.onerror) {
+                    context.onerror(ex.message, element.src, 1, 1, ex);
+                }
+            }
+            context.document.currentScript = null;
+        }
+
+        element.dispatch("load", context);
+    }
+
+    head.onAppend = function (element) {
+        var file = (element.src || element.href ? fileFromUrl(element.src || element.href) : null);
+        var pathname = (file ? url.parse(url.resolve(pageUrl.href, element.src || element.href)).pathname : null);
+        var delay = (slow.hasOwnProperty(pathname) ? slow[pathname] : 0);
+        var entry = { element: element, file: file, ready: false };
+
+        delete slow[pathname];
+
+        if (element.async === false) {
+            ordered.push(entry);
+        }
+
+        // Removing the element doesn't stop it, as in a browser
+        setTimeout(function () {
+            if (element.async !== false) {
+                arrived(element, file);
+                return;
+            }
+
+            entry.ready = true;
+            while (ordered.length > 0 && ordered[0].ready) {
+                entry = ordered.shift();
+                arrived(entry.element, entry.file);
+            }
+        }, delay);
+    };
+
+    var context = {
+        console: output,
+        navigator: { appName: "Netscape", userAgent: "cycligent-test" },
+        location: {
+            href: pageUrl.href,
+            origin: "http://localhost",
+            protocol: pageUrl.protocol,
+            host: pageUrl.host,
+            hostname: pageUrl.hostname,
+            port: "",
+            pathname: pageUrl.pathname,
+            search: pageUrl.search || "",
+            hash: ""
+        },
+        document: {
+            readyState: "complete",
+            currentScript: null,
+            documentElement: documentElement,
+            head: head,
+            body: body,
+            styleSheets: [],
+            createElement: function (tagName) {
+                var element = elementCreate(tagName);
+                if (element.tagName == "SCRIPT") {
+                    element.async = true;
+                }
+                return element;
+            },
+            getElementById: function (id) {
+                return (id == "cycligent-script" ? cycligentScript : null);
+            },
+            getElementsByTagName: function (tagName) {
+                if (tagName == "base") {
+                    return (options.base ? [{ href: url.resolve(pageUrl.href, options.base), getAttribute: function () { return options.base; } }] : []);
+                }
+                return (tagName == "head" ? [head] : (tagName == "body" ? [body] : []));
+            },
+            addEventListener: function () {},
+            removeEventListener: function () {}
+        },
+        XMLHttpRequest: function () {
+            var request = {
+                readyState: 0,
+                status: 0,
+                responseText: "",
+                open: function (method, requestUrl) {
+                    request.url = requestUrl;
+                },
+                send: function () {
+                    var file = fileFromUrl(request.url);
+                    // A little later, as over a network, rather than before timers already set
+                    setTimeout(function () {
+                        if (file && fs.existsSync(file)) {
+                            request.status = 200;
+                            request.responseText = fs.readFileSync(file, "utf8");
+                        } else {
+                            request.status = 404;
+                        }
+                        request.readyState = 4;
+                        if (request.onreadystatechange) {
+                            request.onreadystatechange();
+                        }
+                    }, 5);
+                },
+                abort: function () {}
+            };
+            return request;
+        },
+        addEventListener: function () {},
+        removeEventListener: function () {},
+        setTimeout: setTimeout,
+        clearTimeout: clearTimeout,
+        setInterval: setInterval,
+        clearInterval: clearInterval,
+        crypto: crypto.webcrypto,
+        TextEncoder: TextEncoder,
+        btoa: btoa
+    };
+
+    Object.assign(context, options.globals || {});
+    context.window = context;
+    vm.createContext(context);
+
+    return new Promise(function (resolve) {
+        var started = Date.now();
+
+        vm.runInContext(fs.readFileSync(frameworkFile, "utf8"), context, { filename: frameworkFile });
+
+        (function check() {
+            var state = (context.cycligent.lifecycle ? context.cycligent.lifecycle.state() : {});
+
+            if (state.afterMain || state.startupFailed || Date.now() - started > (options.wait || 2000)) {
+                context.console = output;
+                resolve(context);
+            } else {
+                setTimeout(check, 10);
+            }
+        })();
+    });
+}
+
+/**
+ * Returns the integrity hash of a file of test/fixtures.
+ *
+ * @param {string} file - The file, under test/fixtures.
+ * @param {string} [algorithm="sha384"]
+ *
+ * @returns {string}
+ */
+function integrity(file, algorithm) {
+    algorithm = algorithm || "sha384";
+    return algorithm + "-" + crypto.createHash(algorithm).update(fs.readFileSync(path.join(fixtures, file))).digest("base64");
+}
+
+module.exports = {
+    fixtures: fixtures,
+    consoleCreate: consoleCreate,
+    integrity: integrity,
+    nodeCreate: nodeCreate,
+    pageLoad: pageLoad
+};
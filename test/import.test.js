@@ -0,0 +1,84 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers.js");
+
+// A new configuration for each test, as tests change theirs
+function config() {
+    return {
+        loader: {
+            roots: {
+                lib: { root: "/lib" }
+            }
+        }
+    };
+}
+
+test("imports a class with its own imports", function () {
+    var cycligent = helpers.nodeCreate("node", { config: config() });
+
+    return cycligent.import("lib.orders.Order").then(function () {
+        var order = new cycligent.node.global.lib.orders.Order(5);
+
+        assert.strictEqual(order.id, 5);
+        assert.strictEqual(order.total(), 6);
+    });
+});
+
+test("returns the same completion for each import of a script", function () {
+    var cycligent = helpers.nodeCreate("node", { config: config() });
+
+    assert.strictEqual(cycligent.import("lib.orders.Order"), cycligent.import("lib.orders.Order"));
+});
+
+test("calls an import's callback with the script", function () {
+    var cycligent = helpers.nodeCreate("node", { config: config() });
+
+    return new Promise(function (resolve) {
+        cycligent.import("lib.orders.Line", function (error, script) {
+            assert.strictEqual(error, undefined);
+            assert.strictEqual(script.scriptId, "lib.orders.Line");
+            resolve();
+        });
+    });
+});
+
+test("starts loading a script when it is constructed", function () {
+    var cycligent = helpers.nodeCreate("node", { config: config() });
+    var script = new cycligent.Script("lib.orders.Line");
+
+    assert.strictEqual(cycligent.imports.scripts[script.key], script);
+
+    return script.completion.then(function () {
+        assert.strictEqual(script.loaded, true);
+    });
+});
+
+test("rejects the import of a missing script", function () {
+    var cycligent = helpers.nodeCreate("node", { config: config() });
+
+    return cycligent.import("lib.missing").then(function () {
+        assert.fail("lib.missing should not load");
+    }, function (error) {
+        assert.match(error.message, /Script Import Failed: lib\.missing/);
+    });
+});
+
+test("chains completions through then", function () {
+    var cycligent = helpers.nodeCreate("node", { config: config() });
+    var completion = new cycligent.Completion();
+
+    var chained = completion.then(function (value) {
+        return value + 1;
+    }).then(function (value) {
+        throw new Error("At " + value + ".");
+    }).then(null, function (error) {
+        return error.message;
+    });
+
+    completion.resolve(1);
+    completion.resolve(5);
+
+    return chained.then(function (value) {
+        assert.strictEqual(value, "At 2.");
+    });
+});
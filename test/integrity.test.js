@@ -0,0 +1,114 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers.js");
+
+function scriptElement(window, scriptId) {
+    return window.document.head.childNodes.filter(function (element) {
+        return element.id == scriptId;
+    })[0];
+}
+
+test("sets the integrity, nonce and crossorigin of script elements", function () {
+    var integrity = helpers.integrity("page/lib/late.js");
+    var globals = {
+        cycligentConfigOverride: {
+            loader: {
+                roots: { cdn: { root: "http://cdn.localhost/lib" } },
+                integrity: { "lib.late": integrity }
+            }
+        }
+    };
+
+    return helpers.pageLoad("page", { globals: globals, attributes: { nonce: "abc123" } }).then(function (window) {
+        return window.cycligent.import("lib.late").then(function () {
+            var element = scriptElement(window, "lib.late");
+
+            assert.strictEqual(element.getAttribute("integrity"), integrity);
+            assert.strictEqual(element.getAttribute("nonce"), "abc123");
+            assert.strictEqual(element.getAttribute("crossorigin"), null);
+            assert.strictEqual(window.lib.late.loaded, true);
+
+            window.cycligent.import("cdn.other");
+            assert.strictEqual(scriptElement(window, "cdn.other").getAttribute("nonce"), "abc123");
+        });
+    });
+});
+
+test("fails a script that doesn't match its integrity hash, without retrying", function () {
+    var globals = {
+        cycligentConfigOverride: {
+            loader: { integrity: { "lib.late": helpers.integrity("page/lib/theme.css") } }
+        }
+    };
+
+    return helpers.pageLoad("page", { globals: globals }).then(function (window) {
+        return window.cycligent.import("lib.late").then(function () {
+            assert.fail("lib.late should not load");
+        }, function (error) {
+            assert.strictEqual(error.failure.reason, "integrity");
+            assert.strictEqual(error.failure.attempts.length, 1);
+            assert.strictEqual((window.lib || {}).late, undefined);
+        });
+    });
+});
+
+test("sets crossorigin on elements with an integrity hash from other origins", function () {
+    var globals = {
+        cycligentConfigOverride: {
+            loader: {
+                roots: { cdn: { root: "http://cdn.localhost/lib" } },
+                integrity: { "cdn.chart": "sha384-abc" }
+            }
+        }
+    };
+
+    return helpers.pageLoad("page", { globals: globals }).then(function (window) {
+        window.cycligent.import("cdn.chart");
+        assert.strictEqual(scriptElement(window, "cdn.chart").getAttribute("crossorigin"), "anonymous");
+    });
+});
+
+test("checks the integrity of resources fetched with XMLHttpRequest", function () {
+    var globals = {
+        cycligentConfigOverride: {
+            loader: {
+                integrity: {
+                    "lib.help": "sha256-abc " + helpers.integrity("page/lib/help.html", "sha512"),
+                    "lib.notes": helpers.integrity("page/lib/help.html")
+                }
+            }
+        }
+    };
+
+    return helpers.pageLoad("page", { globals: globals }).then(function (window) {
+        var cycligent = window.cycligent;
+
+        return cycligent.import("lib.help", null, "html").then(function () {
+            assert.strictEqual(cycligent.resource("lib.help", "html"), "<p>Help</p>\n");
+
+            return cycligent.import("lib.notes", null, "txt");
+        }).then(function () {
+            assert.fail("lib.notes should not load");
+        }, function (error) {
+            assert.strictEqual(error.failure.reason, "integrity");
+            assert.match(error.failure.message, /does not match its integrity hash/);
+            assert.strictEqual(cycligent.resource("lib.notes", "txt"), undefined);
+        });
+    });
+});
+
+test("fails resources with an integrity hash where SubtleCrypto isn't provided", function () {
+    var globals = {
+        crypto: {},
+        cycligentConfigOverride: { loader: { integrity: { "lib.help": helpers.integrity("page/lib/help.html") } } }
+    };
+
+    return helpers.pageLoad("page", { globals: globals }).then(function (window) {
+        return window.cycligent.import("lib.help", null, "html").then(function () {
+            assert.fail("lib.help should not load");
+        }, function (error) {
+            assert.strictEqual(error.failure.reason, "integrity");
+            assert.match(error.failure.message, /can't be checked/);
+        });
+    });
+});
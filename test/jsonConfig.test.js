@@ -0,0 +1,67 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var path = require("path");
+var helpers = require("./helpers.js");
+
+test("gives JSON syntax errors a line and column", function () {
+    var cycligent = helpers.nodeCreate("node", { config: { loader: { roots: {} } } });
+
+    function position(text) {
+        try {
+            cycligent.jsonParse(text);
+        }
+        catch (ex) {
+            return ex.line + ":" + ex.column;
+        }
+        return "valid";
+    }
+
+    assert.strictEqual(position('{"b": }'), "1:7");
+    assert.strictEqual(position('{"a": tru}'), "1:10");
+    assert.strictEqual(position('{\n    "a": 1,\n    "b": [1, 2,]\n}'), "3:16");
+    assert.strictEqual(position('{"a": 1'), "1:8");
+    assert.strictEqual(position('{"a": [1, {"b": "\\u00e9"}], "c": -1.5e3}'), "valid");
+});
+
+test("loads a JSON configuration, and its environment overlay, from config-location", function () {
+    return helpers.pageLoad("page", { attributes: { "data-config-location": "/json/config.json" } }).then(function (window) {
+        var cycligent = window.cycligent;
+
+        assert.strictEqual(cycligent.lifecycle.state().afterMain, true);
+        assert.strictEqual(cycligent.config.loader.roots.lib.root, "/lib");
+        assert.strictEqual(cycligent.config.appVersion, "2.0-dev");
+        assert.strictEqual(cycligent.configLayers[1].location, "/json/config.dev.json");
+    });
+});
+
+test("reports where a JSON configuration stops being valid", function () {
+    var options = { attributes: { "data-config-location": "/json/broken.json" }, wait: 300 };
+
+    return helpers.pageLoad("page", options).then(function (window) {
+        assert.notStrictEqual(window.cycligent.lifecycle.state().afterMain, true);
+        assert.match(window.console.text("error"), /\/json\/broken\.json.*\(line 5, column 9\)/);
+    });
+});
+
+test("loads a JSON configuration file in Node.js", function () {
+    var cycligent = helpers.nodeCreate("node", { configFile: path.join(helpers.fixtures, "page", "json", "config.json") });
+
+    assert.strictEqual(cycligent.config.loader.roots.lib.root, "/lib");
+
+    assert.throws(function () {
+        helpers.nodeCreate("node", { configFile: path.join(helpers.fixtures, "page", "json", "broken.json") });
+    }, /broken\.json is not valid JSON: .*\(line 5, column 9\)/);
+});
+
+test("finds where deeply nested JSON stops being valid", function () {
+    var cycligent = helpers.nodeCreate("node", { config: { loader: { roots: {} } } });
+    var text = new Array(20001).join("[") + "}";
+
+    assert.throws(function () {
+        cycligent.jsonParse(text);
+    }, function (error) {
+        assert.strictEqual(error.name, "SyntaxError");
+        assert.strictEqual(error.line + ":" + error.column, "1:20001");
+        return true;
+    });
+});
@@ -0,0 +1,27 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers.js");
+
+test("loads imports made after startup in a lazy load pass", function () {
+    return helpers.pageLoad("page").then(function (window) {
+        var cycligent = window.cycligent;
+        var notified = [];
+
+        cycligent.appLoad.notify(function (pass) {
+            notified.push(pass.number);
+        });
+        cycligent.import("lib.late");
+
+        var pass = cycligent.appLoad.pass();
+        assert.strictEqual(pass.lazy, true);
+        assert.strictEqual(pass.number, 1);
+
+        return pass.completion.then(function () {
+            assert.strictEqual(pass.finished, true);
+            assert.strictEqual(pass.scripts[0].scriptId, "lib.late");
+            assert.strictEqual(window.lib.late.loaded, true);
+            assert.strictEqual(notified.join(", "), "1");
+            assert.strictEqual(cycligent.appLoad.pass(), null);
+        });
+    });
+});
@@ -0,0 +1,40 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers.js");
+
+test("fetches loader.libs together, running them in order", function () {
+    var options = {
+        globals: { cycligentConfigOverride: { loader: { libs: ["/vendor/one.js", "/vendor/two.js"] } } },
+        slow: { "/vendor/one.js": 40 }
+    };
+
+    return helpers.pageLoad("page", options).then(function (window) {
+        assert.strictEqual(window.libsRun, "one two ");
+        assert.strictEqual(window.twoFetching, true);
+        assert.strictEqual(window.cycligent.lifecycle.state().afterMain, true);
+    });
+});
+
+test("times each library from its fetch to its execution", function () {
+    var options = {
+        globals: { cycligentConfigOverride: { loader: { libs: ["/vendor/one.js", "/vendor/two.js"] } } },
+        slow: { "/vendor/one.js": 40 }
+    };
+
+    return helpers.pageLoad("page", options).then(function (window) {
+        var events = {};
+
+        window.cycligent.timing.events.forEach(function (event) {
+            events[event.title] = event;
+        });
+
+        var one = events["/vendor/one.js"];
+        var two = events["/vendor/two.js"];
+
+        assert.ok(two.startTime - one.startTime < 20);
+        assert.ok(one.duration >= 35);
+        assert.ok(two.duration >= 35);
+        assert.strictEqual(two.endTime, two.startTime + two.duration);
+        assert.strictEqual(one.indent, 2);
+    });
+});
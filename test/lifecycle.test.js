@@ -0,0 +1,113 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers.js");
+
+// A new configuration for each test, as tests change theirs
+function config() {
+    return {
+        loader: {
+            roots: {
+                lib: { root: "/lib" }
+            }
+        }
+    };
+}
+
+// Subscribes to every event from config.js, so none are missed
+function globals(extra) {
+    return Object.assign({ cycligentConfigOverride: "/config.lifecycle.js" }, extra || {});
+}
+
+test("emits the startup events of a page in order", function () {
+    return helpers.pageLoad("main", { globals: globals() }).then(function (window) {
+        var names = window.events.map(function (emitted) {
+            return emitted.event;
+        });
+
+        assert.strictEqual(names.filter(function (name) {
+            return name != "scriptLoaded";
+        }).join(", "), "configLoaded, libsLoaded, domReady, pageReady, scriptsReady, definitionsExecuted, beforeMain, afterMain");
+        assert.ok(names.indexOf("scriptLoaded") > names.indexOf("configLoaded"));
+        assert.ok(names.lastIndexOf("scriptLoaded") < names.indexOf("scriptsReady"));
+        assert.strictEqual(window.events[0].detail, window.cycligent.config);
+        assert.strictEqual(window.lib.app.started.join(", "), "restore, start");
+    });
+});
+
+test("passes afterMain the error of an entry point", function () {
+    return helpers.pageLoad("main", { globals: globals({ startFails: true }) }).then(function (window) {
+        var afterMain = window.events.filter(function (emitted) {
+            return emitted.event == "afterMain";
+        });
+
+        assert.strictEqual(afterMain.length, 1);
+        assert.strictEqual(afterMain[0].detail.error.message, "The shell could not start.");
+    });
+});
+
+test("reports a listener that throws, without stopping startup", function () {
+    return helpers.pageLoad("main", { globals: globals() }).then(function (window) {
+        assert.strictEqual(window.cycligent.lifecycle.state().afterMain, true);
+        assert.match(window.console.text("error"), /A listener for the lifecycle event 'scriptsReady' failed: The progress display is gone\./);
+    });
+});
+
+test("emits startupFailed, not beforeMain, when imports fail", function () {
+    var overrides = { cycligentConfigOverride: { startupScript: "lib.missing" } };
+
+    return helpers.pageLoad("page", { globals: overrides }).then(function (window) {
+        var state = window.cycligent.lifecycle.state();
+
+        assert.strictEqual(state.startupFailed, true);
+        assert.strictEqual(state.scriptsReady, true);
+        assert.strictEqual(state.beforeMain, false);
+        assert.strictEqual(state.afterMain, false);
+    });
+});
+
+test("emits configLoaded to late subscribers", function () {
+    var cycligent = helpers.nodeCreate("node", { config: config() });
+    var received = null;
+
+    cycligent.lifecycle.on("configLoaded", function (loaded) {
+        received = loaded;
+    });
+
+    assert.strictEqual(received, cycligent.config);
+    assert.strictEqual(cycligent.lifecycle.state().configLoaded, true);
+});
+
+test("lists in state() only the events that happen once", function () {
+    var cycligent = helpers.nodeCreate("node", { config: config() });
+    var state = cycligent.lifecycle.state();
+
+    assert.deepStrictEqual(Object.keys(state), ["configLoaded", "libsLoaded", "scriptsReady", "definitionsExecuted",
+        "domReady", "pageReady", "beforeMain", "afterMain", "startupFailed"]);
+    assert.strictEqual(state.libsLoaded, false);
+});
+
+test("emits scriptLoaded for every import, and stops calling unsubscribed functions", function () {
+    var cycligent = helpers.nodeCreate("node", { config: config() });
+    var loaded = [];
+    var listener = function (script) {
+        loaded.push(script.scriptId);
+    };
+
+    cycligent.lifecycle.on("scriptLoaded", listener);
+    cycligent.lifecycle.on("scriptLoaded", listener);
+
+    return cycligent.import("lib.orders.Line").then(function () {
+        cycligent.lifecycle.off("scriptLoaded", listener);
+        return cycligent.import("lib.orders.Order");
+    }).then(function () {
+        assert.deepStrictEqual(loaded, ["lib.orders.Line"]);
+    });
+});
+
+test("reports unknown events", function () {
+    var cycligent = helpers.nodeCreate("node", { config: config() });
+
+    cycligent.lifecycle.on("mainDone", function () {});
+
+    assert.match(cycligent.output.text("error"), /Unknown lifecycle event 'mainDone', the events are: configLoaded,/);
+});
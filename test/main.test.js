@@ -0,0 +1,75 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers.js");
+
+test("runs the entry points in cycligent.config.main in order", function () {
+    return helpers.pageLoad("main").then(function (window) {
+        assert.strictEqual(window.lib.app.started.join(", "), "restore, start");
+        assert.strictEqual(window.cycligent.appLoad.finished(), true);
+    });
+});
+
+test("hands an entry point's error to the error boundary", function () {
+    var globals = { startFails: true, cycligentConfigOverride: { errorBoundary: "lib.app.crashed" } };
+
+    return helpers.pageLoad("main", { globals: globals }).then(function (window) {
+        assert.strictEqual(window.lib.app.crash, "lib.app.start: The shell could not start.");
+        assert.strictEqual(window.cycligent.appLoad.finished(), true);
+    });
+});
+
+test("logs an entry point's error when the error boundary can't be found", function () {
+    var globals = { startFails: true, cycligentConfigOverride: { errorBoundary: "lib.missing.crashed" } };
+
+    return helpers.pageLoad("main", { globals: globals }).then(function (window) {
+        assert.strictEqual(window.cycligent.lifecycle.state().afterMain, true);
+        assert.strictEqual(window.cycligent.appLoad.finished(), true);
+        assert.match(window.console.text("error"), /'lib\.missing\.crashed' is not a function/);
+        assert.match(window.console.text("error"), /The shell could not start/);
+    });
+});
+
+test("finishes startup before passing on an entry point's error on localhost", function () {
+    var errors = [];
+    var globals = {
+        startFails: true,
+        cycligentConfigOverride: {
+            main: ["lib.app.start"],
+            errorBoundary: "lib.app.crashed",
+            debug: { doNotCatchAllExceptionsOnLocalHost: true }
+        },
+        onerror: function (message) {
+            errors.push(message);
+        }
+    };
+
+    return helpers.pageLoad("main", { globals: globals }).then(function (window) {
+        assert.strictEqual(window.cycligent.lifecycle.state().afterMain, true);
+        assert.strictEqual(window.cycligent.appLoad.finished(), true);
+        assert.strictEqual(window.cycligent.appLoad.pass(), null);
+        assert.deepStrictEqual(errors, ["The shell could not start."]);
+        assert.strictEqual(window.lib.app.crash, undefined);
+    });
+});
+
+test("hands an entry point's rejection to the error boundary on localhost", function () {
+    var afterMain = null;
+    var globals = {
+        restoreFails: true,
+        cycligentConfigOverride: {
+            errorBoundary: "lib.app.crashed",
+            debug: { doNotCatchAllExceptionsOnLocalHost: true }
+        }
+    };
+
+    return helpers.pageLoad("main", { globals: globals }).then(function (window) {
+        window.cycligent.lifecycle.on("afterMain", function (detail) {
+            afterMain = detail;
+        });
+
+        assert.strictEqual(window.lib.app.crash, "lib.app.restore: The saved state could not be read.");
+        assert.strictEqual(window.lib.app.started.join(", "), "restore");
+        assert.strictEqual(afterMain.error.message, "The saved state could not be read.");
+        assert.strictEqual(window.cycligent.appLoad.finished(), true);
+    });
+});
@@ -0,0 +1,86 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var path = require("path");
+var url = require("url");
+var helpers = require("./helpers.js");
+
+// A new configuration for each test, as tests change theirs
+function config() {
+    return {
+        loader: {
+            roots: {
+                lib: { root: "/lib" }
+            }
+        }
+    };
+}
+
+test("loads an ES module with a module script, counting it in the load pass", function () {
+    return helpers.pageLoad("page").then(function (window) {
+        var cycligent = window.cycligent;
+        var completion = cycligent.import({ scriptId: "lib.widget", extension: "mjs" });
+        var element = window.document.head.childNodes[window.document.head.childNodes.length - 1];
+
+        assert.strictEqual(element.type, "module");
+        assert.match(element.src, /\/lib\/widget\.mjs$/);
+        assert.strictEqual(cycligent.appLoad.pass().scripts[0].scriptId, "lib.widget");
+
+        return completion.then(function () {
+            assert.strictEqual(window.lib.widget.module, true);
+            assert.strictEqual(cycligent.appLoad.pass(), null);
+        });
+    });
+});
+
+test("waits with ready for a definition imported later", function () {
+    var cycligent = helpers.nodeCreate("node", { config: config() });
+    var ready = cycligent.ready("lib.orders.Order");
+
+    cycligent.import("lib.orders.Order");
+
+    return ready.then(function (Order) {
+        assert.strictEqual(Order, cycligent.node.global.lib.orders.Order);
+        assert.strictEqual(new Order(3).total(), 6);
+    });
+});
+
+test("resolves ready at once for names already defined", function () {
+    var cycligent = helpers.nodeCreate("node", { config: config() });
+
+    cycligent.define("settings", { currency: "USD" });
+
+    return cycligent.ready("settings").then(function (settings) {
+        assert.strictEqual(settings.currency, "USD");
+    });
+});
+
+test("fails the import of an ES module in Node.js", function () {
+    var cycligent = helpers.nodeCreate("node", { config: config() });
+
+    return cycligent.import({ scriptId: "lib.widget", extension: "mjs" }).then(function () {
+        assert.fail("lib.widget should not load");
+    }, function (error) {
+        assert.match(error.message, /lib\.widget/);
+        assert.match(cycligent.output.text("error"), /ES modules can't be imported in Node\.js/);
+    });
+});
+
+test("gives ES modules the page's Cycligent through cycligent.mjs", function () {
+    var cycligent = helpers.nodeCreate("node", { config: config() });
+
+    globalThis.cycligent = cycligent;
+
+    return import(url.pathToFileURL(path.join(__dirname, "..", "cycligent.mjs")).href).then(function (module) {
+        assert.strictEqual(module.default, cycligent);
+
+        module.define("lib.fromModule", { answer: 42 });
+        cycligent.import("lib.orders.Order");
+
+        return module.ready("lib.orders.Order").then(function (Order) {
+            assert.strictEqual(Order, cycligent.node.global.lib.orders.Order);
+            assert.strictEqual(cycligent.node.global.lib.fromModule.answer, 42);
+        });
+    }).finally(function () {
+        delete globalThis.cycligent;
+    });
+});
@@ -0,0 +1,7 @@
+var test = require("node:test");
+var assert = require("node:assert");
+
+test("is required as cycligent.js/node, cycligent.js being the browser's file", function () {
+    assert.strictEqual(require("cycligent.js/node"), require("../cycligent-node.js"));
+    assert.strictEqual(require.resolve("cycligent.js"), require("path").join(__dirname, "..", "cycligent.js"));
+});
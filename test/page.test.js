@@ -0,0 +1,14 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers.js");
+
+test("starts a page, loading its config.js", function () {
+    return helpers.pageLoad("page").then(function (window) {
+        var cycligent = window.cycligent;
+
+        assert.strictEqual(cycligent.lifecycle.state().afterMain, true);
+        assert.strictEqual(cycligent.root.deploy, "http://localhost");
+        assert.strictEqual(cycligent.root.detection.rule, "guess");
+        assert.strictEqual(cycligent.configSources["loader.roots.lib.root"], "base");
+    });
+});
@@ -0,0 +1,70 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers.js");
+
+// A new configuration for each test, as tests change theirs
+function config() {
+    return {
+        loader: {
+            roots: {
+                lib: { root: "/lib" }
+            }
+        }
+    };
+}
+
+test("resolves script-relative names against a dotted name", function () {
+    var cycligent = helpers.nodeCreate("node", { config: config() });
+
+    assert.strictEqual(cycligent.url.relative("~axis", "@cmn.dashboard.graph"), "@cmn.dashboard.axis");
+    assert.strictEqual(cycligent.url.relative("~~.util.format", "lib.charts.line"), "lib.util.format");
+    assert.strictEqual(cycligent.url.relative("~~util.format", "lib.charts.line"), "lib.util.format");
+});
+
+test("resolves script-relative names against a URL", function () {
+    var cycligent = helpers.nodeCreate("node", { config: config() });
+
+    assert.strictEqual(cycligent.url.relative("~~.util.format", "/lib/charts/line.js"), "/lib/util/format");
+    assert.strictEqual(cycligent.url.relative("~axis", "https://cdn.example.com/charts/graph.js?v=2"), "https://cdn.example.com/charts/axis");
+});
+
+test("won't resolve script-relative names above the script's root", function () {
+    var cycligent = helpers.nodeCreate("node", { config: config() });
+
+    assert.strictEqual(cycligent.url.relative("~~~format", "lib.charts.line"), null);
+    assert.strictEqual(cycligent.url.relative("~~~format", "https://cdn.example.com/charts/graph.js"), null);
+    assert.match(cycligent.output.text("error"), /'~~~format' goes above the top of 'lib\.charts\.line'/);
+});
+
+test("imports script-relative names from the importing script", function () {
+    var cycligent = helpers.nodeCreate("node", { config: config() });
+
+    return cycligent.import("lib.orders.Order").then(function () {
+        assert.ok(cycligent.imports.scripts[cycligent.imports.scriptKey("lib.orders.Line", "js")].loaded);
+        assert.ok(cycligent.resource("lib.orders.tax", "json"));
+    });
+});
+
+test("resolves script-relative names in define bodies and import callbacks against the declaring script", function () {
+    var cycligent = helpers.nodeCreate("node", { config: config() });
+
+    return new Promise(function (resolve) {
+        cycligent.import("lib.relative.start", function () {
+            setTimeout(resolve, 20);
+        });
+    }).then(function () {
+        var relative = cycligent.node.global.lib.relative;
+
+        assert.strictEqual(relative.waiting.format, "lib.relative.format");
+        assert.strictEqual(relative.fromCallback, "lib.relative.format");
+        assert.strictEqual(relative.Chart.prototype.cycligentScript, "lib.relative.start");
+        assert.strictEqual(cycligent.output.text("error"), "");
+    });
+});
+
+test("reports script-relative names used with no script to resolve them against", function () {
+    var cycligent = helpers.nodeCreate("node", { config: config() });
+
+    assert.strictEqual(cycligent.url.relative("~format"), null);
+    assert.match(cycligent.output.text("error"), /'~format' can't be resolved, no script is executing/);
+});
@@ -0,0 +1,71 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers.js");
+
+// A new configuration for each test, as tests change theirs
+function config() {
+    return {
+        loader: {
+            roots: {
+                lib: { root: "/lib" }
+            }
+        }
+    };
+}
+
+test("loads JSON, HTML and text resources by extension", function () {
+    var cycligent = helpers.nodeCreate("node", { config: config() });
+
+    return Promise.all([
+        cycligent.import({ scriptId: "lib.orders.tax", extension: "json" }),
+        cycligent.import("lib.orders.form", null, "html"),
+        cycligent.import("/lib/orders/form.html")
+    ]).then(function () {
+        assert.strictEqual(cycligent.resource("lib.orders.tax", "json").rate, 3);
+        assert.strictEqual(cycligent.resource("lib.orders.form", "html"), '<p class="order">Order</p>\n');
+        assert.strictEqual(cycligent.resource("/lib/orders/form.html"), '<p class="order">Order</p>\n');
+        assert.strictEqual(cycligent.resource("lib.orders.tax"), undefined);
+    });
+});
+
+test("fails a resource that can't be parsed", function () {
+    var cycligent = helpers.nodeCreate("node", { config: config() });
+
+    return cycligent.import({ scriptId: "lib.orders.broken", extension: "json" }).then(function () {
+        assert.fail("lib.orders.broken should not load");
+    }, function (error) {
+        assert.strictEqual(error.failure.reason, "parse");
+        assert.match(error.failure.message, /line 1, column 12/);
+    });
+});
+
+test("loads other extensions with the loader added for them", function () {
+    var cycligent = helpers.nodeCreate("node", { config: config() });
+
+    cycligent.class({
+        name: "cycligent.CsvResource",
+        extends: "cycligent.Resource",
+        definition: {
+            parse: function (text) {
+                return text.trim().split("\n").map(function (line) {
+                    return line.split(",");
+                });
+            }
+        }
+    });
+    cycligent.loaders.csv = cycligent.CsvResource;
+
+    return cycligent.import("lib.orders.lines", null, "csv").then(function () {
+        assert.strictEqual(cycligent.resource("lib.orders.lines", "csv")[0][1], "2");
+    });
+});
+
+test("fetches a resource with the same name as a bundled script", { timeout: 5000 }, function () {
+    var cycligent = helpers.nodeCreate("node", {
+        config: { loader: { roots: { lib: { root: "/lib" }, bundles: { root: "/bundles" } } } }
+    });
+
+    return cycligent.import("bundles.orders").then(function () {
+        assert.strictEqual(new cycligent.node.global.lib.orders.Order().total(), 6);
+    });
+});
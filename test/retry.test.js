@@ -0,0 +1,50 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers.js");
+
+test("retries a script, then loads it from its root's fallback", function () {
+    var cycligent = helpers.nodeCreate("node", {
+        config: { loader: { roots: { lib: { root: "/missing", fallbacks: ["/lib"] } }, retries: 1, retryDelay: 1 } }
+    });
+
+    return cycligent.import("lib.orders.Line").then(function (script) {
+        var results = script.attempts.map(function (attempt) {
+            return attempt.result;
+        });
+
+        assert.strictEqual(results.join(", "), "http, http, loaded");
+        assert.match(script.url, /\/node\/lib\/orders\/Line\.js$/);
+        assert.match(cycligent.output.text("warn"), /attempt 1 of 'lib\.orders\.Line' failed \(http\).*Retrying in 1ms/);
+        assert.match(cycligent.output.text("warn"), /attempt 2 of 'lib\.orders\.Line' failed \(http\).*Trying fallback/);
+    });
+});
+
+test("fails a script once every attempt has failed", function () {
+    var cycligent = helpers.nodeCreate("node", {
+        config: { loader: { roots: { lib: { root: "/lib", fallbacks: ["/other"] } }, retries: 1, retryDelay: 1 } }
+    });
+
+    return cycligent.import("lib.missing").then(function () {
+        assert.fail("lib.missing should not load");
+    }, function (error) {
+        assert.strictEqual(error.failure.reason, "http");
+        assert.strictEqual(error.failure.attempts.length, 4);
+    });
+});
+
+test("ignores a script that timed out and then ran once it was retried", function () {
+    return helpers.pageLoad("retry", { slow: { "/lib/start.js": 80 } }).then(function (window) {
+        var script = window.cycligent.imports.scripts["lib.start"];
+
+        return new Promise(function (resolve) {
+            // Until the first attempt has run too
+            setTimeout(resolve, 100);
+        }).then(function () {
+            assert.strictEqual(window.startRuns, 2);
+            assert.strictEqual(window.startDefined, 1);
+            assert.strictEqual(script.attempts[0].result, "timeout");
+            assert.strictEqual(script.attempts[1].result, "loaded");
+            assert.match(window.console.text("warn"), /Ignored the declarations of an attempt to load 'lib\.start'.*\(timeout\)/);
+        });
+    });
+});
@@ -0,0 +1,65 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers.js");
+
+test("ignores a <base href> without the config-base attribute", function () {
+    return helpers.pageLoad("page", { page: "/shop/orders/index.html", base: "/" }).then(function (window) {
+        assert.strictEqual(window.cycligent.root.detection.rule, "guess");
+        assert.strictEqual(window.cycligent.root.deploy, "http://localhost/shop");
+    });
+});
+
+test("takes the deploy directory from the <base href> with the config-base attribute", function () {
+    var options = { page: "/orders/index.html", base: "/", attributes: { "data-config-base": "true" } };
+
+    return helpers.pageLoad("page", options).then(function (window) {
+        assert.strictEqual(window.cycligent.root.detection.rule, "base");
+        assert.strictEqual(window.cycligent.root.deploy, "http://localhost");
+        assert.strictEqual(window.cycligent.lifecycle.state().afterMain, true);
+    });
+});
+
+test("skips a root resolver that throws, recording the error", function () {
+    function broken() {
+        throw new Error("No tenant.");
+    }
+    broken.cycligentName = "tenant";
+
+    return helpers.pageLoad("page", { globals: { cycligentRootResolvers: [broken] } }).then(function (window) {
+        var steps = window.cycligent.root.detection.steps;
+
+        assert.strictEqual(steps[0].rule, "tenant");
+        assert.strictEqual(steps[0].error, "No tenant.");
+        assert.strictEqual(window.cycligent.root.detection.rule, "guess");
+        assert.match(window.console.text("error"), /root resolver 'tenant' failed/);
+    });
+});
+
+test("takes the deploy directory from the config-deploy attribute", function () {
+    return helpers.pageLoad("page", { page: "/orders/index.html", attributes: { "data-config-deploy": "../.." } }).then(function (window) {
+        assert.strictEqual(window.cycligent.root.detection.rule, "config-deploy");
+        assert.strictEqual(window.cycligent.root.deploy, "http://localhost");
+        assert.strictEqual(window.cycligent.root.detection.steps.map(function (step) {
+            return step.rule + (step.applied ? "+" : "-");
+        }).join(" "), "client- config-depth- config-deploy+");
+    });
+});
+
+test("uses the roots of a resolver of the page's own", function () {
+    function tenant(context) {
+        var match = /^\/t\/[^\/]+/.exec(context.location.pathname);
+        return (match ? { deploy: context.location.origin + "/other", reason: "Tenant " + match[0] + "." } : null);
+    }
+    tenant.cycligentName = "tenant";
+
+    var options = { page: "/t/acme/index.html", globals: { cycligentRootResolvers: [tenant] } };
+
+    return helpers.pageLoad("page", options).then(function (window) {
+        var detection = window.cycligent.root.detection;
+
+        assert.strictEqual(detection.rule, "tenant");
+        assert.strictEqual(detection.reason, "Tenant /t/acme.");
+        assert.strictEqual(window.cycligent.root.deploy, "http://localhost/other");
+        assert.strictEqual(window.cycligent.config.loader.roots.lib.root, "/other/lib");
+    });
+});
@@ -0,0 +1,69 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers.js");
+
+function rooted() {
+    return helpers.nodeCreate("node", {
+        config: {
+            production: true,
+            appVersion: "1.4",
+            minimizeSource: true,
+            loader: {
+                timeout: 5000,
+                roots: {
+                    lib: { root: "/lib" },
+                    vendor: { url: "https://cdn.example.com/vendor", version: false, minimize: false, timeout: 20000 },
+                    views: { root: "/lib/orders", extension: "html", version: "2.0", minimize: false }
+                }
+            }
+        }
+    });
+}
+
+test("builds URLs with the options of their root", function () {
+    var cycligent = rooted();
+
+    assert.match(cycligent.url("lib.orders.Order"), /\/lib\/orders\/Order-1\.4\.min\.js$/);
+    assert.strictEqual(cycligent.url("vendor.chart"), "https://cdn.example.com/vendor/chart.js");
+    assert.match(cycligent.url("views.form"), /\/lib\/orders\/form-2\.0\.html$/);
+});
+
+test("loads names under a root with the loader for its extension", function () {
+    var cycligent = helpers.nodeCreate("node", {
+        config: { loader: { roots: { views: { root: "/lib/orders", extension: "html" } } } }
+    });
+
+    return cycligent.import("views.form").then(function (resource) {
+        assert.strictEqual(resource.extension, "html");
+        assert.strictEqual(cycligent.resource("views.form", "html"), '<p class="order">Order</p>\n');
+    });
+});
+
+test("waits for the files of a root for the root's timeout", function () {
+    var cycligent = rooted();
+
+    cycligent.import("vendor.chart");
+    cycligent.import("lib.orders.Line");
+
+    assert.strictEqual(cycligent.imports.scripts["vendor.chart"].loadTimeout, 20000);
+    assert.strictEqual(cycligent.imports.scripts["lib.orders.Line"].loadTimeout, 5000);
+});
+
+test("versions URLs with the version of their root", function () {
+    var cycligent = helpers.nodeCreate("node", {
+        config: {
+            production: true,
+            appVersion: "1.4",
+            versioning: "query",
+            loader: {
+                roots: {
+                    lib: { root: "/lib" },
+                    vendor: { root: "/vendor", version: "3.0" }
+                }
+            }
+        }
+    });
+
+    assert.match(cycligent.url("lib.orders.Order"), /\/lib\/orders\/Order(\.min)?\.js\?v=1\.4$/);
+    assert.match(cycligent.url("vendor.left"), /\/vendor\/left(\.min)?\.js\?v=3\.0$/);
+});
@@ -0,0 +1,87 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers.js");
+
+// A new configuration for each test, as tests change theirs
+function config(shims) {
+    return {
+        loader: {
+            roots: { vendor: { root: "/vendor" } },
+            shims: shims
+        }
+    };
+}
+
+test("loads a shim after its deps and defines its global", function () {
+    var cycligent = helpers.nodeCreate("node", {
+        config: config({
+            "vendor.left": { exports: "Left" },
+            "vendor.right": { exports: "Right", deps: ["vendor.left"] }
+        })
+    });
+
+    return cycligent.import("vendor.right").then(function () {
+        assert.strictEqual(cycligent.node.global.vendor.right.left.side, "left");
+    });
+});
+
+test("fails shims whose deps lead back to them", function () {
+    var cycligent = helpers.nodeCreate("node", {
+        config: config({
+            "vendor.left": { exports: "Left", deps: ["vendor.right"] },
+            "vendor.right": { exports: "Right", deps: ["vendor.left"] }
+        })
+    });
+
+    return cycligent.import("vendor.right").then(function () {
+        assert.fail("vendor.right should not load");
+    }, function (error) {
+        assert.strictEqual(error.failure.reason, "dependency");
+        assert.match(error.failure.message, /vendor\.right -> vendor\.left -> vendor\.right/);
+    });
+});
+
+test("fails a shim whose deps lead back to it through the imports of a script", function () {
+    var options = config({
+        "vendor.left": { exports: "Left", deps: ["lib.chartSetup"] }
+    });
+    options.loader.roots.lib = { root: "/lib" };
+
+    var cycligent = helpers.nodeCreate("node", { config: options });
+
+    return cycligent.import("vendor.left").then(function () {
+        assert.fail("vendor.left should not load");
+    }, function (error) {
+        assert.strictEqual(error.failure.reason, "dependency");
+        assert.match(error.failure.message, /vendor\.left -> lib\.chartSetup -> vendor\.left/);
+    });
+});
+
+test("fails a shim whose dep fails", function () {
+    var cycligent = helpers.nodeCreate("node", {
+        config: config({
+            "vendor.right": { exports: "Right", deps: ["vendor.missing"] }
+        })
+    });
+
+    return cycligent.import("vendor.right").then(function () {
+        assert.fail("vendor.right should not load");
+    }, function (error) {
+        assert.strictEqual(error.failure.reason, "dependency");
+        assert.match(error.failure.message, /vendor\.missing/);
+    });
+});
+
+test("fails a shim that doesn't set its global", function () {
+    var cycligent = helpers.nodeCreate("node", {
+        config: config({
+            "vendor.left": { exports: "Center" }
+        })
+    });
+
+    return cycligent.import("vendor.left").then(function () {
+        assert.fail("vendor.left should not load");
+    }, function (error) {
+        assert.strictEqual(error.failure.reason, "script");
+    });
+});
@@ -0,0 +1,37 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers.js");
+
+function links(window) {
+    return window.document.head.childNodes.filter(function (element) {
+        return element.tagName == "LINK";
+    });
+}
+
+test("loads a stylesheet with a link, once", function () {
+    return helpers.pageLoad("page").then(function (window) {
+        var first = window.cycligent.styleLoad("lib.theme");
+
+        assert.strictEqual(window.cycligent.styleLoad("lib.theme"), first);
+
+        return first.then(function (style) {
+            assert.strictEqual(style.loaded, true);
+            assert.strictEqual(links(window).length, 1);
+            assert.strictEqual(links(window)[0].href, "http://localhost/lib/theme.css");
+            assert.strictEqual(links(window)[0].rel, "stylesheet");
+        });
+    });
+});
+
+test("fails a stylesheet that can't be loaded", function () {
+    return helpers.pageLoad("page").then(function (window) {
+        return new Promise(function (resolve) {
+            window.cycligent.styleLoad("lib.missing", function (error, style) {
+                assert.strictEqual(error.failure.reason, "http");
+                assert.strictEqual(style, undefined);
+                assert.strictEqual(links(window).length, 0);
+                resolve();
+            });
+        });
+    });
+});
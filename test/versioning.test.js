@@ -0,0 +1,62 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers.js");
+
+function versioned(versioning, settings) {
+    return helpers.nodeCreate("node", {
+        config: Object.assign({
+            production: true,
+            appVersion: "1.4",
+            versioning: versioning,
+            loader: { roots: { lib: { root: "/lib" } } }
+        }, settings || {})
+    });
+}
+
+test("adds the version to file names by default", function () {
+    var cycligent = versioned(undefined);
+
+    assert.match(cycligent.url("lib.orders.Order"), /\/lib\/orders\/Order-1\.4\.js$/);
+    assert.match(cycligent.url("lib.orders.tax", "json"), /\/lib\/orders\/tax-1\.4\.json$/);
+});
+
+test("adds the version as a query string parameter", function () {
+    var cycligent = versioned("query");
+
+    assert.match(cycligent.url("lib.orders.Order"), /\/lib\/orders\/Order\.js\?v=1\.4$/);
+});
+
+test("takes file names from the version manifest, falling back to the suffix", function () {
+    var cycligent = versioned("manifest", {
+        versionManifest: { "lib.orders.Order": "Order.3f9a1c2b.min.js", "lib.orders.tax.json": "tax.77d2.json" }
+    });
+
+    assert.match(cycligent.url("lib.orders.Order"), /\/lib\/orders\/Order\.3f9a1c2b\.min\.js$/);
+    assert.match(cycligent.url("lib.orders.tax", "json"), /\/lib\/orders\/tax\.77d2\.json$/);
+    assert.match(cycligent.url("lib.orders.Line"), /\/lib\/orders\/Line-1\.4\.js$/);
+});
+
+test("versions with a strategy function", function () {
+    var cycligent = versioned(function (parts) {
+        return parts.path + parts.min + "." + parts.extension + "#" + parts.dottedName + "@" + parts.version;
+    });
+
+    assert.match(cycligent.url("lib.orders.Order"), /\/lib\/orders\/Order\.js#lib\.orders\.Order@1\.4$/);
+});
+
+test("uses the suffix for a strategy it doesn't know", function () {
+    var cycligent = versioned("hash");
+
+    assert.match(cycligent.url("lib.orders.Order"), /\/lib\/orders\/Order-1\.4\.js$/);
+    assert.match(cycligent.output.text("error"), /Unknown versioning strategy 'hash'/);
+});
+
+test("adds the version of each root to file names", function () {
+    var cycligent = versioned("root", {
+        loader: { roots: { lib: { root: "/lib" }, vendor: { root: "/vendor", version: "3.0" } } }
+    });
+
+    assert.match(cycligent.url("vendor.left"), /\/vendor\/left-3\.0\.js$/);
+    assert.match(cycligent.url("lib.orders.Order"), /\/lib\/orders\/Order-1\.4\.js$/);
+    assert.strictEqual(cycligent.output.text("error"), "");
+});